@@ -0,0 +1,33 @@
+// Proof-of-work solver for INAD PROMOTION website
+// Runs the counter search off the main thread so the page stays responsive.
+// Stamp encoding and the zero-bit check must match src/utils/proofOfWork.js
+
+const toBytes = text => Uint8Array.from(text, char => char.charCodeAt(0));
+
+const leadingZeroBits = bytes => {
+  let bits = 0;
+  for (const byte of bytes) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    return bits + Math.clz32(byte) - 24;
+  }
+  return bits;
+};
+
+// Receives { prefix, difficulty } and replies with { counter }
+self.addEventListener('message', async event => {
+  const { prefix, difficulty } = event.data;
+
+  for (let counter = 0; ; counter += 1) {
+    const digest = await crypto.subtle.digest(
+      'SHA-256',
+      toBytes(prefix + counter)
+    );
+    if (leadingZeroBits(new Uint8Array(digest)) >= difficulty) {
+      self.postMessage({ counter });
+      return;
+    }
+  }
+});
@@ -5,6 +5,11 @@ const CACHE_NAME = 'inad-promotion-v1';
 const STATIC_CACHE = 'inad-promotion-static-v1';
 const DYNAMIC_CACHE = 'inad-promotion-dynamic-v1';
 
+// Offline outbox - must match src/utils/offlineOutbox.js
+const OUTBOX_DB_NAME = 'inad-outbox';
+const OUTBOX_DB_VERSION = 1;
+const OUTBOX_STORE = 'pending-requests';
+
 // Files to cache immediately
 const STATIC_FILES = [
   '/',
@@ -239,33 +244,62 @@ self.addEventListener('sync', (event) => {
   }
 });
 
+// 4xx responses other than timeouts and rate limits mean the server rejected
+// the request itself. Keep in sync with src/utils/offlineOutbox.js
+function isPermanentFailure(status) {
+  return status >= 400 && status < 500 && status !== 408 && status !== 429;
+}
+
 // Handle background sync
 async function doBackgroundSync() {
   try {
     // Get pending requests from IndexedDB
     const pendingRequests = await getPendingRequests();
+    let sent = 0;
+    let failed = 0;
     
-    for (const request of pendingRequests) {
-      try {
-        const response = await fetch(request.url, {
-          method: request.method,
-          headers: request.headers,
-          body: request.body
-        });
-        
-        if (response.ok) {
-          // Remove from pending requests
-          await removePendingRequest(request.id);
+    try {
+      for (const request of pendingRequests) {
+        try {
+          const response = await fetch(request.url, {
+            method: request.method,
+            headers: request.headers,
+            body: request.body
+          });
+          
+          if (response.ok) {
+            // Remove from pending requests
+            await removePendingRequest(request.id);
+            sent += 1;
+          } else if (isPermanentFailure(response.status)) {
+            // Replaying it can never succeed, so don't let it block the queue
+            await removePendingRequest(request.id);
+            failed += 1;
+          }
+        } catch (error) {
+          console.error('Background sync failed for request:', error);
+          // Rethrow so the browser retries the sync later
+          throw error;
         }
-      } catch (error) {
-        console.error('Background sync failed for request:', error);
+      }
+    } finally {
+      // Report what was delivered even when a later request failed
+      if (sent > 0 || failed > 0) {
+        await notifyClients({ type: 'OUTBOX_FLUSHED', sent, failed });
       }
     }
   } catch (error) {
     console.error('Background sync failed:', error);
+    throw error;
   }
 }
 
+// Tell open pages that queued submissions were delivered
+async function notifyClients(message) {
+  const windowClients = await self.clients.matchAll({ type: 'window' });
+  windowClients.forEach((client) => client.postMessage(message));
+}
+
 // Push notification handling
 self.addEventListener('push', (event) => {
   if (event.data) {
@@ -322,13 +356,45 @@ self.addEventListener('message', (event) => {
 });
 
 // Helper functions for IndexedDB operations
+function openOutboxDb() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(OUTBOX_DB_NAME, OUTBOX_DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(OUTBOX_STORE)) {
+        db.createObjectStore(OUTBOX_STORE, { keyPath: 'id', autoIncrement: true });
+      }
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function withOutboxStore(mode, operation) {
+  const db = await openOutboxDb();
+
+  try {
+    return await new Promise((resolve, reject) => {
+      const transaction = db.transaction(OUTBOX_STORE, mode);
+      const request = operation(transaction.objectStore(OUTBOX_STORE));
+
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
 async function getPendingRequests() {
-  // Implementation would depend on your IndexedDB setup
-  return [];
+  return withOutboxStore('readonly', (store) => store.getAll());
 }
 
 async function removePendingRequest(id) {
-  // Implementation would depend on your IndexedDB setup
+  return withOutboxStore('readwrite', (store) => store.delete(id));
 }
 
 // Error handling
@@ -1,8 +1,10 @@
 import React, { useEffect } from 'react';
-import { BrowserRouter as Router } from 'react-router-dom';
+import { Route, BrowserRouter as Router, Routes } from 'react-router-dom';
 
 import About from './components/About';
 import Blog from './components/Blog';
+import BlogIndex from './components/BlogIndex';
+import BlogPost from './components/BlogPost';
 import ClientLogos from './components/ClientLogos';
 import Clients from './components/Clients';
 import Contact from './components/Contact';
@@ -13,12 +15,71 @@ import Footer from './components/Footer';
 import Hero from './components/Hero';
 import Navbar from './components/Navbar';
 import Newsletter from './components/Newsletter';
+import NewsletterConfirmation from './components/NewsletterConfirmation';
+import NewsletterPreferences from './components/NewsletterPreferences';
+import NewsletterUnsubscribe from './components/NewsletterUnsubscribe';
+import NotFound from './components/NotFound';
+import Page from './components/Page';
 import Portfolio from './components/Portfolio';
+import ProjectDetail from './components/ProjectDetail';
+import RouteScroll from './components/RouteScroll';
+import ServiceDetail from './components/ServiceDetail';
 import ServiceHighlights from './components/ServiceHighlights';
 import Services from './components/Services';
+import { initOfflineOutbox } from './utils/offlineOutbox';
 import { initPerformanceMonitoring } from './utils/performance';
 import { registerServiceWorker } from './utils/serviceWorker';
 
+const HomePage = () => (
+  <>
+    <Hero />
+    <ServiceHighlights />
+    <FeaturedProjects />
+    <ClientLogos />
+    <About />
+    <Services />
+    <Portfolio />
+    <Clients />
+    <Blog />
+    <Contact />
+    <Newsletter />
+  </>
+);
+
+const ServicesPage = () => (
+  <Page title='Services' heading='Our services'>
+    <Services />
+    <ServiceHighlights />
+  </Page>
+);
+
+const WorkPage = () => (
+  <Page title='Our Work' heading='Our work'>
+    <Portfolio showAllLink={false} />
+    <Clients />
+  </Page>
+);
+
+const BlogPage = () => (
+  <Page title='Blog'>
+    <BlogIndex />
+    <Newsletter />
+  </Page>
+);
+
+const AboutPage = () => (
+  <Page title='About' heading='About INAD PROMOTION'>
+    <About />
+    <ClientLogos />
+  </Page>
+);
+
+const ContactPage = () => (
+  <Page title='Contact' heading='Contact us'>
+    <Contact />
+  </Page>
+);
+
 function App() {
   useEffect(() => {
     // Initialize performance monitoring
@@ -26,24 +87,33 @@ function App() {
 
     // Register service worker for PWA capabilities
     registerServiceWorker();
+
+    // Replay contact submissions that were queued while offline
+    return initOfflineOutbox();
   }, []);
 
   return (
     <ErrorBoundary>
       <Router>
         <div className='App bg-dark-900 text-white min-h-screen w-full overflow-x-hidden layout-stable stable-container'>
+          <RouteScroll />
           <Navbar />
-          <Hero />
-          <ServiceHighlights />
-          <FeaturedProjects />
-          <ClientLogos />
-          <About />
-          <Services />
-          <Portfolio />
-          <Clients />
-          <Blog />
-          <Contact />
-          <Newsletter />
+          <Routes>
+            <Route path='/' element={<HomePage />} />
+            <Route path='/services' element={<ServicesPage />} />
+            <Route path='/services/:slug' element={<ServiceDetail />} />
+            <Route path='/work' element={<WorkPage />} />
+            <Route path='/work/:slug' element={<ProjectDetail />} />
+            <Route path='/blog' element={<BlogPage />} />
+            <Route path='/blog/:slug' element={<BlogPost />} />
+            <Route path='/about' element={<AboutPage />} />
+            <Route path='/contact' element={<ContactPage />} />
+            {/* Links sent in newsletter emails */}
+            <Route path='/confirm' element={<NewsletterConfirmation />} />
+            <Route path='/preferences' element={<NewsletterPreferences />} />
+            <Route path='/unsubscribe' element={<NewsletterUnsubscribe />} />
+            <Route path='*' element={<NotFound />} />
+          </Routes>
           <Footer />
         </div>
         <CookieConsent />
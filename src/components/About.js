@@ -3,29 +3,29 @@ import React from 'react';
 import { FaCalendarAlt, FaUsers, FaHeart } from 'react-icons/fa';
 import { useInView } from 'react-intersection-observer';
 
+import { companyStats as seedCompanyStats } from '../data/seedContent';
+import useApiData from '../hooks/useApiData';
+import { getCompanyStats } from '../utils/api';
+
+import SectionSkeleton from './SectionSkeleton';
+
+// Stats reference their icon by key so they can come from the API
+const statIcons = {
+  calendar: FaCalendarAlt,
+  users: FaUsers,
+  heart: FaHeart,
+};
+
 const About = () => {
   const [ref, inView] = useInView({
     triggerOnce: true,
     threshold: 0.1,
   });
 
-  const stats = [
-    {
-      icon: <FaCalendarAlt className='text-2xl sm:text-3xl' />,
-      number: '500+',
-      label: 'Events Delivered',
-    },
-    {
-      icon: <FaUsers className='text-2xl sm:text-3xl' />,
-      number: '200+',
-      label: 'Happy Clients',
-    },
-    {
-      icon: <FaHeart className='text-2xl sm:text-3xl' />,
-      number: '98%',
-      label: 'Client Satisfaction',
-    },
-  ];
+  const { data: stats, isLoading } = useApiData(
+    options => getCompanyStats(options),
+    seedCompanyStats
+  );
 
   const behindTheScenes = [
     'https://images.unsplash.com/photo-1513151233558-d860c5398176?w=400&h=300&fit=crop',
@@ -105,29 +105,42 @@ const About = () => {
         </div>
 
         {/* Stats */}
-        <motion.div
-          initial={{ opacity: 0, y: 50 }}
-          animate={inView ? { opacity: 1, y: 0 } : {}}
-          transition={{ duration: 0.8, delay: 0.6 }}
-          className='grid grid-cols-1 sm:grid-cols-3 gap-6 sm:gap-8 mb-12 sm:mb-16 lg:mb-20'
-        >
-          {stats.map((stat, index) => (
-            <div
-              key={index}
-              className='text-center p-6 sm:p-8 bg-dark-800/50 rounded-2xl border border-dark-700/30 hover:border-primary-500/30 transition-all duration-300'
-            >
-              <div className='text-primary-400 mb-3 sm:mb-4 flex justify-center'>
-                {stat.icon}
-              </div>
-              <div className='text-3xl sm:text-4xl font-bold text-white mb-2'>
-                {stat.number}
-              </div>
-              <div className='text-gray-300 text-sm sm:text-base'>
-                {stat.label}
-              </div>
-            </div>
-          ))}
-        </motion.div>
+        {isLoading ? (
+          <SectionSkeleton
+            count={3}
+            lines={0}
+            className='grid grid-cols-1 sm:grid-cols-3 gap-6 sm:gap-8 mb-12 sm:mb-16 lg:mb-20'
+            label='Loading company stats'
+          />
+        ) : (
+          <motion.div
+            initial={{ opacity: 0, y: 50 }}
+            animate={inView ? { opacity: 1, y: 0 } : {}}
+            transition={{ duration: 0.8, delay: 0.6 }}
+            className='grid grid-cols-1 sm:grid-cols-3 gap-6 sm:gap-8 mb-12 sm:mb-16 lg:mb-20'
+          >
+            {stats.map((stat, index) => {
+              const Icon = statIcons[stat.icon] || FaHeart;
+
+              return (
+                <div
+                  key={stat.id || index}
+                  className='text-center p-6 sm:p-8 bg-dark-800/50 rounded-2xl border border-dark-700/30 hover:border-primary-500/30 transition-all duration-300'
+                >
+                  <div className='text-primary-400 mb-3 sm:mb-4 flex justify-center'>
+                    <Icon className='text-2xl sm:text-3xl' />
+                  </div>
+                  <div className='text-3xl sm:text-4xl font-bold text-white mb-2'>
+                    {stat.number}
+                  </div>
+                  <div className='text-gray-300 text-sm sm:text-base'>
+                    {stat.label}
+                  </div>
+                </div>
+              );
+            })}
+          </motion.div>
+        )}
 
         {/* Behind the Scenes */}
         <motion.div
@@ -0,0 +1,219 @@
+import { motion } from 'framer-motion';
+import React, { useState } from 'react';
+import {
+  FaCloudUploadAlt,
+  FaExclamationTriangle,
+  FaFileImage,
+  FaFilePdf,
+} from 'react-icons/fa';
+
+const ACCEPT = 'application/pdf,image/jpeg,image/png,image/webp,image/gif';
+
+export const formatFileSize = bytes => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const statusText = item => {
+  switch (item.status) {
+    case 'processing':
+      return 'Preparing...';
+    case 'uploading':
+      return `Uploading ${item.progress}%`;
+    case 'paused':
+      return `Paused at ${item.progress}%`;
+    case 'done':
+      return 'Uploaded';
+    default:
+      return 'Not uploaded';
+  }
+};
+
+// Drag-and-drop zone and file list for the contact form's attachments
+// Uploading is handled by useAttachments; this only renders its state
+const AttachmentDropzone = ({
+  id = 'attachments',
+  attachments,
+  error,
+  onAddFiles,
+  onRemove,
+  onPause,
+  onResume,
+  maxFiles,
+}) => {
+  const [isDragging, setIsDragging] = useState(false);
+
+  const handleDrop = e => {
+    e.preventDefault();
+    setIsDragging(false);
+    onAddFiles(e.dataTransfer.files);
+  };
+
+  const handleDragOver = e => {
+    e.preventDefault();
+    if (!isDragging) setIsDragging(true);
+  };
+
+  const handleChange = e => {
+    onAddFiles(e.target.files);
+    // Allow picking the same file again after removing it
+    e.target.value = '';
+  };
+
+  return (
+    <div>
+      <span className='block text-white font-medium mb-2 text-sm sm:text-base'>
+        Attachments
+      </span>
+      <div
+        onDrop={handleDrop}
+        onDragOver={handleDragOver}
+        onDragLeave={() => setIsDragging(false)}
+        className={`relative flex flex-col items-center justify-center p-6 border-2 border-dashed rounded-xl text-center transition-colors duration-300 focus-within:ring-2 focus-within:ring-primary-500 focus-within:ring-offset-2 focus-within:ring-offset-dark-800 ${
+          isDragging
+            ? 'border-primary-500 bg-primary-500/10'
+            : 'border-dark-600/50 bg-dark-700/30'
+        }`}
+      >
+        <FaCloudUploadAlt
+          className='text-3xl text-primary-400 mb-2'
+          aria-hidden='true'
+        />
+        <p className='text-gray-300 text-sm'>
+          Drag files here or{' '}
+          <label
+            htmlFor={id}
+            className='text-primary-400 hover:text-primary-300 underline cursor-pointer'
+          >
+            browse
+          </label>
+        </p>
+        <p className='text-gray-400 text-xs mt-1' id={`${id}-hint`}>
+          Mood boards, RFPs or briefs - PDF or images, up to 5MB each, max{' '}
+          {maxFiles} files
+        </p>
+        <input
+          type='file'
+          id={id}
+          multiple
+          accept={ACCEPT}
+          onChange={handleChange}
+          className='sr-only'
+          aria-describedby={error ? `${id}-error` : `${id}-hint`}
+        />
+      </div>
+
+      {error && (
+        <motion.div
+          initial={{ opacity: 0, y: -10 }}
+          animate={{ opacity: 1, y: 0 }}
+          className='flex items-center mt-2 text-red-400 text-xs sm:text-sm'
+          id={`${id}-error`}
+          role='alert'
+          aria-live='polite'
+        >
+          <FaExclamationTriangle
+            className='mr-2 flex-shrink-0'
+            aria-hidden='true'
+          />
+          {error}
+        </motion.div>
+      )}
+
+      {attachments.length > 0 && (
+        <ul className='mt-3 space-y-2' aria-label='Attached files'>
+          {attachments.map(item => {
+            const Icon =
+              item.type === 'application/pdf' ? FaFilePdf : FaFileImage;
+            const inFlight = ['processing', 'uploading', 'paused'].includes(
+              item.status
+            );
+            const canPause = item.status === 'uploading' && onPause;
+            const canResume = item.status === 'paused' && onResume;
+
+            return (
+              <li
+                key={item.key}
+                className='p-3 bg-dark-700/30 rounded-xl border border-dark-600/20'
+              >
+                <div className='flex items-center gap-3'>
+                  <Icon
+                    className='text-primary-400 flex-shrink-0'
+                    aria-hidden='true'
+                  />
+                  <div className='flex-1 min-w-0'>
+                    <p className='text-white text-sm truncate'>{item.name}</p>
+                    <p
+                      className={`text-xs ${
+                        item.status === 'error'
+                          ? 'text-red-400'
+                          : 'text-gray-400'
+                      }`}
+                      aria-live='polite'
+                    >
+                      {formatFileSize(item.size)} - {statusText(item)}
+                    </p>
+                    {item.status === 'error' && (
+                      <p
+                        className='flex items-start mt-1 text-red-400 text-xs'
+                        role='alert'
+                      >
+                        <FaExclamationTriangle
+                          className='mr-1.5 mt-0.5 flex-shrink-0'
+                          aria-hidden='true'
+                        />
+                        {item.error}
+                      </p>
+                    )}
+                  </div>
+                  {(canPause || canResume) && (
+                    <button
+                      type='button'
+                      onClick={() =>
+                        canPause ? onPause(item.key) : onResume(item.key)
+                      }
+                      className='text-gray-400 hover:text-white underline text-xs focus:outline-none focus:ring-2 focus:ring-primary-500 focus:ring-offset-2 focus:ring-offset-dark-800 rounded'
+                      aria-label={`${canPause ? 'Pause' : 'Resume'} ${
+                        item.name
+                      }`}
+                    >
+                      {canPause ? 'Pause' : 'Resume'}
+                    </button>
+                  )}
+                  <button
+                    type='button'
+                    onClick={() => onRemove(item.key)}
+                    className='text-gray-400 hover:text-white underline text-xs focus:outline-none focus:ring-2 focus:ring-primary-500 focus:ring-offset-2 focus:ring-offset-dark-800 rounded'
+                    aria-label={`${inFlight ? 'Cancel' : 'Remove'} ${
+                      item.name
+                    }`}
+                  >
+                    {inFlight ? 'Cancel' : 'Remove'}
+                  </button>
+                </div>
+                {item.status !== 'error' && (
+                  <div
+                    className='mt-2 h-1.5 bg-dark-600/50 rounded-full overflow-hidden'
+                    role='progressbar'
+                    aria-label={`${item.name} upload progress`}
+                    aria-valuemin={0}
+                    aria-valuemax={100}
+                    aria-valuenow={item.progress}
+                  >
+                    <div
+                      className='h-full bg-primary-500 transition-all duration-300'
+                      style={{ width: `${item.progress}%` }}
+                    />
+                  </div>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default AttachmentDropzone;
@@ -1,39 +1,18 @@
 import { motion } from 'framer-motion';
 import React from 'react';
+import { Link } from 'react-router-dom';
+
+import { blogPosts as seedBlogPosts } from '../data/seedContent';
+import useApiData from '../hooks/useApiData';
+import { getBlogPosts } from '../utils/api';
+
+import SectionSkeleton from './SectionSkeleton';
 
 const Blog = () => {
-  const blogPosts = [
-    {
-      id: 1,
-      title: 'The Future of Experiential Marketing in 2024',
-      excerpt:
-        'Discover the latest trends and technologies that are shaping the future of experiential marketing and how brands can stay ahead of the curve.',
-      category: 'Trends',
-      image:
-        'https://images.unsplash.com/photo-1540575467063-178a50c2df87?w=800&h=400&fit=crop',
-      date: 'March 15, 2024',
-    },
-    {
-      id: 2,
-      title: 'How to Measure ROI in Experiential Campaigns',
-      excerpt:
-        'Learn the key metrics and strategies for measuring the return on investment in your experiential marketing campaigns.',
-      category: 'Strategy',
-      image:
-        'https://images.unsplash.com/photo-1511795409834-ef04bbd61622?w=800&h=400&fit=crop',
-      date: 'March 10, 2024',
-    },
-    {
-      id: 3,
-      title: 'Creating Immersive Brand Experiences',
-      excerpt:
-        'Explore the art of crafting immersive brand experiences that engage all five senses and create lasting memories.',
-      category: 'Creative',
-      image:
-        'https://images.unsplash.com/photo-1513151233558-d860c5398176?w=800&h=400&fit=crop',
-      date: 'March 5, 2024',
-    },
-  ];
+  const { data: blogPosts, isLoading } = useApiData(
+    options => getBlogPosts(1, 3, options),
+    seedBlogPosts
+  );
 
   return (
     <section className='section-padding bg-dark-900'>
@@ -54,52 +33,60 @@ const Blog = () => {
           </p>
         </motion.div>
 
-        <div className='grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-6 sm:gap-8'>
-          {blogPosts.map((post, index) => (
-            <motion.article
-              key={post.id}
-              initial={{ opacity: 0, y: 50 }}
-              whileInView={{ opacity: 1, y: 0 }}
-              transition={{ duration: 0.6, delay: index * 0.1 }}
-              viewport={{ once: true }}
-              whileHover={{ y: -10, scale: 1.02 }}
-              className='group cursor-pointer'
-            >
-              <div className='bg-dark-700/50 backdrop-blur-sm rounded-2xl overflow-hidden border border-dark-600/30 hover:border-primary-500/50 transition-all duration-300'>
-                <div className='aspect-[2/1] overflow-hidden'>
-                  <img
-                    src={post.image}
-                    alt={post.title}
-                    className='w-full h-full object-cover group-hover:scale-110 transition-transform duration-500'
-                  />
-                </div>
-                <div className='p-4 sm:p-6'>
-                  <div className='flex items-center justify-between mb-3'>
-                    <span className='inline-block px-2 sm:px-3 py-1 bg-primary-500/20 text-primary-300 text-xs sm:text-sm font-medium rounded-full border border-primary-500/30'>
-                      {post.category}
-                    </span>
-                    <span className='text-gray-400 text-xs sm:text-sm'>
-                      {post.date}
-                    </span>
+        {isLoading ? (
+          <SectionSkeleton
+            count={3}
+            mediaClassName='aspect-[2/1]'
+            className='grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-6 sm:gap-8'
+            label='Loading articles'
+          />
+        ) : (
+          <div className='grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-6 sm:gap-8'>
+            {blogPosts.map((post, index) => (
+              <motion.article
+                key={post.id}
+                initial={{ opacity: 0, y: 50 }}
+                whileInView={{ opacity: 1, y: 0 }}
+                transition={{ duration: 0.6, delay: index * 0.1 }}
+                viewport={{ once: true }}
+                whileHover={{ y: -10, scale: 1.02 }}
+                className='group cursor-pointer'
+              >
+                <div className='bg-dark-700/50 backdrop-blur-sm rounded-2xl overflow-hidden border border-dark-600/30 hover:border-primary-500/50 transition-all duration-300'>
+                  <div className='aspect-[2/1] overflow-hidden'>
+                    <img
+                      src={post.image}
+                      alt={post.title}
+                      className='w-full h-full object-cover group-hover:scale-110 transition-transform duration-500'
+                    />
+                  </div>
+                  <div className='p-4 sm:p-6'>
+                    <div className='flex items-center justify-between mb-3'>
+                      <span className='inline-block px-2 sm:px-3 py-1 bg-primary-500/20 text-primary-300 text-xs sm:text-sm font-medium rounded-full border border-primary-500/30'>
+                        {post.category}
+                      </span>
+                      <span className='text-gray-400 text-xs sm:text-sm'>
+                        {post.date}
+                      </span>
+                    </div>
+                    <h3 className='text-lg sm:text-xl font-semibold text-white mb-2 sm:mb-3 group-hover:text-primary-300 transition-colors duration-300'>
+                      {post.title}
+                    </h3>
+                    <p className='text-sm sm:text-base text-gray-300 mb-3 sm:mb-4 leading-relaxed'>
+                      {post.excerpt}
+                    </p>
+                    <Link
+                      to={`/blog/${post.slug}`}
+                      className='text-primary-400 hover:text-primary-300 font-medium transition-colors duration-300 text-sm sm:text-base'
+                    >
+                      Read More<span className='sr-only'>: {post.title}</span> →
+                    </Link>
                   </div>
-                  <h3 className='text-lg sm:text-xl font-semibold text-white mb-2 sm:mb-3 group-hover:text-primary-300 transition-colors duration-300'>
-                    {post.title}
-                  </h3>
-                  <p className='text-sm sm:text-base text-gray-300 mb-3 sm:mb-4 leading-relaxed'>
-                    {post.excerpt}
-                  </p>
-                  <motion.button
-                    whileHover={{ scale: 1.05 }}
-                    whileTap={{ scale: 0.95 }}
-                    className='text-primary-400 hover:text-primary-300 font-medium transition-colors duration-300 text-sm sm:text-base'
-                  >
-                    Read More →
-                  </motion.button>
                 </div>
-              </div>
-            </motion.article>
-          ))}
-        </div>
+              </motion.article>
+            ))}
+          </div>
+        )}
 
         <motion.div
           initial={{ opacity: 0, y: 30 }}
@@ -108,13 +95,12 @@ const Blog = () => {
           viewport={{ once: true }}
           className='text-center mt-12 sm:mt-16'
         >
-          <motion.button
-            whileHover={{ scale: 1.05 }}
-            whileTap={{ scale: 0.95 }}
-            className='btn-secondary text-base sm:text-lg px-8 sm:px-10 py-3 sm:py-4'
+          <Link
+            to='/blog'
+            className='btn-secondary inline-block text-base sm:text-lg px-8 sm:px-10 py-3 sm:py-4'
           >
             View All Articles
-          </motion.button>
+          </Link>
         </motion.div>
       </div>
     </section>
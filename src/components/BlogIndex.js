@@ -0,0 +1,399 @@
+import { motion } from 'framer-motion';
+import React, { useMemo, useRef } from 'react';
+import { FaSearch, FaTimes } from 'react-icons/fa';
+import { Link, useSearchParams } from 'react-router-dom';
+
+import { blogPosts as seedBlogPosts } from '../data/seedContent';
+import useApiData from '../hooks/useApiData';
+import { getBlogPosts } from '../utils/api';
+import {
+  blogFacets,
+  filterBlogPosts,
+  searchBlogPosts,
+} from '../utils/blogSearch';
+
+import SectionSkeleton from './SectionSkeleton';
+
+const PAGE_SIZE = 6;
+
+// Searching loads every matching post so results aren't limited to one page
+const SEARCH_LIMIT = 100;
+
+const FILTER_PARAMS = ['q', 'category', 'tag'];
+
+const toPageNumber = value => {
+  const page = Number.parseInt(value, 10);
+  return Number.isInteger(page) && page > 0 ? page : 1;
+};
+
+// Keep the full response so the pagination meta and facets come along
+const selectResponse = response => response;
+
+const chipClassName = isActive =>
+  `px-3 sm:px-4 py-1.5 rounded-full border text-xs sm:text-sm font-medium transition-colors duration-300 focus:outline-none focus:ring-2 focus:ring-primary-500 focus:ring-offset-2 focus:ring-offset-dark-900 ${
+    isActive
+      ? 'bg-primary-500 border-primary-500 text-white'
+      : 'bg-dark-700/50 border-dark-600/50 text-gray-300 hover:border-primary-500/50 hover:text-white'
+  }`;
+
+const pageLinkClassName =
+  'min-w-[2.5rem] px-3 py-2 rounded-lg border text-sm text-center transition-colors duration-300 focus:outline-none focus:ring-2 focus:ring-primary-500';
+
+// Toggle buttons for one filter; choosing the active option clears it
+const FilterChips = ({ label, options, value, onChange, formatOption }) => {
+  if (options.length === 0) return null;
+
+  return (
+    <div
+      role='group'
+      aria-label={label}
+      className='flex flex-wrap justify-center gap-2'
+    >
+      {options.map(option => {
+        const isActive = option.toLowerCase() === value.toLowerCase();
+        return (
+          <button
+            key={option}
+            type='button'
+            aria-pressed={isActive}
+            onClick={() => onChange(isActive ? '' : option)}
+            className={chipClassName(isActive)}
+          >
+            {formatOption ? formatOption(option) : option}
+          </button>
+        );
+      })}
+    </div>
+  );
+};
+
+const Pagination = ({ page, totalPages, hrefForPage, onNavigate }) => {
+  if (totalPages <= 1) return null;
+
+  const pages = Array.from({ length: totalPages }, (_, index) => index + 1);
+  const edgeLink = (target, label, rel) =>
+    target < 1 || target > totalPages ? (
+      <span
+        className={`${pageLinkClassName} border-dark-700/50 text-gray-600`}
+        aria-disabled='true'
+      >
+        {label}
+      </span>
+    ) : (
+      <Link
+        to={hrefForPage(target)}
+        rel={rel}
+        onClick={onNavigate}
+        className={`${pageLinkClassName} border-dark-600/50 text-gray-300 hover:border-primary-500/50 hover:text-white`}
+      >
+        {label}
+      </Link>
+    );
+
+  return (
+    <nav aria-label='Blog pages' className='mt-12 sm:mt-16'>
+      <ul className='flex flex-wrap items-center justify-center gap-2'>
+        <li>{edgeLink(page - 1, '← Previous', 'prev')}</li>
+        {pages.map(number => (
+          <li key={number}>
+            <Link
+              to={hrefForPage(number)}
+              onClick={onNavigate}
+              aria-current={number === page ? 'page' : undefined}
+              aria-label={`Page ${number}`}
+              className={`${pageLinkClassName} inline-block ${
+                number === page
+                  ? 'bg-primary-500 border-primary-500 text-white'
+                  : 'border-dark-600/50 text-gray-300 hover:border-primary-500/50 hover:text-white'
+              }`}
+            >
+              {number}
+            </Link>
+          </li>
+        ))}
+        <li>{edgeLink(page + 1, 'Next →', 'next')}</li>
+      </ul>
+    </nav>
+  );
+};
+
+// /blog - every article, newest first
+// Page, category, tag and search all live in the query string so results can
+// be shared and the back button steps through them. Category and tag are
+// filtered by the API; search runs over titles and excerpts in the browser.
+const BlogIndex = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const resultsRef = useRef(null);
+  const page = toPageNumber(searchParams.get('page'));
+  const category = searchParams.get('category') || '';
+  const tag = searchParams.get('tag') || '';
+  const query = searchParams.get('q') || '';
+  const isSearching = query.trim() !== '';
+
+  const { data: response, isLoading } = useApiData(
+    options =>
+      isSearching
+        ? getBlogPosts(1, SEARCH_LIMIT, { ...options, category, tag })
+        : getBlogPosts(page, PAGE_SIZE, { ...options, category, tag }),
+    // Seed data has no meta, so it shows as a single page
+    { data: seedBlogPosts },
+    {
+      // Search results are paged locally, so the page isn't part of the key
+      key: isSearching
+        ? ['search', category, tag]
+        : ['page', page, category, tag],
+      select: selectResponse,
+    }
+  );
+
+  const facets = useMemo(
+    () => (response && response.facets) || blogFacets(seedBlogPosts),
+    [response]
+  );
+
+  // Filtering again is a no-op for API results but applies to the seed data
+  const matching = useMemo(() => {
+    const posts = filterBlogPosts((response && response.data) || [], {
+      category,
+      tag,
+    });
+    return isSearching ? searchBlogPosts(posts, query) : posts;
+  }, [response, category, tag, query, isSearching]);
+
+  let posts = matching;
+  let total = matching.length;
+  let totalPages = 1;
+
+  if (isSearching) {
+    totalPages = Math.max(1, Math.ceil(total / PAGE_SIZE));
+    posts = matching.slice((page - 1) * PAGE_SIZE, page * PAGE_SIZE);
+  } else if (response && response.meta) {
+    total = response.meta.total;
+    totalPages = response.meta.totalPages;
+  }
+
+  // Filters and search start again from the first page
+  const updateParams = changes => {
+    const next = new URLSearchParams(searchParams);
+    Object.entries(changes).forEach(([key, value]) => {
+      if (value) next.set(key, value);
+      else next.delete(key);
+    });
+    next.delete('page');
+    // Typing replaces the history entry instead of adding one per keystroke
+    setSearchParams(next, { replace: 'q' in changes });
+  };
+
+  const clearFilters = () => {
+    const next = new URLSearchParams(searchParams);
+    FILTER_PARAMS.forEach(key => next.delete(key));
+    next.delete('page');
+    setSearchParams(next);
+  };
+
+  const hrefForPage = number => {
+    const next = new URLSearchParams(searchParams);
+    if (number > 1) next.set('page', number);
+    else next.delete('page');
+    const search = next.toString();
+    return search ? `/blog?${search}` : '/blog';
+  };
+
+  // Query-only navigation keeps the scroll position, so bring the new page
+  // into view and move focus to its heading
+  const showResults = () => {
+    const results = resultsRef.current;
+    if (!results) return;
+    results.focus({ preventScroll: true });
+    results.scrollIntoView?.({ behavior: 'smooth', block: 'start' });
+  };
+
+  const hasFilters = FILTER_PARAMS.some(key => searchParams.get(key));
+  const summary = isSearching
+    ? `${total} ${total === 1 ? 'result' : 'results'} for “${query.trim()}”`
+    : `${total} ${total === 1 ? 'article' : 'articles'}`;
+
+  return (
+    <section className='section-padding bg-dark-900'>
+      <div className='container-custom'>
+        <motion.div
+          initial={{ opacity: 0, y: 50 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.8 }}
+          className='text-center mb-10 sm:mb-12'
+        >
+          <h1 className='text-2xl sm:text-3xl md:text-4xl lg:text-5xl font-bold mb-4 sm:mb-6'>
+            Latest <span className='gradient-text'>Insights</span>
+          </h1>
+          <p className='text-base sm:text-lg md:text-xl text-gray-300 max-w-3xl mx-auto px-4'>
+            Stay updated with the latest trends, strategies, and insights in
+            experiential marketing
+          </p>
+        </motion.div>
+
+        <div className='max-w-3xl mx-auto mb-10 sm:mb-12 space-y-4'>
+          <form
+            role='search'
+            onSubmit={e => {
+              e.preventDefault();
+              showResults();
+            }}
+          >
+            <label htmlFor='blog-search' className='sr-only'>
+              Search articles
+            </label>
+            <div className='relative'>
+              <FaSearch
+                className='absolute left-4 top-1/2 -translate-y-1/2 text-gray-500'
+                aria-hidden='true'
+              />
+              <input
+                id='blog-search'
+                type='search'
+                value={query}
+                onChange={e => updateParams({ q: e.target.value })}
+                placeholder='Search articles...'
+                autoComplete='off'
+                className='w-full pl-11 pr-12 py-3 bg-dark-700/50 border border-dark-600/50 rounded-xl text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent'
+              />
+              {query && (
+                <button
+                  type='button'
+                  onClick={() => updateParams({ q: '' })}
+                  aria-label='Clear search'
+                  className='absolute right-3 top-1/2 -translate-y-1/2 p-1.5 rounded-full text-gray-400 hover:text-white focus:outline-none focus:ring-2 focus:ring-primary-500'
+                >
+                  <FaTimes aria-hidden='true' />
+                </button>
+              )}
+            </div>
+          </form>
+
+          <FilterChips
+            label='Filter by category'
+            options={facets.categories}
+            value={category}
+            onChange={value => updateParams({ category: value })}
+          />
+          <FilterChips
+            label='Filter by tag'
+            options={facets.tags}
+            value={tag}
+            onChange={value => updateParams({ tag: value })}
+            formatOption={option => `#${option}`}
+          />
+        </div>
+
+        <h2
+          ref={resultsRef}
+          tabIndex={-1}
+          className='sr-only'
+          id='blog-results-title'
+        >
+          {page > 1 ? `Articles, page ${page} of ${totalPages}` : 'Articles'}
+        </h2>
+        <p
+          className='text-center text-sm text-gray-400 mb-6'
+          role='status'
+          aria-live='polite'
+        >
+          {isLoading ? '' : summary}
+        </p>
+
+        {isLoading ? (
+          <SectionSkeleton
+            count={3}
+            mediaClassName='aspect-[2/1]'
+            className='grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-6 sm:gap-8'
+            label='Loading articles'
+          />
+        ) : posts.length === 0 ? (
+          <div className='max-w-xl mx-auto text-center py-12 px-6 rounded-2xl border border-dark-600/30 bg-dark-800/60'>
+            <h3 className='text-xl font-semibold text-white mb-2'>
+              No articles found
+            </h3>
+            <p className='text-gray-300 mb-6'>
+              {hasFilters
+                ? 'Nothing matches your search and filters. Try different words or fewer filters.'
+                : 'There are no articles on this page.'}
+            </p>
+            {hasFilters ? (
+              <button
+                type='button'
+                onClick={clearFilters}
+                className='btn-secondary'
+              >
+                Clear search and filters
+              </button>
+            ) : (
+              <Link to='/blog' className='btn-secondary inline-block'>
+                Back to the first page
+              </Link>
+            )}
+          </div>
+        ) : (
+          <ul
+            aria-labelledby='blog-results-title'
+            className='grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-6 sm:gap-8'
+          >
+            {posts.map((post, index) => (
+              <motion.li
+                key={post.id}
+                initial={{ opacity: 0, y: 30 }}
+                animate={{ opacity: 1, y: 0 }}
+                transition={{ duration: 0.4, delay: index * 0.05 }}
+                className='group'
+              >
+                <article className='relative h-full bg-dark-700/50 backdrop-blur-sm rounded-2xl overflow-hidden border border-dark-600/30 hover:border-primary-500/50 transition-all duration-300'>
+                  <div className='aspect-[2/1] overflow-hidden'>
+                    <img
+                      src={post.image}
+                      alt=''
+                      className='w-full h-full object-cover group-hover:scale-110 transition-transform duration-500'
+                    />
+                  </div>
+                  <div className='p-4 sm:p-6'>
+                    <div className='flex items-center justify-between mb-3'>
+                      <span className='inline-block px-2 sm:px-3 py-1 bg-primary-500/20 text-primary-300 text-xs sm:text-sm font-medium rounded-full border border-primary-500/30'>
+                        {post.category}
+                      </span>
+                      <span className='text-gray-400 text-xs sm:text-sm'>
+                        {post.date}
+                      </span>
+                    </div>
+                    <h3 className='text-lg sm:text-xl font-semibold text-white mb-2 sm:mb-3 group-hover:text-primary-300 transition-colors duration-300'>
+                      {/* The link covers the whole card */}
+                      <Link
+                        to={`/blog/${post.slug}`}
+                        className='after:absolute after:inset-0 focus:outline-none focus-visible:after:ring-2 focus-visible:after:ring-primary-500 focus-visible:after:rounded-2xl'
+                      >
+                        {post.title}
+                      </Link>
+                    </h3>
+                    <p className='text-sm sm:text-base text-gray-300 leading-relaxed'>
+                      {post.excerpt}
+                    </p>
+                    {post.tags && post.tags.length > 0 && (
+                      <p className='mt-3 text-xs text-gray-400'>
+                        {post.tags.map(postTag => `#${postTag}`).join(' ')}
+                      </p>
+                    )}
+                  </div>
+                </article>
+              </motion.li>
+            ))}
+          </ul>
+        )}
+
+        <Pagination
+          page={page}
+          totalPages={totalPages}
+          hrefForPage={hrefForPage}
+          onNavigate={showResults}
+        />
+      </div>
+    </section>
+  );
+};
+
+export default BlogIndex;
@@ -0,0 +1,206 @@
+import { motion } from 'framer-motion';
+import React, { useMemo } from 'react';
+import { Link, useParams } from 'react-router-dom';
+
+import { blogPosts as seedBlogPosts } from '../data/seedContent';
+import useApiData from '../hooks/useApiData';
+import { getBlogPost, getBlogPosts } from '../utils/api';
+import { parseMarkdown, readingTime } from '../utils/markdown';
+
+import Markdown from './Markdown';
+import NotFound from './NotFound';
+import Page from './Page';
+import SectionSkeleton from './SectionSkeleton';
+
+// Enough to cover every post when working out previous/next links
+const NAVIGATION_LIMIT = 100;
+
+// Only long posts get a table of contents
+const MIN_TOC_HEADINGS = 3;
+
+const PostNavigation = ({ newer, older }) => {
+  if (!newer && !older) return null;
+
+  const cardClassName =
+    'block rounded-xl border border-dark-600/30 hover:border-primary-500/50 bg-dark-700/30 px-4 py-3 transition-colors duration-300 focus:outline-none focus:ring-2 focus:ring-primary-500';
+
+  return (
+    <nav
+      className='mt-12 pt-8 border-t border-dark-700/50 grid grid-cols-1 sm:grid-cols-2 gap-4'
+      aria-label='More articles'
+    >
+      {older ? (
+        <Link to={`/blog/${older.slug}`} rel='prev' className={cardClassName}>
+          <span className='block text-xs text-gray-400 mb-1'>
+            ← Previous article
+          </span>
+          <span className='text-white'>{older.title}</span>
+        </Link>
+      ) : (
+        <span />
+      )}
+      {newer && (
+        <Link
+          to={`/blog/${newer.slug}`}
+          rel='next'
+          className={`${cardClassName} sm:text-right`}
+        >
+          <span className='block text-xs text-gray-400 mb-1'>
+            Next article →
+          </span>
+          <span className='text-white'>{newer.title}</span>
+        </Link>
+      )}
+    </nav>
+  );
+};
+
+// /blog/:slug
+const BlogPost = () => {
+  const { slug } = useParams();
+  const seedPost = seedBlogPosts.find(candidate => candidate.slug === slug);
+
+  const { data, isLoading } = useApiData(
+    options => getBlogPost(slug, options),
+    seedPost || null,
+    { key: slug }
+  );
+  const { data: posts } = useApiData(
+    options => getBlogPosts(1, NAVIGATION_LIMIT, options),
+    seedBlogPosts
+  );
+
+  const post = data;
+  const parsed = useMemo(
+    () => (post && post.content ? parseMarkdown(post.content) : null),
+    [post]
+  );
+
+  if (!post) {
+    if (isLoading) {
+      return (
+        <Page title='Blog'>
+          <section className='section-padding bg-dark-900'>
+            <div className='container-custom max-w-3xl'>
+              <SectionSkeleton
+                count={1}
+                lines={6}
+                mediaClassName='aspect-[2/1]'
+                label='Loading article'
+              />
+            </div>
+          </section>
+        </Page>
+      );
+    }
+
+    return (
+      <NotFound
+        title='Article not found'
+        backTo='/blog'
+        backLabel='All articles'
+      />
+    );
+  }
+
+  // Listings are newest first
+  const index = (posts || []).findIndex(candidate => candidate.slug === slug);
+  const newer = index > 0 ? posts[index - 1] : null;
+  const older = index !== -1 ? posts[index + 1] || null : null;
+  const minutes = readingTime(post.content || post.excerpt);
+  const toc =
+    parsed && parsed.headings.length >= MIN_TOC_HEADINGS ? parsed.headings : [];
+
+  return (
+    <Page title={post.title}>
+      <section className='section-padding bg-dark-900'>
+        <div className='container-custom max-w-3xl'>
+          <Link
+            to='/blog'
+            className='inline-block mb-8 text-sm text-primary-400 hover:text-primary-300 transition-colors duration-300'
+          >
+            ← All articles
+          </Link>
+
+          <motion.article
+            key={post.slug}
+            initial={{ opacity: 0, y: 30 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ duration: 0.6 }}
+          >
+            <header className='mb-8'>
+              <span className='inline-block px-3 py-1 bg-primary-500/20 text-primary-300 text-xs sm:text-sm font-medium rounded-full border border-primary-500/30 mb-4'>
+                {post.category}
+              </span>
+              <h1 className='text-2xl sm:text-3xl md:text-4xl font-bold mb-4 text-white'>
+                {post.title}
+              </h1>
+              <p className='text-sm text-gray-400'>
+                {post.author && (
+                  <>
+                    By{' '}
+                    <span className='text-gray-200 font-medium'>
+                      {post.author.name}
+                    </span>
+                    {post.author.role && `, ${post.author.role}`}
+                    {' · '}
+                  </>
+                )}
+                {post.date} · {minutes} min read
+              </p>
+            </header>
+
+            <div className='aspect-[2/1] overflow-hidden rounded-2xl border border-dark-600/30 mb-8'>
+              <img
+                src={post.image}
+                alt={post.title}
+                className='w-full h-full object-cover'
+              />
+            </div>
+
+            {toc.length > 0 && (
+              <nav
+                className='mb-10 rounded-xl border border-dark-600/30 bg-dark-800/60 p-4 sm:p-6'
+                aria-labelledby='toc-title'
+              >
+                <h2
+                  id='toc-title'
+                  className='text-sm font-semibold uppercase tracking-wide text-gray-400 mb-3'
+                >
+                  In this article
+                </h2>
+                <ol className='space-y-2 text-sm sm:text-base'>
+                  {toc.map(heading => (
+                    <li
+                      key={heading.id}
+                      className={heading.level === 3 ? 'pl-4' : undefined}
+                    >
+                      <Link
+                        to={`#${heading.id}`}
+                        className='text-gray-300 hover:text-primary-300 transition-colors duration-300'
+                      >
+                        {heading.text}
+                      </Link>
+                    </li>
+                  ))}
+                </ol>
+              </nav>
+            )}
+
+            {parsed ? (
+              <Markdown parsed={parsed} />
+            ) : (
+              <p className='text-base sm:text-lg text-gray-300 leading-relaxed'>
+                {post.excerpt}
+              </p>
+            )}
+          </motion.article>
+
+          <PostNavigation newer={newer} older={older} />
+        </div>
+      </section>
+    </Page>
+  );
+};
+
+export default BlogPost;
@@ -11,17 +11,51 @@ import {
   FaFacebook,
   FaCheckCircle,
   FaExclamationTriangle,
+  FaWifi,
 } from 'react-icons/fa';
 import { useInView } from 'react-intersection-observer';
 
-import { submitContactForm } from '../utils/api';
+import useAttachments, { MAX_ATTACHMENTS } from '../hooks/useAttachments';
+import useFormDraft from '../hooks/useFormDraft';
+import useInteractionSignals from '../hooks/useInteractionSignals';
+import useRateLimit from '../hooks/useRateLimit';
 import {
-  checkRateLimit,
-  validateHoneypot,
-  detectSuspiciousPatterns,
-  validateSubmissionFrequency,
-  getClientFingerprint,
-} from '../utils/security';
+  RateLimitError,
+  ValidationError,
+  createIdempotencyKey,
+  getErrorMessage,
+  submitContactForm,
+} from '../utils/api';
+import {
+  BRIEF_STEPS,
+  BUDGET_OPTIONS,
+  INITIAL_BRIEF,
+  SERVICE_DETAIL_FIELDS,
+  SERVICE_OPTIONS,
+  TIMELINE_OPTIONS,
+  buildBriefPayload,
+  findStepWithErrors,
+  optionLabel,
+  serviceDetailFields,
+  validateBriefField,
+  validateStep,
+} from '../utils/briefWizard';
+import { interactionContext } from '../utils/humanness';
+import { onOutboxFlushed } from '../utils/offlineOutbox';
+import { formatRetryAfter } from '../utils/rateLimiter';
+import { getClientFingerprint } from '../utils/security';
+import { evaluateSpam } from '../utils/spamScoring';
+
+import AttachmentDropzone from './AttachmentDropzone';
+import DraftPrompt from './DraftPrompt';
+import FormField, { controlClassName } from './FormField';
+
+const REVIEW_STEP = BRIEF_STEPS.length - 1;
+
+const rateLimitMessage = seconds =>
+  `You've sent several messages recently. Please try again in ${formatRetryAfter(
+    seconds
+  )}.`;
 
 const Contact = () => {
   const [ref, inView] = useInView({
@@ -29,22 +63,38 @@ const Contact = () => {
     threshold: 0.1,
   });
 
-  const [formData, setFormData] = useState({
-    name: '',
-    email: '',
-    company: '',
-    service: '',
-    message: '',
-    website: '', // Honeypot field
-  });
+  const [formData, setFormData] = useState(INITIAL_BRIEF);
+  const [stepIndex, setStepIndex] = useState(0);
 
   const [errors, setErrors] = useState({});
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [isSubmitted, setIsSubmitted] = useState(false);
+  const [isQueued, setIsQueued] = useState(false);
   const [submitError, setSubmitError] = useState('');
   const [announcement, setAnnouncement] = useState('');
   const formRef = useRef(null);
   const firstErrorRef = useRef(null);
+  const stepHeadingRef = useRef(null);
+  const hasNavigatedRef = useRef(false);
+  // Reused when the visitor retries after a failure so the lead isn't duplicated
+  const idempotencyKeyRef = useRef(null);
+  // How the form is being filled in, for the invisible bot check
+  const interaction = useInteractionSignals();
+  const rateLimit = useRateLimit('contact_form');
+
+  const step = BRIEF_STEPS[stepIndex];
+
+  // Keep the brief across reloads; the honeypot is never stored
+  const draft = useFormDraft('contact', formData, {
+    exclude: ['website'],
+    onRestore: values => {
+      setFormData(prev => ({ ...prev, ...values }));
+      setAnnouncement('Your draft has been restored.');
+    },
+  });
+
+  // Uploaded as soon as they're added; only finished uploads are sent
+  const attachments = useAttachments();
 
   // Announce errors and messages to screen readers
   useEffect(() => {
@@ -54,6 +104,18 @@ const Contact = () => {
     }
   }, [announcement]);
 
+  // Let the visitor know when a message queued offline has been delivered
+  useEffect(() => {
+    return onOutboxFlushed(({ sent }) => {
+      setIsQueued(false);
+      setAnnouncement(
+        sent > 0
+          ? 'Your queued message has been sent.'
+          : "Your queued message couldn't be delivered. Please send it again."
+      );
+    });
+  }, []);
+
   // Focus first error when errors change
   useEffect(() => {
     if (Object.keys(errors).length > 0 && firstErrorRef.current) {
@@ -61,10 +123,17 @@ const Contact = () => {
     }
   }, [errors]);
 
+  // Move focus to the new step's heading, but not on the initial render
+  useEffect(() => {
+    if (hasNavigatedRef.current && stepHeadingRef.current) {
+      stepHeadingRef.current.focus();
+    }
+  }, [stepIndex]);
+
   // Input sanitization function
+  // Whitespace is normalized on submit, so trailing spaces survive typing
   const sanitizeInput = input => {
     return input
-      .trim()
       .replace(/[<>]/g, '') // Remove potential HTML tags
       .replace(/javascript:/gi, '') // Remove javascript: protocol
       .replace(/on\w+=/gi, '') // Remove event handlers
@@ -73,47 +142,6 @@ const Contact = () => {
       .replace(/file:/gi, ''); // Remove file protocol
   };
 
-  // Validation functions
-  const validateField = (name, value) => {
-    switch (name) {
-      case 'name':
-        if (!value) return 'Name is required';
-        if (value.length < 2) return 'Name must be at least 2 characters';
-        if (value.length > 50) return 'Name must be less than 50 characters';
-        if (!/^[a-zA-Z\s'-]+$/.test(value))
-          return 'Name contains invalid characters';
-        return '';
-
-      case 'email':
-        if (!value) return 'Email is required';
-        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value))
-          return 'Please enter a valid email address';
-        if (value.length > 100) return 'Email must be less than 100 characters';
-        return '';
-
-      case 'company':
-        if (value && value.length > 100)
-          return 'Company name must be less than 100 characters';
-        if (value && !/^[a-zA-Z0-9\s&.,'-]+$/.test(value))
-          return 'Company name contains invalid characters';
-        return '';
-
-      case 'service':
-        if (!value) return 'Please select a service';
-        return '';
-
-      case 'message':
-        if (!value) return 'Message is required';
-        if (value.length < 10) return 'Message must be at least 10 characters';
-        if (value.length > 1000)
-          return 'Message must be less than 1000 characters';
-        return '';
-
-      default:
-        return '';
-    }
-  };
-
   const handleInputChange = e => {
     const { name, value } = e.target;
 
@@ -125,6 +153,9 @@ const Contact = () => {
 
     const sanitizedValue = sanitizeInput(value);
 
+    // Edited content is a new lead, not a replay of the previous attempt
+    idempotencyKeyRef.current = null;
+
     setFormData(prev => ({
       ...prev,
       [name]: sanitizedValue,
@@ -139,70 +170,122 @@ const Contact = () => {
     }
   };
 
-  const validateForm = () => {
-    const newErrors = {};
-    let isValid = true;
+  const handleBlur = e => {
+    const { name, value } = e.target;
+    const error = validateBriefField(name, value, formData.service);
+    setErrors(prev => ({ ...prev, [name]: error }));
+  };
 
-    Object.keys(formData).forEach(fieldName => {
-      // Skip honeypot field validation
-      if (fieldName === 'website') return;
+  const goToStep = index => {
+    hasNavigatedRef.current = true;
+    setStepIndex(index);
+    setAnnouncement(
+      `Step ${index + 1} of ${BRIEF_STEPS.length}: ${BRIEF_STEPS[index].title}`
+    );
+  };
 
-      const error = validateField(fieldName, formData[fieldName]);
-      if (error) {
-        newErrors[fieldName] = error;
-        isValid = false;
-      }
-    });
+  const announceErrors = newErrors => {
+    const errorCount = Object.keys(newErrors).length;
+    setAnnouncement(
+      `Form validation failed. ${errorCount} field${
+        errorCount > 1 ? 's have' : ' has'
+      } errors.`
+    );
+  };
+
+  // Validate the current step before moving forward
+  const handleNext = () => {
+    const { isValid, errors: stepErrors } = validateStep(step.id, formData);
+    setErrors(stepErrors);
+
+    if (!isValid) {
+      announceErrors(stepErrors);
+      return;
+    }
+
+    goToStep(stepIndex + 1);
+  };
+
+  const handleBack = () => {
+    setErrors({});
+    goToStep(stepIndex - 1);
+  };
+
+  // Re-check every step; jump back to the first one that needs attention
+  const validateForm = () => {
+    const newErrors = BRIEF_STEPS.reduce(
+      (result, { id }) => ({ ...result, ...validateStep(id, formData).errors }),
+      {}
+    );
+    const isValid = Object.keys(newErrors).length === 0;
 
     setErrors(newErrors);
 
-    // Announce validation errors to screen readers
     if (!isValid) {
-      const errorCount = Object.keys(newErrors).length;
-      setAnnouncement(
-        `Form validation failed. ${errorCount} field${
-          errorCount > 1 ? 's have' : ' has'
-        } errors.`
-      );
+      goToStep(findStepWithErrors(newErrors));
+      announceErrors(newErrors);
     }
 
     return isValid;
   };
 
+  const resetForm = () => {
+    setFormData(INITIAL_BRIEF);
+    setStepIndex(0);
+    setErrors({});
+    attachments.reset();
+    interaction.reset();
+  };
+
+  // Changing the files answers any attachment error from the server
+  const clearAttachmentError = () => {
+    if (errors.attachments) {
+      setErrors(prev => ({ ...prev, attachments: '' }));
+    }
+  };
+
+  const showFieldErrors = fieldErrors => {
+    setErrors(fieldErrors);
+    const errorStep = findStepWithErrors(fieldErrors);
+    if (errorStep !== null) {
+      goToStep(errorStep);
+    }
+    setAnnouncement(
+      'Form submission failed. Please correct the errors and try again.'
+    );
+  };
+
   const handleSubmit = async e => {
     e.preventDefault();
-    setSubmitError('');
 
-    // Security checks
-    if (!checkRateLimit()) {
-      setSubmitError(
-        'Please wait 30 seconds before submitting another message.'
-      );
-      setAnnouncement(
-        'Rate limit exceeded. Please wait before submitting again.'
-      );
+    // Enter on an earlier step moves forward instead of submitting
+    if (stepIndex < REVIEW_STEP) {
+      handleNext();
       return;
     }
 
-    if (!validateSubmissionFrequency()) {
-      setSubmitError('Too many submissions. Please try again later.');
-      setAnnouncement('Too many submissions. Please try again later.');
-      return;
-    }
+    setSubmitError('');
 
-    if (!validateHoneypot(formData.website)) {
-      setSubmitError('Invalid submission detected.');
-      setAnnouncement('Invalid submission detected.');
+    // Only a clear block stops the form; flagged messages are still sent
+    // and the server decides whether they need review
+    const interactionSignals = interaction.snapshot();
+    const spamCheck = evaluateSpam(
+      formData,
+      interactionContext(interactionSignals)
+    );
+    if (spamCheck.verdict === 'block') {
+      setSubmitError(
+        'Your message looks like spam. Please review it and try again.'
+      );
+      setAnnouncement('Your message looks like spam.');
       return;
     }
 
-    if (detectSuspiciousPatterns(formData)) {
+    if (attachments.isUploading) {
       setSubmitError(
-        'Suspicious content detected. Please review your message.'
-      );
-      setAnnouncement(
-        'Suspicious content detected. Please review your message.'
+        'Please wait for your attachments to finish uploading, and resume any paused ones.'
       );
+      setAnnouncement('Attachments are still uploading.');
       return;
     }
 
@@ -211,24 +294,48 @@ const Contact = () => {
       return;
     }
 
+    // Only messages that are actually sent count towards the limit
+    const limit = rateLimit.attempt();
+    if (!limit.allowed) {
+      setAnnouncement(rateLimitMessage(limit.retryAfter));
+      return;
+    }
+
     setIsSubmitting(true);
     setAnnouncement('Submitting your message...');
 
+    if (!idempotencyKeyRef.current) {
+      idempotencyKeyRef.current = createIdempotencyKey();
+    }
+
     try {
-      // Use mock API for development
-      const result = await submitContactForm({
-        name: formData.name,
-        email: formData.email,
-        company: formData.company,
-        service: formData.service,
-        message: formData.message,
-        timestamp: new Date().toISOString(),
-        userAgent: navigator.userAgent,
-        clientFingerprint: getClientFingerprint(),
-        referrer: document.referrer,
-      });
+      const result = await submitContactForm(
+        {
+          ...buildBriefPayload(formData),
+          ...(attachments.attachmentIds.length > 0
+            ? { attachments: attachments.attachmentIds }
+            : {}),
+          timestamp: new Date().toISOString(),
+          userAgent: navigator.userAgent,
+          clientFingerprint: getClientFingerprint(),
+          referrer: document.referrer,
+          interaction: interactionSignals,
+        },
+        { idempotencyKey: idempotencyKeyRef.current }
+      );
 
       if (result.success) {
+        idempotencyKeyRef.current = null;
+        draft.clear();
+      }
+
+      if (result.success && result.queued) {
+        setIsQueued(true);
+        setAnnouncement(
+          'You are offline. Your message has been saved and will be sent when you are back online.'
+        );
+        resetForm();
+      } else if (result.success) {
         setIsSubmitted(true);
         setAnnouncement(
           'Message sent successfully! We will get back to you within 24 hours.'
@@ -236,23 +343,12 @@ const Contact = () => {
         // Reset form after successful submission
         setTimeout(() => {
           setIsSubmitted(false);
-          setFormData({
-            name: '',
-            email: '',
-            company: '',
-            service: '',
-            message: '',
-            website: '',
-          });
-          setErrors({});
+          resetForm();
         }, 5000);
       } else {
         // Handle validation errors from API
         if (result.errors) {
-          setErrors(result.errors);
-          setAnnouncement(
-            'Form submission failed. Please correct the errors and try again.'
-          );
+          showFieldErrors(result.errors);
         } else {
           throw new Error(result.message || 'Submission failed');
         }
@@ -261,10 +357,23 @@ const Contact = () => {
       if (process.env.NODE_ENV === 'development') {
         console.error('Form submission error:', error);
       }
-      const errorMessage =
-        error.message === 'Failed to fetch'
-          ? 'Network error. Please check your connection and try again.'
-          : error.message || 'Something went wrong. Please try again later.';
+
+      // The server turned this attempt down without acting on it (e.g. a
+      // failed security check), so the next attempt is a new request
+      if (error instanceof ValidationError || error instanceof RateLimitError) {
+        idempotencyKeyRef.current = null;
+      }
+
+      // Field-level problems go next to the fields, everything else in the banner
+      if (
+        error instanceof ValidationError &&
+        Object.keys(error.fieldErrors).length > 0
+      ) {
+        showFieldErrors(error.fieldErrors);
+        return;
+      }
+
+      const errorMessage = getErrorMessage(error);
       setSubmitError(errorMessage);
       setAnnouncement(errorMessage);
     } finally {
@@ -272,6 +381,110 @@ const Contact = () => {
     }
   };
 
+  // Shared props for a wizard control; the first invalid one takes focus
+  const controlProps = (aria, fieldName) => ({
+    ...aria,
+    value: formData[fieldName],
+    onChange: handleInputChange,
+    onBlur: handleBlur,
+    ref: errors[fieldName] ? firstErrorRef : null,
+  });
+
+  // Controls for the selected service's extra fields
+  const renderDetailControl = (aria, fieldName) => {
+    const field = SERVICE_DETAIL_FIELDS[fieldName];
+    const attributes = {
+      ...controlProps(aria, fieldName),
+      className: controlClassName(errors[fieldName]),
+    };
+
+    if (field.control === 'select') {
+      return (
+        <select {...attributes}>
+          <option value=''>{field.placeholder}</option>
+          {field.options.map(option => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+      );
+    }
+
+    if (field.control === 'textarea') {
+      return (
+        <textarea
+          {...attributes}
+          rows={3}
+          className={`${attributes.className} resize-none`}
+          placeholder={field.placeholder}
+          maxLength={300}
+        />
+      );
+    }
+
+    return (
+      <input
+        type='number'
+        inputMode='numeric'
+        min={1}
+        step={1}
+        {...attributes}
+        placeholder={field.placeholder}
+      />
+    );
+  };
+
+  const detailFields = serviceDetailFields(formData.service);
+
+  const reviewSections = [
+    {
+      stepIndex: 0,
+      rows: [
+        ['Service', optionLabel(SERVICE_OPTIONS, formData.service)],
+        ...detailFields.map(fieldName => {
+          const field = SERVICE_DETAIL_FIELDS[fieldName];
+          const value = formData[fieldName];
+          return [
+            field.label,
+            field.options ? optionLabel(field.options, value) : value,
+          ];
+        }),
+      ],
+    },
+    {
+      stepIndex: 1,
+      rows: [
+        ['Event date', formData.eventDate || 'Not decided'],
+        ['City', formData.eventCity],
+        ['Audience size', formData.audienceSize],
+        ['Project details', formData.message],
+        [
+          'Attachments',
+          attachments.attachments
+            .filter(item => item.status === 'done')
+            .map(item => item.name)
+            .join(', ') || 'None',
+        ],
+      ],
+    },
+    {
+      stepIndex: 2,
+      rows: [
+        ['Budget', optionLabel(BUDGET_OPTIONS, formData.budget)],
+        ['Timeline', optionLabel(TIMELINE_OPTIONS, formData.timeline)],
+      ],
+    },
+    {
+      stepIndex: 3,
+      rows: [
+        ['Name', formData.name],
+        ['Email', formData.email],
+        ['Company', formData.company || '-'],
+      ],
+    },
+  ];
+
   const contactMethods = [
     {
       icon: <FaEnvelope className='text-xl sm:text-2xl' />,
@@ -299,6 +512,11 @@ const Contact = () => {
     },
   ];
 
+  // The rate limit message counts down until another message can be sent
+  const displayedError =
+    submitError ||
+    (rateLimit.isLimited ? rateLimitMessage(rateLimit.retryAfter) : '');
+
   return (
     <section
       id='contact'
@@ -371,18 +589,113 @@ const Contact = () => {
                   We'll get back to you within 24 hours.
                 </p>
               </motion.div>
+            ) : isQueued ? (
+              <motion.div
+                initial={{ opacity: 0, scale: 0.8 }}
+                animate={{ opacity: 1, scale: 1 }}
+                className='bg-yellow-500/20 border border-yellow-500/30 rounded-2xl p-6 sm:p-8 text-center'
+                role='status'
+                aria-live='polite'
+                aria-label='Message queued'
+              >
+                <div className='text-yellow-400 text-4xl sm:text-6xl mb-4'>
+                  <FaWifi className='mx-auto' aria-hidden='true' />
+                </div>
+                <h4 className='text-lg sm:text-xl font-semibold text-white mb-2'>
+                  Message Queued
+                </h4>
+                <p className='text-yellow-200 text-sm sm:text-base mb-4'>
+                  You're offline right now. Your message is saved on this device
+                  and will be sent automatically when you're back online.
+                </p>
+                <button
+                  type='button'
+                  onClick={() => setIsQueued(false)}
+                  className='text-primary-400 hover:text-primary-300 underline text-sm focus:outline-none focus:ring-2 focus:ring-primary-500 focus:ring-offset-2 focus:ring-offset-dark-800 rounded'
+                >
+                  Send another message
+                </button>
+              </motion.div>
             ) : (
               <form
                 ref={formRef}
                 onSubmit={handleSubmit}
+                {...interaction.handlers}
                 className='space-y-4 sm:space-y-6'
                 noValidate
-                aria-label='Contact form'
+                aria-label='Project brief form'
                 aria-describedby='form-instructions'
               >
                 <div id='form-instructions' className='sr-only'>
-                  Contact form with required fields marked with asterisks.
-                  Please fill in all required fields and submit your message.
+                  Project brief form in {BRIEF_STEPS.length} steps. Required
+                  fields are marked with asterisks. Your answers are saved in
+                  this browser tab until you send them.
+                </div>
+
+                <DraftPrompt
+                  draft={draft.pendingDraft}
+                  label='brief'
+                  onRestore={draft.restore}
+                  onDiscard={draft.clear}
+                />
+
+                {/* Progress indicator */}
+                <nav aria-label='Form progress'>
+                  <p className='text-gray-400 text-xs sm:text-sm mb-3'>
+                    Step {stepIndex + 1} of {BRIEF_STEPS.length}
+                  </p>
+                  <ol className='grid grid-cols-5 gap-2'>
+                    {BRIEF_STEPS.map((item, index) => (
+                      <li key={item.id}>
+                        <button
+                          type='button'
+                          onClick={() => goToStep(index)}
+                          disabled={index >= stepIndex}
+                          aria-current={
+                            index === stepIndex ? 'step' : undefined
+                          }
+                          className='w-full text-left focus:outline-none focus:ring-2 focus:ring-primary-500 focus:ring-offset-2 focus:ring-offset-dark-800 rounded disabled:cursor-default'
+                        >
+                          <span
+                            className={`block h-1.5 rounded-full transition-colors duration-300 ${
+                              index <= stepIndex
+                                ? 'bg-primary-500'
+                                : 'bg-dark-600/50'
+                            }`}
+                            aria-hidden='true'
+                          />
+                          <span
+                            className={`hidden sm:block mt-2 text-xs ${
+                              index === stepIndex
+                                ? 'text-white font-medium'
+                                : 'text-gray-400'
+                            }`}
+                          >
+                            {item.title}
+                          </span>
+                          <span className='sr-only sm:hidden'>
+                            {item.title}
+                          </span>
+                          {index < stepIndex && (
+                            <span className='sr-only'> (completed)</span>
+                          )}
+                        </button>
+                      </li>
+                    ))}
+                  </ol>
+                </nav>
+
+                <div>
+                  <h4
+                    ref={stepHeadingRef}
+                    tabIndex='-1'
+                    className='text-lg sm:text-xl font-semibold text-white focus:outline-none'
+                  >
+                    {step.title}
+                  </h4>
+                  <p className='text-gray-400 text-sm mt-1'>
+                    {step.description}
+                  </p>
                 </div>
 
                 {/* Honeypot field for spam protection */}
@@ -398,274 +711,275 @@ const Contact = () => {
                   aria-label='Hidden field - do not fill'
                 />
 
-                <div className='grid grid-cols-1 sm:grid-cols-2 gap-4 sm:gap-6'>
-                  <div>
-                    <label
-                      htmlFor='name'
-                      className='block text-white font-medium mb-2 text-sm sm:text-base'
-                    >
-                      Name{' '}
-                      <span className='text-red-400' aria-label='required'>
-                        *
-                      </span>
-                    </label>
-                    <input
-                      type='text'
-                      id='name'
-                      name='name'
-                      value={formData.name}
-                      onChange={handleInputChange}
-                      onBlur={e => {
-                        const error = validateField('name', e.target.value);
-                        setErrors(prev => ({ ...prev, name: error }));
-                      }}
-                      className={`w-full px-3 sm:px-4 py-2 sm:py-3 bg-dark-700/50 border rounded-xl text-white placeholder-gray-400 focus:outline-none focus:border-primary-500 focus:ring-2 focus:ring-primary-500 focus:ring-offset-2 focus:ring-offset-dark-800 transition-colors duration-300 text-sm sm:text-base ${
-                        errors.name ? 'border-red-500' : 'border-dark-600/30'
-                      }`}
-                      placeholder='Your full name'
-                      autoComplete='name'
-                      maxLength={50}
-                      required
-                      aria-required='true'
-                      aria-invalid={!!errors.name}
-                      aria-describedby={errors.name ? 'name-error' : undefined}
-                      ref={errors.name ? firstErrorRef : null}
-                    />
-                    {errors.name && (
-                      <motion.div
-                        initial={{ opacity: 0, y: -10 }}
-                        animate={{ opacity: 1, y: 0 }}
-                        className='flex items-center mt-2 text-red-400 text-xs sm:text-sm'
-                        id='name-error'
-                        role='alert'
-                        aria-live='polite'
+                {step.id === 'service' && (
+                  <FormField
+                    id='service'
+                    label='Service Interest'
+                    required
+                    error={errors.service}
+                  >
+                    {aria => (
+                      <select
+                        {...controlProps(aria, 'service')}
+                        className={controlClassName(errors.service)}
                       >
-                        <FaExclamationTriangle
-                          className='mr-2 flex-shrink-0'
-                          aria-hidden='true'
-                        />
-                        {errors.name}
-                      </motion.div>
+                        <option value=''>Select a service</option>
+                        {SERVICE_OPTIONS.map(option => (
+                          <option key={option.value} value={option.value}>
+                            {option.label}
+                          </option>
+                        ))}
+                      </select>
                     )}
-                  </div>
-                  <div>
-                    <label
-                      htmlFor='email'
-                      className='block text-white font-medium mb-2 text-sm sm:text-base'
-                    >
-                      Email{' '}
-                      <span className='text-red-400' aria-label='required'>
-                        *
-                      </span>
-                    </label>
-                    <input
-                      type='email'
-                      id='email'
-                      name='email'
-                      value={formData.email}
-                      onChange={handleInputChange}
-                      onBlur={e => {
-                        const error = validateField('email', e.target.value);
-                        setErrors(prev => ({ ...prev, email: error }));
-                      }}
-                      className={`w-full px-3 sm:px-4 py-2 sm:py-3 bg-dark-700/50 border rounded-xl text-white placeholder-gray-400 focus:outline-none focus:border-primary-500 focus:ring-2 focus:ring-primary-500 focus:ring-offset-2 focus:ring-offset-dark-800 transition-colors duration-300 text-sm sm:text-base ${
-                        errors.email ? 'border-red-500' : 'border-dark-600/30'
-                      }`}
-                      placeholder='your@email.com'
-                      autoComplete='email'
-                      maxLength={100}
+                  </FormField>
+                )}
+
+                {/* Fields that depend on the selected service */}
+                {step.id === 'service' &&
+                  detailFields.map(fieldName => (
+                    <FormField
+                      key={fieldName}
+                      id={fieldName}
+                      label={SERVICE_DETAIL_FIELDS[fieldName].label}
                       required
-                      aria-required='true'
-                      aria-invalid={!!errors.email}
-                      aria-describedby={
-                        errors.email ? 'email-error' : undefined
-                      }
-                      ref={errors.email ? firstErrorRef : null}
-                    />
-                    {errors.email && (
-                      <motion.div
-                        initial={{ opacity: 0, y: -10 }}
-                        animate={{ opacity: 1, y: 0 }}
-                        className='flex items-center mt-2 text-red-400 text-xs sm:text-sm'
-                        id='email-error'
-                        role='alert'
-                        aria-live='polite'
+                      error={errors[fieldName]}
+                      hint={SERVICE_DETAIL_FIELDS[fieldName].hint}
+                    >
+                      {aria => renderDetailControl(aria, fieldName)}
+                    </FormField>
+                  ))}
+
+                {step.id === 'event' && (
+                  <>
+                    <div className='grid grid-cols-1 sm:grid-cols-2 gap-4 sm:gap-6'>
+                      <FormField
+                        id='eventDate'
+                        label='Event date'
+                        error={errors.eventDate}
+                        hint='Leave empty if you have not picked a date yet'
+                      >
+                        {aria => (
+                          <input
+                            type='date'
+                            {...controlProps(aria, 'eventDate')}
+                            className={controlClassName(errors.eventDate)}
+                          />
+                        )}
+                      </FormField>
+                      <FormField
+                        id='eventCity'
+                        label='City'
+                        required
+                        error={errors.eventCity}
                       >
-                        <FaExclamationTriangle
-                          className='mr-2 flex-shrink-0'
-                          aria-hidden='true'
+                        {aria => (
+                          <input
+                            type='text'
+                            {...controlProps(aria, 'eventCity')}
+                            className={controlClassName(errors.eventCity)}
+                            placeholder='Where will it take place?'
+                            autoComplete='address-level2'
+                            maxLength={100}
+                          />
+                        )}
+                      </FormField>
+                    </div>
+                    <FormField
+                      id='audienceSize'
+                      label='Expected audience size'
+                      required
+                      error={errors.audienceSize}
+                    >
+                      {aria => (
+                        <input
+                          type='number'
+                          inputMode='numeric'
+                          min={1}
+                          step={1}
+                          {...controlProps(aria, 'audienceSize')}
+                          className={controlClassName(errors.audienceSize)}
+                          placeholder='e.g. 250'
                         />
-                        {errors.email}
-                      </motion.div>
-                    )}
-                  </div>
-                </div>
-
-                <div className='grid grid-cols-1 sm:grid-cols-2 gap-4 sm:gap-6'>
-                  <div>
-                    <label
-                      htmlFor='company'
-                      className='block text-white font-medium mb-2 text-sm sm:text-base'
+                      )}
+                    </FormField>
+                    <FormField
+                      id='message'
+                      label='Project details'
+                      required
+                      error={errors.message}
+                      hint={`${formData.message.length}/1000`}
                     >
-                      Company
-                    </label>
-                    <input
-                      type='text'
-                      id='company'
-                      name='company'
-                      value={formData.company}
-                      onChange={handleInputChange}
-                      onBlur={e => {
-                        const error = validateField('company', e.target.value);
-                        setErrors(prev => ({ ...prev, company: error }));
+                      {aria => (
+                        <textarea
+                          {...controlProps(aria, 'message')}
+                          rows={4}
+                          className={`${controlClassName(
+                            errors.message
+                          )} resize-none`}
+                          placeholder='Tell us about your project...'
+                          maxLength={1000}
+                        />
+                      )}
+                    </FormField>
+                    <AttachmentDropzone
+                      attachments={attachments.attachments}
+                      error={errors.attachments || attachments.error}
+                      onAddFiles={files => {
+                        clearAttachmentError();
+                        attachments.addFiles(files);
+                      }}
+                      onRemove={key => {
+                        clearAttachmentError();
+                        attachments.remove(key);
                       }}
-                      className={`w-full px-3 sm:px-4 py-2 sm:py-3 bg-dark-700/50 border rounded-xl text-white placeholder-gray-400 focus:outline-none focus:border-primary-500 focus:ring-2 focus:ring-primary-500 focus:ring-offset-2 focus:ring-offset-dark-800 transition-colors duration-300 text-sm sm:text-base ${
-                        errors.company ? 'border-red-500' : 'border-dark-600/30'
-                      }`}
-                      placeholder='Your company name'
-                      autoComplete='organization'
-                      maxLength={100}
-                      aria-invalid={!!errors.company}
-                      aria-describedby={
-                        errors.company ? 'company-error' : undefined
-                      }
-                      ref={errors.company ? firstErrorRef : null}
+                      onPause={attachments.pause}
+                      onResume={attachments.resume}
+                      maxFiles={MAX_ATTACHMENTS}
                     />
-                    {errors.company && (
-                      <motion.div
-                        initial={{ opacity: 0, y: -10 }}
-                        animate={{ opacity: 1, y: 0 }}
-                        className='flex items-center mt-2 text-red-400 text-xs sm:text-sm'
-                        id='company-error'
-                        role='alert'
-                        aria-live='polite'
-                      >
-                        <FaExclamationTriangle
-                          className='mr-2 flex-shrink-0'
-                          aria-hidden='true'
-                        />
-                        {errors.company}
-                      </motion.div>
-                    )}
-                  </div>
-                  <div>
-                    <label
-                      htmlFor='service'
-                      className='block text-white font-medium mb-2 text-sm sm:text-base'
+                  </>
+                )}
+
+                {step.id === 'budget' && (
+                  <div className='grid grid-cols-1 sm:grid-cols-2 gap-4 sm:gap-6'>
+                    <FormField
+                      id='budget'
+                      label='Budget'
+                      required
+                      error={errors.budget}
                     >
-                      Service Interest{' '}
-                      <span className='text-red-400' aria-label='required'>
-                        *
-                      </span>
-                    </label>
-                    <select
-                      id='service'
-                      name='service'
-                      value={formData.service}
-                      onChange={handleInputChange}
-                      onBlur={e => {
-                        const error = validateField('service', e.target.value);
-                        setErrors(prev => ({ ...prev, service: error }));
-                      }}
-                      className={`w-full px-3 sm:px-4 py-2 sm:py-3 bg-dark-700/50 border rounded-xl text-white focus:outline-none focus:border-primary-500 focus:ring-2 focus:ring-primary-500 focus:ring-offset-2 focus:ring-offset-dark-800 transition-colors duration-300 text-sm sm:text-base ${
-                        errors.service ? 'border-red-500' : 'border-dark-600/30'
-                      }`}
+                      {aria => (
+                        <select
+                          {...controlProps(aria, 'budget')}
+                          className={controlClassName(errors.budget)}
+                        >
+                          <option value=''>Select a budget range</option>
+                          {BUDGET_OPTIONS.map(option => (
+                            <option key={option.value} value={option.value}>
+                              {option.label}
+                            </option>
+                          ))}
+                        </select>
+                      )}
+                    </FormField>
+                    <FormField
+                      id='timeline'
+                      label='Timeline'
                       required
-                      aria-required='true'
-                      aria-invalid={!!errors.service}
-                      aria-describedby={
-                        errors.service ? 'service-error' : undefined
-                      }
-                      ref={errors.service ? firstErrorRef : null}
+                      error={errors.timeline}
                     >
-                      <option value=''>Select a service</option>
-                      <option value='event-planning'>Event Planning</option>
-                      <option value='roadshow'>Roadshow & Tours</option>
-                      <option value='brand-activation'>Brand Activation</option>
-                      <option value='promotional'>Promotional Campaigns</option>
-                      <option value='other'>Other</option>
-                    </select>
-                    {errors.service && (
-                      <motion.div
-                        initial={{ opacity: 0, y: -10 }}
-                        animate={{ opacity: 1, y: 0 }}
-                        className='flex items-center mt-2 text-red-400 text-xs sm:text-sm'
-                        id='service-error'
-                        role='alert'
-                        aria-live='polite'
-                      >
-                        <FaExclamationTriangle
-                          className='mr-2 flex-shrink-0'
-                          aria-hidden='true'
-                        />
-                        {errors.service}
-                      </motion.div>
-                    )}
+                      {aria => (
+                        <select
+                          {...controlProps(aria, 'timeline')}
+                          className={controlClassName(errors.timeline)}
+                        >
+                          <option value=''>Select a timeline</option>
+                          {TIMELINE_OPTIONS.map(option => (
+                            <option key={option.value} value={option.value}>
+                              {option.label}
+                            </option>
+                          ))}
+                        </select>
+                      )}
+                    </FormField>
                   </div>
-                </div>
+                )}
 
-                <div>
-                  <label
-                    htmlFor='message'
-                    className='block text-white font-medium mb-2 text-sm sm:text-base'
-                  >
-                    Message{' '}
-                    <span className='text-red-400' aria-label='required'>
-                      *
-                    </span>
-                  </label>
-                  <textarea
-                    id='message'
-                    name='message'
-                    value={formData.message}
-                    onChange={handleInputChange}
-                    onBlur={e => {
-                      const error = validateField('message', e.target.value);
-                      setErrors(prev => ({ ...prev, message: error }));
-                    }}
-                    rows={4}
-                    className={`w-full px-3 sm:px-4 py-2 sm:py-3 bg-dark-700/50 border rounded-xl text-white placeholder-gray-400 focus:outline-none focus:border-primary-500 focus:ring-2 focus:ring-primary-500 focus:ring-offset-2 focus:ring-offset-dark-800 transition-colors duration-300 resize-none text-sm sm:text-base ${
-                      errors.message ? 'border-red-500' : 'border-dark-600/30'
-                    }`}
-                    placeholder='Tell us about your project...'
-                    maxLength={1000}
-                    required
-                    aria-required='true'
-                    aria-invalid={!!errors.message}
-                    aria-describedby={
-                      errors.message ? 'message-error' : 'message-counter'
-                    }
-                    ref={errors.message ? firstErrorRef : null}
-                  />
-                  <div className='flex justify-between items-center mt-2'>
-                    {errors.message && (
-                      <motion.div
-                        initial={{ opacity: 0, y: -10 }}
-                        animate={{ opacity: 1, y: 0 }}
-                        className='flex items-center text-red-400 text-xs sm:text-sm'
-                        id='message-error'
-                        role='alert'
-                        aria-live='polite'
+                {step.id === 'contact' && (
+                  <>
+                    <div className='grid grid-cols-1 sm:grid-cols-2 gap-4 sm:gap-6'>
+                      <FormField
+                        id='name'
+                        label='Name'
+                        required
+                        error={errors.name}
                       >
-                        <FaExclamationTriangle
-                          className='mr-2 flex-shrink-0'
-                          aria-hidden='true'
-                        />
-                        {errors.message}
-                      </motion.div>
-                    )}
-                    <span
-                      className='text-gray-400 text-xs ml-auto'
-                      id='message-counter'
-                      aria-label={`${formData.message.length} characters used out of 1000 maximum`}
+                        {aria => (
+                          <input
+                            type='text'
+                            {...controlProps(aria, 'name')}
+                            className={controlClassName(errors.name)}
+                            placeholder='Your full name'
+                            autoComplete='name'
+                            maxLength={50}
+                          />
+                        )}
+                      </FormField>
+                      <FormField
+                        id='email'
+                        label='Email'
+                        required
+                        error={errors.email}
+                      >
+                        {aria => (
+                          <input
+                            type='email'
+                            {...controlProps(aria, 'email')}
+                            className={controlClassName(errors.email)}
+                            placeholder='your@email.com'
+                            autoComplete='email'
+                            maxLength={100}
+                          />
+                        )}
+                      </FormField>
+                    </div>
+                    <FormField
+                      id='company'
+                      label='Company'
+                      error={errors.company}
                     >
-                      {formData.message.length}/1000
-                    </span>
+                      {aria => (
+                        <input
+                          type='text'
+                          {...controlProps(aria, 'company')}
+                          className={controlClassName(errors.company)}
+                          placeholder='Your company name'
+                          autoComplete='organization'
+                          maxLength={100}
+                        />
+                      )}
+                    </FormField>
+                  </>
+                )}
+
+                {step.id === 'review' && (
+                  <div className='space-y-4'>
+                    {reviewSections.map(section => (
+                      <div
+                        key={section.stepIndex}
+                        className='p-4 bg-dark-700/30 rounded-xl border border-dark-600/20'
+                      >
+                        <div className='flex items-center justify-between mb-2'>
+                          <h5 className='text-white font-medium text-sm sm:text-base'>
+                            {BRIEF_STEPS[section.stepIndex].title}
+                          </h5>
+                          <button
+                            type='button'
+                            onClick={() => goToStep(section.stepIndex)}
+                            className='text-primary-400 hover:text-primary-300 underline text-sm focus:outline-none focus:ring-2 focus:ring-primary-500 focus:ring-offset-2 focus:ring-offset-dark-800 rounded'
+                            aria-label={`Edit ${
+                              BRIEF_STEPS[section.stepIndex].title
+                            }`}
+                          >
+                            Edit
+                          </button>
+                        </div>
+                        <dl className='grid grid-cols-1 sm:grid-cols-3 gap-x-4 gap-y-1 text-sm'>
+                          {section.rows.map(([label, value]) => (
+                            <React.Fragment key={label}>
+                              <dt className='text-gray-400'>{label}</dt>
+                              <dd className='text-gray-200 sm:col-span-2 break-words'>
+                                {value}
+                              </dd>
+                            </React.Fragment>
+                          ))}
+                        </dl>
+                      </div>
+                    ))}
                   </div>
-                </div>
+                )}
 
                 {/* Submit Error Display */}
-                {submitError && (
+                {displayedError && (
                   <motion.div
                     initial={{ opacity: 0, y: -10 }}
                     animate={{ opacity: 1, y: 0 }}
@@ -681,29 +995,47 @@ const Contact = () => {
                       />
                       <span className='font-medium'>Submission Error</span>
                     </div>
-                    <p className='text-red-300 text-sm'>{submitError}</p>
+                    <p className='text-red-300 text-sm'>{displayedError}</p>
                   </motion.div>
                 )}
 
-                <motion.button
-                  type='submit'
-                  disabled={
-                    isSubmitting || Object.keys(errors).some(key => errors[key])
-                  }
-                  whileHover={{ scale: 1.02 }}
-                  whileTap={{ scale: 0.98 }}
-                  className='btn-primary w-full py-3 sm:py-4 text-base sm:text-lg disabled:opacity-50 disabled:cursor-not-allowed focus:outline-none focus:ring-2 focus:ring-primary-500 focus:ring-offset-2 focus:ring-offset-dark-800'
-                  aria-describedby={
-                    isSubmitting ? 'submitting-status' : undefined
-                  }
-                >
-                  {isSubmitting ? 'Sending...' : 'Send Message'}
-                  {isSubmitting && (
-                    <span id='submitting-status' className='sr-only'>
-                      Form is being submitted, please wait
-                    </span>
+                <div className='flex gap-3 sm:gap-4'>
+                  {stepIndex > 0 && (
+                    <button
+                      type='button'
+                      onClick={handleBack}
+                      disabled={isSubmitting}
+                      className='btn-secondary flex-1 py-3 sm:py-4 text-base sm:text-lg disabled:opacity-50 disabled:cursor-not-allowed focus:outline-none focus:ring-2 focus:ring-primary-500 focus:ring-offset-2 focus:ring-offset-dark-800'
+                    >
+                      Back
+                    </button>
                   )}
-                </motion.button>
+                  <motion.button
+                    type='submit'
+                    disabled={
+                      isSubmitting ||
+                      (stepIndex === REVIEW_STEP && attachments.isUploading) ||
+                      Object.keys(errors).some(key => errors[key])
+                    }
+                    whileHover={{ scale: 1.02 }}
+                    whileTap={{ scale: 0.98 }}
+                    className='btn-primary flex-1 py-3 sm:py-4 text-base sm:text-lg disabled:opacity-50 disabled:cursor-not-allowed focus:outline-none focus:ring-2 focus:ring-primary-500 focus:ring-offset-2 focus:ring-offset-dark-800'
+                    aria-describedby={
+                      isSubmitting ? 'submitting-status' : undefined
+                    }
+                  >
+                    {stepIndex < REVIEW_STEP
+                      ? 'Next'
+                      : isSubmitting
+                      ? 'Sending...'
+                      : 'Send Message'}
+                    {isSubmitting && (
+                      <span id='submitting-status' className='sr-only'>
+                        Form is being submitted, please wait
+                      </span>
+                    )}
+                  </motion.button>
+                </div>
 
                 {/* Privacy Notice */}
                 <p className='text-xs text-gray-400 text-center'>
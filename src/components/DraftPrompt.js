@@ -0,0 +1,49 @@
+import { motion } from 'framer-motion';
+import React from 'react';
+import { FaHistory } from 'react-icons/fa';
+
+// Asks whether to restore an unsent form draft saved by useFormDraft
+const DraftPrompt = ({ draft, label = 'message', onRestore, onDiscard }) => {
+  if (!draft) return null;
+
+  const savedAt = new Date(draft.savedAt).toLocaleTimeString([], {
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: -10 }}
+      animate={{ opacity: 1, y: 0 }}
+      className='flex flex-col sm:flex-row sm:items-center gap-3 p-4 mb-4 bg-primary-500/10 border border-primary-500/30 rounded-xl text-left'
+      role='region'
+      aria-label='Restore draft'
+    >
+      <p className='flex items-center flex-1 text-gray-200 text-sm'>
+        <FaHistory
+          className='mr-2 flex-shrink-0 text-primary-400'
+          aria-hidden='true'
+        />
+        You have an unsent {label} from {savedAt}. Restore draft?
+      </p>
+      <div className='flex gap-3'>
+        <button
+          type='button'
+          onClick={onRestore}
+          className='text-primary-400 hover:text-primary-300 underline text-sm font-medium focus:outline-none focus:ring-2 focus:ring-primary-500 focus:ring-offset-2 focus:ring-offset-dark-800 rounded'
+        >
+          Restore draft
+        </button>
+        <button
+          type='button'
+          onClick={onDiscard}
+          className='text-gray-400 hover:text-gray-300 underline text-sm focus:outline-none focus:ring-2 focus:ring-primary-500 focus:ring-offset-2 focus:ring-offset-dark-800 rounded'
+        >
+          Start over
+        </button>
+      </div>
+    </motion.div>
+  );
+};
+
+export default DraftPrompt;
@@ -1,33 +1,26 @@
 import { motion } from 'framer-motion';
 import React from 'react';
+import { Link } from 'react-router-dom';
+
+import { portfolioItems as seedPortfolioItems } from '../data/seedContent';
+import useApiData from '../hooks/useApiData';
+import { getPortfolioItems } from '../utils/api';
+
+import SectionSkeleton from './SectionSkeleton';
 
 const FeaturedProjects = () => {
-  const projects = [
-    {
-      id: 1,
-      title: 'Tech Conference 2024',
-      description: 'Immersive tech experience with interactive installations',
-      category: 'Technology',
-      image:
-        'https://images.unsplash.com/photo-1540575467063-178a50c2df87?w=800&h=600&fit=crop',
-    },
-    {
-      id: 2,
-      title: 'Fashion Week Activation',
-      description: 'Multi-sensory brand experience for luxury fashion house',
-      category: 'Fashion',
-      image:
-        'https://images.unsplash.com/photo-1441986300917-64674bd600d8?w=800&h=600&fit=crop',
-    },
-    {
-      id: 3,
-      title: 'Product Launch Event',
-      description: 'Spectacular launch with holographic displays and AR',
-      category: 'Product Launch',
-      image:
-        'https://images.unsplash.com/photo-1515187029135-18ee286d815b?w=800&h=600&fit=crop',
-    },
-  ];
+  const { data: portfolioItems, isLoading } = useApiData(
+    options => getPortfolioItems(null, options),
+    seedPortfolioItems
+  );
+
+  // Prefer items flagged as featured, topping up with the latest work
+  const projects = portfolioItems
+    ? [
+        ...portfolioItems.filter(item => item.featured),
+        ...portfolioItems.filter(item => !item.featured),
+      ].slice(0, 3)
+    : [];
 
   return (
     <section className='section-padding bg-dark-900'>
@@ -48,41 +41,57 @@ const FeaturedProjects = () => {
           </p>
         </motion.div>
 
-        <div className='grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-6 sm:gap-8'>
-          {projects.map((project, index) => (
-            <motion.div
-              key={project.id}
-              initial={{ opacity: 0, y: 50 }}
-              whileInView={{ opacity: 1, y: 0 }}
-              transition={{ duration: 0.6, delay: index * 0.1 }}
-              viewport={{ once: true }}
-              whileHover={{ y: -10, scale: 1.02 }}
-              className='group cursor-pointer'
-            >
-              <div className='relative overflow-hidden rounded-2xl bg-dark-700/50 border border-dark-600/30 hover:border-primary-500/50 transition-all duration-300'>
-                <div className='aspect-[4/3] overflow-hidden'>
-                  <img
-                    src={project.image}
-                    alt={project.title}
-                    className='w-full h-full object-cover group-hover:scale-110 transition-transform duration-500'
-                  />
-                </div>
-                <div className='absolute inset-0 bg-gradient-to-t from-dark-900/90 via-dark-900/50 to-transparent opacity-0 group-hover:opacity-100 transition-opacity duration-300'></div>
-                <div className='absolute bottom-0 left-0 right-0 p-4 sm:p-6 transform translate-y-6 group-hover:translate-y-0 transition-transform duration-300'>
-                  <span className='inline-block px-2 sm:px-3 py-1 bg-primary-500/20 text-primary-300 text-xs sm:text-sm font-medium rounded-full mb-2 sm:mb-3 border border-primary-500/30'>
-                    {project.category}
-                  </span>
-                  <h3 className='text-lg sm:text-xl font-semibold text-white mb-2'>
-                    {project.title}
-                  </h3>
-                  <p className='text-xs sm:text-sm text-gray-300 leading-relaxed'>
-                    {project.description}
-                  </p>
+        {isLoading ? (
+          <SectionSkeleton
+            count={3}
+            lines={1}
+            mediaClassName='aspect-[4/3]'
+            className='grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-6 sm:gap-8'
+            label='Loading featured projects'
+          />
+        ) : (
+          <div className='grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-6 sm:gap-8'>
+            {projects.map((project, index) => (
+              <motion.div
+                key={project.id}
+                initial={{ opacity: 0, y: 50 }}
+                whileInView={{ opacity: 1, y: 0 }}
+                transition={{ duration: 0.6, delay: index * 0.1 }}
+                viewport={{ once: true }}
+                whileHover={{ y: -10, scale: 1.02 }}
+                className='group cursor-pointer'
+              >
+                <div className='relative overflow-hidden rounded-2xl bg-dark-700/50 border border-dark-600/30 hover:border-primary-500/50 transition-all duration-300'>
+                  <div className='aspect-[4/3] overflow-hidden'>
+                    <img
+                      src={project.image}
+                      alt={project.title}
+                      className='w-full h-full object-cover group-hover:scale-110 transition-transform duration-500'
+                    />
+                  </div>
+                  <div className='absolute inset-0 bg-gradient-to-t from-dark-900/90 via-dark-900/50 to-transparent opacity-0 group-hover:opacity-100 transition-opacity duration-300'></div>
+                  <div className='absolute bottom-0 left-0 right-0 p-4 sm:p-6 transform translate-y-6 group-hover:translate-y-0 transition-transform duration-300'>
+                    <span className='inline-block px-2 sm:px-3 py-1 bg-primary-500/20 text-primary-300 text-xs sm:text-sm font-medium rounded-full mb-2 sm:mb-3 border border-primary-500/30'>
+                      {project.category}
+                    </span>
+                    <h3 className='text-lg sm:text-xl font-semibold text-white mb-2'>
+                      {/* Stretched over the card so the whole card is clickable */}
+                      <Link
+                        to={`/work/${project.slug}`}
+                        className='after:absolute after:inset-0 focus:outline-none focus-visible:after:ring-2 focus-visible:after:ring-primary-500 focus-visible:after:rounded-2xl'
+                      >
+                        {project.title}
+                      </Link>
+                    </h3>
+                    <p className='text-xs sm:text-sm text-gray-300 leading-relaxed'>
+                      {project.description}
+                    </p>
+                  </div>
                 </div>
-              </div>
-            </motion.div>
-          ))}
-        </div>
+              </motion.div>
+            ))}
+          </div>
+        )}
 
         <motion.div
           initial={{ opacity: 0, y: 30 }}
@@ -91,13 +100,12 @@ const FeaturedProjects = () => {
           viewport={{ once: true }}
           className='text-center mt-8 sm:mt-12'
         >
-          <motion.button
-            whileHover={{ scale: 1.05 }}
-            whileTap={{ scale: 0.95 }}
-            className='btn-secondary text-base sm:text-lg px-8 sm:px-10 py-3 sm:py-4'
+          <Link
+            to='/work'
+            className='btn-secondary inline-block text-base sm:text-lg px-8 sm:px-10 py-3 sm:py-4'
           >
             View All Projects
-          </motion.button>
+          </Link>
         </motion.div>
       </div>
     </section>
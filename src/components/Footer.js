@@ -1,15 +1,11 @@
 import { motion } from 'framer-motion';
 import React from 'react';
 import { FaFacebook, FaInstagram, FaLinkedin, FaTwitter } from 'react-icons/fa';
+import { Link } from 'react-router-dom';
 
-const Footer = () => {
-  const scrollToSection = sectionId => {
-    const element = document.getElementById(sectionId);
-    if (element) {
-      element.scrollIntoView({ behavior: 'smooth' });
-    }
-  };
+const MotionLink = motion(Link);
 
+const Footer = () => {
   const socialLinks = [
     {
       icon: <FaFacebook className='text-lg sm:text-xl' />,
@@ -33,13 +29,26 @@ const Footer = () => {
     },
   ];
 
+  // Sections that only live on the homepage are reached with a hash link
   const footerLinks = [
-    { label: 'About', href: '#about' },
-    { label: 'Services', href: '#services' },
-    { label: 'Portfolio', href: '#portfolio' },
-    { label: 'Contact', href: '#contact' },
+    { label: 'About', to: '/about' },
+    { label: 'Services', to: '/services' },
+    { label: 'Our Work', to: '/work' },
+    { label: 'Clients', to: '/#clients' },
+    { label: 'Blog', to: '/blog' },
+    { label: 'Contact', to: '/contact' },
+  ];
+
+  const serviceLinks = [
+    { label: 'Event Planning', to: '/services/event-planning' },
+    { label: 'Creative Strategy', to: '/services/creative-strategy' },
+    { label: 'Roadshow Management', to: '/services/roadshow-tours' },
+    { label: 'Promotional Campaigns', to: '/services/promotional-campaigns' },
   ];
 
+  const linkClassName =
+    'inline-block text-gray-300 hover:text-primary-400 transition-colors duration-300 text-sm sm:text-base';
+
   return (
     <footer className='bg-dark-900 border-t border-dark-700/30'>
       <div className='container-custom py-12 sm:py-16'>
@@ -107,15 +116,15 @@ const Footer = () => {
               viewport={{ once: true }}
               className='space-y-2 sm:space-y-3'
             >
-              {footerLinks.map((link, index) => (
-                <li key={index}>
-                  <motion.button
-                    onClick={() => scrollToSection(link.href.substring(1))}
+              {footerLinks.map(link => (
+                <li key={link.to}>
+                  <MotionLink
+                    to={link.to}
                     whileHover={{ x: 5 }}
-                    className='text-gray-300 hover:text-primary-400 transition-colors duration-300 text-sm sm:text-base'
+                    className={linkClassName}
                   >
                     {link.label}
-                  </motion.button>
+                  </MotionLink>
                 </li>
               ))}
             </motion.ul>
@@ -137,12 +146,19 @@ const Footer = () => {
               whileInView={{ opacity: 1, y: 0 }}
               transition={{ duration: 0.6, delay: 0.6 }}
               viewport={{ once: true }}
-              className='space-y-2 sm:space-y-3 text-gray-300 text-sm sm:text-base'
+              className='space-y-2 sm:space-y-3'
             >
-              <li>Event Planning</li>
-              <li>Brand Activation</li>
-              <li>Roadshow Management</li>
-              <li>Promotional Campaigns</li>
+              {serviceLinks.map(link => (
+                <li key={link.to}>
+                  <MotionLink
+                    to={link.to}
+                    whileHover={{ x: 5 }}
+                    className={linkClassName}
+                  >
+                    {link.label}
+                  </MotionLink>
+                </li>
+              ))}
             </motion.ul>
           </div>
         </div>
@@ -158,14 +174,14 @@ const Footer = () => {
           <h4 className='text-lg sm:text-xl font-semibold text-white mb-3 sm:mb-4'>
             Ready to Create Something Amazing?
           </h4>
-          <motion.button
-            onClick={() => scrollToSection('contact')}
+          <MotionLink
+            to='/contact'
             whileHover={{ scale: 1.05 }}
             whileTap={{ scale: 0.95 }}
-            className='btn-primary text-base sm:text-lg px-8 sm:px-10 py-3 sm:py-4'
+            className='btn-primary inline-block text-base sm:text-lg px-8 sm:px-10 py-3 sm:py-4'
           >
             Work With Us
-          </motion.button>
+          </MotionLink>
         </motion.div>
       </div>
 
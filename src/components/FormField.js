@@ -0,0 +1,68 @@
+import { motion } from 'framer-motion';
+import React from 'react';
+import { FaExclamationTriangle } from 'react-icons/fa';
+
+// Shared input styles for the contact wizard's controls
+export const controlClassName = hasError =>
+  `w-full px-3 sm:px-4 py-2 sm:py-3 bg-dark-700/50 border rounded-xl text-white placeholder-gray-400 focus:outline-none focus:border-primary-500 focus:ring-2 focus:ring-primary-500 focus:ring-offset-2 focus:ring-offset-dark-800 transition-colors duration-300 text-sm sm:text-base ${
+    hasError ? 'border-red-500' : 'border-dark-600/30'
+  }`;
+
+// Label, control and inline error for one form field
+// `children` receives the aria props the control needs, e.g.
+// <FormField ...>{aria => <input {...aria} />}</FormField>
+const FormField = ({ id, label, required = false, error, hint, children }) => {
+  const errorId = `${id}-error`;
+  const hintId = hint ? `${id}-hint` : undefined;
+
+  const aria = {
+    id,
+    name: id,
+    'aria-invalid': !!error,
+    'aria-describedby': error ? errorId : hintId,
+    ...(required ? { required: true, 'aria-required': 'true' } : {}),
+  };
+
+  return (
+    <div>
+      <label
+        htmlFor={id}
+        className='block text-white font-medium mb-2 text-sm sm:text-base'
+      >
+        {label}
+        {required && (
+          <>
+            {' '}
+            <span className='text-red-400' aria-label='required'>
+              *
+            </span>
+          </>
+        )}
+      </label>
+      {children(aria)}
+      {hint && !error && (
+        <p className='mt-2 text-gray-400 text-xs' id={hintId}>
+          {hint}
+        </p>
+      )}
+      {error && (
+        <motion.div
+          initial={{ opacity: 0, y: -10 }}
+          animate={{ opacity: 1, y: 0 }}
+          className='flex items-center mt-2 text-red-400 text-xs sm:text-sm'
+          id={errorId}
+          role='alert'
+          aria-live='polite'
+        >
+          <FaExclamationTriangle
+            className='mr-2 flex-shrink-0'
+            aria-hidden='true'
+          />
+          {error}
+        </motion.div>
+      )}
+    </div>
+  );
+};
+
+export default FormField;
@@ -0,0 +1,244 @@
+import React, { useMemo } from 'react';
+import { Link } from 'react-router-dom';
+
+import { parseMarkdown } from '../utils/markdown';
+
+const headingClassNames = {
+  1: 'text-2xl sm:text-3xl font-bold mt-10 mb-4',
+  2: 'text-xl sm:text-2xl font-bold mt-10 mb-4',
+  3: 'text-lg sm:text-xl font-semibold mt-8 mb-3',
+  4: 'text-base sm:text-lg font-semibold mt-6 mb-2',
+  5: 'text-base font-semibold mt-6 mb-2',
+  6: 'text-sm font-semibold uppercase tracking-wide mt-6 mb-2',
+};
+
+const linkClassName =
+  'text-primary-400 hover:text-primary-300 underline transition-colors duration-300';
+
+const renderInline = (nodes, keyPrefix = '') =>
+  nodes.map((node, index) => {
+    const key = `${keyPrefix}${index}`;
+
+    switch (node.type) {
+      case 'text':
+        return <React.Fragment key={key}>{node.value}</React.Fragment>;
+      case 'strong':
+        return (
+          <strong key={key} className='font-semibold text-white'>
+            {renderInline(node.children, `${key}-`)}
+          </strong>
+        );
+      case 'em':
+        return <em key={key}>{renderInline(node.children, `${key}-`)}</em>;
+      case 'code':
+        return (
+          <code
+            key={key}
+            className='px-1.5 py-0.5 rounded bg-dark-700 text-primary-300 text-[0.9em]'
+          >
+            {node.value}
+          </code>
+        );
+      case 'image':
+        return (
+          <img
+            key={key}
+            src={node.src}
+            alt={node.alt}
+            title={node.title || undefined}
+            loading='lazy'
+            className='inline-block max-w-full rounded'
+          />
+        );
+      case 'link':
+        // Site links stay in the app; everything else opens in a new tab
+        return node.href.startsWith('/') ? (
+          <Link
+            key={key}
+            to={node.href}
+            title={node.title || undefined}
+            className={linkClassName}
+          >
+            {renderInline(node.children, `${key}-`)}
+          </Link>
+        ) : (
+          <a
+            key={key}
+            href={node.href}
+            title={node.title || undefined}
+            className={linkClassName}
+            {...(node.href.startsWith('#')
+              ? {}
+              : { target: '_blank', rel: 'noopener noreferrer' })}
+          >
+            {renderInline(node.children, `${key}-`)}
+          </a>
+        );
+      default:
+        return null;
+    }
+  });
+
+// Without a captions track a video file is offered as a link, so nobody is
+// left with sound they can't follow
+const Video = ({ block }) => {
+  if (block.kind === 'file' && !block.captions) {
+    return (
+      <p className='my-8 text-center'>
+        <a
+          href={block.src}
+          className={linkClassName}
+          target='_blank'
+          rel='noopener noreferrer'
+        >
+          Watch the video{block.title ? `: ${block.title}` : ''}
+        </a>
+      </p>
+    );
+  }
+
+  return (
+    <figure className='my-8'>
+      <div className='aspect-video overflow-hidden rounded-2xl border border-dark-600/30 bg-dark-800'>
+        {block.kind === 'embed' ? (
+          <iframe
+            src={block.src}
+            title={block.title || 'Embedded video'}
+            className='w-full h-full'
+            loading='lazy'
+            allow='accelerometer; encrypted-media; gyroscope; picture-in-picture'
+            allowFullScreen
+            referrerPolicy='strict-origin-when-cross-origin'
+            sandbox='allow-scripts allow-same-origin allow-presentation allow-popups'
+          />
+        ) : (
+          <video
+            src={block.src}
+            controls
+            preload='metadata'
+            className='w-full h-full'
+            aria-label={block.title || 'Video'}
+          >
+            <track
+              kind='captions'
+              src={block.captions.src}
+              label={block.captions.label}
+              default
+            />
+          </video>
+        )}
+      </div>
+      {block.title && (
+        <figcaption className='mt-2 text-sm text-gray-400 text-center'>
+          {block.title}
+        </figcaption>
+      )}
+    </figure>
+  );
+};
+
+const renderBlocks = (blocks, keyPrefix = '') =>
+  blocks.map((block, index) => {
+    const key = `${keyPrefix}${index}`;
+
+    switch (block.type) {
+      case 'heading': {
+        const Tag = `h${block.level}`;
+        return (
+          <Tag
+            key={key}
+            id={block.id}
+            className={`${
+              headingClassNames[block.level]
+            } text-white scroll-mt-24`}
+          >
+            {renderInline(block.children)}
+          </Tag>
+        );
+      }
+      case 'paragraph':
+        return (
+          <p key={key} className='mb-5 leading-relaxed'>
+            {renderInline(block.children)}
+          </p>
+        );
+      case 'list': {
+        const Tag = block.ordered ? 'ol' : 'ul';
+        return (
+          <Tag
+            key={key}
+            start={block.ordered && block.start !== 1 ? block.start : undefined}
+            className={`mb-5 pl-6 space-y-2 ${
+              block.ordered ? 'list-decimal' : 'list-disc'
+            } marker:text-primary-400`}
+          >
+            {block.items.map((item, itemIndex) => (
+              <li key={itemIndex}>
+                {/* Tight items render their text without a wrapping <p> */}
+                {item.length === 1 && item[0].type === 'paragraph'
+                  ? renderInline(item[0].children)
+                  : renderBlocks(item, `${key}-${itemIndex}-`)}
+              </li>
+            ))}
+          </Tag>
+        );
+      }
+      case 'quote':
+        return (
+          <blockquote
+            key={key}
+            className='my-6 border-l-4 border-primary-500 pl-4 italic text-gray-200'
+          >
+            {renderBlocks(block.children, `${key}-`)}
+          </blockquote>
+        );
+      case 'code':
+        return (
+          <pre
+            key={key}
+            className='my-6 p-4 rounded-xl bg-dark-800 border border-dark-600/30 overflow-x-auto text-sm'
+          >
+            <code className={block.lang ? `language-${block.lang}` : undefined}>
+              {block.value}
+            </code>
+          </pre>
+        );
+      case 'image':
+        return (
+          <figure key={key} className='my-8'>
+            <img
+              src={block.src}
+              alt={block.alt}
+              loading='lazy'
+              className='w-full rounded-2xl border border-dark-600/30'
+            />
+            {block.title && (
+              <figcaption className='mt-2 text-sm text-gray-400 text-center'>
+                {block.title}
+              </figcaption>
+            )}
+          </figure>
+        );
+      case 'video':
+        return <Video key={key} block={block} />;
+      case 'rule':
+        return <hr key={key} className='my-10 border-dark-600/50' />;
+      default:
+        return null;
+    }
+  });
+
+// Renders Markdown source as React elements - see utils/markdown.js for the
+// supported syntax. Pass `parsed` instead of `source` when parseMarkdown has
+// already run, e.g. to build a table of contents from its headings.
+const Markdown = ({ source, parsed, className = '' }) => {
+  const tree = useMemo(() => parsed || parseMarkdown(source), [parsed, source]);
+
+  return (
+    <div className={`text-gray-300 text-base sm:text-lg ${className}`}>
+      {renderBlocks(tree.blocks)}
+    </div>
+  );
+};
+
+export default Markdown;
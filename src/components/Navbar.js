@@ -1,6 +1,19 @@
 import { motion, AnimatePresence } from 'framer-motion';
 import React, { useState, useEffect, useRef } from 'react';
 import { FaBars, FaTimes } from 'react-icons/fa';
+import { Link, NavLink, useLocation, useNavigate } from 'react-router-dom';
+
+const MotionLink = motion(Link);
+const MotionNavLink = motion(NavLink);
+
+const navItems = [
+  { to: '/', label: 'Home', description: 'Go to homepage' },
+  { to: '/about', label: 'About', description: 'Learn about INAD PROMOTION' },
+  { to: '/services', label: 'Services', description: 'View our services' },
+  { to: '/work', label: 'Work', description: 'See our work' },
+  { to: '/blog', label: 'Blog', description: 'Read our latest insights' },
+  { to: '/contact', label: 'Contact', description: 'Get in touch with us' },
+];
 
 const Navbar = () => {
   const [isOpen, setIsOpen] = useState(false);
@@ -8,6 +21,8 @@ const Navbar = () => {
   const [focusedIndex, setFocusedIndex] = useState(-1);
   const mobileMenuRef = useRef(null);
   const firstMenuItemRef = useRef(null);
+  const location = useLocation();
+  const navigate = useNavigate();
 
   useEffect(() => {
     const handleScroll = () => {
@@ -39,15 +54,10 @@ const Navbar = () => {
     }
   }, [isOpen]);
 
-  const scrollToSection = sectionId => {
-    const element = document.getElementById(sectionId);
-    if (element) {
-      element.scrollIntoView({ behavior: 'smooth' });
-      setIsOpen(false);
-      // Return focus to the trigger element
-      document.activeElement?.blur();
-    }
-  };
+  // Close the mobile menu once a link has been followed
+  useEffect(() => {
+    setIsOpen(false);
+  }, [location.key]);
 
   const handleKeyDown = (e, index) => {
     switch (e.key) {
@@ -67,22 +77,16 @@ const Navbar = () => {
         e.preventDefault();
         setFocusedIndex(navItems.length - 1);
         break;
-      case 'Enter':
+      // Links follow on Enter already; Space does too for the menu items
       case ' ':
         e.preventDefault();
-        scrollToSection(navItems[index].id);
+        navigate(navItems[index].to);
         break;
     }
   };
 
-  const navItems = [
-    { id: 'home', label: 'Home', description: 'Go to homepage' },
-    { id: 'about', label: 'About', description: 'Learn about INAD PROMOTION' },
-    { id: 'services', label: 'Services', description: 'View our services' },
-    { id: 'portfolio', label: 'Portfolio', description: 'See our work' },
-    { id: 'clients', label: 'Clients', description: 'Client testimonials' },
-    { id: 'contact', label: 'Contact', description: 'Get in touch with us' },
-  ];
+  const linkClassName = ({ isActive }) =>
+    isActive ? 'text-primary-400' : 'text-white hover:text-primary-400';
 
   return (
     <motion.nav
@@ -99,51 +103,43 @@ const Navbar = () => {
       <div className='container-custom w-full mobile-stable-layout'>
         <div className='flex items-center h-16 sm:h-20 w-full mobile-fixed-dimensions'>
           {/* Logo */}
-          <motion.div
+          <MotionLink
+            to='/'
             whileHover={{ scale: 1.05 }}
-            className='text-lg sm:text-xl md:text-2xl font-bold gradient-text cursor-pointer mobile-fixed-dimensions'
-            onClick={() => scrollToSection('home')}
-            onKeyDown={e => {
-              if (e.key === 'Enter' || e.key === ' ') {
-                e.preventDefault();
-                scrollToSection('home');
-              }
-            }}
-            role='button'
-            tabIndex={0}
+            className='text-lg sm:text-xl md:text-2xl font-bold gradient-text cursor-pointer mobile-fixed-dimensions focus:outline-none focus:ring-2 focus:ring-primary-500 focus:ring-offset-2 focus:ring-offset-dark-900 rounded-md'
             aria-label='INAD PROMOTION - Go to homepage'
           >
             INAD PROMOTION
-          </motion.div>
+          </MotionLink>
 
           {/* Desktop Navigation */}
           <div className='hidden md:flex items-center space-x-6 lg:space-x-8 mobile-fixed-dimensions ml-auto'>
-            {navItems.map((item, index) => (
-              <motion.button
-                key={item.id}
+            {navItems.map(item => (
+              <MotionNavLink
+                key={item.to}
+                to={item.to}
+                end={item.to === '/'}
                 whileHover={{ scale: 1.05 }}
                 whileTap={{ scale: 0.95 }}
-                className='text-white hover:text-primary-400 transition-colors duration-300 font-medium text-sm lg:text-base mobile-fixed-dimensions focus:outline-none focus:ring-2 focus:ring-primary-500 focus:ring-offset-2 focus:ring-offset-dark-900 rounded-md px-2 py-1'
-                onClick={() => scrollToSection(item.id)}
-                onKeyDown={e => handleKeyDown(e, index)}
-                aria-label={item.description}
-                aria-describedby={`nav-${item.id}-desc`}
+                className={state =>
+                  `${linkClassName(
+                    state
+                  )} transition-colors duration-300 font-medium text-sm lg:text-base mobile-fixed-dimensions focus:outline-none focus:ring-2 focus:ring-primary-500 focus:ring-offset-2 focus:ring-offset-dark-900 rounded-md px-2 py-1`
+                }
+                title={item.description}
               >
                 {item.label}
-                <span id={`nav-${item.id}-desc`} className='sr-only'>
-                  {item.description}
-                </span>
-              </motion.button>
+              </MotionNavLink>
             ))}
-            <motion.button
+            <MotionLink
+              to='/contact'
               whileHover={{ scale: 1.05 }}
               whileTap={{ scale: 0.95 }}
-              className='btn-primary text-sm lg:text-base mobile-fixed-dimensions focus:outline-none focus:ring-2 focus:ring-primary-500 focus:ring-offset-2 focus:ring-offset-dark-900'
-              onClick={() => scrollToSection('contact')}
+              className='btn-primary px-5 py-2 text-sm lg:text-base mobile-fixed-dimensions focus:outline-none focus:ring-2 focus:ring-primary-500 focus:ring-offset-2 focus:ring-offset-dark-900'
               aria-label='Get started - Contact us to begin your project'
             >
               Get Started
-            </motion.button>
+            </MotionLink>
           </div>
 
           {/* Mobile Menu Button */}
@@ -175,33 +171,34 @@ const Navbar = () => {
             >
               <div className='py-4 sm:py-6 space-y-2 sm:space-y-4 w-full mobile-fixed-dimensions'>
                 {navItems.map((item, index) => (
-                  <motion.button
-                    key={item.id}
+                  <MotionNavLink
+                    key={item.to}
+                    to={item.to}
+                    end={item.to === '/'}
                     ref={index === 0 ? firstMenuItemRef : null}
                     whileHover={{ x: 10 }}
-                    className='block w-full text-left text-white hover:text-primary-400 transition-colors duration-300 font-medium px-6 py-3 sm:py-4 text-base sm:text-lg mobile-fixed-dimensions focus:outline-none focus:ring-2 focus:ring-primary-500 focus:ring-offset-2 focus:ring-offset-dark-800 rounded-md'
-                    onClick={() => scrollToSection(item.id)}
+                    className={state =>
+                      `${linkClassName(
+                        state
+                      )} block w-full text-left transition-colors duration-300 font-medium px-6 py-3 sm:py-4 text-base sm:text-lg mobile-fixed-dimensions focus:outline-none focus:ring-2 focus:ring-primary-500 focus:ring-offset-2 focus:ring-offset-dark-800 rounded-md`
+                    }
                     onKeyDown={e => handleKeyDown(e, index)}
                     role='menuitem'
                     tabIndex={focusedIndex === index ? 0 : -1}
-                    aria-label={item.description}
-                    aria-describedby={`mobile-nav-${item.id}-desc`}
+                    title={item.description}
                   >
                     {item.label}
-                    <span id={`mobile-nav-${item.id}-desc`} className='sr-only'>
-                      {item.description}
-                    </span>
-                  </motion.button>
+                  </MotionNavLink>
                 ))}
                 <div className='px-6 pt-2 sm:pt-4 w-full mobile-fixed-dimensions'>
-                  <button
-                    className='btn-primary w-full text-base sm:text-lg py-3 sm:py-4 mobile-fixed-dimensions focus:outline-none focus:ring-2 focus:ring-primary-500 focus:ring-offset-2 focus:ring-offset-dark-800'
-                    onClick={() => scrollToSection('contact')}
+                  <Link
+                    to='/contact'
+                    className='btn-primary block text-center w-full text-base sm:text-lg py-3 sm:py-4 mobile-fixed-dimensions focus:outline-none focus:ring-2 focus:ring-primary-500 focus:ring-offset-2 focus:ring-offset-dark-800'
                     role='menuitem'
                     aria-label='Get started - Contact us to begin your project'
                   >
                     Get Started
-                  </button>
+                  </Link>
                 </div>
               </div>
             </motion.div>
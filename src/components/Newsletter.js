@@ -1,5 +1,5 @@
 import { motion } from 'framer-motion';
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import {
   FaEnvelope,
   FaCheckCircle,
@@ -7,6 +7,24 @@ import {
 } from 'react-icons/fa';
 import { useInView } from 'react-intersection-observer';
 
+import useFormDraft from '../hooks/useFormDraft';
+import useRateLimit from '../hooks/useRateLimit';
+import {
+  ValidationError,
+  getErrorMessage,
+  subscribeNewsletter,
+} from '../utils/api';
+import { DEFAULT_NEWSLETTER_PREFERENCES } from '../utils/newsletterPreferences';
+import { formatRetryAfter } from '../utils/rateLimiter';
+
+import DraftPrompt from './DraftPrompt';
+import NewsletterPreferenceFields from './NewsletterPreferenceFields';
+
+const rateLimitMessage = seconds =>
+  `Too many sign-up attempts. Please try again in ${formatRetryAfter(
+    seconds
+  )}.`;
+
 const Newsletter = () => {
   const [ref, inView] = useInView({
     triggerOnce: true,
@@ -14,11 +32,24 @@ const Newsletter = () => {
   });
 
   const [email, setEmail] = useState('');
+  const [preferences, setPreferences] = useState(
+    DEFAULT_NEWSLETTER_PREFERENCES
+  );
+  const [preferenceErrors, setPreferenceErrors] = useState({});
   const [isSubmitting, setIsSubmitting] = useState(false);
-  const [isSubmitted, setIsSubmitted] = useState(false);
+  // { email, status } once submitted: 'pending' until the emailed link is
+  // followed, 'confirmed' if the address was already subscribed
+  const [subscription, setSubscription] = useState(null);
   const [error, setError] = useState('');
   const [announcement, setAnnouncement] = useState('');
   const emailInputRef = useRef(null);
+  const rateLimit = useRateLimit('newsletter');
+
+  // Keep a half-typed address across reloads
+  const draftValues = useMemo(() => ({ email }), [email]);
+  const draft = useFormDraft('newsletter', draftValues, {
+    onRestore: values => setEmail(values.email || ''),
+  });
 
   // Announce messages to screen readers
   useEffect(() => {
@@ -45,6 +76,11 @@ const Newsletter = () => {
     if (error) setError('');
   };
 
+  const handlePreferencesChange = value => {
+    setPreferences(value);
+    setPreferenceErrors({});
+  };
+
   const handleSubmit = async e => {
     e.preventDefault();
 
@@ -62,33 +98,64 @@ const Newsletter = () => {
       return;
     }
 
-    setIsSubmitting(true);
+    if (preferences.topics.length === 0) {
+      setPreferenceErrors({ topics: 'Please choose at least one topic' });
+      setAnnouncement('Please choose at least one topic');
+      return;
+    }
+
     setError('');
+    const limit = rateLimit.attempt();
+    if (!limit.allowed) {
+      setAnnouncement(rateLimitMessage(limit.retryAfter));
+      return;
+    }
+
+    setIsSubmitting(true);
     setAnnouncement('Subscribing to newsletter...');
 
     try {
-      // Simulate API call (replace with actual newsletter subscription API)
-      await new Promise(resolve => setTimeout(resolve, 1500));
+      const result = await subscribeNewsletter(email.trim(), { preferences });
+      const status = (result.data && result.data.status) || 'pending';
 
-      // Success
-      setIsSubmitted(true);
+      draft.clear();
+      setSubscription({ email: email.trim(), status });
       setAnnouncement(
-        'Successfully subscribed to newsletter! Check your email for confirmation.'
+        status === 'pending'
+          ? 'Almost done! Check your email and click the link to confirm your subscription.'
+          : 'You are already subscribed to our newsletter.'
       );
 
       // Reset form after 5 seconds
       setTimeout(() => {
-        setIsSubmitted(false);
+        setSubscription(null);
         setEmail('');
+        setPreferences(DEFAULT_NEWSLETTER_PREFERENCES);
       }, 5000);
     } catch (error) {
-      setError('Failed to subscribe. Please try again.');
-      setAnnouncement('Newsletter subscription failed. Please try again.');
+      const fieldErrors =
+        error instanceof ValidationError ? error.fieldErrors : {};
+      if (fieldErrors.topics || fieldErrors.frequency) {
+        setPreferenceErrors(fieldErrors);
+      }
+
+      // Email problems are shown inline, other failures get a generic prefix
+      const message = fieldErrors.email
+        ? fieldErrors.email
+        : `Failed to subscribe. ${getErrorMessage(error)}`;
+      setError(message);
+      setAnnouncement(`Newsletter subscription failed. ${message}`);
+      emailInputRef.current?.focus();
     } finally {
       setIsSubmitting(false);
     }
   };
 
+  // Not a problem with the address, so the field isn't marked invalid
+  const displayedError =
+    error ||
+    (rateLimit.isLimited ? rateLimitMessage(rateLimit.retryAfter) : '');
+
   const handleKeyDown = e => {
     if (e.key === 'Enter') {
       handleSubmit(e);
@@ -134,7 +201,7 @@ const Newsletter = () => {
             professionals.
           </p>
 
-          {isSubmitted ? (
+          {subscription ? (
             <motion.div
               initial={{ opacity: 0, scale: 0.8 }}
               animate={{ opacity: 1, scale: 1 }}
@@ -147,91 +214,114 @@ const Newsletter = () => {
                 <FaCheckCircle className='mx-auto' aria-hidden='true' />
               </div>
               <h3 className='text-lg sm:text-xl font-semibold text-white mb-2'>
-                Welcome to the Family!
+                {subscription.status === 'pending'
+                  ? 'Check your inbox'
+                  : "You're already subscribed"}
               </h3>
               <p className='text-green-300 text-sm sm:text-base'>
-                You've successfully subscribed to our newsletter. Check your
-                email for a welcome message.
+                {subscription.status === 'pending'
+                  ? `We've sent a confirmation link to ${subscription.email}. Click it to start receiving our newsletter.`
+                  : `${subscription.email} is already on our list - use the link in any of our emails to change your preferences.`}
               </p>
             </motion.div>
           ) : (
-            <motion.form
-              initial={{ opacity: 0, y: 30 }}
-              animate={inView ? { opacity: 1, y: 0 } : {}}
-              transition={{ duration: 0.8, delay: 0.2 }}
-              onSubmit={handleSubmit}
-              className='flex flex-col sm:flex-row gap-3 sm:gap-4 max-w-md sm:max-w-lg mx-auto'
-              aria-label='Newsletter subscription form'
-              noValidate
-            >
-              <div className='relative flex-1'>
-                <div className='relative'>
-                  <FaEnvelope
-                    className='absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 text-lg'
-                    aria-hidden='true'
-                  />
-                  <input
-                    ref={emailInputRef}
-                    type='email'
-                    value={email}
-                    onChange={handleEmailChange}
-                    onKeyDown={handleKeyDown}
-                    placeholder='Enter your email address'
-                    className={`w-full pl-10 pr-4 py-3 sm:py-4 bg-dark-700/50 border rounded-xl text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-primary-500 focus:ring-offset-2 focus:ring-offset-dark-800 transition-colors duration-300 text-sm sm:text-base ${
-                      error ? 'border-red-500' : 'border-dark-600/30'
-                    }`}
-                    aria-label='Email address for newsletter subscription'
-                    aria-required='true'
-                    aria-invalid={!!error}
-                    aria-describedby={error ? 'email-error' : 'email-help'}
-                    required
-                  />
-                </div>
+            <>
+              <DraftPrompt
+                draft={draft.pendingDraft}
+                label='sign-up'
+                onRestore={draft.restore}
+                onDiscard={draft.clear}
+              />
+              <motion.form
+                initial={{ opacity: 0, y: 30 }}
+                animate={inView ? { opacity: 1, y: 0 } : {}}
+                transition={{ duration: 0.8, delay: 0.2 }}
+                onSubmit={handleSubmit}
+                className='max-w-md sm:max-w-lg mx-auto space-y-6'
+                aria-label='Newsletter subscription form'
+                noValidate
+              >
+                <div className='flex flex-col sm:flex-row gap-3 sm:gap-4'>
+                  <div className='relative flex-1'>
+                    <div className='relative'>
+                      <FaEnvelope
+                        className='absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 text-lg'
+                        aria-hidden='true'
+                      />
+                      <input
+                        ref={emailInputRef}
+                        type='email'
+                        value={email}
+                        onChange={handleEmailChange}
+                        onKeyDown={handleKeyDown}
+                        placeholder='Enter your email address'
+                        className={`w-full pl-10 pr-4 py-3 sm:py-4 bg-dark-700/50 border rounded-xl text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-primary-500 focus:ring-offset-2 focus:ring-offset-dark-800 transition-colors duration-300 text-sm sm:text-base ${
+                          error ? 'border-red-500' : 'border-dark-600/30'
+                        }`}
+                        aria-label='Email address for newsletter subscription'
+                        aria-required='true'
+                        aria-invalid={!!error}
+                        aria-describedby={
+                          displayedError ? 'email-error' : 'email-help'
+                        }
+                        required
+                      />
+                    </div>
+
+                    {displayedError && (
+                      <motion.div
+                        initial={{ opacity: 0, y: -10 }}
+                        animate={{ opacity: 1, y: 0 }}
+                        className='flex items-center mt-2 text-red-400 text-xs sm:text-sm'
+                        id='email-error'
+                        role='alert'
+                        aria-live='polite'
+                      >
+                        <FaExclamationTriangle
+                          className='mr-2 flex-shrink-0'
+                          aria-hidden='true'
+                        />
+                        {displayedError}
+                      </motion.div>
+                    )}
 
-                {error && (
-                  <motion.div
-                    initial={{ opacity: 0, y: -10 }}
-                    animate={{ opacity: 1, y: 0 }}
-                    className='flex items-center mt-2 text-red-400 text-xs sm:text-sm'
-                    id='email-error'
-                    role='alert'
-                    aria-live='polite'
+                    <div
+                      id='email-help'
+                      className='text-xs text-gray-400 mt-2 text-left'
+                      aria-label='Email help text'
+                    >
+                      We'll never share your email with anyone else.
+                    </div>
+                  </div>
+
+                  <motion.button
+                    type='submit'
+                    disabled={isSubmitting}
+                    whileHover={{ scale: 1.02 }}
+                    whileTap={{ scale: 0.98 }}
+                    className='btn-primary px-6 sm:px-8 py-3 sm:py-4 text-base sm:text-lg disabled:opacity-50 disabled:cursor-not-allowed focus:outline-none focus:ring-2 focus:ring-primary-500 focus:ring-offset-2 focus:ring-offset-dark-800'
+                    aria-describedby={
+                      isSubmitting ? 'submitting-status' : undefined
+                    }
                   >
-                    <FaExclamationTriangle
-                      className='mr-2 flex-shrink-0'
-                      aria-hidden='true'
-                    />
-                    {error}
-                  </motion.div>
-                )}
-
-                <div
-                  id='email-help'
-                  className='text-xs text-gray-400 mt-2 text-left'
-                  aria-label='Email help text'
-                >
-                  We'll never share your email with anyone else.
+                    {isSubmitting ? 'Subscribing...' : 'Subscribe'}
+                    {isSubmitting && (
+                      <span id='submitting-status' className='sr-only'>
+                        Newsletter subscription in progress, please wait
+                      </span>
+                    )}
+                  </motion.button>
                 </div>
-              </div>
 
-              <motion.button
-                type='submit'
-                disabled={isSubmitting}
-                whileHover={{ scale: 1.02 }}
-                whileTap={{ scale: 0.98 }}
-                className='btn-primary px-6 sm:px-8 py-3 sm:py-4 text-base sm:text-lg disabled:opacity-50 disabled:cursor-not-allowed focus:outline-none focus:ring-2 focus:ring-primary-500 focus:ring-offset-2 focus:ring-offset-dark-800'
-                aria-describedby={
-                  isSubmitting ? 'submitting-status' : undefined
-                }
-              >
-                {isSubmitting ? 'Subscribing...' : 'Subscribe'}
-                {isSubmitting && (
-                  <span id='submitting-status' className='sr-only'>
-                    Newsletter subscription in progress, please wait
-                  </span>
-                )}
-              </motion.button>
-            </motion.form>
+                <NewsletterPreferenceFields
+                  value={preferences}
+                  onChange={handlePreferencesChange}
+                  errors={preferenceErrors}
+                  idPrefix='newsletter'
+                  disabled={isSubmitting}
+                />
+              </motion.form>
+            </>
           )}
 
           <motion.div
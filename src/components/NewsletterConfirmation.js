@@ -0,0 +1,76 @@
+import React, { useEffect, useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
+
+import {
+  confirmSubscription,
+  getErrorMessage,
+  isCancelledError,
+} from '../utils/api';
+
+import NewsletterStatus from './NewsletterStatus';
+
+// /confirm?token=... - the link from the double opt-in email
+const NewsletterConfirmation = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [state, setState] = useState({ status: 'verifying', error: '' });
+
+  useEffect(() => {
+    if (!token) {
+      setState({ status: 'error', error: '' });
+      return undefined;
+    }
+
+    const controller = new AbortController();
+    setState({ status: 'verifying', error: '' });
+
+    confirmSubscription(token, { signal: controller.signal })
+      .then(() => setState({ status: 'confirmed', error: '' }))
+      .catch(error => {
+        if (isCancelledError(error)) return;
+        setState({
+          status: 'error',
+          error:
+            error.code === 'NOT_FOUND'
+              ? 'This confirmation link is invalid or has expired.'
+              : getErrorMessage(error),
+        });
+      });
+
+    return () => controller.abort();
+  }, [token]);
+
+  if (state.status === 'verifying') {
+    return (
+      <NewsletterStatus title='Confirming your subscription...'>
+        <p>This will only take a moment.</p>
+      </NewsletterStatus>
+    );
+  }
+
+  if (state.status === 'confirmed') {
+    return (
+      <NewsletterStatus tone='success' title='Welcome to the Family!'>
+        <p>
+          Your subscription is confirmed. The next issue of our newsletter will
+          land in your inbox.
+        </p>
+      </NewsletterStatus>
+    );
+  }
+
+  return (
+    <NewsletterStatus
+      tone='error'
+      title="We couldn't confirm your subscription"
+    >
+      <p>
+        {state.error ||
+          'This confirmation link is incomplete. Please use the link from your email.'}
+      </p>
+      <p>Links expire after two days - you can sign up again at any time.</p>
+    </NewsletterStatus>
+  );
+};
+
+export default NewsletterConfirmation;
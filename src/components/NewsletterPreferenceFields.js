@@ -0,0 +1,90 @@
+import React from 'react';
+
+import {
+  NEWSLETTER_FREQUENCIES,
+  NEWSLETTER_TOPICS,
+} from '../utils/newsletterPreferences';
+
+const legendClassName = 'text-sm font-medium text-gray-300 mb-2';
+const optionClassName =
+  'flex items-center gap-2 text-sm text-gray-300 cursor-pointer';
+const inputClassName =
+  'h-4 w-4 accent-primary-500 focus:outline-none focus:ring-2 focus:ring-primary-500 focus:ring-offset-2 focus:ring-offset-dark-800';
+
+// Topic checkboxes and frequency radios, used by the sign-up form and the
+// preferences page
+// value is { topics, frequency }; onChange receives the next value
+const NewsletterPreferenceFields = ({
+  value,
+  onChange,
+  errors = {},
+  idPrefix = 'newsletter',
+  disabled = false,
+}) => {
+  const toggleTopic = topic => {
+    const topics = value.topics.includes(topic)
+      ? value.topics.filter(selected => selected !== topic)
+      : [...value.topics, topic];
+    onChange({ ...value, topics });
+  };
+
+  return (
+    <div className='flex flex-col sm:flex-row gap-4 sm:gap-8 text-left'>
+      <fieldset
+        disabled={disabled}
+        aria-describedby={
+          errors.topics ? `${idPrefix}-topics-error` : undefined
+        }
+      >
+        <legend className={legendClassName}>Topics</legend>
+        <div className='space-y-2'>
+          {NEWSLETTER_TOPICS.map(topic => (
+            <label key={topic.value} className={optionClassName}>
+              <input
+                type='checkbox'
+                name={`${idPrefix}-topics`}
+                value={topic.value}
+                checked={value.topics.includes(topic.value)}
+                onChange={() => toggleTopic(topic.value)}
+                className={inputClassName}
+              />
+              {topic.label}
+            </label>
+          ))}
+        </div>
+        {errors.topics && (
+          <p
+            id={`${idPrefix}-topics-error`}
+            className='mt-2 text-red-400 text-xs sm:text-sm'
+            role='alert'
+          >
+            {errors.topics}
+          </p>
+        )}
+      </fieldset>
+
+      <fieldset disabled={disabled}>
+        <legend className={legendClassName}>How often</legend>
+        <div className='space-y-2'>
+          {NEWSLETTER_FREQUENCIES.map(frequency => (
+            <label key={frequency.value} className={optionClassName}>
+              <input
+                type='radio'
+                name={`${idPrefix}-frequency`}
+                value={frequency.value}
+                checked={value.frequency === frequency.value}
+                onChange={() =>
+                  onChange({ ...value, frequency: frequency.value })
+                }
+                className={inputClassName}
+              />
+              {frequency.label}
+            </label>
+          ))}
+        </div>
+      </fieldset>
+    </div>
+  );
+};
+
+export default NewsletterPreferenceFields;
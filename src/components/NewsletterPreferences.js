@@ -0,0 +1,229 @@
+import React, { useEffect, useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
+
+import {
+  ValidationError,
+  getErrorMessage,
+  getSubscription,
+  isCancelledError,
+  unsubscribe,
+  updateSubscription,
+} from '../utils/api';
+
+import NewsletterPreferenceFields from './NewsletterPreferenceFields';
+import NewsletterStatus from './NewsletterStatus';
+
+const invalidLinkMessage =
+  'This preferences link is invalid. Please use the link from one of our emails.';
+
+const describeError = error =>
+  error.code === 'NOT_FOUND' ? invalidLinkMessage : getErrorMessage(error);
+
+// /preferences?token=... - linked from the welcome email and every newsletter
+// Subscribers change topics and frequency, pause delivery or unsubscribe
+const NewsletterPreferences = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [subscription, setSubscription] = useState(null);
+  const [preferences, setPreferences] = useState(null);
+  const [status, setStatus] = useState('loading');
+  const [loadError, setLoadError] = useState('');
+  const [error, setError] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [notice, setNotice] = useState('');
+
+  useEffect(() => {
+    if (!token) return undefined;
+
+    const controller = new AbortController();
+    setStatus('loading');
+
+    getSubscription(token, { signal: controller.signal })
+      .then(result => {
+        const { topics, frequency } = result.data;
+        setSubscription(result.data);
+        setPreferences({ topics, frequency });
+        setStatus('idle');
+      })
+      .catch(loadFailure => {
+        if (isCancelledError(loadFailure)) return;
+        setLoadError(describeError(loadFailure));
+        setStatus('error');
+      });
+
+    return () => controller.abort();
+  }, [token]);
+
+  // Every action returns the updated subscription
+  const runAction = async (action, successNotice) => {
+    setStatus('submitting');
+    setError('');
+    setNotice('');
+
+    try {
+      const result = await action();
+      setSubscription(result.data);
+      setNotice(successNotice);
+    } catch (actionError) {
+      if (actionError instanceof ValidationError) {
+        setFieldErrors(actionError.fieldErrors);
+      }
+      setError(describeError(actionError));
+    } finally {
+      setStatus('idle');
+    }
+  };
+
+  const handlePreferencesChange = value => {
+    setPreferences(value);
+    setFieldErrors({});
+  };
+
+  const handleSave = e => {
+    e.preventDefault();
+
+    if (preferences.topics.length === 0) {
+      setFieldErrors({ topics: 'Please choose at least one topic' });
+      return;
+    }
+
+    runAction(
+      () => updateSubscription(token, preferences),
+      'Your preferences have been saved.'
+    );
+  };
+
+  const setSubscriptionStatus = (nextStatus, successNotice) =>
+    runAction(
+      () => updateSubscription(token, { status: nextStatus }),
+      successNotice
+    );
+
+  if (!token) {
+    return (
+      <NewsletterStatus
+        tone='error'
+        title='This preferences link is incomplete'
+      >
+        <p>Please use the preferences link from one of our emails.</p>
+      </NewsletterStatus>
+    );
+  }
+
+  if (status === 'loading') {
+    return (
+      <NewsletterStatus title='Loading your preferences...'>
+        <p>This will only take a moment.</p>
+      </NewsletterStatus>
+    );
+  }
+
+  if (status === 'error') {
+    return (
+      <NewsletterStatus tone='error' title="We couldn't load your preferences">
+        <p>{loadError}</p>
+      </NewsletterStatus>
+    );
+  }
+
+  const isSubmitting = status === 'submitting';
+  const messages = (
+    <>
+      {notice && (
+        <p className='text-green-300' role='status'>
+          {notice}
+        </p>
+      )}
+      {error && (
+        <p className='text-red-300' role='alert'>
+          {error}
+        </p>
+      )}
+    </>
+  );
+
+  if (subscription.status === 'unsubscribed') {
+    return (
+      <NewsletterStatus title="You're unsubscribed">
+        <p>
+          {subscription.email} won't receive our newsletter. Changed your mind?
+          You can subscribe again with your previous choices.
+        </p>
+        {messages}
+        <button
+          type='button'
+          onClick={() => setSubscriptionStatus('confirmed', 'Welcome back!')}
+          disabled={isSubmitting}
+          className='btn-primary disabled:opacity-50 disabled:cursor-not-allowed'
+        >
+          {isSubmitting ? 'Subscribing...' : 'Subscribe again'}
+        </button>
+      </NewsletterStatus>
+    );
+  }
+
+  const isPaused = subscription.status === 'paused';
+
+  return (
+    <NewsletterStatus title='Newsletter preferences'>
+      <p>
+        Choose what {subscription.email} hears about and how often.
+        {isPaused && ' Delivery is paused until you resume it.'}
+      </p>
+      {messages}
+      <form
+        onSubmit={handleSave}
+        className='space-y-6'
+        aria-label='Newsletter preferences form'
+        noValidate
+      >
+        <NewsletterPreferenceFields
+          value={preferences}
+          onChange={handlePreferencesChange}
+          errors={fieldErrors}
+          idPrefix='preferences'
+          disabled={isSubmitting}
+        />
+        <div className='flex flex-col sm:flex-row gap-3 justify-center'>
+          <button
+            type='submit'
+            disabled={isSubmitting}
+            className='btn-primary disabled:opacity-50 disabled:cursor-not-allowed'
+          >
+            {isSubmitting ? 'Saving...' : 'Save preferences'}
+          </button>
+          <button
+            type='button'
+            onClick={() =>
+              isPaused
+                ? setSubscriptionStatus(
+                    'confirmed',
+                    'Your newsletter will start arriving again.'
+                  )
+                : setSubscriptionStatus(
+                    'paused',
+                    "Your newsletter is paused. Resume it whenever you're ready."
+                  )
+            }
+            disabled={isSubmitting}
+            className='btn-secondary disabled:opacity-50 disabled:cursor-not-allowed'
+          >
+            {isPaused ? 'Resume newsletter' : 'Pause newsletter'}
+          </button>
+        </div>
+      </form>
+      <button
+        type='button'
+        onClick={() =>
+          runAction(() => unsubscribe(token), 'You have been unsubscribed.')
+        }
+        disabled={isSubmitting}
+        className='text-sm text-gray-400 hover:text-gray-300 underline disabled:opacity-50 disabled:cursor-not-allowed'
+      >
+        Unsubscribe from all emails
+      </button>
+    </NewsletterStatus>
+  );
+};
+
+export default NewsletterPreferences;
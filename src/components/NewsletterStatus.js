@@ -0,0 +1,66 @@
+import { motion } from 'framer-motion';
+import React from 'react';
+import {
+  FaCheckCircle,
+  FaEnvelope,
+  FaExclamationTriangle,
+} from 'react-icons/fa';
+import { Link } from 'react-router-dom';
+
+const TONES = {
+  info: {
+    Icon: FaEnvelope,
+    className: 'bg-dark-800/60 border-dark-600/30',
+    iconClassName: 'text-primary-400',
+  },
+  success: {
+    Icon: FaCheckCircle,
+    className: 'bg-green-500/20 border-green-500/30',
+    iconClassName: 'text-green-400',
+  },
+  error: {
+    Icon: FaExclamationTriangle,
+    className: 'bg-red-500/20 border-red-500/30',
+    iconClassName: 'text-red-400',
+  },
+};
+
+// Full-page message for the newsletter links sent by email
+const NewsletterStatus = ({ tone = 'info', title, children }) => {
+  const { Icon, className, iconClassName } = TONES[tone];
+
+  return (
+    <section
+      className='min-h-screen flex items-center justify-center bg-gradient-to-r from-dark-800 to-dark-900 px-4 py-24 sm:py-32'
+      aria-labelledby='newsletter-status-title'
+    >
+      <motion.div
+        initial={{ opacity: 0, y: 30 }}
+        animate={{ opacity: 1, y: 0 }}
+        className={`w-full max-w-lg rounded-2xl border p-6 sm:p-8 text-center ${className}`}
+        aria-live='polite'
+      >
+        <div className={`text-4xl sm:text-6xl mb-4 ${iconClassName}`}>
+          <Icon className='mx-auto' aria-hidden='true' />
+        </div>
+        <h1
+          id='newsletter-status-title'
+          className='text-xl sm:text-2xl font-semibold text-white mb-3'
+        >
+          {title}
+        </h1>
+        <div className='text-gray-300 text-sm sm:text-base space-y-4'>
+          {children}
+        </div>
+        <Link
+          to='/'
+          className='inline-block mt-6 text-primary-400 hover:text-primary-300 underline text-sm font-medium focus:outline-none focus:ring-2 focus:ring-primary-500 focus:ring-offset-2 focus:ring-offset-dark-800 rounded'
+        >
+          Back to the homepage
+        </Link>
+      </motion.div>
+    </section>
+  );
+};
+
+export default NewsletterStatus;
@@ -0,0 +1,76 @@
+import React, { useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
+
+import { getErrorMessage, unsubscribe } from '../utils/api';
+
+import NewsletterStatus from './NewsletterStatus';
+
+// /unsubscribe?token=... - the link at the bottom of every newsletter
+// Unsubscribing waits for a click, so mail scanners that open links can't
+// unsubscribe anyone by accident
+const NewsletterUnsubscribe = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [status, setStatus] = useState('idle');
+  const [error, setError] = useState('');
+
+  const handleUnsubscribe = async () => {
+    setStatus('submitting');
+    setError('');
+
+    try {
+      await unsubscribe(token);
+      setStatus('unsubscribed');
+    } catch (unsubscribeError) {
+      setStatus('idle');
+      setError(
+        unsubscribeError.code === 'NOT_FOUND'
+          ? 'This unsubscribe link is invalid. Please use the link from one of our emails.'
+          : getErrorMessage(unsubscribeError)
+      );
+    }
+  };
+
+  if (!token) {
+    return (
+      <NewsletterStatus
+        tone='error'
+        title='This unsubscribe link is incomplete'
+      >
+        <p>Please use the unsubscribe link from one of our emails.</p>
+      </NewsletterStatus>
+    );
+  }
+
+  if (status === 'unsubscribed') {
+    return (
+      <NewsletterStatus tone='success' title="You've been unsubscribed">
+        <p>
+          You won't receive our newsletter any more. Changed your mind? You can
+          sign up again from our homepage.
+        </p>
+      </NewsletterStatus>
+    );
+  }
+
+  return (
+    <NewsletterStatus title='Unsubscribe from our newsletter?'>
+      <p>You'll stop receiving event insights and offers from us.</p>
+      {error && (
+        <p className='text-red-300' role='alert'>
+          {error}
+        </p>
+      )}
+      <button
+        type='button'
+        onClick={handleUnsubscribe}
+        disabled={status === 'submitting'}
+        className='btn-primary disabled:opacity-50 disabled:cursor-not-allowed'
+      >
+        {status === 'submitting' ? 'Unsubscribing...' : 'Unsubscribe'}
+      </button>
+    </NewsletterStatus>
+  );
+};
+
+export default NewsletterUnsubscribe;
@@ -0,0 +1,38 @@
+import { motion } from 'framer-motion';
+import React from 'react';
+import { Link } from 'react-router-dom';
+
+import Page from './Page';
+
+// 404 for unknown routes and for detail pages whose slug doesn't exist
+const NotFound = ({ title = 'Page not found', backTo = '/', backLabel }) => (
+  <Page title={title}>
+    <section className='section-padding bg-dark-900'>
+      <motion.div
+        initial={{ opacity: 0, y: 30 }}
+        animate={{ opacity: 1, y: 0 }}
+        className='container-custom text-center max-w-2xl'
+      >
+        <p className='text-6xl sm:text-8xl font-bold gradient-text mb-4'>404</p>
+        <h1 className='text-2xl sm:text-3xl md:text-4xl font-bold mb-4 sm:mb-6'>
+          {title}
+        </h1>
+        <p className='text-base sm:text-lg text-gray-300 mb-8'>
+          The page you're looking for doesn't exist or has moved.
+        </p>
+        <div className='flex flex-col sm:flex-row gap-3 sm:gap-4 justify-center'>
+          {backLabel && (
+            <Link to={backTo} className='btn-secondary px-6 py-3'>
+              {backLabel}
+            </Link>
+          )}
+          <Link to='/' className='btn-primary px-6 py-3'>
+            Back to the homepage
+          </Link>
+        </div>
+      </motion.div>
+    </section>
+  </Page>
+);
+
+export default NotFound;
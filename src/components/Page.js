@@ -0,0 +1,25 @@
+import React, { useEffect } from 'react';
+
+const SITE_NAME = 'INAD PROMOTION';
+
+// Wrapper for every route except the homepage
+// Clears the fixed navbar and names the page in the browser tab. Pages built
+// from homepage sections (which use h2s) pass `heading` for a hidden h1.
+const Page = ({ title, heading, children }) => {
+  useEffect(() => {
+    const previousTitle = document.title;
+    document.title = title ? `${title} | ${SITE_NAME}` : SITE_NAME;
+    return () => {
+      document.title = previousTitle;
+    };
+  }, [title]);
+
+  return (
+    <main className='pt-16 sm:pt-20'>
+      {heading && <h1 className='sr-only'>{heading}</h1>}
+      {children}
+    </main>
+  );
+};
+
+export default Page;
@@ -0,0 +1,134 @@
+import { motion } from 'framer-motion';
+import React from 'react';
+import { Link, useParams } from 'react-router-dom';
+
+import { portfolioItems as seedPortfolioItems } from '../data/seedContent';
+import useApiData from '../hooks/useApiData';
+import { getPortfolioItems } from '../utils/api';
+
+import NotFound from './NotFound';
+import Page from './Page';
+import SectionSkeleton from './SectionSkeleton';
+
+// Number of other projects suggested below a project
+const RELATED_COUNT = 3;
+
+// /work/:slug
+const ProjectDetail = () => {
+  const { slug } = useParams();
+  const { data: projects, isLoading } = useApiData(
+    options => getPortfolioItems(null, options),
+    seedPortfolioItems
+  );
+
+  if (isLoading) {
+    return (
+      <Page title='Our work'>
+        <section className='section-padding bg-dark-900'>
+          <div className='container-custom max-w-4xl'>
+            <SectionSkeleton
+              count={1}
+              mediaClassName='aspect-[16/9]'
+              label='Loading project'
+            />
+          </div>
+        </section>
+      </Page>
+    );
+  }
+
+  const project = projects.find(candidate => candidate.slug === slug);
+  if (!project) {
+    return (
+      <NotFound
+        title='Project not found'
+        backTo='/work'
+        backLabel='All projects'
+      />
+    );
+  }
+
+  // Same category first, then the rest
+  const related = projects
+    .filter(candidate => candidate.slug && candidate.slug !== slug)
+    .sort(
+      (a, b) =>
+        (b.category === project.category) - (a.category === project.category)
+    )
+    .slice(0, RELATED_COUNT);
+
+  return (
+    <Page title={project.title}>
+      <section className='section-padding bg-dark-900'>
+        <div className='container-custom max-w-4xl'>
+          <Link
+            to='/work'
+            className='inline-block mb-8 text-sm text-primary-400 hover:text-primary-300 transition-colors duration-300'
+          >
+            ← All projects
+          </Link>
+
+          <motion.article
+            initial={{ opacity: 0, y: 30 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ duration: 0.6 }}
+          >
+            <div className='aspect-[16/9] overflow-hidden rounded-2xl border border-dark-600/30 mb-6 sm:mb-8'>
+              <img
+                src={project.image}
+                alt={project.title}
+                className='w-full h-full object-cover'
+              />
+            </div>
+            <span className='inline-block px-3 py-1 bg-primary-500/20 text-primary-300 text-xs sm:text-sm font-medium rounded-full mb-3 sm:mb-4 border border-primary-500/30'>
+              {project.category}
+            </span>
+            <h1 className='text-2xl sm:text-3xl md:text-4xl font-bold mb-4 sm:mb-6 text-white'>
+              {project.title}
+            </h1>
+            <p className='text-base sm:text-lg text-gray-300 mb-8 leading-relaxed'>
+              {project.description}
+            </p>
+            <Link
+              to='/contact'
+              className='btn-primary inline-block text-base sm:text-lg px-8 py-3 sm:py-4'
+            >
+              Plan Something Similar
+            </Link>
+          </motion.article>
+
+          {related.length > 0 && (
+            <nav className='mt-12 sm:mt-16' aria-label='More projects'>
+              <h2 className='text-lg sm:text-xl font-semibold text-white mb-4'>
+                More projects
+              </h2>
+              <ul className='grid grid-cols-1 sm:grid-cols-3 gap-4'>
+                {related.map(other => (
+                  <li key={other.slug}>
+                    <Link
+                      to={`/work/${other.slug}`}
+                      className='group block rounded-xl overflow-hidden border border-dark-600/30 hover:border-primary-500/50 bg-dark-700/30 transition-colors duration-300'
+                    >
+                      <div className='aspect-[4/3] overflow-hidden'>
+                        <img
+                          src={other.image}
+                          alt=''
+                          className='w-full h-full object-cover group-hover:scale-110 transition-transform duration-500'
+                        />
+                      </div>
+                      <span className='block px-4 py-3 text-sm text-gray-300 group-hover:text-primary-300'>
+                        {other.title}
+                      </span>
+                    </Link>
+                  </li>
+                ))}
+              </ul>
+            </nav>
+          )}
+        </div>
+      </section>
+    </Page>
+  );
+};
+
+export default ProjectDetail;
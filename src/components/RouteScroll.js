@@ -0,0 +1,48 @@
+import { useEffect, useRef } from 'react';
+import { useLocation } from 'react-router-dom';
+
+// Sections below the fold may still be loading when a hash link is followed
+const HASH_RETRY_DELAY = 100;
+const HASH_RETRY_LIMIT = 10;
+
+// Scrolls to the top when a link is followed and to the section for
+// '/#section' links. Query-only changes (filters, paging) keep the position.
+// Renders nothing - mount once inside the router
+const RouteScroll = () => {
+  const { pathname, search, hash, key } = useLocation();
+  const previous = useRef(null);
+
+  useEffect(() => {
+    const last = previous.current;
+    previous.current = { pathname, search };
+
+    if (!hash) {
+      // Leave the initial load to the browser's own scroll restoration
+      const queryOnly =
+        last && last.pathname === pathname && last.search !== search;
+      if (last && !queryOnly) window.scrollTo(0, 0);
+      return undefined;
+    }
+
+    const id = decodeURIComponent(hash.slice(1));
+    let attempts = 0;
+    let timer;
+
+    const scrollToHash = () => {
+      const element = document.getElementById(id);
+      if (element) {
+        element.scrollIntoView({ behavior: 'smooth' });
+      } else if (attempts < HASH_RETRY_LIMIT) {
+        attempts += 1;
+        timer = setTimeout(scrollToHash, HASH_RETRY_DELAY);
+      }
+    };
+
+    scrollToHash();
+    return () => clearTimeout(timer);
+  }, [pathname, search, hash, key]);
+
+  return null;
+};
+
+export default RouteScroll;
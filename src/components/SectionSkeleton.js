@@ -0,0 +1,33 @@
+import React from 'react';
+
+// Placeholder card matching the layout of the section cards
+const SkeletonCard = ({ mediaClassName, lines }) => (
+  <div className='bg-dark-700/50 rounded-2xl overflow-hidden border border-dark-600/30 animate-pulse'>
+    {mediaClassName && <div className={`${mediaClassName} bg-dark-600/50`} />}
+    <div className='p-6 sm:p-8 space-y-3'>
+      <div className='h-4 w-1/3 bg-dark-600/50 rounded' />
+      <div className='h-6 w-3/4 bg-dark-600/50 rounded' />
+      {Array.from({ length: lines }, (_, index) => (
+        <div key={index} className='h-4 w-full bg-dark-600/40 rounded' />
+      ))}
+    </div>
+  </div>
+);
+
+// Grid of placeholder cards shown while section data loads
+const SectionSkeleton = ({
+  count = 3,
+  className = '',
+  mediaClassName = null,
+  lines = 2,
+  label = 'Loading content',
+}) => (
+  <div className={className} role='status' aria-busy='true'>
+    <span className='sr-only'>{label}</span>
+    {Array.from({ length: count }, (_, index) => (
+      <SkeletonCard key={index} mediaClassName={mediaClassName} lines={lines} />
+    ))}
+  </div>
+);
+
+export default SectionSkeleton;
@@ -0,0 +1,130 @@
+import { motion } from 'framer-motion';
+import React from 'react';
+import { FaLightbulb } from 'react-icons/fa';
+import { Link, useParams } from 'react-router-dom';
+
+import { services as seedServices } from '../data/seedContent';
+import useApiData from '../hooks/useApiData';
+import { getServices } from '../utils/api';
+
+import NotFound from './NotFound';
+import Page from './Page';
+import SectionSkeleton from './SectionSkeleton';
+import { serviceIcons } from './Services';
+
+// /services/:slug
+const ServiceDetail = () => {
+  const { slug } = useParams();
+  const { data: services, isLoading } = useApiData(
+    options => getServices(options),
+    seedServices
+  );
+
+  if (isLoading) {
+    return (
+      <Page title='Services'>
+        <section className='section-padding bg-dark-800'>
+          <div className='container-custom max-w-4xl'>
+            <SectionSkeleton count={1} lines={6} label='Loading service' />
+          </div>
+        </section>
+      </Page>
+    );
+  }
+
+  const service = services.find(candidate => candidate.slug === slug);
+  if (!service) {
+    return (
+      <NotFound
+        title='Service not found'
+        backTo='/services'
+        backLabel='All services'
+      />
+    );
+  }
+
+  const Icon = serviceIcons[service.icon] || FaLightbulb;
+  const otherServices = services.filter(
+    candidate => candidate.slug && candidate.slug !== slug
+  );
+
+  return (
+    <Page title={service.title}>
+      <section className='section-padding bg-dark-800'>
+        <div className='container-custom max-w-4xl'>
+          <Link
+            to='/services'
+            className='inline-block mb-8 text-sm text-primary-400 hover:text-primary-300 transition-colors duration-300'
+          >
+            ← All services
+          </Link>
+
+          <motion.article
+            initial={{ opacity: 0, y: 30 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ duration: 0.6 }}
+            className='bg-dark-700/50 backdrop-blur-sm rounded-2xl p-6 sm:p-10 border border-dark-600/30'
+          >
+            <div className='text-primary-400 mb-4 sm:mb-6'>
+              <Icon className='text-4xl sm:text-5xl' aria-hidden='true' />
+            </div>
+            <h1 className='text-2xl sm:text-3xl md:text-4xl font-bold mb-4 sm:mb-6 text-white'>
+              {service.title}
+            </h1>
+            <p className='text-base sm:text-lg text-gray-300 mb-6 sm:mb-8 leading-relaxed'>
+              {service.description}
+            </p>
+
+            {service.features && service.features.length > 0 && (
+              <>
+                <h2 className='text-lg sm:text-xl font-semibold text-white mb-4'>
+                  What's included
+                </h2>
+                <ul className='grid grid-cols-1 sm:grid-cols-2 gap-3 mb-8'>
+                  {service.features.map(feature => (
+                    <li
+                      key={feature}
+                      className='flex items-center text-gray-300 text-sm sm:text-base'
+                    >
+                      <div className='w-2 h-2 bg-primary-400 rounded-full mr-3 flex-shrink-0'></div>
+                      {feature}
+                    </li>
+                  ))}
+                </ul>
+              </>
+            )}
+
+            <Link
+              to='/contact'
+              className='btn-primary inline-block text-base sm:text-lg px-8 py-3 sm:py-4'
+            >
+              Get a Custom Quote
+            </Link>
+          </motion.article>
+
+          {otherServices.length > 0 && (
+            <nav className='mt-12' aria-label='Other services'>
+              <h2 className='text-lg sm:text-xl font-semibold text-white mb-4'>
+                Other services
+              </h2>
+              <ul className='grid grid-cols-1 sm:grid-cols-2 gap-3'>
+                {otherServices.map(other => (
+                  <li key={other.slug}>
+                    <Link
+                      to={`/services/${other.slug}`}
+                      className='block rounded-xl border border-dark-600/30 hover:border-primary-500/50 bg-dark-700/30 px-4 py-3 text-gray-300 hover:text-primary-300 transition-colors duration-300'
+                    >
+                      {other.title}
+                    </Link>
+                  </li>
+                ))}
+              </ul>
+            </nav>
+          )}
+        </div>
+      </section>
+    </Page>
+  );
+};
+
+export default ServiceDetail;
@@ -0,0 +1,164 @@
+import { fireEvent, render, screen, within } from '@testing-library/react';
+import React from 'react';
+import { MemoryRouter, Route, Routes, useLocation } from 'react-router-dom';
+
+import apiService from '../../utils/api';
+import { createMockBackend } from '../../utils/mockBackend';
+import BlogIndex from '../BlogIndex';
+
+// resetMocks clears the setupTests matchMedia stub, which framer-motion reads
+const mockMatchMedia = () => {
+  window.matchMedia = jest.fn().mockImplementation(query => ({
+    matches: false,
+    media: query,
+    addListener: jest.fn(),
+    removeListener: jest.fn(),
+  }));
+};
+
+const LocationSearch = () => (
+  <output data-testid='search'>{useLocation().search}</output>
+);
+
+const renderAt = path =>
+  render(
+    <MemoryRouter initialEntries={[path]}>
+      <Routes>
+        <Route
+          path='/blog'
+          element={
+            <>
+              <BlogIndex />
+              <LocationSearch />
+            </>
+          }
+        />
+      </Routes>
+    </MemoryRouter>
+  );
+
+const articleTitles = () =>
+  within(screen.getByRole('list', { name: /Articles/ }))
+    .getAllByRole('heading', { level: 3 })
+    .map(heading => heading.textContent);
+
+describe('BlogIndex', () => {
+  let backend;
+
+  beforeEach(() => {
+    mockMatchMedia();
+    backend = createMockBackend();
+    // Enough posts for a second page
+    const [template] = backend.db.blogPosts;
+    backend.db.blogPosts.push(
+      ...Array.from({ length: 5 }, (_, index) => ({
+        ...template,
+        id: 100 + index,
+        slug: `extra-post-${index + 1}`,
+        title: `Extra post ${index + 1}`,
+        excerpt: 'More news from the studio.',
+        tags: [],
+      }))
+    );
+    apiService.setTransport(backend.fetch);
+    apiService.invalidate();
+  });
+
+  afterEach(() => {
+    apiService.setTransport(null);
+  });
+
+  test('pages through the posts with links that keep the URL in sync', async () => {
+    renderAt('/blog');
+
+    expect(await screen.findByText('8 articles')).toBeInTheDocument();
+    expect(articleTitles()).toHaveLength(6);
+
+    const pages = screen.getByRole('navigation', { name: 'Blog pages' });
+    expect(within(pages).getByRole('link', { name: 'Page 1' })).toHaveAttribute(
+      'aria-current',
+      'page'
+    );
+
+    fireEvent.click(within(pages).getByRole('link', { name: 'Next →' }));
+
+    expect(await screen.findByText('Extra post 5')).toBeInTheDocument();
+    expect(articleTitles()).toEqual(['Extra post 4', 'Extra post 5']);
+    expect(screen.getByTestId('search')).toHaveTextContent('?page=2');
+    expect(
+      screen.getByRole('heading', { name: 'Articles, page 2 of 2' })
+    ).toHaveFocus();
+  });
+
+  test('reads the page number from the URL', async () => {
+    renderAt('/blog?page=2');
+
+    expect(await screen.findByText('Extra post 4')).toBeInTheDocument();
+    expect(screen.getByRole('link', { name: 'Page 2' })).toHaveAttribute(
+      'aria-current',
+      'page'
+    );
+  });
+
+  test('filters by category and tag chips', async () => {
+    renderAt('/blog?page=2');
+    await screen.findByText('Extra post 4');
+
+    const categories = screen.getByRole('group', {
+      name: 'Filter by category',
+    });
+    fireEvent.click(
+      within(categories).getByRole('button', { name: 'Strategy' })
+    );
+
+    expect(await screen.findByText('1 article')).toBeInTheDocument();
+    expect(articleTitles()).toEqual([
+      'How to Measure ROI in Experiential Campaigns',
+    ]);
+    expect(
+      within(categories).getByRole('button', { name: 'Strategy' })
+    ).toHaveAttribute('aria-pressed', 'true');
+    // Filtering starts again from the first page
+    expect(screen.getByTestId('search')).toHaveTextContent(
+      /^\?category=Strategy$/
+    );
+
+    fireEvent.click(
+      within(categories).getByRole('button', { name: 'Strategy' })
+    );
+    expect(await screen.findByText('8 articles')).toBeInTheDocument();
+
+    const tags = screen.getByRole('group', { name: 'Filter by tag' });
+    fireEvent.click(within(tags).getByRole('button', { name: '#immersive' }));
+
+    expect(await screen.findByText('1 article')).toBeInTheDocument();
+    expect(articleTitles()).toEqual(['Creating Immersive Brand Experiences']);
+  });
+
+  test('searches titles and excerpts and shows an empty state', async () => {
+    renderAt('/blog');
+    await screen.findByText('8 articles');
+
+    const search = screen.getByRole('searchbox', { name: 'Search articles' });
+    fireEvent.change(search, { target: { value: 'roi' } });
+
+    expect(await screen.findByText('1 result for “roi”')).toBeInTheDocument();
+    expect(articleTitles()).toEqual([
+      'How to Measure ROI in Experiential Campaigns',
+    ]);
+    expect(screen.getByTestId('search')).toHaveTextContent('?q=roi');
+
+    fireEvent.change(search, { target: { value: 'no such words' } });
+
+    expect(
+      await screen.findByRole('heading', { name: 'No articles found' })
+    ).toBeInTheDocument();
+
+    fireEvent.click(
+      screen.getByRole('button', { name: 'Clear search and filters' })
+    );
+
+    expect(await screen.findByText('8 articles')).toBeInTheDocument();
+    expect(search).toHaveValue('');
+  });
+});
@@ -0,0 +1,106 @@
+import { fireEvent, render, screen, within } from '@testing-library/react';
+import React from 'react';
+import { MemoryRouter, Route, Routes } from 'react-router-dom';
+
+import apiService from '../../utils/api';
+import { createMockBackend } from '../../utils/mockBackend';
+import BlogPost from '../BlogPost';
+
+// resetMocks clears the setupTests matchMedia stub, which framer-motion reads
+const mockMatchMedia = () => {
+  window.matchMedia = jest.fn().mockImplementation(query => ({
+    matches: false,
+    media: query,
+    addListener: jest.fn(),
+    removeListener: jest.fn(),
+  }));
+};
+
+const renderAt = path =>
+  render(
+    <MemoryRouter initialEntries={[path]}>
+      <Routes>
+        <Route path='/blog/:slug' element={<BlogPost />} />
+      </Routes>
+    </MemoryRouter>
+  );
+
+describe('BlogPost', () => {
+  let backend;
+
+  beforeEach(() => {
+    mockMatchMedia();
+    backend = createMockBackend();
+    apiService.setTransport(backend.fetch);
+    apiService.invalidate();
+  });
+
+  afterEach(() => {
+    apiService.setTransport(null);
+  });
+
+  test('renders the Markdown body with byline and table of contents', async () => {
+    renderAt('/blog/future-of-experiential-marketing-2024');
+
+    expect(
+      await screen.findByRole('heading', {
+        level: 1,
+        name: 'The Future of Experiential Marketing in 2024',
+      })
+    ).toBeInTheDocument();
+    expect(screen.getByText(/Selam Tesfaye/)).toBeInTheDocument();
+    expect(screen.getByText(/\d+ min read/)).toBeInTheDocument();
+
+    const toc = screen.getByRole('navigation', { name: 'In this article' });
+    expect(
+      within(toc).getByRole('link', { name: 'Hybrid by default' })
+    ).toHaveAttribute(
+      'href',
+      '/blog/future-of-experiential-marketing-2024#hybrid-by-default'
+    );
+    expect(
+      screen.getByRole('heading', { level: 2, name: 'Hybrid by default' })
+    ).toHaveAttribute('id', 'hybrid-by-default');
+    expect(screen.getByRole('link', { name: 'get in touch' })).toHaveAttribute(
+      'href',
+      '/contact'
+    );
+  });
+
+  test('links to the neighbouring posts', async () => {
+    renderAt('/blog/measuring-roi-in-experiential-campaigns');
+
+    const navigation = await screen.findByRole('navigation', {
+      name: 'More articles',
+    });
+    expect(
+      within(navigation).getByRole('link', { name: /Previous article/ })
+    ).toHaveAttribute('href', '/blog/creating-immersive-brand-experiences');
+
+    fireEvent.click(
+      within(navigation).getByRole('link', { name: /Next article/ })
+    );
+    // The previous post never shows under the new URL
+    expect(screen.getByText('Loading article')).toBeInTheDocument();
+    expect(
+      screen.queryByRole('heading', {
+        level: 1,
+        name: 'How to Measure ROI in Experiential Campaigns',
+      })
+    ).not.toBeInTheDocument();
+    expect(
+      await screen.findByRole('heading', {
+        level: 1,
+        name: 'The Future of Experiential Marketing in 2024',
+      })
+    ).toBeInTheDocument();
+  });
+
+  test('shows a 404 for an unknown post', async () => {
+    renderAt('/blog/no-such-post');
+
+    expect(
+      await screen.findByRole('heading', { name: 'Article not found' })
+    ).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,58 @@
+import { render, screen } from '@testing-library/react';
+import React from 'react';
+import { MemoryRouter } from 'react-router-dom';
+
+import Navbar from '../Navbar';
+
+// resetMocks clears the setupTests matchMedia stub, which framer-motion reads
+const mockMatchMedia = () => {
+  window.matchMedia = jest.fn().mockImplementation(query => ({
+    matches: false,
+    media: query,
+    addListener: jest.fn(),
+    removeListener: jest.fn(),
+  }));
+};
+
+const renderAt = path =>
+  render(
+    <MemoryRouter initialEntries={[path]}>
+      <Navbar />
+    </MemoryRouter>
+  );
+
+describe('Navbar', () => {
+  beforeEach(() => {
+    mockMatchMedia();
+  });
+
+  test('links to each page', () => {
+    renderAt('/');
+
+    expect(screen.getByRole('link', { name: 'Services' })).toHaveAttribute(
+      'href',
+      '/services'
+    );
+    expect(screen.getByRole('link', { name: 'Work' })).toHaveAttribute(
+      'href',
+      '/work'
+    );
+    expect(screen.getByRole('link', { name: /Get started/i })).toHaveAttribute(
+      'href',
+      '/contact'
+    );
+  });
+
+  test('marks the current page, including detail pages', () => {
+    renderAt('/services/event-planning');
+
+    expect(screen.getByRole('link', { name: 'Services' })).toHaveAttribute(
+      'aria-current',
+      'page'
+    );
+    // Home only matches the homepage itself
+    expect(screen.getByRole('link', { name: 'Home' })).not.toHaveAttribute(
+      'aria-current'
+    );
+  });
+});
@@ -2,6 +2,8 @@ import { render, screen, fireEvent, waitFor } from '@testing-library/react';
 import React from 'react';
 import { act } from 'react-dom/test-utils';
 
+import apiService from '../../utils/api';
+import { createMockBackend } from '../../utils/mockBackend';
 import Newsletter from '../Newsletter';
 
 // Mock framer-motion
@@ -23,6 +25,12 @@ describe('Newsletter Component', () => {
   beforeEach(() => {
     // Clear localStorage before each test
     localStorage.clear();
+    // Subscriptions go to an in-process backend with a short round trip
+    apiService.setTransport(createMockBackend({ latency: 100 }).fetch);
+  });
+
+  afterEach(() => {
+    apiService.setTransport(null);
   });
 
   test('renders newsletter section with correct heading', () => {
@@ -156,7 +164,7 @@ describe('Newsletter Component', () => {
 
     // Wait for submission to complete
     await waitFor(() => {
-      expect(screen.getByText(/Welcome to the Family!/i)).toBeInTheDocument();
+      expect(screen.getByText(/Check your inbox/i)).toBeInTheDocument();
     });
 
     // Fast-forward timers to test auto-reset
@@ -166,9 +174,7 @@ describe('Newsletter Component', () => {
 
     // Form should reset
     await waitFor(() => {
-      expect(
-        screen.queryByText(/Welcome to the Family!/i)
-      ).not.toBeInTheDocument();
+      expect(screen.queryByText(/Check your inbox/i)).not.toBeInTheDocument();
       expect(emailInput.value).toBe('');
     });
 
@@ -236,7 +242,7 @@ describe('Newsletter Component', () => {
 
     // Should trigger submission
     await waitFor(() => {
-      expect(screen.getByText(/Welcome to the Family!/i)).toBeInTheDocument();
+      expect(screen.getByText(/Check your inbox/i)).toBeInTheDocument();
     });
   });
 
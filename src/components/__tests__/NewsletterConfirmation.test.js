@@ -0,0 +1,60 @@
+import { render, screen } from '@testing-library/react';
+import React from 'react';
+import { MemoryRouter } from 'react-router-dom';
+
+import apiService, { subscribeNewsletter } from '../../utils/api';
+import { createMockBackend } from '../../utils/mockBackend';
+import NewsletterConfirmation from '../NewsletterConfirmation';
+
+jest.mock('framer-motion', () => ({
+  motion: {
+    div: ({ children, initial, animate, ...props }) => (
+      <div {...props}>{children}</div>
+    ),
+  },
+}));
+
+const renderAt = path =>
+  render(
+    <MemoryRouter initialEntries={[path]}>
+      <NewsletterConfirmation />
+    </MemoryRouter>
+  );
+
+describe('NewsletterConfirmation', () => {
+  let backend;
+
+  beforeEach(() => {
+    backend = createMockBackend();
+    apiService.setTransport(backend.fetch);
+  });
+
+  afterEach(() => {
+    apiService.setTransport(null);
+  });
+
+  test('confirms the subscription from the emailed link', async () => {
+    await subscribeNewsletter('reader@example.com');
+    renderAt(backend.db.emails[0].link);
+
+    expect(
+      screen.getByText(/Confirming your subscription/i)
+    ).toBeInTheDocument();
+    expect(
+      await screen.findByRole('heading', { name: /Welcome to the Family!/i })
+    ).toBeInTheDocument();
+    expect(backend.db.subscribers[0].status).toBe('confirmed');
+  });
+
+  test('explains invalid and incomplete links', async () => {
+    const { unmount } = renderAt('/confirm?token=unknown');
+
+    expect(
+      await screen.findByText(/invalid or has expired/i)
+    ).toBeInTheDocument();
+    unmount();
+
+    renderAt('/confirm');
+    expect(screen.getByText(/link is incomplete/i)).toBeInTheDocument();
+  });
+});
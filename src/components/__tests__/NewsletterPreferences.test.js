@@ -0,0 +1,103 @@
+import { fireEvent, render, screen } from '@testing-library/react';
+import React from 'react';
+import { MemoryRouter } from 'react-router-dom';
+
+import apiService, {
+  confirmSubscription,
+  subscribeNewsletter,
+} from '../../utils/api';
+import { createMockBackend } from '../../utils/mockBackend';
+import NewsletterPreferences from '../NewsletterPreferences';
+
+jest.mock('framer-motion', () => ({
+  motion: {
+    div: ({ children, initial, animate, ...props }) => (
+      <div {...props}>{children}</div>
+    ),
+  },
+}));
+
+const renderAt = path =>
+  render(
+    <MemoryRouter initialEntries={[path]}>
+      <NewsletterPreferences />
+    </MemoryRouter>
+  );
+
+describe('NewsletterPreferences', () => {
+  let backend;
+
+  beforeEach(async () => {
+    backend = createMockBackend();
+    apiService.setTransport(backend.fetch);
+
+    await subscribeNewsletter('reader@example.com');
+    await confirmSubscription(backend.db.subscribers[0].confirmToken);
+  });
+
+  afterEach(() => {
+    apiService.setTransport(null);
+  });
+
+  test('saves topics and frequency', async () => {
+    renderAt(backend.db.emails[1].link);
+
+    fireEvent.click(await screen.findByLabelText('Agency news'));
+    fireEvent.click(screen.getByLabelText('Weekly'));
+    fireEvent.click(screen.getByRole('button', { name: 'Save preferences' }));
+
+    expect(
+      await screen.findByText('Your preferences have been saved.')
+    ).toBeInTheDocument();
+    expect(backend.db.subscribers[0]).toMatchObject({
+      topics: ['event_trends', 'case_studies'],
+      frequency: 'weekly',
+    });
+  });
+
+  test('requires at least one topic', async () => {
+    renderAt(backend.db.emails[1].link);
+
+    fireEvent.click(await screen.findByLabelText('Event trends'));
+    fireEvent.click(screen.getByLabelText('Case studies'));
+    fireEvent.click(screen.getByLabelText('Agency news'));
+    fireEvent.click(screen.getByRole('button', { name: 'Save preferences' }));
+
+    expect(
+      screen.getByText('Please choose at least one topic')
+    ).toBeInTheDocument();
+  });
+
+  test('pauses, unsubscribes and subscribes again', async () => {
+    renderAt(backend.db.emails[1].link);
+
+    fireEvent.click(
+      await screen.findByRole('button', { name: 'Pause newsletter' })
+    );
+    expect(
+      await screen.findByRole('button', { name: 'Resume newsletter' })
+    ).toBeInTheDocument();
+    expect(backend.db.subscribers[0].status).toBe('paused');
+
+    fireEvent.click(
+      screen.getByRole('button', { name: 'Unsubscribe from all emails' })
+    );
+    fireEvent.click(
+      await screen.findByRole('button', { name: 'Subscribe again' })
+    );
+    expect(await screen.findByText('Welcome back!')).toBeInTheDocument();
+    expect(backend.db.subscribers[0].status).toBe('confirmed');
+  });
+
+  test('explains invalid and incomplete links', async () => {
+    const { unmount } = renderAt('/preferences?token=unknown');
+
+    expect(
+      await screen.findByText(/preferences link is invalid/i)
+    ).toBeInTheDocument();
+    unmount();
+
+    renderAt('/preferences');
+    expect(screen.getByText(/link is incomplete/i)).toBeInTheDocument();
+  });
+});
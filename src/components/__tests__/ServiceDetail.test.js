@@ -0,0 +1,74 @@
+import { render, screen, waitFor } from '@testing-library/react';
+import React from 'react';
+import { MemoryRouter, Route, Routes } from 'react-router-dom';
+
+import apiService from '../../utils/api';
+import { createMockBackend } from '../../utils/mockBackend';
+import ServiceDetail from '../ServiceDetail';
+
+// resetMocks clears the setupTests matchMedia stub, which framer-motion reads
+const mockMatchMedia = () => {
+  window.matchMedia = jest.fn().mockImplementation(query => ({
+    matches: false,
+    media: query,
+    addListener: jest.fn(),
+    removeListener: jest.fn(),
+  }));
+};
+
+const renderAt = path =>
+  render(
+    <MemoryRouter initialEntries={[path]}>
+      <Routes>
+        <Route path='/services/:slug' element={<ServiceDetail />} />
+      </Routes>
+    </MemoryRouter>
+  );
+
+describe('ServiceDetail', () => {
+  beforeEach(() => {
+    mockMatchMedia();
+    apiService.setTransport(createMockBackend().fetch);
+    apiService.invalidate();
+  });
+
+  afterEach(() => {
+    apiService.setTransport(null);
+  });
+
+  test('shows the service for the slug', async () => {
+    renderAt('/services/event-planning');
+
+    expect(
+      await screen.findByRole('heading', {
+        level: 1,
+        name: 'Event Planning & Management',
+      })
+    ).toBeInTheDocument();
+    expect(screen.getByText('Venue Selection')).toBeInTheDocument();
+    await waitFor(() =>
+      expect(document.title).toMatch(/^Event Planning & Management \|/)
+    );
+    // The current service isn't offered again under "Other services"
+    expect(
+      screen.getByRole('link', {
+        name: 'Creative Strategy & Concept Development',
+      })
+    ).toHaveAttribute('href', '/services/creative-strategy');
+    expect(
+      screen.queryByRole('link', { name: 'Event Planning & Management' })
+    ).not.toBeInTheDocument();
+  });
+
+  test('shows a 404 for an unknown slug', async () => {
+    renderAt('/services/juggling');
+
+    expect(
+      await screen.findByRole('heading', { name: 'Service not found' })
+    ).toBeInTheDocument();
+    expect(screen.getByRole('link', { name: 'All services' })).toHaveAttribute(
+      'href',
+      '/services'
+    );
+  });
+});
@@ -0,0 +1,339 @@
+// Default content for the marketing sections
+// Shown while offline or when the API is unavailable, so the site never
+// renders empty. Icons are referenced by key and resolved in the components.
+
+export const services = [
+  {
+    id: 1,
+    slug: 'creative-strategy',
+    icon: 'lightbulb',
+    title: 'Creative Strategy & Concept Development',
+    description:
+      'We develop innovative concepts that align with your brand objectives and resonate with your target audience.',
+    features: [
+      'Brand Analysis',
+      'Concept Ideation',
+      'Creative Direction',
+      'Strategic Planning',
+    ],
+  },
+  {
+    id: 2,
+    slug: 'event-planning',
+    icon: 'map-marker',
+    title: 'Event Planning & Management',
+    description:
+      'From intimate gatherings to large-scale productions, we handle every detail with precision and creativity.',
+    features: [
+      'Venue Selection',
+      'Logistics Management',
+      'Timeline Planning',
+      'Risk Management',
+    ],
+  },
+  {
+    id: 3,
+    slug: 'roadshow-tours',
+    icon: 'route',
+    title: 'Roadshow & Tour Management',
+    description:
+      'Take your brand on the road with our comprehensive tour management and activation services.',
+    features: [
+      'Route Planning',
+      'Local Partnerships',
+      'Audience Engagement',
+      'Performance Tracking',
+    ],
+  },
+  {
+    id: 4,
+    slug: 'promotional-campaigns',
+    icon: 'gift',
+    title: 'Promotional Campaigns',
+    description:
+      'Strategic promotional campaigns that drive awareness, engagement, and conversions.',
+    features: [
+      'Campaign Strategy',
+      'Content Creation',
+      'Distribution',
+      'Performance Analysis',
+    ],
+  },
+  {
+    id: 5,
+    slug: 'performance-marketing',
+    icon: 'chart-line',
+    title: 'Performance Marketing',
+    description:
+      'Data-driven marketing strategies that deliver measurable results and ROI.',
+    features: [
+      'Analytics & Reporting',
+      'A/B Testing',
+      'Optimization',
+      'ROI Tracking',
+    ],
+  },
+];
+
+export const portfolioItems = [
+  {
+    id: 1,
+    slug: 'tech-conference-2024',
+    title: 'Tech Conference 2024',
+    description: 'Immersive tech experience with interactive installations',
+    category: 'Technology',
+    featured: true,
+    image:
+      'https://images.unsplash.com/photo-1540575467063-178a50c2df87?w=800&h=600&fit=crop',
+  },
+  {
+    id: 2,
+    slug: 'fashion-week-activation',
+    title: 'Fashion Week Activation',
+    description: 'Multi-sensory brand experience for luxury fashion house',
+    category: 'Fashion',
+    featured: true,
+    image:
+      'https://images.unsplash.com/photo-1441986300917-64674bd600d8?w=800&h=600&fit=crop',
+  },
+  {
+    id: 3,
+    slug: 'product-launch-event',
+    title: 'Product Launch Event',
+    description: 'Spectacular launch with holographic displays and AR',
+    category: 'Product Launch',
+    featured: true,
+    image:
+      'https://images.unsplash.com/photo-1515187029135-18ee286d815b?w=800&h=600&fit=crop',
+  },
+  {
+    id: 4,
+    slug: 'brand-roadshow',
+    title: 'Brand Roadshow',
+    description: 'Multi-city tour bringing the brand to local communities',
+    category: 'Roadshow',
+    featured: false,
+    image:
+      'https://images.unsplash.com/photo-1511795409834-ef04bbd61622?w=800&h=600&fit=crop',
+  },
+  {
+    id: 5,
+    slug: 'interactive-installation',
+    title: 'Interactive Installation',
+    description: 'Hands-on installation that turned visitors into storytellers',
+    category: 'Installation',
+    featured: false,
+    image:
+      'https://images.unsplash.com/photo-1513151233558-d860c5398176?w=800&h=600&fit=crop',
+  },
+  {
+    id: 6,
+    slug: 'corporate-event',
+    title: 'Corporate Event',
+    description: 'Annual summit combining keynotes with live brand moments',
+    category: 'Corporate',
+    featured: false,
+    image:
+      'https://images.unsplash.com/photo-1515187029135-18ee286d815b?w=800&h=600&fit=crop',
+  },
+];
+
+export const blogPosts = [
+  {
+    id: 1,
+    slug: 'future-of-experiential-marketing-2024',
+    title: 'The Future of Experiential Marketing in 2024',
+    excerpt:
+      'Discover the latest trends and technologies that are shaping the future of experiential marketing and how brands can stay ahead of the curve.',
+    category: 'Trends',
+    image:
+      'https://images.unsplash.com/photo-1540575467063-178a50c2df87?w=800&h=400&fit=crop',
+    date: 'March 15, 2024',
+    tags: ['hybrid events', 'personalisation', 'sustainability'],
+    author: { name: 'Selam Tesfaye', role: 'Creative Director' },
+    content: `Experiential marketing has moved from one-off stunts to an always-on part of the marketing mix. Here's what we expect to shape the events our clients run this year.
+
+## Hybrid by default
+
+Audiences now expect to join in person *or* from wherever they are. The best hybrid events treat the remote audience as a first-class guest rather than a camera pointed at a stage:
+
+- Dedicated hosts for the online audience
+- Interactive moments that work in the room and on screen
+- Content cut down for social within the hour
+
+## Personalisation at scale
+
+Registration data, RFID wristbands and app check-ins let a brand greet every guest by name and tailor what they see next.
+
+> The goal isn't more data - it's fewer generic moments.
+
+### Start small
+
+1. Pick one touchpoint, such as the welcome desk.
+2. Personalise it with data you already collect.
+3. Measure dwell time before and after.
+
+## Sustainability is part of the brief
+
+Reusable set pieces, local suppliers and digital collateral are no longer nice-to-haves. Clients increasingly ask for a carbon estimate alongside the budget.
+
+![A crowd gathered around an interactive installation](https://images.unsplash.com/photo-1540575467063-178a50c2df87?w=1200&h=600&fit=crop "Interactive installations keep guests in the space for longer")
+
+## What this means for your next event
+
+Plan the story first and the technology second. If you'd like help applying these trends, [get in touch](/contact).
+`,
+  },
+  {
+    id: 2,
+    slug: 'measuring-roi-in-experiential-campaigns',
+    title: 'How to Measure ROI in Experiential Campaigns',
+    excerpt:
+      'Learn the key metrics and strategies for measuring the return on investment in your experiential marketing campaigns.',
+    category: 'Strategy',
+    image:
+      'https://images.unsplash.com/photo-1511795409834-ef04bbd61622?w=800&h=400&fit=crop',
+    date: 'March 10, 2024',
+    tags: ['roi', 'analytics'],
+    author: { name: 'Daniel Mekonnen', role: 'Head of Strategy' },
+    content: `Experiential campaigns are often judged on gut feel. They don't have to be - with a little planning, every activation can report numbers your finance team will recognise.
+
+## Set goals before you set the stage
+
+Agree on **one primary goal** for the campaign before anything is booked. Awareness, leads and sales all need different measurements.
+
+## Metrics that matter
+
+- **Reach**: attendees, impressions and social mentions
+- **Engagement**: dwell time, interactions per guest, content shared
+- **Conversion**: leads captured, trials booked, sales attributed
+
+### Tag everything
+
+Give every QR code and short link its own campaign tags so online activity can be traced back to the event:
+
+\`\`\`text
+https://example.com/offer?utm_source=roadshow&utm_medium=qr&utm_campaign=spring-tour
+\`\`\`
+
+## Calculating ROI
+
+Once revenue can be attributed, the calculation itself is simple:
+
+\`\`\`text
+ROI = (attributed revenue - campaign cost) / campaign cost x 100
+\`\`\`
+
+A campaign costing 40,000 that drives 100,000 in attributed sales returns **150%**.
+
+## Report while it's fresh
+
+Send a one-page summary within a week of the event, while the team still remembers the details. Include what you'd change next time - it builds trust for the next budget conversation.
+`,
+  },
+  {
+    id: 3,
+    slug: 'creating-immersive-brand-experiences',
+    title: 'Creating Immersive Brand Experiences',
+    excerpt:
+      'Explore the art of crafting immersive brand experiences that engage all five senses and create lasting memories.',
+    category: 'Creative',
+    image:
+      'https://images.unsplash.com/photo-1513151233558-d860c5398176?w=800&h=400&fit=crop',
+    date: 'March 5, 2024',
+    tags: ['immersive', 'installations'],
+    author: { name: 'Selam Tesfaye', role: 'Creative Director' },
+    content: `The campaigns people talk about for years are the ones they *felt*. Immersive experiences engage more than one sense and give guests a role to play, not just something to look at.
+
+## Design for all five senses
+
+- **Sight**: lighting does more work than set pieces
+- **Sound**: a soundscape sets the mood before anyone reads a sign
+- **Touch**: materials guests can handle make a space memorable
+- **Smell**: a signature scent is the fastest route to memory
+- **Taste**: food and drink give people a reason to stay
+
+## Give guests a role
+
+The strongest installations turn visitors into participants. Ask them to make a choice, create something or unlock the next part of the story.
+
+![Behind the scenes at one of our brand activations](/bg.mp4)
+
+## Build, test, refine
+
+1. Prototype the key moment at small scale.
+2. Watch real people use it - don't explain it to them.
+3. Remove anything they walk past.
+
+---
+
+Want to create an experience your audience won't forget? [See our work](/work) or [talk to our team](/contact).
+`,
+  },
+];
+
+export const testimonials = [
+  {
+    id: 1,
+    quote:
+      'INAD PROMOTION transformed our product launch into an unforgettable experience. Their creativity and attention to detail exceeded all expectations.',
+    author: 'Sarah Johnson',
+    position: 'Marketing Director',
+    company: 'TechCorp',
+  },
+  {
+    id: 2,
+    quote:
+      'Working with INAD was a game-changer for our brand. They understood our vision perfectly and delivered results that drove real business impact.',
+    author: 'Michael Chen',
+    position: 'Brand Manager',
+    company: 'FashionBrand',
+  },
+  {
+    id: 3,
+    quote:
+      'The team at INAD PROMOTION is incredibly professional and creative. They made our roadshow a huge success across all markets.',
+    author: 'Emily Rodriguez',
+    position: 'Events Coordinator',
+    company: 'FoodCo',
+  },
+  {
+    id: 4,
+    quote:
+      'INAD delivered an experience that perfectly captured our brand essence. The engagement and feedback we received were outstanding.',
+    author: 'David Thompson',
+    position: 'CEO',
+    company: 'AutoGroup',
+  },
+];
+
+export const companyStats = [
+  {
+    id: 'events',
+    icon: 'calendar',
+    number: '500+',
+    label: 'Events Delivered',
+  },
+  {
+    id: 'clients',
+    icon: 'users',
+    number: '200+',
+    label: 'Happy Clients',
+  },
+  {
+    id: 'satisfaction',
+    icon: 'heart',
+    number: '98%',
+    label: 'Client Satisfaction',
+  },
+];
+
+const seedContent = {
+  services,
+  portfolioItems,
+  blogPosts,
+  testimonials,
+  companyStats,
+};
+
+export default seedContent;
@@ -0,0 +1,125 @@
+import { act, renderHook, waitFor } from '@testing-library/react';
+import React from 'react';
+
+import { CancelledError, ServerError } from '../../utils/api';
+import { ResponseCache } from '../../utils/apiCache';
+import useApiData from '../useApiData';
+
+const seed = [{ id: 1, title: 'Seed' }];
+
+describe('useApiData', () => {
+  test('starts loading, then returns the unwrapped API data', async () => {
+    const fetcher = jest
+      .fn()
+      .mockResolvedValue({ data: [{ id: 2, title: 'Live' }] });
+
+    const { result } = renderHook(() => useApiData(fetcher, seed));
+
+    expect(result.current.isLoading).toBe(true);
+    expect(result.current.data).toBeNull();
+
+    await waitFor(() => expect(result.current.isLoading).toBe(false));
+    expect(result.current.data).toEqual([{ id: 2, title: 'Live' }]);
+    expect(result.current.isFallback).toBe(false);
+    expect(fetcher.mock.calls[0][0].signal).toBeInstanceOf(AbortSignal);
+  });
+
+  test('falls back to seed data when the request fails', async () => {
+    const fetcher = jest.fn().mockRejectedValue(new ServerError());
+
+    const { result } = renderHook(() => useApiData(fetcher, seed));
+
+    await waitFor(() => expect(result.current.isLoading).toBe(false));
+    expect(result.current.data).toBe(seed);
+    expect(result.current.isFallback).toBe(true);
+    expect(result.current.error).toBeInstanceOf(ServerError);
+  });
+
+  test('drops the previous data as soon as the key changes', async () => {
+    const fetcher = jest.fn(() => new Promise(() => {}));
+    fetcher.mockResolvedValueOnce({ data: ['first'] });
+
+    const { result, rerender } = renderHook(
+      ({ id }) => useApiData(fetcher, seed, { key: ['item', id] }),
+      { initialProps: { id: 1 } }
+    );
+    await waitFor(() => expect(result.current.data).toEqual(['first']));
+
+    rerender({ id: 2 });
+
+    expect(result.current.data).toBeNull();
+    expect(result.current.isLoading).toBe(true);
+    expect(fetcher).toHaveBeenCalledTimes(2);
+  });
+
+  test('applies background revalidations', async () => {
+    let revalidate;
+    const fetcher = jest.fn(({ onRevalidate }) => {
+      revalidate = onRevalidate;
+      return Promise.resolve(['cached']);
+    });
+
+    const { result } = renderHook(() => useApiData(fetcher, seed));
+    await waitFor(() => expect(result.current.data).toEqual(['cached']));
+
+    act(() => revalidate(['fresh']));
+    expect(result.current.data).toEqual(['fresh']);
+  });
+
+  test('aborts the request on unmount and ignores the cancellation', async () => {
+    let signal;
+    const fetcher = jest.fn(options => {
+      signal = options.signal;
+      return new Promise((resolve, reject) =>
+        signal.addEventListener('abort', () => reject(new CancelledError()))
+      );
+    });
+
+    const { result, unmount } = renderHook(() => useApiData(fetcher, seed));
+    unmount();
+
+    expect(signal.aborted).toBe(true);
+    expect(result.current.error).toBeNull();
+  });
+
+  test('loads under StrictMode when the remount joins a shared request', async () => {
+    const cache = new ResponseCache({ storage: null });
+    const fetcher = jest.fn(({ signal }) =>
+      cache.load(
+        '/api/services',
+        () => new Promise(resolve => setTimeout(() => resolve(['live']), 10)),
+        signal
+      )
+    );
+
+    const { result } = renderHook(() => useApiData(fetcher, seed), {
+      wrapper: React.StrictMode,
+    });
+
+    await waitFor(() => expect(result.current.data).toEqual(['live']));
+    expect(result.current.isLoading).toBe(false);
+    expect(result.current.isFallback).toBe(false);
+  });
+
+  test('retries when someone else cancels the request it joined', async () => {
+    const fetcher = jest
+      .fn()
+      .mockRejectedValueOnce(new CancelledError())
+      .mockResolvedValueOnce(['live']);
+
+    const { result } = renderHook(() => useApiData(fetcher, seed));
+
+    await waitFor(() => expect(result.current.data).toEqual(['live']));
+    expect(fetcher).toHaveBeenCalledTimes(2);
+  });
+
+  test('falls back to seed data when the retry is cancelled too', async () => {
+    const fetcher = jest.fn().mockRejectedValue(new CancelledError());
+
+    const { result } = renderHook(() => useApiData(fetcher, seed));
+
+    await waitFor(() => expect(result.current.isLoading).toBe(false));
+    expect(result.current.data).toBe(seed);
+    expect(result.current.error).toBeInstanceOf(CancelledError);
+  });
+});
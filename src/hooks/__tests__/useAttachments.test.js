@@ -0,0 +1,239 @@
+import { act, renderHook, waitFor } from '@testing-library/react';
+
+import apiService, { CancelledError, ValidationError } from '../../utils/api';
+import {
+  createMemoryStorage,
+  createRateLimiter,
+} from '../../utils/rateLimiter';
+import useAttachments from '../useAttachments';
+
+const pdf = name => new File(['%PDF-1.7'], name, { type: 'application/pdf' });
+
+// Upload handle whose runs are settled by the test
+const createFakeUpload = (file, run) => {
+  const upload = {
+    status: 'idle',
+    start: jest.fn(() => {
+      upload.status = 'uploading';
+      return run(upload);
+    }),
+    resume: jest.fn(() => {
+      upload.status = 'uploading';
+      return run(upload);
+    }),
+    pause: jest.fn(() => {
+      upload.status = 'paused';
+      upload.abort();
+    }),
+    cancel: jest.fn(() => {
+      upload.status = 'cancelled';
+      upload.abort();
+    }),
+    abort: () => {},
+  };
+  return upload;
+};
+
+// Run that stays pending until the upload is paused or cancelled
+const pendingRun = upload =>
+  new Promise((resolve, reject) => {
+    upload.abort = () => reject(new CancelledError());
+  });
+
+describe('useAttachments', () => {
+  test('uploads added files and collects their ids', async () => {
+    const createUpload = jest.fn((file, type, { onProgress }) =>
+      createFakeUpload(file, async () => {
+        onProgress({ loaded: 4, total: 8 });
+        return { data: { id: `upload-${file.name}` } };
+      })
+    );
+
+    const { result } = renderHook(() => useAttachments({ createUpload }));
+
+    act(() => result.current.addFiles([pdf('a.pdf'), pdf('b.pdf')]));
+    expect(result.current.isUploading).toBe(true);
+
+    await waitFor(() => expect(result.current.isUploading).toBe(false));
+    expect(result.current.attachmentIds).toEqual([
+      'upload-a.pdf',
+      'upload-b.pdf',
+    ]);
+    expect(createUpload.mock.calls[0][1]).toBe('attachment');
+  });
+
+  test('shows validation errors per file', async () => {
+    const message = 'Only PDF, JPEG, PNG, WebP, and GIF files are allowed';
+    const createUpload = jest.fn(() => {
+      throw new ValidationError(message, { file: message });
+    });
+
+    const { result } = renderHook(() => useAttachments({ createUpload }));
+
+    act(() => result.current.addFiles([pdf('notes.docx')]));
+
+    await waitFor(() =>
+      expect(result.current.attachments[0].status).toBe('error')
+    );
+    expect(result.current.attachments[0].error).toBe(message);
+    expect(result.current.attachmentIds).toEqual([]);
+  });
+
+  test('rejects files whose contents do not match their type', async () => {
+    const createUpload = jest.fn();
+    const renamed = new File(['PK\u0003\u0004'], 'brief.pdf', {
+      type: 'application/pdf',
+    });
+
+    const { result } = renderHook(() => useAttachments({ createUpload }));
+
+    act(() => result.current.addFiles([renamed]));
+
+    await waitFor(() =>
+      expect(result.current.attachments[0].status).toBe('error')
+    );
+    expect(result.current.attachments[0].error).toBe(
+      "This file doesn't look like a valid PDF file"
+    );
+    expect(createUpload).not.toHaveBeenCalled();
+  });
+
+  test('downscales large photos before the size check', async () => {
+    // A JPEG header padded past the 5MB limit
+    const bytes = new Uint8Array(6 * 1024 * 1024);
+    bytes.set([0xff, 0xd8, 0xff, 0xd9]);
+    const photo = new File([bytes], 'stage.jpg', { type: 'image/jpeg' });
+
+    window.createImageBitmap = jest
+      .fn()
+      .mockResolvedValue({ width: 6000, height: 4000, close: jest.fn() });
+    const getContext = jest
+      .spyOn(HTMLCanvasElement.prototype, 'getContext')
+      .mockReturnValue({ drawImage: jest.fn() });
+    const toBlob = jest
+      .spyOn(HTMLCanvasElement.prototype, 'toBlob')
+      .mockImplementation(callback =>
+        callback(new Blob(['small jpeg'], { type: 'image/jpeg' }))
+      );
+
+    try {
+      // Applies the real size check to whatever the hook hands over
+      const createUpload = jest.fn((file, type) => {
+        apiService.validateUpload(file, type);
+        return createFakeUpload(file, async () => ({
+          data: { id: 'upload-stage' },
+        }));
+      });
+
+      const { result } = renderHook(() => useAttachments({ createUpload }));
+
+      act(() => result.current.addFiles([photo]));
+
+      await waitFor(() =>
+        expect(result.current.attachments[0].status).toBe('done')
+      );
+      expect(createUpload.mock.calls[0][0].size).toBeLessThan(1024);
+      expect(result.current.attachmentIds).toEqual(['upload-stage']);
+    } finally {
+      getContext.mockRestore();
+      toBlob.mockRestore();
+      delete window.createImageBitmap;
+    }
+  });
+
+  test('pauses and resumes an upload', async () => {
+    let upload;
+    let finish;
+    const createUpload = jest.fn(file => {
+      upload = createFakeUpload(file, current =>
+        current.resume.mock.calls.length === 0
+          ? pendingRun(current)
+          : new Promise(resolve => {
+              finish = () => resolve({ data: { id: 'upload-1' } });
+            })
+      );
+      return upload;
+    });
+
+    const { result } = renderHook(() => useAttachments({ createUpload }));
+
+    act(() => result.current.addFiles([pdf('a.pdf')]));
+    await waitFor(() =>
+      expect(result.current.attachments[0].status).toBe('uploading')
+    );
+    const { key } = result.current.attachments[0];
+
+    act(() => result.current.pause(key));
+    await waitFor(() =>
+      expect(result.current.attachments[0].status).toBe('paused')
+    );
+    expect(result.current.isUploading).toBe(true);
+
+    act(() => result.current.resume(key));
+    expect(result.current.attachments[0].status).toBe('uploading');
+    await act(async () => finish());
+
+    expect(result.current.attachmentIds).toEqual(['upload-1']);
+    expect(result.current.isUploading).toBe(false);
+  });
+
+  test('cancelling stops the upload and removes the file', async () => {
+    let upload;
+    const createUpload = jest.fn(file => {
+      upload = createFakeUpload(file, pendingRun);
+      return upload;
+    });
+
+    const { result } = renderHook(() => useAttachments({ createUpload }));
+
+    act(() => result.current.addFiles([pdf('a.pdf')]));
+    await waitFor(() => expect(upload.start).toHaveBeenCalled());
+
+    act(() => result.current.remove(result.current.attachments[0].key));
+    expect(upload.cancel).toHaveBeenCalled();
+    expect(result.current.attachments).toEqual([]);
+  });
+
+  test('limits the number of files', async () => {
+    const createUpload = jest.fn(file =>
+      createFakeUpload(file, () => new Promise(() => {}))
+    );
+
+    const { result } = renderHook(() =>
+      useAttachments({ createUpload, maxFiles: 2 })
+    );
+
+    act(() =>
+      result.current.addFiles([pdf('a.pdf'), pdf('b.pdf'), pdf('c.pdf')])
+    );
+
+    expect(result.current.attachments).toHaveLength(2);
+    expect(result.current.error).toBe('You can attach up to 2 files.');
+    await waitFor(() => expect(createUpload).toHaveBeenCalledTimes(2));
+  });
+
+  test('refuses files over the upload rate limit', async () => {
+    const createUpload = jest.fn(file =>
+      createFakeUpload(file, () => new Promise(() => {}))
+    );
+    const rateLimiter = createRateLimiter({
+      limits: { upload: [{ limit: 1, windowMs: 60 * 1000 }] },
+      storage: createMemoryStorage(),
+      channel: null,
+    });
+
+    const { result } = renderHook(() =>
+      useAttachments({ createUpload, rateLimiter })
+    );
+
+    act(() => result.current.addFiles([pdf('a.pdf'), pdf('b.pdf')]));
+
+    expect(result.current.attachments.map(item => item.name)).toEqual([
+      'a.pdf',
+    ]);
+    expect(result.current.error).toBe(
+      'Too many uploads. Please try again in 1 minute.'
+    );
+    await waitFor(() => expect(createUpload).toHaveBeenCalledTimes(1));
+  });
+});
@@ -0,0 +1,86 @@
+import { act, renderHook } from '@testing-library/react';
+
+import { loadDraft, saveDraft } from '../../utils/formDrafts';
+import useFormDraft from '../useFormDraft';
+
+const empty = { name: '', email: '', website: '' };
+
+describe('useFormDraft', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    sessionStorage.clear();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('saves after the debounce delay, without excluded fields', () => {
+    const { rerender } = renderHook(
+      ({ values }) => useFormDraft('contact', values, { exclude: ['website'] }),
+      { initialProps: { values: empty } }
+    );
+
+    rerender({ values: { ...empty, name: 'Jane', website: 'spam.example' } });
+    act(() => jest.advanceTimersByTime(400));
+    expect(loadDraft('contact')).toBeNull();
+
+    act(() => jest.advanceTimersByTime(100));
+    expect(loadDraft('contact').data).toEqual({ name: 'Jane', email: '' });
+  });
+
+  test('offers a stored draft and restores it on request', () => {
+    saveDraft('contact', { name: 'Jane', email: 'jane@example.com' });
+    const onRestore = jest.fn();
+
+    const { result } = renderHook(() =>
+      useFormDraft('contact', empty, { onRestore })
+    );
+
+    expect(result.current.pendingDraft.data.name).toBe('Jane');
+
+    act(() => result.current.restore());
+    expect(onRestore).toHaveBeenCalledWith({
+      name: 'Jane',
+      email: 'jane@example.com',
+    });
+    expect(result.current.pendingDraft).toBeNull();
+  });
+
+  test('starting over removes the draft', () => {
+    saveDraft('contact', { name: 'Jane' });
+
+    const { result } = renderHook(() => useFormDraft('contact', empty));
+
+    act(() => result.current.clear());
+    expect(result.current.pendingDraft).toBeNull();
+    expect(loadDraft('contact')).toBeNull();
+  });
+
+  test('ignores and removes drafts older than maxAge', () => {
+    saveDraft('contact', { name: 'Jane' });
+    act(() => jest.advanceTimersByTime(60 * 1000));
+
+    const { result } = renderHook(() =>
+      useFormDraft('contact', empty, { maxAge: 30 * 1000 })
+    );
+
+    expect(result.current.pendingDraft).toBeNull();
+    expect(sessionStorage.getItem('form_draft:contact')).toBeNull();
+  });
+
+  test('a form reset to empty values clears the draft', () => {
+    const { rerender } = renderHook(
+      ({ values }) => useFormDraft('contact', values),
+      { initialProps: { values: empty } }
+    );
+
+    rerender({ values: { ...empty, name: 'Jane' } });
+    act(() => jest.advanceTimersByTime(500));
+    expect(loadDraft('contact')).not.toBeNull();
+
+    rerender({ values: { ...empty } });
+    act(() => jest.advanceTimersByTime(500));
+    expect(loadDraft('contact')).toBeNull();
+  });
+});
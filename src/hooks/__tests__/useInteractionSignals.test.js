@@ -0,0 +1,60 @@
+import { fireEvent, render, screen } from '@testing-library/react';
+import React from 'react';
+
+import useInteractionSignals from '../useInteractionSignals';
+
+let signals;
+
+const TestForm = () => {
+  signals = useInteractionSignals();
+  return (
+    <form {...signals.handlers}>
+      <input aria-label='Name' />
+      <textarea aria-label='Message' />
+    </form>
+  );
+};
+
+describe('useInteractionSignals', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('counts interactions inside the form', () => {
+    render(<TestForm />);
+    const name = screen.getByLabelText('Name');
+    const message = screen.getByLabelText('Message');
+
+    fireEvent.pointerMove(name);
+    fireEvent.pointerDown(name);
+    fireEvent.focus(name);
+    fireEvent.keyDown(name, { key: 'J' });
+    fireEvent.keyDown(name, { key: 'o' });
+    fireEvent.focus(message);
+    fireEvent.paste(message);
+    jest.advanceTimersByTime(5000);
+
+    expect(signals.snapshot()).toEqual({
+      elapsedMs: 5000,
+      focusCount: 2,
+      keyCount: 2,
+      pasteCount: 1,
+      pointerCount: 2,
+    });
+  });
+
+  test('reset starts the clock and the counts again', () => {
+    render(<TestForm />);
+    fireEvent.keyDown(screen.getByLabelText('Name'), { key: 'a' });
+    jest.advanceTimersByTime(3000);
+
+    signals.reset();
+    jest.advanceTimersByTime(1000);
+
+    expect(signals.snapshot()).toMatchObject({ elapsedMs: 1000, keyCount: 0 });
+  });
+});
@@ -0,0 +1,63 @@
+import { act, renderHook } from '@testing-library/react';
+
+import {
+  createMemoryStorage,
+  createRateLimiter,
+} from '../../utils/rateLimiter';
+import useRateLimit from '../useRateLimit';
+
+describe('useRateLimit', () => {
+  let limiter;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    limiter = createRateLimiter({
+      limits: { newsletter: [{ limit: 1, windowMs: 3000 }] },
+      storage: createMemoryStorage(),
+      channel: null,
+    });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('counts down after a refused attempt', () => {
+    const { result } = renderHook(() => useRateLimit('newsletter', limiter));
+
+    act(() => {
+      expect(result.current.attempt().allowed).toBe(true);
+    });
+    expect(result.current.isLimited).toBe(false);
+
+    act(() => {
+      expect(result.current.attempt().allowed).toBe(false);
+    });
+    expect(result.current.retryAfter).toBe(3);
+
+    act(() => jest.advanceTimersByTime(1000));
+    expect(result.current.retryAfter).toBe(2);
+
+    act(() => jest.advanceTimersByTime(2000));
+    expect(result.current.isLimited).toBe(false);
+    act(() => {
+      expect(result.current.attempt().allowed).toBe(true);
+    });
+  });
+
+  test('picks up attempts recorded elsewhere while limited', () => {
+    const { result } = renderHook(() => useRateLimit('newsletter', limiter));
+
+    limiter.consume('newsletter');
+    act(() => {
+      result.current.attempt();
+    });
+    expect(result.current.retryAfter).toBe(3);
+
+    // Another tab clears the record, e.g. after the window was shortened
+    limiter.reset('newsletter');
+    act(() => jest.advanceTimersByTime(1000));
+
+    expect(result.current.isLimited).toBe(false);
+  });
+});
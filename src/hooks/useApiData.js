@@ -0,0 +1,93 @@
+import { useEffect, useRef, useState } from 'react';
+
+import { isCancelledError } from '../utils/api';
+
+// Unwrap `{ data }` envelopes while still accepting bare payloads
+const defaultSelect = response =>
+  response && response.data !== undefined ? response.data : response;
+
+// Load section content through ApiService, falling back to seed data
+// `fetcher` receives { signal, onRevalidate } and should pass them on to the
+// ApiService method so the request is cancelled on unmount and background
+// cache refreshes reach the component
+// `key` names what is loaded (a string or a JSON-serialisable array, e.g.
+// ['page', 2]); the request runs again whenever it changes
+const useApiData = (fetcher, fallbackData = null, options = {}) => {
+  const { key = null, select = defaultSelect } = options;
+  const requestKey = JSON.stringify(key);
+  // State remembers the key it was loaded for, so a new key never shows the
+  // previous data
+  const [state, setState] = useState({
+    data: null,
+    error: null,
+    isLoading: true,
+    requestKey,
+  });
+
+  // Keep the latest callbacks without re-running the effect on every render
+  const fetcherRef = useRef(fetcher);
+  const selectRef = useRef(select);
+  fetcherRef.current = fetcher;
+  selectRef.current = select;
+
+  useEffect(() => {
+    const controller = new AbortController();
+
+    const applyResponse = response => {
+      if (controller.signal.aborted) return;
+
+      const data = selectRef.current(response);
+      setState({
+        data: data === undefined ? null : data,
+        error: null,
+        isLoading: false,
+        requestKey,
+      });
+    };
+
+    setState(prev =>
+      prev.requestKey === requestKey
+        ? { ...prev, error: null, isLoading: true }
+        : { data: null, error: null, isLoading: true, requestKey }
+    );
+
+    const run = retriesLeft =>
+      fetcherRef
+        .current({ signal: controller.signal, onRevalidate: applyResponse })
+        .then(applyResponse)
+        .catch(error => {
+          if (controller.signal.aborted) return;
+
+          // A shared request this hook joined was cancelled by another caller
+          if (isCancelledError(error) && retriesLeft > 0) {
+            run(retriesLeft - 1);
+            return;
+          }
+
+          if (process.env.NODE_ENV === 'development') {
+            console.warn('Falling back to seed data:', error);
+          }
+
+          setState({ data: null, error, isLoading: false, requestKey });
+        });
+
+    run(1);
+
+    return () => controller.abort();
+  }, [requestKey]);
+
+  // Until the effect catches up with a new key, the state is for the old one
+  const isCurrent = state.requestKey === requestKey;
+  const hasData = isCurrent && state.data !== null;
+  const isLoading = !isCurrent || (state.isLoading && !hasData);
+
+  return {
+    // Seed data stands in once the request has failed or returned nothing
+    data: hasData ? state.data : isLoading ? null : fallbackData,
+    error: isCurrent ? state.error : null,
+    isLoading,
+    isFallback: !hasData && !isLoading,
+  };
+};
+
+export default useApiData;
@@ -0,0 +1,225 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+import {
+  ValidationError,
+  createUpload as createChunkedUpload,
+  getErrorMessage,
+  isCancelledError,
+  prepareUpload,
+} from '../utils/api';
+import { downscaleImage } from '../utils/imageResize';
+import defaultRateLimiter, { formatRetryAfter } from '../utils/rateLimiter';
+
+export const MAX_ATTACHMENTS = 5;
+
+// Statuses: processing -> uploading <-> paused -> done | error
+// (processing covers the content checks and downscaling)
+const UNFINISHED = ['processing', 'uploading', 'paused'];
+
+const uploadErrorMessage = error =>
+  error instanceof ValidationError && error.fieldErrors.file
+    ? error.fieldErrors.file
+    : getErrorMessage(error);
+
+// Upload files as they are added and track each one's progress
+// `attachmentIds` holds the server IDs of finished uploads, ready for the
+// contact payload. `pause` and `resume` control an upload in flight and
+// `remove` cancels it. Each file counts towards the 'upload' rate limit.
+const useAttachments = (options = {}) => {
+  const {
+    maxFiles = MAX_ATTACHMENTS,
+    createUpload = createChunkedUpload,
+    rateLimiter = defaultRateLimiter,
+  } = options;
+  const [attachments, setAttachments] = useState([]);
+  const [error, setError] = useState('');
+  // Upload handles by key; `null` while the file is still being downscaled
+  const uploadsRef = useRef(new Map());
+  const countRef = useRef(0);
+  const nextKeyRef = useRef(0);
+
+  const update = useCallback((key, changes) => {
+    setAttachments(prev =>
+      prev.map(item => (item.key === key ? { ...item, ...changes } : item))
+    );
+  }, []);
+
+  // Settle one run of an upload (start or resume)
+  const track = useCallback(
+    async (key, upload, run) => {
+      try {
+        const result = await run();
+        update(key, {
+          status: 'done',
+          progress: 100,
+          attachmentId: result.data.id,
+        });
+      } catch (uploadError) {
+        if (upload.status === 'paused') {
+          update(key, { status: 'paused' });
+          return;
+        }
+        // Cancelled uploads have already been removed from the list
+        if (isCancelledError(uploadError)) return;
+        update(key, {
+          status: 'error',
+          error: uploadErrorMessage(uploadError),
+        });
+      }
+    },
+    [update]
+  );
+
+  const startUpload = useCallback(
+    async (key, file) => {
+      uploadsRef.current.set(key, null);
+
+      let prepared;
+      let upload;
+      try {
+        // Content checks run on the original file, before any re-encoding;
+        // createUpload checks the size of the downscaled result
+        prepared = await downscaleImage(
+          await prepareUpload(file, 'attachment')
+        );
+        // Removed while it was being prepared
+        if (!uploadsRef.current.has(key)) return;
+
+        upload = createUpload(prepared, 'attachment', {
+          onProgress: ({ loaded, total }) =>
+            update(key, {
+              progress: total ? Math.round((loaded / total) * 100) : 0,
+            }),
+        });
+      } catch (preparationError) {
+        if (!uploadsRef.current.has(key)) return;
+        uploadsRef.current.delete(key);
+        update(key, {
+          status: 'error',
+          error: uploadErrorMessage(preparationError),
+        });
+        return;
+      }
+
+      uploadsRef.current.set(key, upload);
+      update(key, { status: 'uploading', size: prepared.size });
+      track(key, upload, () => upload.start());
+    },
+    [createUpload, track, update]
+  );
+
+  const addFiles = useCallback(
+    fileList => {
+      const files = Array.from(fileList || []);
+      const room = Math.max(maxFiles - countRef.current, 0);
+      const accepted = [];
+      let retryAfter = 0;
+      files.slice(0, room).forEach(file => {
+        const limit = rateLimiter.consume('upload');
+        if (limit.allowed) {
+          accepted.push(file);
+        } else {
+          retryAfter = limit.retryAfter;
+        }
+      });
+
+      if (retryAfter > 0) {
+        setError(
+          `Too many uploads. Please try again in ${formatRetryAfter(
+            retryAfter
+          )}.`
+        );
+      } else {
+        setError(
+          accepted.length < files.length
+            ? `You can attach up to ${maxFiles} files.`
+            : ''
+        );
+      }
+      if (accepted.length === 0) return;
+
+      const entries = accepted.map(file => ({
+        key: `attachment-${++nextKeyRef.current}`,
+        name: file.name,
+        size: file.size,
+        type: file.type,
+        status: 'processing',
+        progress: 0,
+        attachmentId: null,
+        error: '',
+      }));
+
+      countRef.current += entries.length;
+      setAttachments(prev => [...prev, ...entries]);
+      entries.forEach((entry, index) =>
+        startUpload(entry.key, accepted[index])
+      );
+    },
+    [maxFiles, rateLimiter, startUpload]
+  );
+
+  const pause = useCallback(
+    key => {
+      const upload = uploadsRef.current.get(key);
+      if (!upload || upload.status !== 'uploading') return;
+      upload.pause();
+      update(key, { status: 'paused' });
+    },
+    [update]
+  );
+
+  const resume = useCallback(
+    key => {
+      const upload = uploadsRef.current.get(key);
+      if (!upload || upload.status !== 'paused') return;
+      update(key, { status: 'uploading' });
+      track(key, upload, () => upload.resume());
+    },
+    [track, update]
+  );
+
+  const remove = useCallback(key => {
+    const upload = uploadsRef.current.get(key);
+    if (upload) upload.cancel();
+    uploadsRef.current.delete(key);
+
+    countRef.current -= 1;
+    setError('');
+    setAttachments(prev => prev.filter(item => item.key !== key));
+  }, []);
+
+  const reset = useCallback(() => {
+    uploadsRef.current.forEach(upload => upload && upload.cancel());
+    uploadsRef.current.clear();
+    countRef.current = 0;
+    setError('');
+    setAttachments([]);
+  }, []);
+
+  // Cancel anything still uploading when the form goes away
+  useEffect(() => {
+    const uploads = uploadsRef.current;
+    return () => {
+      uploads.forEach(upload => upload && upload.cancel());
+      // Files still being prepared see they were removed and stop there
+      uploads.clear();
+    };
+  }, []);
+
+  return {
+    attachments,
+    error,
+    addFiles,
+    pause,
+    resume,
+    remove,
+    reset,
+    attachmentIds: attachments
+      .filter(item => item.status === 'done')
+      .map(item => item.attachmentId),
+    // Paused uploads count too: they haven't produced an attachment yet
+    isUploading: attachments.some(item => UNFINISHED.includes(item.status)),
+  };
+};
+
+export default useAttachments;
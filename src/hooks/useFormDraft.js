@@ -0,0 +1,61 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+import { clearDraft, loadDraft, saveDraft } from '../utils/formDrafts';
+
+const DEFAULT_DELAY = 500;
+
+// Autosave form values to sessionStorage and offer to restore them on return
+// `values` must keep its identity between renders unless it changes (form
+// state, or a useMemo). A draft found on mount is exposed as `pendingDraft`
+// until the visitor answers: `restore()` hands its data to `onRestore`,
+// `clear()` drops it (also call it after a successful submission). Typing
+// before answering starts a new draft. Fields in `exclude` are never stored.
+const useFormDraft = (formId, values, options = {}) => {
+  const { exclude = [], delay = DEFAULT_DELAY, maxAge, onRestore } = options;
+  const [pendingDraft, setPendingDraft] = useState(() =>
+    loadDraft(formId, { maxAge })
+  );
+  const initialValuesRef = useRef(values);
+  const excludeRef = useRef(exclude);
+  const onRestoreRef = useRef(onRestore);
+  excludeRef.current = exclude;
+  onRestoreRef.current = onRestore;
+
+  useEffect(() => {
+    // Nothing typed yet; keep whatever draft is stored
+    if (values === initialValuesRef.current) return undefined;
+
+    setPendingDraft(null);
+
+    const timer = setTimeout(() => {
+      const isEmpty = Object.keys(values).every(
+        key => excludeRef.current.includes(key) || !values[key]
+      );
+
+      // A reset form has nothing worth restoring
+      if (isEmpty) {
+        clearDraft(formId);
+      } else {
+        saveDraft(formId, values, { exclude: excludeRef.current });
+      }
+    }, delay);
+
+    return () => clearTimeout(timer);
+  }, [formId, values, delay]);
+
+  const restore = useCallback(() => {
+    if (pendingDraft && onRestoreRef.current) {
+      onRestoreRef.current(pendingDraft.data);
+    }
+    setPendingDraft(null);
+  }, [pendingDraft]);
+
+  const clear = useCallback(() => {
+    clearDraft(formId);
+    setPendingDraft(null);
+  }, [formId]);
+
+  return { pendingDraft, restore, clear };
+};
+
+export default useFormDraft;
@@ -0,0 +1,54 @@
+import { useCallback, useMemo, useRef } from 'react';
+
+import { MAX_INTERACTION_COUNT } from '../utils/humanness';
+
+const emptyCounts = () => ({
+  focusCount: 0,
+  keyCount: 0,
+  pasteCount: 0,
+  pointerCount: 0,
+});
+
+// Count how a visitor interacts with a form, for the humanness check
+// Spread `handlers` onto the <form>: focus, key and pointer events bubble up
+// from its fields. `snapshot()` returns the counts plus the time since the
+// form was rendered (see humanness.js); `reset()` starts over, e.g. when the
+// form is shown again for another message. Counting never re-renders.
+const useInteractionSignals = () => {
+  const renderedAtRef = useRef(Date.now());
+  const countsRef = useRef(emptyCounts());
+
+  const handlers = useMemo(() => {
+    const bump = name => () => {
+      countsRef.current[name] = Math.min(
+        countsRef.current[name] + 1,
+        MAX_INTERACTION_COUNT
+      );
+    };
+
+    return {
+      onFocus: bump('focusCount'),
+      onKeyDown: bump('keyCount'),
+      onPaste: bump('pasteCount'),
+      onPointerDown: bump('pointerCount'),
+      onPointerMove: bump('pointerCount'),
+    };
+  }, []);
+
+  const snapshot = useCallback(
+    () => ({
+      elapsedMs: Date.now() - renderedAtRef.current,
+      ...countsRef.current,
+    }),
+    []
+  );
+
+  const reset = useCallback(() => {
+    renderedAtRef.current = Date.now();
+    countsRef.current = emptyCounts();
+  }, []);
+
+  return { handlers, snapshot, reset };
+};
+
+export default useInteractionSignals;
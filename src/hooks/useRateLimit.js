@@ -0,0 +1,32 @@
+import { useCallback, useEffect, useState } from 'react';
+
+import defaultRateLimiter from '../utils/rateLimiter';
+
+// Rate-limit an action (see rateLimiter.js) for a component
+// `attempt()` records the action when it is allowed and returns the
+// limiter's result. After a refused attempt `retryAfter` counts down to 0,
+// re-reading the limiter each second so attempts in other tabs count too.
+const useRateLimit = (action, limiter = defaultRateLimiter) => {
+  const [retryAfter, setRetryAfter] = useState(0);
+  const isLimited = retryAfter > 0;
+
+  useEffect(() => {
+    if (!isLimited) return undefined;
+
+    const timer = setInterval(
+      () => setRetryAfter(limiter.check(action).retryAfter),
+      1000
+    );
+    return () => clearInterval(timer);
+  }, [action, isLimited, limiter]);
+
+  const attempt = useCallback(() => {
+    const result = limiter.consume(action);
+    setRetryAfter(result.retryAfter);
+    return result;
+  }, [action, limiter]);
+
+  return { attempt, retryAfter, isLimited };
+};
+
+export default useRateLimit;
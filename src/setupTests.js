@@ -41,6 +41,30 @@ Object.defineProperty(window, 'scrollTo', {
   value: jest.fn(),
 });
 
+// jsdom has no SubtleCrypto; back digest() with Node's for SHA-256
+// checksums. Data is copied into a Buffer because Node rejects ArrayBuffers
+// created in the jsdom realm.
+if (!global.crypto || !global.crypto.subtle) {
+  const { webcrypto } = require('crypto');
+  Object.defineProperty(global, 'crypto', {
+    configurable: true,
+    value: {
+      ...global.crypto,
+      subtle: {
+        digest: (algorithm, data) =>
+          webcrypto.subtle.digest(
+            algorithm,
+            Buffer.from(
+              ArrayBuffer.isView(data)
+                ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+                : new Uint8Array(data)
+            )
+          ),
+      },
+    },
+  });
+}
+
 // Mock console methods in tests
 const originalError = console.error;
 const originalWarn = console.warn;
@@ -0,0 +1,321 @@
+import apiService, {
+  AuthError,
+  DEFAULT_RETRY_POLICY,
+  NetworkError,
+  RateLimitError,
+  ServerError,
+  TimeoutError,
+  ValidationError,
+  cancelRequestGroup,
+  getBlogPosts,
+  getCompanyStats,
+  getErrorMessage,
+  getPortfolioItems,
+  getRetryDelay,
+  getServices,
+  isCancelledError,
+  parseRetryAfter,
+  submitContactForm,
+} from '../api';
+import config from '../config';
+
+// Build a minimal fetch Response double
+const mockResponse = (status, body = {}, headers = {}) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  headers: {
+    get: name => headers[name] || null,
+  },
+  json: () => Promise.resolve(body),
+});
+
+// fetch double that only settles when its signal aborts
+const pendingFetch = (url, options) =>
+  new Promise((resolve, reject) => {
+    options.signal.addEventListener('abort', () => {
+      const error = new Error('The operation was aborted.');
+      error.name = 'AbortError';
+      reject(error);
+    });
+  });
+
+const validContact = {
+  name: 'Jane Doe',
+  email: 'jane@example.com',
+  company: 'Acme',
+  service: 'roadshow',
+  message: 'We would like to plan a roadshow next spring.',
+};
+
+describe('ApiService retries', () => {
+  const noDelay = { baseDelay: 0, jitter: false };
+
+  beforeEach(() => {
+    global.fetch = jest.fn();
+    apiService.invalidate();
+    sessionStorage.clear();
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  test('retries GET requests on retryable status codes', async () => {
+    global.fetch
+      .mockResolvedValueOnce(mockResponse(503))
+      .mockResolvedValueOnce(mockResponse(502))
+      .mockResolvedValueOnce(mockResponse(200, { services: [] }));
+
+    const result = await apiService.request('/api/services', {
+      retry: noDelay,
+    });
+
+    expect(result).toEqual({ services: [] });
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+  });
+
+  test('does not retry non-retryable status codes', async () => {
+    global.fetch.mockResolvedValue(mockResponse(404));
+
+    await expect(
+      apiService.request('/api/services', { retry: noDelay })
+    ).rejects.toThrow('Resource not found');
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('stops after maxAttempts', async () => {
+    global.fetch.mockResolvedValue(mockResponse(503));
+
+    await expect(
+      apiService.request('/api/services', {
+        retry: { ...noDelay, maxAttempts: 2 },
+      })
+    ).rejects.toThrow();
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test('retries network errors', async () => {
+    global.fetch
+      .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+      .mockResolvedValueOnce(mockResponse(200, { ok: true }));
+
+    const result = await apiService.request('/api/stats', { retry: noDelay });
+
+    expect(result).toEqual({ ok: true });
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test('never retries a POST without an idempotency key', async () => {
+    global.fetch.mockResolvedValue(mockResponse(503));
+
+    await expect(
+      apiService.request('/api/spam/detect', {
+        method: 'POST',
+        headers: {},
+        retry: noDelay,
+      })
+    ).rejects.toThrow();
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('does not retry when the server asks to wait longer than maxDelay', async () => {
+    global.fetch.mockResolvedValue(
+      mockResponse(429, {}, { 'Retry-After': '120' })
+    );
+
+    await expect(
+      apiService.request('/api/services', { retry: noDelay })
+    ).rejects.toThrow('Too many requests');
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('sends the same idempotency key on every contact attempt', async () => {
+    global.fetch
+      .mockResolvedValueOnce(mockResponse(503))
+      .mockResolvedValueOnce(mockResponse(200, { success: true }));
+
+    const result = await submitContactForm(validContact, {
+      idempotencyKey: 'lead-123',
+      retry: noDelay,
+    });
+
+    expect(result).toEqual({ success: true });
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    global.fetch.mock.calls.forEach(([, options]) => {
+      expect(options.headers['Idempotency-Key']).toBe('lead-123');
+    });
+  });
+});
+
+describe('ApiService cancellation', () => {
+  beforeEach(() => {
+    global.fetch = jest.fn();
+    apiService.invalidate();
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  test('parallel requests do not cancel each other', async () => {
+    global.fetch
+      .mockResolvedValueOnce(mockResponse(200, { services: [] }))
+      .mockResolvedValueOnce(mockResponse(200, { items: [] }));
+
+    const [services, portfolio] = await Promise.all([
+      getServices(),
+      getPortfolioItems(),
+    ]);
+
+    expect(services).toEqual({ services: [] });
+    expect(portfolio).toEqual({ items: [] });
+  });
+
+  test('an external signal cancels the request', async () => {
+    global.fetch.mockImplementation(pendingFetch);
+    const controller = new AbortController();
+
+    const request = getServices({ signal: controller.signal });
+    controller.abort();
+
+    const error = await request.catch(e => e);
+    expect(isCancelledError(error)).toBe(true);
+    expect(error.name).toBe('AbortError');
+  });
+
+  test('cancelGroup only cancels requests in that group', async () => {
+    global.fetch.mockImplementation((url, options) =>
+      url.endsWith('/api/stats')
+        ? Promise.resolve(mockResponse(200, { events: 500 }))
+        : pendingFetch(url, options)
+    );
+
+    const services = getServices({ group: 'sections' });
+    const blog = getBlogPosts(1, 10, { group: 'sections' });
+    const stats = getCompanyStats({ group: 'other' });
+
+    cancelRequestGroup('sections');
+
+    await expect(services).rejects.toThrow('Request was cancelled.');
+    await expect(blog).rejects.toThrow('Request was cancelled.');
+    await expect(stats).resolves.toEqual({ events: 500 });
+  });
+
+  test('requests still time out', async () => {
+    jest.useFakeTimers();
+    global.fetch.mockImplementation(pendingFetch);
+
+    const request = getServices({ retry: false });
+    jest.advanceTimersByTime(config.api.timeout);
+
+    await expect(request).rejects.toThrow(TimeoutError);
+    jest.useRealTimers();
+  });
+});
+
+describe('ApiService typed errors', () => {
+  beforeEach(() => {
+    global.fetch = jest.fn();
+    apiService.invalidate();
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  const requestError = () =>
+    apiService.request('/api/services', { retry: false }).catch(e => e);
+
+  test('maps 422 responses to ValidationError with field errors', async () => {
+    global.fetch.mockResolvedValue(
+      mockResponse(422, {
+        message: 'Invalid input',
+        errors: { email: 'Email is already registered' },
+      })
+    );
+
+    const error = await requestError();
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.fieldErrors).toEqual({
+      email: 'Email is already registered',
+    });
+    expect(error.status).toBe(422);
+  });
+
+  test('maps 429 responses to RateLimitError with retryAfter', async () => {
+    global.fetch.mockResolvedValue(
+      mockResponse(429, {}, { 'Retry-After': '45' })
+    );
+
+    const error = await requestError();
+    expect(error).toBeInstanceOf(RateLimitError);
+    expect(error.retryAfter).toBe(45);
+    expect(getErrorMessage(error)).toMatch(/45 seconds/);
+  });
+
+  test('maps 401/403 to AuthError and 5xx to ServerError', async () => {
+    global.fetch.mockResolvedValueOnce(mockResponse(403));
+    expect(await requestError()).toBeInstanceOf(AuthError);
+
+    global.fetch.mockResolvedValueOnce(mockResponse(503));
+    const error = await requestError();
+    expect(error).toBeInstanceOf(ServerError);
+    expect(error.status).toBe(503);
+  });
+
+  test.each(['Failed to fetch', 'Load failed', 'NetworkError'])(
+    'maps fetch failures to NetworkError (%s)',
+    async message => {
+      global.fetch.mockRejectedValue(new TypeError(message));
+
+      expect(await requestError()).toBeInstanceOf(NetworkError);
+    }
+  );
+
+  test('client-side contact validation throws ValidationError', async () => {
+    const error = await submitContactForm({
+      ...validContact,
+      email: 'not-an-email',
+    }).catch(e => e);
+
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.fieldErrors.email).toBe('Please enter a valid email address');
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+});
+
+describe('retry helpers', () => {
+  test('parseRetryAfter handles seconds and HTTP dates', () => {
+    expect(parseRetryAfter('3')).toBe(3000);
+    expect(parseRetryAfter(null)).toBeNull();
+    expect(parseRetryAfter('not a date')).toBeNull();
+
+    const inTenSeconds = new Date(Date.now() + 10000).toUTCString();
+    expect(parseRetryAfter(inTenSeconds)).toBeGreaterThan(8000);
+  });
+
+  test('getRetryDelay grows exponentially and respects maxDelay', () => {
+    const policy = {
+      ...DEFAULT_RETRY_POLICY,
+      baseDelay: 100,
+      maxDelay: 1000,
+      jitter: false,
+    };
+
+    expect(getRetryDelay(1, policy)).toBe(100);
+    expect(getRetryDelay(2, policy)).toBe(200);
+    expect(getRetryDelay(3, policy)).toBe(400);
+    expect(getRetryDelay(10, policy)).toBe(1000);
+    expect(getRetryDelay(1, policy, 2500)).toBe(2500);
+  });
+
+  test('getRetryDelay applies jitter within the backoff window', () => {
+    const policy = { ...DEFAULT_RETRY_POLICY, baseDelay: 100, jitter: true };
+
+    for (let i = 0; i < 20; i++) {
+      const delay = getRetryDelay(3, policy);
+      expect(delay).toBeGreaterThanOrEqual(0);
+      expect(delay).toBeLessThanOrEqual(400);
+    }
+  });
+});
@@ -0,0 +1,178 @@
+import { ResponseCache, createCacheKey } from '../apiCache';
+import { NetworkError } from '../apiErrors';
+
+const waitForMicrotasks = () => new Promise(resolve => setTimeout(resolve, 0));
+
+const ttls = {
+  '/api/services': { maxAge: 1000, staleWhileRevalidate: 5000 },
+  '/api/blog': { maxAge: 1000, staleWhileRevalidate: 0 },
+};
+
+describe('createCacheKey', () => {
+  test('ignores query parameter order', () => {
+    expect(createCacheKey('/api/blog?page=2&limit=10')).toBe(
+      createCacheKey('/api/blog?limit=10&page=2')
+    );
+    expect(createCacheKey('/api/services')).toBe('/api/services');
+  });
+});
+
+describe('ResponseCache', () => {
+  let now;
+  let cache;
+
+  beforeEach(() => {
+    sessionStorage.clear();
+    now = 1000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    cache = new ResponseCache({ ttls });
+  });
+
+  afterEach(() => {
+    Date.now.mockRestore();
+  });
+
+  test('serves fresh entries without calling the fetcher', async () => {
+    const fetcher = jest.fn().mockResolvedValue(['a']);
+
+    await cache.resolve('/api/services', fetcher);
+    now += 500;
+    const data = await cache.resolve('/api/services', fetcher);
+
+    expect(data).toEqual(['a']);
+    expect(fetcher).toHaveBeenCalledTimes(1);
+  });
+
+  test('serves stale entries and revalidates in the background', async () => {
+    const fetcher = jest
+      .fn()
+      .mockResolvedValueOnce(['old'])
+      .mockResolvedValueOnce(['new']);
+    const onRevalidate = jest.fn();
+
+    await cache.resolve('/api/services', fetcher);
+    now += 2000;
+    const data = await cache.resolve('/api/services', fetcher, {
+      onRevalidate,
+    });
+
+    expect(data).toEqual(['old']);
+    await waitForMicrotasks();
+    expect(onRevalidate).toHaveBeenCalledWith(['new']);
+    expect(cache.get('/api/services').data).toEqual(['new']);
+  });
+
+  test('refetches expired entries', async () => {
+    const fetcher = jest
+      .fn()
+      .mockResolvedValueOnce(['old'])
+      .mockResolvedValueOnce(['new']);
+
+    await cache.resolve('/api/blog?page=1', fetcher);
+    now += 1500;
+
+    expect(await cache.resolve('/api/blog?page=1', fetcher)).toEqual(['new']);
+  });
+
+  test('de-duplicates identical in-flight requests', async () => {
+    let resolveFetch;
+    const fetcher = jest.fn(
+      () => new Promise(resolve => (resolveFetch = resolve))
+    );
+
+    const first = cache.resolve('/api/services', fetcher);
+    const second = cache.resolve('/api/services', fetcher);
+    resolveFetch(['shared']);
+
+    expect(await Promise.all([first, second])).toEqual([
+      ['shared'],
+      ['shared'],
+    ]);
+    expect(fetcher).toHaveBeenCalledTimes(1);
+  });
+
+  test('only aborts a shared request once every caller has aborted', async () => {
+    let sharedSignal;
+    const fetcher = jest.fn(signal => {
+      sharedSignal = signal;
+      return new Promise(() => {});
+    });
+    const first = new AbortController();
+    const second = new AbortController();
+
+    const firstRequest = cache.resolve('/api/services', fetcher, {
+      signal: first.signal,
+    });
+    const secondRequest = cache.resolve('/api/services', fetcher, {
+      signal: second.signal,
+    });
+
+    first.abort();
+    await expect(firstRequest).rejects.toThrow('Request was cancelled.');
+    expect(sharedSignal.aborted).toBe(false);
+
+    second.abort();
+    await expect(secondRequest).rejects.toThrow('Request was cancelled.');
+    expect(sharedSignal.aborted).toBe(true);
+  });
+
+  test('starts a fresh request after the last caller aborts', async () => {
+    const signals = [];
+    const fetcher = jest.fn(signal => {
+      signals.push(signal);
+      return signals.length === 1
+        ? new Promise(() => {})
+        : Promise.resolve(['fresh']);
+    });
+    const first = new AbortController();
+
+    const firstRequest = cache.load('/api/services', fetcher, first.signal);
+    first.abort();
+    // Same tick, before the aborted request has settled
+    const secondRequest = cache.load(
+      '/api/services',
+      fetcher,
+      new AbortController().signal
+    );
+
+    await expect(firstRequest).rejects.toThrow('Request was cancelled.');
+    expect(await secondRequest).toEqual(['fresh']);
+    expect(fetcher).toHaveBeenCalledTimes(2);
+    expect(signals[0].aborted).toBe(true);
+    expect(signals[1].aborted).toBe(false);
+  });
+
+  test('falls back to an expired entry when the network is down', async () => {
+    const fetcher = jest
+      .fn()
+      .mockResolvedValueOnce(['cached'])
+      .mockRejectedValueOnce(new NetworkError());
+
+    await cache.resolve('/api/blog?page=1', fetcher);
+    now += 10000;
+
+    expect(await cache.resolve('/api/blog?page=1', fetcher)).toEqual([
+      'cached',
+    ]);
+  });
+
+  test('persists entries to sessionStorage', async () => {
+    await cache.resolve('/api/services', () => Promise.resolve(['a']));
+
+    const reloaded = new ResponseCache({ ttls });
+    expect(reloaded.get('/api/services').data).toEqual(['a']);
+  });
+
+  test('invalidate removes matching entries only', async () => {
+    cache.set('/api/blog?page=1', ['post']);
+    cache.set('/api/services', ['service']);
+
+    cache.invalidate('/api/blog');
+
+    expect(cache.get('/api/blog?page=1')).toBeNull();
+    expect(cache.get('/api/services').data).toEqual(['service']);
+
+    cache.invalidate(/services/);
+    expect(cache.get('/api/services')).toBeNull();
+  });
+});
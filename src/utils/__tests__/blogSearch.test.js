@@ -0,0 +1,71 @@
+import { blogFacets, filterBlogPosts, searchBlogPosts } from '../blogSearch';
+
+const posts = [
+  {
+    id: 1,
+    title: 'Measuring event ROI',
+    excerpt: 'Numbers that matter after the crowd goes home.',
+    category: 'Strategy',
+    tags: ['roi', 'analytics'],
+  },
+  {
+    id: 2,
+    title: 'Café pop-ups that work',
+    excerpt: 'What we learned measuring footfall at 40 pop-up stores.',
+    category: 'Creative',
+    tags: ['retail'],
+  },
+  {
+    id: 3,
+    title: 'Planning a product launch',
+    excerpt: 'A checklist for launch day.',
+    category: 'Strategy',
+  },
+];
+
+const ids = results => results.map(post => post.id);
+
+describe('filterBlogPosts', () => {
+  test('matches category and tag case-insensitively', () => {
+    expect(ids(filterBlogPosts(posts, { category: 'strategy' }))).toEqual([
+      1, 3,
+    ]);
+    expect(ids(filterBlogPosts(posts, { tag: 'ROI' }))).toEqual([1]);
+    expect(
+      ids(filterBlogPosts(posts, { category: 'Creative', tag: 'roi' }))
+    ).toEqual([]);
+  });
+
+  test('returns every post without filters', () => {
+    expect(filterBlogPosts(posts)).toEqual(posts);
+  });
+});
+
+describe('blogFacets', () => {
+  test('lists each category and tag once, sorted', () => {
+    expect(blogFacets(posts)).toEqual({
+      categories: ['Creative', 'Strategy'],
+      tags: ['analytics', 'retail', 'roi'],
+    });
+  });
+});
+
+describe('searchBlogPosts', () => {
+  test('requires every word in the title or excerpt', () => {
+    expect(ids(searchBlogPosts(posts, 'launch checklist'))).toEqual([3]);
+    expect(ids(searchBlogPosts(posts, 'launch roi'))).toEqual([]);
+  });
+
+  test('ranks title matches first and ignores case and accents', () => {
+    expect(ids(searchBlogPosts(posts, 'MEASURING'))).toEqual([1, 2]);
+    expect(ids(searchBlogPosts(posts, 'cafe'))).toEqual([2]);
+  });
+
+  test('does not search tags', () => {
+    expect(searchBlogPosts(posts, 'analytics')).toEqual([]);
+  });
+
+  test('returns every post for a blank query', () => {
+    expect(searchBlogPosts(posts, '  ')).toEqual(posts);
+  });
+});
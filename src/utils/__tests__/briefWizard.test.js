@@ -0,0 +1,162 @@
+import { serverValidation } from '../api';
+import {
+  BRIEF_STEPS,
+  INITIAL_BRIEF,
+  buildBriefPayload,
+  findStepWithErrors,
+  validateStep,
+} from '../briefWizard';
+import { validateContactSubmission } from '../validationSchema';
+
+const completeBrief = {
+  ...INITIAL_BRIEF,
+  service: 'roadshow',
+  cityCount: '5',
+  route: 'Addis Ababa, Adama, Hawassa',
+  eventDate: '2999-05-01',
+  eventCity: '  Addis   Ababa ',
+  audienceSize: '250',
+  message: 'A five city roadshow for our new product line.',
+  budget: '15k-50k',
+  timeline: '3-6-months',
+  name: 'Jane Doe',
+  email: 'jane@example.com',
+  company: 'Acme',
+};
+
+describe('briefWizard', () => {
+  test('walks service, event, budget, contact and review in order', () => {
+    expect(BRIEF_STEPS.map(step => step.id)).toEqual([
+      'service',
+      'event',
+      'budget',
+      'contact',
+      'review',
+    ]);
+  });
+
+  test('validates only the fields of the current step', () => {
+    const { isValid, errors } = validateStep('event', {
+      ...INITIAL_BRIEF,
+      service: 'roadshow',
+    });
+
+    expect(isValid).toBe(false);
+    expect(Object.keys(errors).sort()).toEqual([
+      'audienceSize',
+      'eventCity',
+      'message',
+    ]);
+    expect(validateStep('service', completeBrief).isValid).toBe(true);
+  });
+
+  test.each([
+    ['event-planning', ['eventType']],
+    ['roadshow', ['cityCount', 'route']],
+    ['brand-activation', ['venueType', 'footfall']],
+    ['promotional', ['staffHeadcount']],
+    ['other', []],
+  ])('the service step asks %s for %p', (service, fields) => {
+    const { errors } = validateStep('service', { ...INITIAL_BRIEF, service });
+
+    expect(Object.keys(errors)).toEqual(fields);
+  });
+
+  test('sends only the selected service details, typed', () => {
+    const payload = buildBriefPayload({
+      ...completeBrief,
+      service: 'brand-activation',
+      venueType: 'mall',
+      footfall: '1500',
+    });
+
+    expect(payload.serviceDetails).toEqual({
+      type: 'brand-activation',
+      venueType: 'mall',
+      footfall: 1500,
+    });
+    expect(
+      buildBriefPayload({ ...completeBrief, service: 'other' })
+    ).not.toHaveProperty('serviceDetails');
+  });
+
+  test.each([
+    ['audienceSize', '0', 'Audience size must be at least 1'],
+    ['audienceSize', '12.5', 'Audience size must be a whole number'],
+    ['eventDate', '2020-01-01', 'Event date cannot be in the past'],
+    ['eventDate', '2999-02-30', 'Please enter a valid date'],
+    ['budget', 'millions', 'Please select a budget range'],
+  ])('%s "%s" fails with "%s"', (field, value, message) => {
+    const step = BRIEF_STEPS.find(item => item.fields.includes(field));
+    const { errors } = validateStep(step.id, {
+      ...completeBrief,
+      [field]: value,
+    });
+
+    expect(errors[field]).toBe(message);
+  });
+
+  test('finds the first step with an error', () => {
+    expect(findStepWithErrors({ email: 'Email is required' })).toBe(3);
+    expect(findStepWithErrors({ budget: 'x', name: 'y' })).toBe(2);
+    expect(findStepWithErrors({ footfall: 'x', eventCity: 'y' })).toBe(0);
+    expect(findStepWithErrors({})).toBeNull();
+  });
+
+  test('builds a structured payload that passes server validation', () => {
+    const payload = buildBriefPayload(completeBrief);
+
+    expect(payload).toEqual({
+      name: 'Jane Doe',
+      email: 'jane@example.com',
+      company: 'Acme',
+      service: 'roadshow',
+      message: 'A five city roadshow for our new product line.',
+      brief: {
+        event: { date: '2999-05-01', city: 'Addis Ababa', audienceSize: 250 },
+        budget: '15k-50k',
+        timeline: '3-6-months',
+      },
+      serviceDetails: {
+        type: 'roadshow',
+        cityCount: 5,
+        route: 'Addis Ababa, Adama, Hawassa',
+      },
+    });
+    expect(payload).not.toHaveProperty('website');
+    expect(validateContactSubmission(payload)).toEqual({
+      isValid: true,
+      errors: {},
+    });
+  });
+
+  test('leaves out optional brief fields that were not filled in', () => {
+    const payload = buildBriefPayload({ ...completeBrief, eventDate: '' });
+
+    expect(payload.brief.event).not.toHaveProperty('date');
+  });
+
+  test('server validation rejects details for a different service', () => {
+    const payload = buildBriefPayload(completeBrief);
+    payload.service = 'promotional';
+
+    expect(validateContactSubmission(payload).errors).toEqual({
+      service: 'Service details do not match the selected service',
+    });
+    expect(
+      serverValidation.validateServiceDetails('promotional', {
+        type: 'promotional',
+        staffHeadcount: 800,
+      }).errors
+    ).toEqual({ staffHeadcount: 'Staff headcount must be at most 500' });
+  });
+
+  test('server validation reports brief errors by field name', () => {
+    const payload = buildBriefPayload(completeBrief);
+    payload.brief.event.audienceSize = -5;
+
+    expect(validateContactSubmission(payload).errors).toEqual({
+      audienceSize: 'Audience size must be at least 1',
+    });
+  });
+});
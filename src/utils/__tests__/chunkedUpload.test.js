@@ -0,0 +1,191 @@
+import apiService, {
+  CancelledError,
+  ServerError,
+  createUpload,
+  uploadFile,
+} from '../api';
+import { CHUNK_CHECKSUM_HEADER } from '../chunkedUpload';
+import { createMockBackend } from '../mockBackend';
+
+const makeFile = () =>
+  new File(['%PDF-12345'], 'brief.pdf', { type: 'application/pdf' });
+
+const chunkRequests = transport =>
+  transport.mock.calls.filter(([, options]) => options.method === 'PUT');
+
+describe('chunked uploads', () => {
+  let backend;
+  let transport;
+
+  beforeEach(() => {
+    backend = createMockBackend();
+    transport = jest.fn((url, options) => backend.fetch(url, options));
+    apiService.setTransport(transport);
+  });
+
+  afterEach(() => {
+    apiService.setTransport(null);
+  });
+
+  test('sends checksummed chunks and reports progress', async () => {
+    const onProgress = jest.fn();
+    const upload = createUpload(makeFile(), 'attachment', {
+      chunkSize: 4,
+      onProgress,
+    });
+
+    const result = await upload.start();
+
+    expect(upload.totalChunks).toBe(3);
+    expect(upload.status).toBe('done');
+    expect(result.data).toMatchObject({ id: 'upload-1', size: 10 });
+    expect(backend.db.uploads).toHaveLength(1);
+    expect(onProgress.mock.calls.map(([progress]) => progress.loaded)).toEqual([
+      0, 4, 8, 10,
+    ]);
+    chunkRequests(transport).forEach(([, options]) =>
+      expect(options.headers[CHUNK_CHECKSUM_HEADER]).toMatch(/^[0-9a-f]{64}$/)
+    );
+  });
+
+  test('retries only the chunk that failed', async () => {
+    backend.injectFailure({
+      method: 'PUT',
+      path: /\/chunks\/1$/,
+      status: 500,
+      times: 1,
+    });
+
+    const upload = createUpload(makeFile(), 'attachment', {
+      chunkSize: 4,
+      retryDelay: 0,
+    });
+    await upload.start();
+
+    expect(
+      chunkRequests(transport).map(([url]) => url.split('/').pop())
+    ).toEqual(['0', '1', '1', '2']);
+  });
+
+  test('resends chunks the server received corrupted', async () => {
+    let corrupted = false;
+    transport.mockImplementation((url, options) => {
+      if (!corrupted && url.endsWith('/chunks/2')) {
+        corrupted = true;
+        return backend.fetch(url, { ...options, body: new Blob(['xx']) });
+      }
+      return backend.fetch(url, options);
+    });
+
+    const upload = createUpload(makeFile(), 'attachment', {
+      chunkSize: 4,
+      retryDelay: 0,
+    });
+    const result = await upload.start();
+
+    expect(corrupted).toBe(true);
+    expect(chunkRequests(transport)).toHaveLength(4);
+    expect(result.data.size).toBe(10);
+  });
+
+  test('pauses and resumes from the chunks already received', async () => {
+    let paused = false;
+    const upload = createUpload(makeFile(), 'attachment', {
+      chunkSize: 4,
+      onProgress: ({ loaded }) => {
+        if (loaded === 4 && !paused) {
+          paused = true;
+          upload.pause();
+        }
+      },
+    });
+
+    await expect(upload.start()).rejects.toBeInstanceOf(CancelledError);
+    expect(upload.status).toBe('paused');
+    expect(backend.db.uploads).toHaveLength(0);
+
+    const result = await upload.resume();
+
+    expect(result.data.id).toBe('upload-1');
+    expect(
+      chunkRequests(transport).filter(([url]) => url.endsWith('/chunks/0'))
+    ).toHaveLength(1);
+  });
+
+  test('fails after repeated chunk errors and can be resumed', async () => {
+    const removeFailure = backend.injectFailure({
+      method: 'PUT',
+      path: /\/chunks\//,
+      status: 503,
+    });
+
+    const upload = createUpload(makeFile(), 'attachment', {
+      chunkSize: 4,
+      maxChunkAttempts: 2,
+      retryDelay: 0,
+    });
+
+    await expect(upload.start()).rejects.toBeInstanceOf(ServerError);
+    expect(upload.status).toBe('error');
+    expect(chunkRequests(transport)).toHaveLength(2);
+
+    removeFailure();
+    await expect(upload.resume()).resolves.toHaveProperty('success', true);
+  });
+
+  test('cancelling through a signal stops uploadFile', async () => {
+    const controller = new AbortController();
+    const pending = uploadFile(makeFile(), 'attachment', {
+      signal: controller.signal,
+    });
+    controller.abort();
+
+    await expect(pending).rejects.toBeInstanceOf(CancelledError);
+    expect(backend.db.uploads).toHaveLength(0);
+  });
+
+  test('removes its abort listeners once the upload settles', async () => {
+    backend.injectFailure({
+      method: 'PUT',
+      path: /\/chunks\/1$/,
+      status: 500,
+      times: 1,
+    });
+    const listeners = new Set();
+    const add = jest
+      .spyOn(AbortSignal.prototype, 'addEventListener')
+      .mockImplementation(function (type, listener, options) {
+        listeners.add(listener);
+        return EventTarget.prototype.addEventListener.call(
+          this,
+          type,
+          listener,
+          options
+        );
+      });
+    const remove = jest
+      .spyOn(AbortSignal.prototype, 'removeEventListener')
+      .mockImplementation(function (type, listener, options) {
+        listeners.delete(listener);
+        return EventTarget.prototype.removeEventListener.call(
+          this,
+          type,
+          listener,
+          options
+        );
+      });
+
+    try {
+      await uploadFile(makeFile(), 'attachment', {
+        signal: new AbortController().signal,
+        chunkSize: 4,
+        retryDelay: 1,
+      });
+
+      expect(listeners.size).toBe(0);
+    } finally {
+      add.mockRestore();
+      remove.mockRestore();
+    }
+  });
+});
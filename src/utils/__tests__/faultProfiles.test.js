@@ -0,0 +1,107 @@
+import apiService, {
+  NetworkError,
+  RateLimitError,
+  ServerError,
+  getServices,
+} from '../api';
+import { createFaultInjector, createRandom } from '../faultProfiles';
+import { createMockBackend } from '../mockBackend';
+
+const failurePattern = (injector, count) =>
+  Array.from({ length: count }, () => Boolean(injector.next().failure));
+
+describe('fault profiles', () => {
+  test('the same seed yields the same sequence', () => {
+    const first = createRandom(42);
+    const second = createRandom(42);
+    const other = createRandom(7);
+
+    const sequence = [first(), first(), first()];
+    expect([second(), second(), second()]).toEqual(sequence);
+    expect([other(), other(), other()]).not.toEqual(sequence);
+  });
+
+  test('intermittent-500 fails some requests, reproducibly', () => {
+    const pattern = failurePattern(
+      createFaultInjector({ profile: 'intermittent-500', seed: 3 }),
+      50
+    );
+
+    expect(pattern).toContain(true);
+    expect(pattern).toContain(false);
+    expect(
+      failurePattern(
+        createFaultInjector({ profile: 'intermittent-500', seed: 3 }),
+        50
+      )
+    ).toEqual(pattern);
+  });
+
+  test('slow-3g only adds latency', () => {
+    const injector = createFaultInjector({ profile: 'slow-3g' });
+
+    for (let i = 0; i < 10; i++) {
+      const { latency, failure } = injector.next(100);
+      expect(latency).toBeGreaterThanOrEqual(2000);
+      expect(latency).toBeLessThanOrEqual(3000);
+      expect(failure).toBeNull();
+    }
+  });
+
+  test('rejects unknown profiles', () => {
+    expect(() => createFaultInjector({ profile: 'sometimes' })).toThrow(
+      'Unknown mock API fault profile'
+    );
+  });
+});
+
+describe('mock backend fault profiles', () => {
+  let backend;
+
+  beforeEach(() => {
+    backend = createMockBackend();
+    apiService.setTransport(backend.fetch);
+    apiService.invalidate();
+  });
+
+  afterEach(() => {
+    apiService.setTransport(null);
+  });
+
+  test('always-429 surfaces RateLimitError with Retry-After', async () => {
+    backend.setFaultProfile('always-429');
+
+    const error = await getServices({ retry: false }).catch(e => e);
+    expect(error).toBeInstanceOf(RateLimitError);
+    expect(error.retryAfter).toBe(30);
+  });
+
+  test('offline surfaces NetworkError', async () => {
+    backend.setFaultProfile('offline');
+
+    await expect(getServices({ retry: false })).rejects.toBeInstanceOf(
+      NetworkError
+    );
+  });
+
+  test('reset replays the profile from the start of its sequence', async () => {
+    backend.setFaultProfile('intermittent-500', 5);
+    const outcome = () =>
+      apiService
+        .request('/api/stats', { retry: false })
+        .then(() => 'ok')
+        .catch(error => (error instanceof ServerError ? '500' : 'other'));
+
+    const run = async () => {
+      const results = [];
+      for (let i = 0; i < 10; i++) {
+        results.push(await outcome());
+      }
+      return results;
+    };
+
+    const first = await run();
+    backend.reset();
+    expect(await run()).toEqual(first);
+  });
+});
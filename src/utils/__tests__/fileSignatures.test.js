@@ -0,0 +1,30 @@
+import { sniffFileType } from '../fileSignatures';
+
+const fileOf = (bytes, name = 'upload.bin', type = '') =>
+  new File([new Uint8Array(bytes)], name, { type });
+
+const ascii = text => Array.from(text, char => char.charCodeAt(0));
+
+describe('sniffFileType', () => {
+  test.each([
+    ['image/jpeg', [0xff, 0xd8, 0xff, 0xe0, 0, 0x10]],
+    ['image/png', [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0]],
+    ['image/gif', ascii('GIF89a')],
+    ['image/webp', [...ascii('RIFF'), 0x24, 0, 0, 0, ...ascii('WEBPVP8 ')]],
+    ['application/pdf', ascii('%PDF-1.7')],
+  ])('recognises %s', async (type, bytes) => {
+    await expect(sniffFileType(fileOf(bytes))).resolves.toBe(type);
+  });
+
+  test('ignores the declared type and name', async () => {
+    const disguised = fileOf(ascii('%PDF-1.4'), 'photo.jpg', 'image/jpeg');
+    await expect(sniffFileType(disguised)).resolves.toBe('application/pdf');
+  });
+
+  test('returns null for unknown or empty files', async () => {
+    await expect(sniffFileType(fileOf(ascii('PK\u0003\u0004')))).resolves.toBe(
+      null
+    );
+    await expect(sniffFileType(fileOf([]))).resolves.toBe(null);
+  });
+});
@@ -0,0 +1,68 @@
+import { computeHumanness, interactionContext } from '../humanness';
+import { evaluateSpam } from '../spamScoring';
+
+const person = {
+  elapsedMs: 45000,
+  focusCount: 6,
+  keyCount: 180,
+  pasteCount: 0,
+  pointerCount: 240,
+};
+
+const bot = {
+  elapsedMs: 800,
+  focusCount: 0,
+  keyCount: 0,
+  pasteCount: 0,
+  pointerCount: 0,
+};
+
+const enquiry = {
+  name: 'Jane Doe',
+  email: 'jane@example.com',
+  message: 'We would like to plan a roadshow next spring.',
+};
+
+describe('humanness', () => {
+  test('scores interactive visitors highly and silent submissions at 0', () => {
+    expect(computeHumanness(person)).toBe(1);
+    expect(computeHumanness(bot)).toBe(0.02);
+  });
+
+  test('does not require a pointer', () => {
+    expect(
+      computeHumanness({ ...person, pointerCount: 0 })
+    ).toBeGreaterThanOrEqual(0.8);
+    expect(
+      computeHumanness({ ...person, keyCount: 2, pasteCount: 2 })
+    ).toBeGreaterThanOrEqual(0.8);
+  });
+
+  test('treats malformed signals as no interaction', () => {
+    expect(computeHumanness({ keyCount: 'lots', focusCount: -5 })).toBe(0);
+  });
+
+  test('feeds the spam score', () => {
+    const now = Date.now();
+
+    expect(evaluateSpam(enquiry, interactionContext(person, now)).verdict).toBe(
+      'allow'
+    );
+
+    const flagged = evaluateSpam(enquiry, interactionContext(bot, now));
+    expect(flagged.verdict).toBe('block');
+    expect(flagged.reasons.map(signal => signal.detector)).toEqual([
+      'timeToFill',
+      'humanness',
+    ]);
+  });
+
+  test('builds no context without signals', () => {
+    expect(interactionContext(undefined)).toEqual({});
+    expect(interactionContext(bot, 10000)).toEqual({
+      startedAt: 9200,
+      submittedAt: 10000,
+      interaction: bot,
+    });
+  });
+});
@@ -0,0 +1,149 @@
+import { readBlob } from '../checksum';
+import { stripGpsMetadata } from '../imageMetadata';
+
+const ascii = text => Array.from(text, char => char.charCodeAt(0));
+
+// Little-endian TIFF with an orientation tag and a GPS block holding a
+// latitude reference (inline) and latitude (stored out of line)
+const buildTiff = ({ withGps = true } = {}) => {
+  const view = new DataView(new ArrayBuffer(92));
+  view.setUint16(0, 0x4949);
+  view.setUint16(2, 42, true);
+  view.setUint32(4, 8, true);
+
+  view.setUint16(8, withGps ? 2 : 1, true);
+  view.setUint16(10, 0x0112, true); // Orientation
+  view.setUint16(12, 3, true);
+  view.setUint32(14, 1, true);
+  view.setUint16(18, 6, true);
+  if (withGps) {
+    view.setUint16(22, 0x8825, true); // GPS IFD pointer
+    view.setUint16(24, 4, true);
+    view.setUint32(26, 1, true);
+    view.setUint32(30, 38, true);
+  }
+
+  view.setUint16(38, 2, true);
+  view.setUint16(40, 0x0001, true); // GPSLatitudeRef "N"
+  view.setUint16(42, 2, true);
+  view.setUint32(44, 2, true);
+  view.setUint8(48, 0x4e);
+  view.setUint16(52, 0x0002, true); // GPSLatitude, three rationals
+  view.setUint16(54, 5, true);
+  view.setUint32(56, 3, true);
+  view.setUint32(60, 68, true);
+  [52, 1, 31, 1, 7, 1].forEach((value, index) =>
+    view.setUint32(68 + index * 4, value, true)
+  );
+
+  return Array.from(new Uint8Array(view.buffer));
+};
+
+const buildJpeg = tiff => [
+  0xff,
+  0xd8,
+  0xff,
+  0xe1,
+  0,
+  tiff.length + 8,
+  ...ascii('Exif\0\0'),
+  ...tiff,
+  0xff,
+  0xda,
+  0,
+  2,
+  0xff,
+  0xd9,
+];
+
+const buildPng = tiff => [
+  0x89,
+  ...ascii('PNG\r\n\u001a\n'),
+  0,
+  0,
+  0,
+  tiff.length,
+  ...ascii('eXIf'),
+  ...tiff,
+  0,
+  0,
+  0,
+  0,
+  ...[0, 0, 0, 0, ...ascii('IEND'), 0xae, 0x42, 0x60, 0x82],
+];
+
+const buildWebp = tiff => [
+  ...ascii('RIFF'),
+  tiff.length + 12,
+  0,
+  0,
+  0,
+  ...ascii('WEBP'),
+  ...ascii('EXIF'),
+  tiff.length,
+  0,
+  0,
+  0,
+  ...tiff,
+];
+
+const fileOf = (bytes, type) =>
+  new File([new Uint8Array(bytes)], 'photo', { type });
+
+const bytesOf = async file => new Uint8Array(await readBlob(file));
+
+// Locate the TIFF header ("II*\0") inside a file
+const tiffAt = bytes =>
+  bytes.findIndex(
+    (byte, index) =>
+      byte === 0x49 &&
+      bytes[index + 1] === 0x49 &&
+      bytes[index + 2] === 42 &&
+      bytes[index + 3] === 0
+  );
+
+const expectGpsRemoved = async (original, stripped) => {
+  const bytes = await bytesOf(stripped);
+  const view = new DataView(bytes.buffer, tiffAt(bytes));
+
+  expect(stripped).not.toBe(original);
+  expect(stripped.size).toBe(original.size);
+  expect(view.getUint16(18, true)).toBe(6); // orientation kept
+  expect(view.getUint16(38, true)).toBe(0); // empty GPS block
+  expect(
+    Array.from(new Uint8Array(view.buffer, view.byteOffset + 40, 52))
+  ).toEqual(new Array(52).fill(0));
+};
+
+describe('stripGpsMetadata', () => {
+  test('removes GPS data from JPEG EXIF but keeps orientation', async () => {
+    const jpeg = fileOf(buildJpeg(buildTiff()), 'image/jpeg');
+    const stripped = await stripGpsMetadata(jpeg);
+
+    await expectGpsRemoved(jpeg, stripped);
+    expect(stripped.type).toBe('image/jpeg');
+  });
+
+  test('removes GPS data from PNG and WebP images', async () => {
+    const png = fileOf(buildPng(buildTiff()), 'image/png');
+    const webp = fileOf(buildWebp(buildTiff()), 'image/webp');
+
+    await expectGpsRemoved(png, await stripGpsMetadata(png));
+    await expectGpsRemoved(webp, await stripGpsMetadata(webp));
+
+    // The edited PNG chunk gets a fresh checksum
+    const crcOffset = 8 + 8 + 92;
+    const pngBytes = await bytesOf(await stripGpsMetadata(png));
+    expect(Array.from(pngBytes.subarray(crcOffset, crcOffset + 4))).not.toEqual(
+      [0, 0, 0, 0]
+    );
+  });
+
+  test('returns files without location data unchanged', async () => {
+    const jpeg = fileOf(buildJpeg(buildTiff({ withGps: false })), 'image/jpeg');
+    const pdf = fileOf(ascii('%PDF-1.7'), 'application/pdf');
+
+    await expect(stripGpsMetadata(jpeg)).resolves.toBe(jpeg);
+    await expect(stripGpsMetadata(pdf)).resolves.toBe(pdf);
+  });
+});
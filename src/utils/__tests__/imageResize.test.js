@@ -0,0 +1,72 @@
+import { downscaleImage, fitDimensions } from '../imageResize';
+
+describe('imageResize', () => {
+  test.each([
+    [4000, 3000, 2048, { width: 2048, height: 1536 }],
+    [1000, 3000, 1500, { width: 500, height: 1500 }],
+    [800, 600, 2048, { width: 800, height: 600 }],
+  ])('fits %ix%i within %i', (width, height, max, expected) => {
+    expect(fitDimensions(width, height, max)).toEqual(expected);
+  });
+
+  test('returns PDFs and GIFs unchanged', async () => {
+    const pdf = new File(['%PDF'], 'rfp.pdf', { type: 'application/pdf' });
+    const gif = new File(['GIF89a'], 'loop.gif', { type: 'image/gif' });
+
+    await expect(downscaleImage(pdf)).resolves.toBe(pdf);
+    await expect(downscaleImage(gif)).resolves.toBe(gif);
+  });
+
+  test('returns the original where images cannot be decoded', async () => {
+    const photo = new File(['jpeg'], 'photo.jpg', { type: 'image/jpeg' });
+
+    await expect(downscaleImage(photo)).resolves.toBe(photo);
+  });
+
+  describe('with canvas support', () => {
+    const encodeAs = type =>
+      jest
+        .spyOn(HTMLCanvasElement.prototype, 'toBlob')
+        .mockImplementation(callback =>
+          callback(new Blob(['small'], { type }))
+        );
+
+    beforeEach(() => {
+      window.createImageBitmap = jest.fn().mockResolvedValue({
+        width: 4000,
+        height: 3000,
+        close: jest.fn(),
+      });
+      jest
+        .spyOn(HTMLCanvasElement.prototype, 'getContext')
+        .mockReturnValue({ drawImage: jest.fn() });
+    });
+
+    afterEach(() => {
+      delete window.createImageBitmap;
+      jest.restoreAllMocks();
+    });
+
+    test('re-encodes large photos in their own format', async () => {
+      encodeAs('image/webp');
+      const photo = new File(['a large webp photo'], 'photo.webp', {
+        type: 'image/webp',
+      });
+
+      const resized = await downscaleImage(photo);
+
+      expect(resized).not.toBe(photo);
+      expect(resized).toMatchObject({ name: 'photo.webp', type: 'image/webp' });
+      expect(resized.size).toBeLessThan(photo.size);
+    });
+
+    test('keeps the original when the browser encodes another type', async () => {
+      encodeAs('image/png');
+      const photo = new File(['a large webp photo'], 'photo.webp', {
+        type: 'image/webp',
+      });
+
+      await expect(downscaleImage(photo)).resolves.toBe(photo);
+    });
+  });
+});
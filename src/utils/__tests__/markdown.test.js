@@ -0,0 +1,189 @@
+import {
+  parseInline,
+  parseMarkdown,
+  readingTime,
+  sanitizeUrl,
+  slugify,
+  videoSource,
+} from '../markdown';
+
+describe('markdown', () => {
+  test('parses headings with unique ids and collects the outline', () => {
+    const { blocks, headings } = parseMarkdown(
+      '# Title\n\n## Why it *matters*\n\ntext\n\n### Why it matters\n\n## Why it matters'
+    );
+
+    expect(blocks.map(block => block.id)).toEqual([
+      'title',
+      'why-it-matters',
+      undefined,
+      'why-it-matters-2',
+      'why-it-matters-3',
+    ]);
+    // h1s and deeper levels stay out of the table of contents
+    expect(headings).toEqual([
+      { level: 2, id: 'why-it-matters', text: 'Why it matters' },
+      { level: 3, id: 'why-it-matters-2', text: 'Why it matters' },
+      { level: 2, id: 'why-it-matters-3', text: 'Why it matters' },
+    ]);
+  });
+
+  test('keeps letters from any script in heading ids', () => {
+    expect(slugify('Café & Crème!')).toBe('café-crème');
+    expect(slugify('የምርት ስም ታሪክ')).toBe('የምርት-ስም-ታሪክ');
+    expect(parseMarkdown('## 品牌故事').headings[0].id).toBe('品牌故事');
+  });
+
+  test('parses inline formatting', () => {
+    expect(
+      parseInline(
+        '**Bold** and *em*, `a*b*`, [link](/work) and snake_case_name'
+      )
+    ).toEqual([
+      { type: 'strong', children: [{ type: 'text', value: 'Bold' }] },
+      { type: 'text', value: ' and ' },
+      { type: 'em', children: [{ type: 'text', value: 'em' }] },
+      { type: 'text', value: ', ' },
+      { type: 'code', value: 'a*b*' },
+      { type: 'text', value: ', ' },
+      {
+        type: 'link',
+        href: '/work',
+        title: null,
+        children: [{ type: 'text', value: 'link' }],
+      },
+      { type: 'text', value: ' and snake_case_name' },
+    ]);
+  });
+
+  test('parses lists, nested lists, quotes, code and rules', () => {
+    const { blocks } = parseMarkdown(
+      [
+        '- one',
+        '- two',
+        '  1. nested',
+        '',
+        '- three',
+        '',
+        '> quoted',
+        '',
+        '```js',
+        'const a = "<b>";',
+        '```',
+        '',
+        '---',
+      ].join('\n')
+    );
+
+    expect(blocks.map(block => block.type)).toEqual([
+      'list',
+      'quote',
+      'code',
+      'rule',
+    ]);
+    const [list, , code] = blocks;
+    expect(list.items).toHaveLength(3);
+    expect(list.items[1][1]).toMatchObject({ type: 'list', ordered: true });
+    expect(code).toEqual({
+      type: 'code',
+      lang: 'js',
+      value: 'const a = "<b>";',
+    });
+  });
+
+  test('keeps raw HTML as text', () => {
+    const { blocks } = parseMarkdown('<img src=x onerror="alert(1)">');
+
+    expect(blocks).toEqual([
+      {
+        type: 'paragraph',
+        children: [{ type: 'text', value: '<img src=x onerror="alert(1)">' }],
+      },
+    ]);
+  });
+
+  test('drops unsafe link and image targets', () => {
+    expect(sanitizeUrl('javascript:alert(1)')).toBeNull();
+    expect(sanitizeUrl(' JaVaScRiPt:alert(1)')).toBeNull();
+    expect(sanitizeUrl('data:text/html,hi')).toBeNull();
+    expect(sanitizeUrl('//evil.example')).toBeNull();
+    expect(sanitizeUrl('/contact')).toBe('/contact');
+    expect(sanitizeUrl('https://example.com/a b')).toBe(
+      'https://example.com/a%20b'
+    );
+
+    expect(parseInline('[click](javascript:alert%281%29)')).toEqual([
+      { type: 'text', value: 'click' },
+    ]);
+    expect(parseInline('![x](data:image/png;base64,AAAA)')).toEqual([
+      { type: 'text', value: 'x' },
+    ]);
+  });
+
+  test('turns standalone images and video links into figures and embeds', () => {
+    const { blocks } = parseMarkdown(
+      [
+        '![Crowd](https://example.com/crowd.jpg "At the launch")',
+        '',
+        'https://www.youtube.com/watch?v=dQw4w9WgXcQ',
+        '',
+        '![Walkthrough](https://vimeo.com/76979871)',
+        '',
+        '![Reel](/bg.mp4)',
+      ].join('\n')
+    );
+
+    expect(blocks).toEqual([
+      {
+        type: 'image',
+        src: 'https://example.com/crowd.jpg',
+        alt: 'Crowd',
+        title: 'At the launch',
+      },
+      {
+        type: 'video',
+        kind: 'embed',
+        provider: 'youtube',
+        src: 'https://www.youtube-nocookie.com/embed/dQw4w9WgXcQ',
+        title: null,
+      },
+      {
+        type: 'video',
+        kind: 'embed',
+        provider: 'vimeo',
+        src: 'https://player.vimeo.com/video/76979871',
+        title: 'Walkthrough',
+      },
+      {
+        type: 'video',
+        kind: 'file',
+        src: '/bg.mp4',
+        title: 'Reel',
+        captions: null,
+      },
+    ]);
+    expect(videoSource('https://example.com/page')).toBeNull();
+  });
+
+  test('attaches a captions file linked after a video file', () => {
+    const { blocks } = parseMarkdown('![Reel](/bg.mp4)\n[English](/bg.en.vtt)');
+
+    expect(blocks).toEqual([
+      {
+        type: 'video',
+        kind: 'file',
+        src: '/bg.mp4',
+        title: 'Reel',
+        captions: { src: '/bg.en.vtt', label: 'English' },
+      },
+    ]);
+    expect(parseMarkdown('![Reel](/bg.mp4) [Notes](/notes)').blocks[0]).toEqual(
+      expect.objectContaining({ type: 'paragraph' })
+    );
+  });
+
+  test('estimates reading time', () => {
+    expect(readingTime('')).toBe(1);
+    expect(readingTime(Array(1000).fill('word').join(' '))).toBe(5);
+  });
+});
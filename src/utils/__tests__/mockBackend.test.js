@@ -0,0 +1,415 @@
+import apiService, {
+  NetworkError,
+  RateLimitError,
+  ServerError,
+  ValidationError,
+  confirmSubscription,
+  getBlogPost,
+  getBlogPosts,
+  getPortfolioItems,
+  getServices,
+  getSubscription,
+  submitContactForm,
+  subscribeNewsletter,
+  trackEvent,
+  unsubscribe,
+  updateSubscription,
+  uploadFile,
+} from '../api';
+import { createMockBackend } from '../mockBackend';
+
+const validContact = {
+  name: 'Jane Doe',
+  email: 'jane@example.com',
+  company: 'Acme',
+  service: 'roadshow',
+  message: 'We would like to plan a roadshow next spring.',
+};
+
+describe('mock backend', () => {
+  let backend;
+
+  beforeEach(() => {
+    backend = createMockBackend();
+    apiService.setTransport(backend.fetch);
+    apiService.invalidate();
+  });
+
+  afterEach(() => {
+    apiService.setTransport(null);
+  });
+
+  test('serves seeded fixtures for the content endpoints', async () => {
+    const services = await getServices();
+    const roadshows = await getPortfolioItems('Roadshow');
+
+    expect(services.data).toHaveLength(backend.db.services.length);
+    expect(roadshows.data.map(item => item.title)).toEqual(['Brand Roadshow']);
+  });
+
+  test('paginates blog posts', async () => {
+    const page = await getBlogPosts(2, 2);
+
+    expect(page.data).toHaveLength(1);
+    expect(page.meta).toEqual({ page: 2, limit: 2, total: 3, totalPages: 2 });
+  });
+
+  test('serves blog posts by slug, with the body left out of listings', async () => {
+    const page = await getBlogPosts(1, 10);
+    expect(page.data[0]).not.toHaveProperty('content');
+
+    const post = await getBlogPost(page.data[0].slug);
+    expect(post.data.title).toBe(page.data[0].title);
+    expect(post.data.content).toMatch(/^## /m);
+
+    await expect(getBlogPost('no-such-post')).rejects.toMatchObject({
+      code: 'NOT_FOUND',
+    });
+  });
+
+  test('filters blog posts by category and tag, with facets for every post', async () => {
+    const strategy = await getBlogPosts(1, 10, { category: 'strategy' });
+    expect(strategy.data.map(post => post.category)).toEqual(['Strategy']);
+    expect(strategy.meta.total).toBe(1);
+    expect(strategy.facets).toEqual({
+      categories: ['Creative', 'Strategy', 'Trends'],
+      tags: expect.arrayContaining(['roi', 'immersive', 'hybrid events']),
+    });
+
+    const tagged = await getBlogPosts(1, 10, { tag: 'hybrid events' });
+    expect(tagged.data.map(post => post.category)).toEqual(['Trends']);
+
+    const none = await getBlogPosts(1, 10, {
+      category: 'Strategy',
+      tag: 'immersive',
+    });
+    expect(none.data).toEqual([]);
+    expect(none.meta.totalPages).toBe(1);
+  });
+
+  test('records contact submissions with deterministic ids', async () => {
+    const result = await submitContactForm(validContact);
+
+    expect(result.data.id).toBe('contact-1');
+    expect(backend.db.contacts).toHaveLength(1);
+  });
+
+  test('replays the stored response for a repeated idempotency key', async () => {
+    await submitContactForm(validContact, { idempotencyKey: 'lead-1' });
+    const replay = await submitContactForm(validContact, {
+      idempotencyKey: 'lead-1',
+    });
+
+    expect(replay.data.id).toBe('contact-1');
+    expect(backend.db.contacts).toHaveLength(1);
+  });
+
+  test('uploads PDF attachments and links them to a contact', async () => {
+    const pdf = new File(['%PDF-1.7'], 'rfp.pdf', { type: 'application/pdf' });
+    const progress = jest.fn();
+
+    const upload = await uploadFile(pdf, 'attachment', {
+      onProgress: progress,
+    });
+    const result = await submitContactForm({
+      ...validContact,
+      attachments: [upload.data.id],
+    });
+
+    expect(upload.data).toMatchObject({ id: 'upload-1', name: 'rfp.pdf' });
+    expect(progress).toHaveBeenLastCalledWith({ loaded: 8, total: 8 });
+    expect(backend.db.contacts[0].attachments).toEqual(['upload-1']);
+    expect(result.success).toBe(true);
+  });
+
+  test('rejects PDFs as images and unknown attachment ids', async () => {
+    const pdf = new File(['%PDF-1.7'], 'rfp.pdf', { type: 'application/pdf' });
+
+    await expect(uploadFile(pdf, 'image')).rejects.toThrow(
+      'Only JPEG, PNG, WebP, and GIF files are allowed'
+    );
+    const disguised = new File(['%PDF-1.7'], 'photo.jpg', {
+      type: 'image/jpeg',
+    });
+    await expect(uploadFile(disguised, 'image')).rejects.toThrow(
+      'This file is actually a PDF, not a JPEG'
+    );
+    const error = await submitContactForm({
+      ...validContact,
+      attachments: ['upload-99'],
+    }).catch(e => e);
+    expect(error.fieldErrors).toEqual({
+      attachments: 'Some attachments could not be found',
+    });
+  });
+
+  test('scores contact messages for spam', async () => {
+    await submitContactForm({
+      ...validContact,
+      message: 'Urgent: can we arrange a loan of staging for our roadshow?',
+    });
+    await submitContactForm({
+      ...validContact,
+      message:
+        'Limited time offer, buy now at http://a.example http://b.example',
+    });
+    const blocked = await submitContactForm({
+      ...validContact,
+      message:
+        'Click here for free money!!!!!! http://a.example http://b.example http://c.example',
+    }).catch(e => e);
+
+    expect(backend.db.contacts.map(contact => contact.status)).toEqual([
+      'new',
+      'review',
+    ]);
+    expect(backend.db.contacts[1].spam.reasons).toHaveLength(2);
+    expect(blocked.fieldErrors).toEqual({
+      message: 'This message looks like spam. Please rephrase it.',
+    });
+  });
+
+  test('flags contacts submitted without any interaction', async () => {
+    await submitContactForm({
+      ...validContact,
+      interaction: {
+        elapsedMs: 5000,
+        focusCount: 0,
+        keyCount: 0,
+        pasteCount: 0,
+        pointerCount: 0,
+      },
+    });
+
+    expect(backend.db.contacts[0].status).toBe('review');
+    expect(backend.db.contacts[0].spam.reasons[0].detector).toBe('humanness');
+  });
+
+  test('subscribes to the newsletter and records analytics events', async () => {
+    await subscribeNewsletter('Reader@Example.com');
+    await trackEvent('cta_click', { label: 'hero' });
+
+    expect(backend.db.subscribers[0].email).toBe('reader@example.com');
+    expect(backend.db.events[0]).toMatchObject({
+      action: 'track',
+      event: 'cta_click',
+      label: 'hero',
+    });
+  });
+
+  test('confirms newsletter subscriptions through the emailed link', async () => {
+    const tokenFrom = link =>
+      new URL(link, 'http://localhost').searchParams.get('token');
+
+    const pending = await subscribeNewsletter('reader@example.com');
+    expect(pending.data.status).toBe('pending');
+    expect(backend.db.emails[0].to).toBe('reader@example.com');
+
+    const confirmLink = backend.db.emails[0].link;
+    expect(confirmLink).toMatch(/^\/confirm\?token=/);
+    await confirmSubscription(tokenFrom(confirmLink));
+    // Following the link again is not an error
+    const confirmed = await confirmSubscription(tokenFrom(confirmLink));
+    expect(confirmed.data).toMatchObject({
+      email: 'reader@example.com',
+      status: 'confirmed',
+    });
+
+    const again = await subscribeNewsletter('reader@example.com');
+    expect(again.data.status).toBe('confirmed');
+
+    // The welcome email carries the unsubscribe link
+    const { unsubscribeLink } = backend.db.emails[1];
+    expect(unsubscribeLink).toMatch(/^\/unsubscribe\?token=/);
+    await unsubscribe(tokenFrom(unsubscribeLink));
+    expect(backend.db.subscribers[0].status).toBe('unsubscribed');
+  });
+
+  test('manages newsletter preferences through the emailed link', async () => {
+    await subscribeNewsletter('reader@example.com', {
+      preferences: { topics: ['case_studies'], frequency: 'weekly' },
+    });
+    const [subscriber] = backend.db.subscribers;
+    await confirmSubscription(subscriber.confirmToken);
+
+    const preferencesLink = backend.db.emails[1].link;
+    expect(preferencesLink).toMatch(/^\/preferences\?token=/);
+    const token = new URL(preferencesLink, 'http://localhost').searchParams.get(
+      'token'
+    );
+
+    const current = await getSubscription(token);
+    expect(current.data).toEqual({
+      email: 'reader@example.com',
+      status: 'confirmed',
+      topics: ['case_studies'],
+      frequency: 'weekly',
+    });
+
+    const updated = await updateSubscription(token, {
+      topics: ['event_trends', 'agency_news'],
+    });
+    expect(updated.data).toMatchObject({
+      topics: ['event_trends', 'agency_news'],
+      frequency: 'weekly',
+    });
+
+    const paused = await updateSubscription(token, { status: 'paused' });
+    expect(paused.data.status).toBe('paused');
+    // Signing up again doesn't resume a paused subscription
+    const again = await subscribeNewsletter('reader@example.com');
+    expect(again.data.status).toBe('paused');
+
+    await unsubscribe(token);
+    const resumed = await updateSubscription(token, { status: 'confirmed' });
+    expect(resumed.data.status).toBe('confirmed');
+  });
+
+  test('rejects invalid newsletter preferences', async () => {
+    await expect(
+      subscribeNewsletter('reader@example.com', {
+        preferences: { topics: [] },
+      })
+    ).rejects.toBeInstanceOf(ValidationError);
+    expect(backend.db.subscribers).toHaveLength(0);
+
+    // The backend checks too, for clients that skip validation
+    const response = await backend.fetch('/api/newsletter/subscribe', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email: 'reader@example.com', frequency: 'daily' }),
+    });
+    expect(response.status).toBe(422);
+
+    await expect(getSubscription('nope')).rejects.toMatchObject({
+      code: 'NOT_FOUND',
+    });
+    await expect(
+      updateSubscription('nope', { status: 'paused' })
+    ).rejects.toMatchObject({ status: 404 });
+  });
+
+  test('rejects unknown and expired confirmation tokens', async () => {
+    await expect(confirmSubscription('nope')).rejects.toMatchObject({
+      code: 'NOT_FOUND',
+      data: { message: 'This confirmation link is invalid or has expired' },
+    });
+
+    await subscribeNewsletter('reader@example.com');
+    const [subscriber] = backend.db.subscribers;
+    subscriber.confirmExpiresAt = Date.now() - 1;
+
+    await expect(
+      confirmSubscription(subscriber.confirmToken)
+    ).rejects.toMatchObject({ status: 404 });
+    await expect(unsubscribe('nope')).rejects.toMatchObject({ status: 404 });
+  });
+
+  test('injected failures apply a fixed number of times', async () => {
+    backend.injectFailure({ path: '/api/services', status: 503, times: 1 });
+
+    await expect(getServices({ retry: false })).rejects.toBeInstanceOf(
+      ServerError
+    );
+    await expect(getServices({ retry: false })).resolves.toHaveProperty('data');
+  });
+
+  test('injects rate limits and network failures', async () => {
+    backend.injectFailure({
+      path: '/api/services',
+      status: 429,
+      headers: { 'Retry-After': '30' },
+    });
+    backend.injectFailure({ path: '/api/stats', error: 'network' });
+
+    const rateLimited = await getServices({ retry: false }).catch(e => e);
+    expect(rateLimited).toBeInstanceOf(RateLimitError);
+    expect(rateLimited.retryAfter).toBe(30);
+
+    await expect(
+      apiService.request('/api/stats', { retry: false })
+    ).rejects.toBeInstanceOf(NetworkError);
+  });
+
+  test('reset restores fixtures and clears failures', async () => {
+    backend.injectFailure({ error: 'network' });
+    backend.db.services.pop();
+
+    backend.reset();
+
+    const services = await getServices();
+    expect(services.data).toHaveLength(5);
+  });
+
+  describe('with proof of work required', () => {
+    const settings = { enabled: true, difficulty: 4 };
+
+    beforeEach(() => {
+      backend = createMockBackend({ proofOfWork: settings });
+      apiService.setTransport(backend.fetch);
+    });
+
+    afterEach(() => {
+      apiService.setProofOfWork(null);
+    });
+
+    test('accepts contact and newsletter requests with a solved stamp', async () => {
+      apiService.setProofOfWork(settings);
+
+      await submitContactForm(validContact);
+      await subscribeNewsletter('reader@example.com');
+
+      expect(backend.db.contacts).toHaveLength(1);
+      expect(backend.db.subscribers).toHaveLength(1);
+      expect(backend.db.spentStamps).toHaveLength(2);
+    });
+
+    test('rejects requests without a stamp', async () => {
+      const error = await subscribeNewsletter('reader@example.com').catch(
+        e => e
+      );
+
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.message).toBe('Security check failed. Please try again.');
+      expect(error.data.reason).toBe('Proof of work is missing');
+      expect(backend.db.subscribers).toHaveLength(0);
+    });
+
+    test('hears a retry after a failed security check', async () => {
+      await expect(
+        submitContactForm(validContact, { idempotencyKey: 'lead-1' })
+      ).rejects.toBeInstanceOf(ValidationError);
+
+      apiService.setProofOfWork(settings);
+      const retry = await submitContactForm(validContact, {
+        idempotencyKey: 'lead-1',
+      });
+
+      expect(retry.success).toBe(true);
+      expect(backend.db.contacts).toHaveLength(1);
+    });
+
+    test('rejects a stamp that has already been used', async () => {
+      apiService.setProofOfWork(settings);
+      await submitContactForm(validContact, { idempotencyKey: 'lead-1' });
+      const [stamp] = backend.db.spentStamps;
+
+      const replay = await backend.handle({
+        method: 'POST',
+        path: '/api/contact',
+        headers: { 'Idempotency-Key': 'lead-1', 'X-Proof-Of-Work': stamp },
+        body: validContact,
+      });
+
+      expect(replay.status).toBe(400);
+      expect(replay.body.reason).toBe('Proof of work has already been used');
+    });
+  });
+
+  test('unknown endpoints return 404', () => {
+    expect(backend.handle({ path: '/api/nope' }).status).toBe(404);
+    expect(backend.handle({ method: 'DELETE', path: '/api/services' })).toEqual(
+      expect.objectContaining({ status: 405 })
+    );
+  });
+});
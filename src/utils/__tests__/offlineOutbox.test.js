@@ -0,0 +1,199 @@
+import {
+  OUTBOX_SYNC_TAG,
+  flushOutbox,
+  getPendingRequests,
+  onOutboxFlushed,
+  queueRequest,
+  removePendingRequest,
+  requestBackgroundSync,
+} from '../offlineOutbox';
+
+// Just enough of IndexedDB for the outbox: one auto-incrementing store
+const createFakeIndexedDB = () => {
+  const records = new Map();
+  let nextId = 1;
+  let hasStore = false;
+
+  const store = {
+    add: value => {
+      const id = nextId++;
+      records.set(id, { ...value, id });
+      return { result: id };
+    },
+    getAll: () => ({ result: Array.from(records.values()) }),
+    delete: id => {
+      records.delete(id);
+      return { result: undefined };
+    },
+  };
+
+  const db = {
+    objectStoreNames: { contains: () => hasStore },
+    createObjectStore: () => {
+      hasStore = true;
+    },
+    transaction: () => {
+      const transaction = { objectStore: () => store };
+      Promise.resolve().then(() => transaction.oncomplete());
+      return transaction;
+    },
+    close: () => {},
+  };
+
+  return {
+    open: () => {
+      const request = { result: db };
+      Promise.resolve().then(() => {
+        if (!hasStore) request.onupgradeneeded();
+        request.onsuccess();
+      });
+      return request;
+    },
+  };
+};
+
+const contactRequest = name => ({
+  url: '/api/contact',
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify({ name }),
+});
+
+const bodies = requests => requests.map(request => JSON.parse(request.body));
+
+const mockServiceWorker = serviceWorker => {
+  Object.defineProperty(navigator, 'serviceWorker', {
+    value: serviceWorker,
+    configurable: true,
+  });
+  window.SyncManager = function SyncManager() {};
+};
+
+describe('offlineOutbox', () => {
+  beforeEach(() => {
+    window.indexedDB = createFakeIndexedDB();
+    window.fetch = jest.fn();
+  });
+
+  afterEach(() => {
+    delete window.indexedDB;
+    delete window.fetch;
+    delete window.SyncManager;
+    delete navigator.serviceWorker;
+  });
+
+  test('queues requests and lists them oldest first', async () => {
+    const first = await queueRequest(contactRequest('Abebe'));
+    await queueRequest(contactRequest('Hana'));
+
+    const pending = await getPendingRequests();
+    expect(bodies(pending)).toEqual([{ name: 'Abebe' }, { name: 'Hana' }]);
+    expect(pending[0]).toMatchObject({ id: first, method: 'POST' });
+
+    await removePendingRequest(first);
+    expect(bodies(await getPendingRequests())).toEqual([{ name: 'Hana' }]);
+  });
+
+  test('replays queued requests and removes the delivered ones', async () => {
+    const listener = jest.fn();
+    const unsubscribe = onOutboxFlushed(listener);
+    await queueRequest(contactRequest('Abebe'));
+    await queueRequest(contactRequest('Hana'));
+    fetch.mockResolvedValue({ ok: true, status: 200 });
+
+    expect(await flushOutbox()).toBe(2);
+
+    expect(fetch).toHaveBeenCalledWith('/api/contact', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name: 'Abebe' }),
+    });
+    expect(await getPendingRequests()).toEqual([]);
+    expect(listener).toHaveBeenCalledWith({ sent: 2, failed: 0 });
+    unsubscribe();
+  });
+
+  test('drops requests the server rejects, keeping those worth retrying', async () => {
+    const listener = jest.fn();
+    const unsubscribe = onOutboxFlushed(listener);
+    await queueRequest(contactRequest('Invalid'));
+    await queueRequest(contactRequest('Server error'));
+    await queueRequest(contactRequest('Rate limited'));
+    fetch
+      .mockResolvedValueOnce({ ok: false, status: 422 })
+      .mockResolvedValueOnce({ ok: false, status: 503 })
+      .mockResolvedValueOnce({ ok: false, status: 429 });
+
+    expect(await flushOutbox()).toBe(0);
+
+    expect(bodies(await getPendingRequests())).toEqual([
+      { name: 'Server error' },
+      { name: 'Rate limited' },
+    ]);
+    expect(listener).toHaveBeenCalledWith({ sent: 0, failed: 1 });
+    unsubscribe();
+  });
+
+  test('stops at the first network failure and keeps the rest', async () => {
+    await queueRequest(contactRequest('Abebe'));
+    await queueRequest(contactRequest('Hana'));
+    fetch.mockRejectedValueOnce(new TypeError('Failed to fetch'));
+
+    expect(await flushOutbox()).toBe(0);
+
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(await getPendingRequests()).toHaveLength(2);
+  });
+
+  test('does not replay while offline', async () => {
+    await queueRequest(contactRequest('Abebe'));
+    const onLine = jest.spyOn(navigator, 'onLine', 'get');
+    onLine.mockReturnValue(false);
+
+    expect(await flushOutbox()).toBe(0);
+    expect(fetch).not.toHaveBeenCalled();
+    onLine.mockRestore();
+  });
+
+  describe('requestBackgroundSync', () => {
+    test('registers the sync tag with the active service worker', async () => {
+      const register = jest.fn().mockResolvedValue(undefined);
+      const registration = { sync: { register } };
+      mockServiceWorker({
+        getRegistration: jest.fn().mockResolvedValue(registration),
+        ready: Promise.resolve(registration),
+      });
+
+      expect(await requestBackgroundSync()).toBe(true);
+      expect(register).toHaveBeenCalledWith(OUTBOX_SYNC_TAG);
+    });
+
+    test('gives up when no service worker is registered', async () => {
+      mockServiceWorker({
+        getRegistration: jest.fn().mockResolvedValue(undefined),
+        ready: new Promise(() => {}),
+      });
+
+      expect(await requestBackgroundSync()).toBe(false);
+    });
+
+    test('gives up when the service worker never becomes active', async () => {
+      jest.useFakeTimers();
+      try {
+        mockServiceWorker({
+          getRegistration: jest.fn().mockResolvedValue({}),
+          ready: new Promise(() => {}),
+        });
+
+        const result = requestBackgroundSync();
+        // Let the registration check resolve before the timeout starts
+        for (let tick = 0; tick < 5; tick++) await Promise.resolve();
+        jest.advanceTimersByTime(3000);
+
+        expect(await result).toBe(false);
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+  });
+});
@@ -0,0 +1,79 @@
+import { CancelledError } from '../apiErrors';
+import {
+  createStampPrefix,
+  leadingZeroBits,
+  proofOfWorkResource,
+  solveProofOfWork,
+  verifyProofOfWork,
+} from '../proofOfWork';
+
+// Low difficulty keeps the main-thread search fast (jsdom has no Worker)
+const DIFFICULTY = 6;
+const resource = proofOfWorkResource('newsletter', 'reader@example.com');
+
+describe('proof of work', () => {
+  test('counts leading zero bits', () => {
+    expect(leadingZeroBits(Uint8Array.from([0xff]))).toBe(0);
+    expect(leadingZeroBits(Uint8Array.from([0x00, 0x10, 0xff]))).toBe(11);
+    expect(leadingZeroBits(Uint8Array.from([0x00, 0x00]))).toBe(16);
+  });
+
+  test('solves stamps the verifier accepts', async () => {
+    const stamp = await solveProofOfWork(resource, { difficulty: DIFFICULTY });
+
+    expect(stamp.startsWith(`1:${DIFFICULTY}:`)).toBe(true);
+    await expect(
+      verifyProofOfWork(stamp, { resource, difficulty: DIFFICULTY })
+    ).resolves.toEqual({ valid: true, reason: '' });
+  });
+
+  test('rejects stamps for other requests, easier difficulties or tampering', async () => {
+    const stamp = await solveProofOfWork(resource, { difficulty: DIFFICULTY });
+    const verify = (candidate, options = {}) =>
+      verifyProofOfWork(candidate, {
+        resource,
+        difficulty: DIFFICULTY,
+        ...options,
+      }).then(result => result.reason);
+
+    await expect(
+      verify(stamp, { resource: proofOfWorkResource('contact', 'lead-1') })
+    ).resolves.toBe('Proof of work is for a different request');
+    await expect(verify(stamp, { difficulty: DIFFICULTY + 1 })).resolves.toBe(
+      'Proof of work is too easy'
+    );
+    await expect(verify('not a stamp')).resolves.toBe(
+      'Malformed proof of work'
+    );
+
+    // Claiming more zero bits than the hash has
+    const inflated = stamp.replace(`1:${DIFFICULTY}:`, '1:64:');
+    await expect(verify(inflated)).resolves.toBe('Proof of work is incorrect');
+  });
+
+  test('rejects expired stamps and stamps from the future', async () => {
+    const now = Date.now();
+    const prefix = createStampPrefix(resource, 0, { issuedAt: now });
+    const stamp = `${prefix}0`;
+    const verify = options =>
+      verifyProofOfWork(stamp, { resource, difficulty: 0, ...options });
+
+    await expect(verify({ now })).resolves.toHaveProperty('valid', true);
+    await expect(
+      verify({ now: now + 25 * 60 * 60 * 1000 })
+    ).resolves.toHaveProperty('reason', 'Proof of work has expired');
+    await expect(verify({ now: now - 60 * 60 * 1000 })).resolves.toHaveProperty(
+      'reason',
+      'Proof of work has expired'
+    );
+  });
+
+  test('stops searching when aborted', async () => {
+    const controller = new AbortController();
+    controller.abort();
+
+    await expect(
+      solveProofOfWork(resource, { difficulty: 64, signal: controller.signal })
+    ).rejects.toBeInstanceOf(CancelledError);
+  });
+});
@@ -0,0 +1,156 @@
+import {
+  createMemoryStorage,
+  createRateLimiter,
+  createWebStorage,
+  formatRetryAfter,
+} from '../rateLimiter';
+
+const limits = {
+  contact_form: [
+    { limit: 1, windowMs: 30 * 1000 },
+    { limit: 3, windowMs: 60 * 60 * 1000 },
+  ],
+  newsletter: [{ limit: 2, windowMs: 60 * 1000 }],
+};
+
+// Two tabs' ends of a BroadcastChannel
+const createChannelPair = () => {
+  const ends = [0, 1].map(() => ({
+    listeners: [],
+    addEventListener(type, listener) {
+      this.listeners.push(listener);
+    },
+    close: jest.fn(),
+  }));
+  ends.forEach((end, index) => {
+    const other = ends[1 - index];
+    end.postMessage = data =>
+      other.listeners.forEach(listener => listener({ data }));
+  });
+  return ends;
+};
+
+describe('rate limiter', () => {
+  let time;
+  const now = () => time;
+  const createLimiter = (options = {}) =>
+    createRateLimiter({
+      limits,
+      storage: createMemoryStorage(),
+      channel: null,
+      now,
+      ...options,
+    });
+
+  beforeEach(() => {
+    time = 1000000;
+  });
+
+  test('allows attempts until a window is full and reports retryAfter', () => {
+    const limiter = createLimiter();
+
+    expect(limiter.consume('newsletter')).toEqual({
+      allowed: true,
+      remaining: 1,
+      retryAfter: 0,
+    });
+    time += 10 * 1000;
+    limiter.consume('newsletter');
+
+    expect(limiter.consume('newsletter')).toEqual({
+      allowed: false,
+      remaining: 0,
+      retryAfter: 50,
+    });
+  });
+
+  test('slides the window instead of resetting it', () => {
+    const limiter = createLimiter();
+
+    limiter.consume('newsletter');
+    time += 30 * 1000;
+    limiter.consume('newsletter');
+
+    // The first attempt has left the window, the second hasn't
+    time += 31 * 1000;
+    expect(limiter.check('newsletter')).toMatchObject({
+      allowed: true,
+      remaining: 1,
+    });
+    expect(limiter.consume('newsletter').allowed).toBe(true);
+    expect(limiter.check('newsletter').retryAfter).toBe(29);
+  });
+
+  test('applies every window of an action and records each attempt once', () => {
+    const limiter = createLimiter();
+
+    expect(limiter.consume('contact_form').allowed).toBe(true);
+    expect(limiter.consume('contact_form')).toMatchObject({
+      allowed: false,
+      retryAfter: 30,
+    });
+
+    time += 30 * 1000;
+    expect(limiter.consume('contact_form').allowed).toBe(true);
+    time += 30 * 1000;
+    expect(limiter.consume('contact_form').allowed).toBe(true);
+    time += 30 * 1000;
+
+    // The short window has room, but the hourly one is full
+    expect(limiter.consume('contact_form')).toEqual({
+      allowed: false,
+      remaining: 0,
+      retryAfter: 60 * 60 - 90,
+    });
+  });
+
+  test('checking does not count as an attempt', () => {
+    const limiter = createLimiter();
+
+    limiter.check('newsletter');
+    limiter.check('newsletter');
+
+    expect(limiter.consume('newsletter').allowed).toBe(true);
+  });
+
+  test('does not limit actions without windows', () => {
+    const limiter = createLimiter();
+
+    expect(limiter.consume('unknown')).toMatchObject({ allowed: true });
+    expect(limiter.consume('unknown')).toMatchObject({ allowed: true });
+  });
+
+  test('keeps attempts in web storage across limiters', () => {
+    localStorage.clear();
+    const storage = () => createWebStorage(localStorage);
+
+    createLimiter({ storage: storage() }).consume('contact_form');
+
+    expect(
+      createLimiter({ storage: storage() }).check('contact_form').allowed
+    ).toBe(false);
+    expect(JSON.parse(localStorage.getItem('rate_limit:contact_form'))).toEqual(
+      [time]
+    );
+  });
+
+  test('shares attempts with other tabs', () => {
+    const [firstTab, secondTab] = createChannelPair();
+    const first = createLimiter({ channel: firstTab });
+    const second = createLimiter({ channel: secondTab });
+
+    first.consume('newsletter');
+    time += 1000;
+    second.consume('newsletter');
+
+    expect(first.check('newsletter').allowed).toBe(false);
+    expect(second.check('newsletter').allowed).toBe(false);
+  });
+
+  test('formats retry times for messages', () => {
+    expect(formatRetryAfter(1)).toBe('1 second');
+    expect(formatRetryAfter(45)).toBe('45 seconds');
+    expect(formatRetryAfter(60)).toBe('1 minute');
+    expect(formatRetryAfter(3510)).toBe('59 minutes');
+  });
+});
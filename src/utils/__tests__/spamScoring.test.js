@@ -0,0 +1,110 @@
+import {
+  classifySpamScore,
+  createSpamScorer,
+  evaluateSpam,
+  honeypotDetector,
+  keywordDetector,
+} from '../spamScoring';
+
+const enquiry = {
+  name: 'Jane Doe',
+  email: 'jane@example.com',
+  message:
+    'Urgent: we need a loan of your LED walls for a launch event next week.',
+  website: '',
+};
+
+describe('spam scoring', () => {
+  test('lets genuine enquiries that mention flagged words through', () => {
+    const result = evaluateSpam(enquiry);
+
+    expect(result.verdict).toBe('allow');
+    expect(result.score).toBe(0.2);
+    expect(result.reasons).toEqual([
+      {
+        detector: 'keywords',
+        score: 0.2,
+        reason: 'Suspicious wording: urgent, loan',
+      },
+    ]);
+  });
+
+  test('blocks submissions with several strong signals', () => {
+    const result = evaluateSpam({
+      ...enquiry,
+      message:
+        'Click here for FREE money!!!!!!! http://a.example http://b.example http://c.example',
+    });
+
+    expect(result.verdict).toBe('block');
+    expect(result.reasons.map(signal => signal.detector)).toEqual([
+      'keywords',
+      'links',
+      'repeatedCharacters',
+    ]);
+  });
+
+  test('blocks a filled-in honeypot on its own', () => {
+    const result = evaluateSpam({ ...enquiry, website: 'http://bot.example' });
+
+    expect(result.verdict).toBe('block');
+    expect(result.reasons).toContainEqual({
+      detector: 'honeypot',
+      score: 1,
+      reason: 'Hidden field was filled in',
+    });
+  });
+
+  test('flags forms filled in too quickly and disposable addresses', () => {
+    const now = Date.now();
+
+    expect(
+      evaluateSpam(
+        { ...enquiry, message: 'Hello' },
+        { startedAt: now - 1000, submittedAt: now }
+      )
+    ).toMatchObject({ verdict: 'review', score: 0.5 });
+    expect(
+      evaluateSpam({ ...enquiry, email: 'jane@mailinator.com' }).reasons
+    ).toContainEqual(
+      expect.objectContaining({
+        detector: 'disposableDomain',
+        reason: 'Disposable email address',
+      })
+    );
+  });
+
+  test('classifies scores against the thresholds', () => {
+    const thresholds = { block: 0.8, review: 0.4 };
+
+    expect(classifySpamScore(0.39, thresholds)).toBe('allow');
+    expect(classifySpamScore(0.4, thresholds)).toBe('review');
+    expect(classifySpamScore(0.8, thresholds)).toBe('block');
+  });
+
+  test('accepts custom detectors and thresholds', () => {
+    const scorer = createSpamScorer({
+      detectors: [
+        honeypotDetector({ field: 'fax' }),
+        keywordDetector({ keywords: [{ pattern: 'lottery', weight: 0.3 }] }),
+        {
+          name: 'shouting',
+          detect: ({ message }) =>
+            message === message.toUpperCase()
+              ? { score: 0.2, reason: 'All capitals' }
+              : null,
+        },
+      ],
+      thresholds: { block: 0.5, review: 0.2 },
+    });
+
+    expect(scorer.evaluate({ message: 'YOU WON THE LOTTERY' })).toMatchObject({
+      score: 0.5,
+      verdict: 'block',
+    });
+    expect(scorer.evaluate({ message: 'Hi', fax: '123' }).verdict).toBe(
+      'block'
+    );
+    expect(scorer.evaluate(enquiry).verdict).toBe('allow');
+  });
+});
@@ -0,0 +1,172 @@
+import { serverValidation } from '../api';
+import { sanitizeAndValidate } from '../security';
+import {
+  contactSchema,
+  exportSchema,
+  normalizeData,
+  normalizeValue,
+  registerMessages,
+  registerRule,
+  validateData,
+  validateField,
+} from '../validationSchema';
+
+const validContact = {
+  name: 'Jane Doe',
+  email: 'jane@example.com',
+  company: 'Acme & Co.',
+  service: 'roadshow',
+  message: 'We would like to plan a roadshow next spring.',
+};
+
+describe('validationSchema', () => {
+  test('accepts a valid contact submission', () => {
+    expect(validateData(validContact)).toEqual({ isValid: true, errors: {} });
+  });
+
+  test.each([
+    ['name', '', 'Name is required'],
+    ['name', 'J', 'Name must be at least 2 characters'],
+    ['name', 'J'.repeat(51), 'Name must be less than 50 characters'],
+    ['name', 'Jane <b>', 'Name contains invalid characters'],
+    ['email', 'not-an-email', 'Please enter a valid email address'],
+    [
+      'email',
+      'me@mailinator.com',
+      'Disposable email addresses are not allowed',
+    ],
+    [
+      'company',
+      'C'.repeat(101),
+      'Company name must be less than 100 characters',
+    ],
+    ['service', '', 'Please select a service'],
+    ['service', 'catering', 'Please select a valid service'],
+    ['message', 'Too short', 'Message must be at least 10 characters'],
+  ])('%s "%s" fails with "%s"', (field, value, message) => {
+    expect(validateField(field, value)).toBe(message);
+  });
+
+  test('company is optional', () => {
+    expect(validateField('company', '')).toBe('');
+  });
+
+  // Wording is scored by spamScoring.js rather than rejected here
+  test('messages are not rejected for individual keywords', () => {
+    expect(
+      validateField('message', 'Urgent: could we arrange a loan of staging?')
+    ).toBe('');
+  });
+
+  test('the contact form, ApiService and security.js agree', () => {
+    const longCompany = 'C'.repeat(101);
+    const expected = 'Company name must be less than 100 characters';
+
+    expect(validateField('company', longCompany)).toBe(expected);
+    expect(serverValidation.validateCompany(longCompany).error).toBe(expected);
+    expect(sanitizeAndValidate(longCompany, 'company').error).toBe(expected);
+  });
+
+  test('supports localized messages and custom rules', () => {
+    registerMessages('fr', {
+      labels: { name: 'Nom' },
+      messages: { required: '{label} est obligatoire' },
+    });
+    registerRule('notReserved', value => value.toLowerCase() !== 'admin');
+
+    const schema = {
+      name: { ...contactSchema.name, rules: [{ name: 'notReserved' }] },
+    };
+
+    expect(validateField('name', '', { locale: 'fr' })).toBe(
+      'Nom est obligatoire'
+    );
+    expect(validateField('name', 'Admin', { schema })).toBe('notReserved');
+  });
+
+  test('exports the schema as JSON', () => {
+    const exported = JSON.parse(exportSchema());
+
+    expect(exported.version).toBe(1);
+    expect(exported.fields.company.maxLength).toBe(100);
+    expect(new RegExp(exported.fields.name.pattern, 'u').test('Jane')).toBe(
+      true
+    );
+    expect(exported.messages.en.messages.required).toBe('{label} is required');
+  });
+});
+
+describe('international names', () => {
+  test.each([
+    ['José'],
+    ['Zoë Saldaña'],
+    ['Łukasz Żółć'],
+    ['François-Xavier'],
+    ["Siobhán O'Brien"],
+    ['D’Angelo'],
+    ['Nguyễn Văn An'],
+    ['ናሆም ገብረመድህን'],
+    ['محمد علي'],
+    ['李小龙'],
+    ['佐藤 花子'],
+    ['김민준'],
+    ['Σωκράτης'],
+    ['Владимир Петров'],
+    ['अर्जुन शर्मा'],
+    ['J. R. R. Tolkien'],
+  ])('accepts %s', name => {
+    expect(validateField('name', name)).toBe('');
+  });
+
+  test.each([
+    ['markup', 'Jane<script>'],
+    ['a NUL character', 'Jane\u0000Doe'],
+    ['a bell character', 'Jane\u0007'],
+    ['a bidi override', '‮enaJ'],
+    ['digits', 'R2 D2'],
+    ['no letters', "--'--"],
+    ['an emoji', 'Jane 🎉'],
+  ])('rejects a name with %s', (description, name) => {
+    expect(validateField('name', name)).toBe(
+      'Name contains invalid characters'
+    );
+  });
+
+  test('normalizes to NFC and collapses whitespace', () => {
+    const decomposed = 'Jose\u0301   Nun\u0303ez\t Ruiz ';
+
+    expect(normalizeValue('name', decomposed)).toBe(
+      'Jos\u00e9 Nu\u00f1ez Ruiz'
+    );
+    expect(normalizeData({ name: '  Zoë  ', website: ' x ' })).toEqual({
+      name: 'Zoë',
+      website: ' x ',
+    });
+  });
+
+  test('length limits count normalized characters', () => {
+    // 26 decomposed "é" are 52 code units but 26 characters after NFC
+    expect(validateField('name', 'e\u0301'.repeat(26))).toBe('');
+  });
+
+  test.each([
+    ['Müller & Söhne GmbH'],
+    ['株式会社 サンプル'],
+    ['شركة النور'],
+    ['3M Ethiopia'],
+  ])('accepts the company %s', company => {
+    expect(validateField('company', company)).toBe('');
+  });
+
+  test('rejects markup and control characters in company and message', () => {
+    expect(validateField('company', 'Acme <b>Corp</b>')).toBe(
+      'Company name contains invalid characters'
+    );
+    expect(
+      validateField('message', 'Hello there\u0000, we need an event')
+    ).toBe('Message contains invalid characters');
+    expect(
+      validateField('message', 'Hello there,\nwe need an event\tsoon')
+    ).toBe('');
+  });
+});
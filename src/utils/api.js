@@ -1,139 +1,95 @@
 // Real API service for production use
 // Replace mock API calls with actual HTTP requests
+import { ResponseCache, createCacheKey } from './apiCache';
+import {
+  ApiError,
+  AuthError,
+  CancelledError,
+  NetworkError,
+  RateLimitError,
+  ServerError,
+  TimeoutError,
+  ValidationError,
+} from './apiErrors';
+import { createChunkedUpload } from './chunkedUpload';
 import config from './config';
+import { FILE_TYPE_LABELS, sniffFileType } from './fileSignatures';
+import { stripGpsMetadata } from './imageMetadata';
+import { validateNewsletterPreferences } from './newsletterPreferences';
+import { isOffline, queueRequest } from './offlineOutbox';
+import {
+  POW_HEADER,
+  isProofOfWorkSupported,
+  proofOfWorkResource,
+  solveProofOfWork,
+} from './proofOfWork';
+import { generateRandomToken } from './security';
+import {
+  normalizeData,
+  validateContactSubmission,
+  validateField,
+  validateServiceDetails,
+} from './validationSchema';
 
 const API_BASE_URL = config.api.baseUrl;
 const API_TIMEOUT = config.api.timeout;
 
-// Server-side validation functions
-export const serverValidation = {
-  // Validate email format and check for disposable domains
-  validateEmail: email => {
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email)) {
-      return { isValid: false, error: 'Invalid email format' };
-    }
-
-    // Check for disposable email domains (this should ideally be done server-side)
-    const disposableDomains = [
-      'tempmail.com',
-      'throwaway.com',
-      '10minutemail.com',
-      'guerrillamail.com',
-      'mailinator.com',
-      'yopmail.com',
-      'sharklasers.com',
-      'grr.la',
-    ];
-
-    const domain = email.split('@')[1];
-    if (disposableDomains.includes(domain)) {
-      return {
-        isValid: false,
-        error: 'Disposable email addresses are not allowed',
-      };
-    }
+// Default retry policy - individual calls can override any field
+export const DEFAULT_RETRY_POLICY = {
+  maxAttempts: config.api.retry.maxAttempts,
+  baseDelay: config.api.retry.baseDelay,
+  maxDelay: config.api.retry.maxDelay,
+  jitter: true,
+  retryableStatuses: [429, 502, 503, 504],
+  retryNetworkErrors: true,
+};
 
-    return { isValid: true, error: null };
+// Cache lifetimes per endpoint (ms): served without a request for `maxAge`,
+// then served stale while refreshing for `staleWhileRevalidate`
+const MINUTE = 60 * 1000;
+export const CACHE_TTLS = {
+  '/api/services': { maxAge: 10 * MINUTE, staleWhileRevalidate: 60 * MINUTE },
+  '/api/portfolio': { maxAge: 5 * MINUTE, staleWhileRevalidate: 60 * MINUTE },
+  '/api/blog': { maxAge: 5 * MINUTE, staleWhileRevalidate: 30 * MINUTE },
+  '/api/testimonials': {
+    maxAge: 30 * MINUTE,
+    staleWhileRevalidate: 24 * 60 * MINUTE,
   },
+  '/api/stats': { maxAge: 60 * MINUTE, staleWhileRevalidate: 24 * 60 * MINUTE },
+};
 
-  // Validate name format and length
-  validateName: name => {
-    if (!name || name.trim().length < 2) {
-      return {
-        isValid: false,
-        error: 'Name must be at least 2 characters long',
-      };
-    }
-
-    if (name.length > 50) {
-      return { isValid: false, error: 'Name must be less than 50 characters' };
-    }
-
-    const nameRegex = /^[a-zA-Z\s'-]+$/;
-    if (!nameRegex.test(name)) {
-      return { isValid: false, error: 'Name contains invalid characters' };
-    }
-
-    return { isValid: true, error: null };
+// Accepted formats per upload type
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+export const UPLOAD_TYPES = {
+  image: {
+    mimeTypes: IMAGE_TYPES,
+    description: 'JPEG, PNG, WebP, and GIF',
   },
-
-  // Validate message content and length
-  validateMessage: message => {
-    if (!message || message.trim().length < 10) {
-      return {
-        isValid: false,
-        error: 'Message must be at least 10 characters long',
-      };
-    }
-
-    if (message.length > 1000) {
-      return {
-        isValid: false,
-        error: 'Message must be less than 1000 characters',
-      };
-    }
-
-    // Check for suspicious content patterns
-    const suspiciousPatterns = [
-      /spam/i,
-      /viagra/i,
-      /casino/i,
-      /loan/i,
-      /free.*money/i,
-      /click.*here/i,
-      /buy.*now/i,
-      /urgent/i,
-      /limited.*time/i,
-    ];
-
-    for (const pattern of suspiciousPatterns) {
-      if (pattern.test(message)) {
-        return { isValid: false, error: 'Message contains suspicious content' };
-      }
-    }
-
-    return { isValid: true, error: null };
+  // Contact form attachments: mood boards, RFPs and briefs
+  attachment: {
+    mimeTypes: [...IMAGE_TYPES, 'application/pdf'],
+    description: 'PDF, JPEG, PNG, WebP, and GIF',
   },
+};
 
-  // Validate company name
-  validateCompany: company => {
-    if (company && company.length > 100) {
-      return {
-        isValid: false,
-        error: 'Company name must be less than 100 characters',
-      };
-    }
-
-    if (company) {
-      const companyRegex = /^[a-zA-Z0-9\s&.,'-]+$/;
-      if (!companyRegex.test(company)) {
-        return {
-          isValid: false,
-          error: 'Company name contains invalid characters',
-        };
-      }
-    }
-
-    return { isValid: true, error: null };
-  },
+// Methods that are safe to replay without an idempotency key
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
 
-  // Validate service selection
-  validateService: service => {
-    const validServices = [
-      'event-planning',
-      'roadshow',
-      'brand-activation',
-      'promotional',
-      'other',
-    ];
-
-    if (!service || !validServices.includes(service)) {
-      return { isValid: false, error: 'Please select a valid service' };
-    }
+// Field validators backed by the shared schema in validationSchema.js
+const toValidationResult = error => ({ isValid: !error, error: error || null });
 
-    return { isValid: true, error: null };
-  },
+export const serverValidation = {
+  validateEmail: email => toValidationResult(validateField('email', email)),
+  validateName: name => toValidationResult(validateField('name', name)),
+  validateMessage: message =>
+    toValidationResult(validateField('message', message)),
+  validateCompany: company =>
+    toValidationResult(validateField('company', company)),
+  validateService: service =>
+    toValidationResult(validateField('service', service)),
+  // The service-specific fields; returns { isValid, errors } keyed by field
+  validateServiceDetails: (service, serviceDetails) =>
+    validateServiceDetails({ service, serviceDetails }),
 };
 
 // Helper function to create request options
@@ -155,32 +111,139 @@ const createRequestOptions = (method, data = null, headers = {}) => {
   return options;
 };
 
+// Generate an idempotency key so the server can de-duplicate replays
+export const createIdempotencyKey = () => generateRandomToken();
+
+// Resolve the retry policy for a request
+// POSTs without an idempotency key are never retried unless the caller asks
+const resolveRetryPolicy = (method, headers = {}, retry) => {
+  if (retry === false) {
+    return { ...DEFAULT_RETRY_POLICY, maxAttempts: 1 };
+  }
+
+  const isReplaySafe =
+    IDEMPOTENT_METHODS.includes(method) || Boolean(headers['Idempotency-Key']);
+
+  return {
+    ...DEFAULT_RETRY_POLICY,
+    ...(isReplaySafe ? {} : { maxAttempts: 1 }),
+    ...retry,
+  };
+};
+
+// Parse a Retry-After header (seconds or HTTP date) into milliseconds
+export const parseRetryAfter = value => {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  if (!Number.isNaN(date)) {
+    return Math.max(0, date - Date.now());
+  }
+
+  return null;
+};
+
+// Exponential backoff with full jitter, or the server's Retry-After if given
+export const getRetryDelay = (attempt, policy, retryAfter = null) => {
+  if (retryAfter !== null) {
+    return retryAfter;
+  }
+
+  const delay = Math.min(
+    policy.maxDelay,
+    policy.baseDelay * Math.pow(2, attempt - 1)
+  );
+
+  return policy.jitter ? Math.random() * delay : delay;
+};
+
+// Abort `controller` whenever `signal` aborts; returns an unlink function
+const linkSignal = (signal, controller) => {
+  if (!signal) return () => {};
+
+  if (signal.aborted) {
+    controller.abort();
+    return () => {};
+  }
+
+  const onAbort = () => controller.abort();
+  signal.addEventListener('abort', onAbort, { once: true });
+  return () => signal.removeEventListener('abort', onAbort);
+};
+
+// Wait between retries, bailing out early if the request is cancelled
+const wait = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(new CancelledError());
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timeoutId);
+      reject(new CancelledError());
+    };
+    const timeoutId = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+
 // Helper function to handle API responses
 const handleResponse = async response => {
   if (!response.ok) {
     const errorData = await response.json().catch(() => ({}));
+    const { status } = response;
+    const details = { status, data: errorData };
 
     // Handle different HTTP status codes
-    switch (response.status) {
+    switch (status) {
       case 400:
-        throw new Error(
-          errorData.message || 'Bad request - please check your input'
+      case 422:
+        throw new ValidationError(
+          errorData.message || 'Bad request - please check your input',
+          errorData.errors || {},
+          details
         );
       case 401:
-        throw new Error('Unauthorized - please log in again');
+        throw new AuthError('Unauthorized - please log in again', details);
       case 403:
-        throw new Error(
-          'Forbidden - you do not have permission to perform this action'
+        throw new AuthError(
+          'Forbidden - you do not have permission to perform this action',
+          details
         );
       case 404:
-        throw new Error('Resource not found');
-      case 429:
-        throw new Error('Too many requests - please try again later');
-      case 500:
-        throw new Error('Server error - please try again later');
+        throw new ApiError('Resource not found', {
+          ...details,
+          code: 'NOT_FOUND',
+        });
+      case 429: {
+        const retryAfter = parseRetryAfter(
+          response.headers && response.headers.get('Retry-After')
+        );
+        throw new RateLimitError(
+          'Too many requests - please try again later',
+          retryAfter === null ? null : Math.ceil(retryAfter / 1000),
+          details
+        );
+      }
       default:
-        throw new Error(
-          errorData.message || `HTTP error! status: ${response.status}`
+        if (status >= 500) {
+          throw new ServerError(
+            errorData.message || 'Server error - please try again later',
+            details
+          );
+        }
+        throw new ApiError(
+          errorData.message || `HTTP error! status: ${status}`,
+          details
         );
     }
   }
@@ -189,88 +252,239 @@ const handleResponse = async response => {
 };
 
 // Helper function to handle network errors
+// fetch rejects with a TypeError when the request never got a response, and
+// each browser words it differently ("Failed to fetch", "Load failed", ...)
 const handleNetworkError = error => {
-  if (error.name === 'TypeError' && error.message.includes('fetch')) {
-    throw new Error(
-      'Network error. Please check your connection and try again.'
-    );
+  if (error.name === 'TypeError' || isOffline()) {
+    throw new NetworkError();
   }
   if (error.name === 'AbortError') {
-    throw new Error('Request was cancelled due to timeout.');
+    throw new CancelledError();
   }
   throw error;
 };
 
+// Transport for REACT_APP_ENABLE_MOCK_API, loading the mock backend on first
+// use. The flag is inlined at build time, so webpack drops the import (and
+// with it the fixtures and handlers) from builds where it is off.
+const mockApiTransport = (url, options) =>
+  process.env.REACT_APP_ENABLE_MOCK_API === 'true'
+    ? import('./mockBackend').then(({ mockBackend }) =>
+        mockBackend.fetch(url, options)
+      )
+    : Promise.reject(new Error('The mock API is not enabled in this build'));
+
 // API service class
 class ApiService {
   constructor() {
     this.baseUrl = API_BASE_URL;
-    this.abortController = null;
+    // Every in-flight request owns its controller; groups index them by name
+    this.activeControllers = new Set();
+    this.requestGroups = new Map();
+    this.cache = new ResponseCache({ ttls: CACHE_TTLS });
+    // fetch-compatible function requests go through; null means window.fetch
+    this.transport = config.features.mockApi ? mockApiTransport : null;
+    // { enabled, difficulty } for contact and newsletter requests
+    this.proofOfWork = config.security.proofOfWork;
+  }
+
+  // Swap the transport, e.g. to point a test at its own mock backend
+  setTransport(transport) {
+    this.transport = transport || null;
   }
 
-  // Generic request method with timeout and abort capability
+  // Change the proof-of-work settings, e.g. to match a test's mock backend
+  setProofOfWork(settings) {
+    this.proofOfWork = settings || { enabled: false };
+  }
+
+  // Add a proof-of-work stamp for `resource` to the headers when enabled
+  // Browsers without SubtleCrypto send none and the server decides
+  async attachProofOfWork(headers, resource, signal) {
+    const { enabled, difficulty } = this.proofOfWork;
+    if (!enabled || !isProofOfWorkSupported()) return;
+
+    headers[POW_HEADER] = await solveProofOfWork(resource, {
+      difficulty,
+      signal,
+    });
+  }
+
+  // Cached GET request with stale-while-revalidate semantics
+  // Options on top of request's:
+  //   revalidate   - skip the cache and fetch fresh data
+  //   onRevalidate - called with new data after a background refresh
+  // Identical concurrent calls share one network request
+  async cachedRequest(endpoint, options = {}) {
+    const { signal, onRevalidate, revalidate, ...requestOptions } = options;
+
+    return this.cache.resolve(
+      createCacheKey(endpoint),
+      sharedSignal =>
+        this.request(endpoint, { ...requestOptions, signal: sharedSignal }),
+      { signal, onRevalidate, revalidate }
+    );
+  }
+
+  // Drop cached responses whose key matches a prefix or RegExp (all if omitted)
+  invalidate(pattern) {
+    this.cache.invalidate(pattern);
+  }
+
+  // Generic request method with timeout, abort capability and retries
+  // Options on top of fetch's:
+  //   retry  - override the retry policy, or `false` to disable retries
+  //   signal - external AbortSignal (e.g. from a React effect cleanup)
+  //   group  - name used to cancel related requests together via cancelGroup
   async request(endpoint, options = {}) {
+    const { retry, signal, group, ...fetchOptions } = options;
+    const method = (fetchOptions.method || 'GET').toUpperCase();
+    const policy = resolveRetryPolicy(method, fetchOptions.headers, retry);
+    const url = `${this.baseUrl}${endpoint}`;
+
+    const controller = new AbortController();
+    const unlinkSignal = linkSignal(signal, controller);
+    const untrack = this.trackController(controller, group);
+
     try {
-      // Abort previous request if it exists
-      if (this.abortController) {
-        this.abortController.abort();
+      return await this.requestWithRetries(
+        url,
+        fetchOptions,
+        policy,
+        controller
+      );
+    } finally {
+      unlinkSignal();
+      untrack();
+    }
+  }
+
+  // Run the attempts for a single request until it succeeds or gives up
+  async requestWithRetries(url, fetchOptions, policy, controller) {
+    for (let attempt = 1; ; attempt += 1) {
+      const canRetry = attempt < policy.maxAttempts;
+      let response;
+
+      try {
+        response = await this.fetchWithTimeout(
+          url,
+          fetchOptions,
+          controller.signal
+        );
+      } catch (error) {
+        if (controller.signal.aborted) {
+          throw new CancelledError();
+        }
+        if (error.isTimeout) {
+          throw new TimeoutError();
+        }
+        if (canRetry && policy.retryNetworkErrors && !isOffline()) {
+          await wait(getRetryDelay(attempt, policy), controller.signal);
+          continue;
+        }
+        return handleNetworkError(error);
+      }
+
+      if (
+        !response.ok &&
+        canRetry &&
+        policy.retryableStatuses.includes(response.status)
+      ) {
+        const retryAfter = parseRetryAfter(
+          response.headers && response.headers.get('Retry-After')
+        );
+
+        // Give up straight away if the server wants us to wait too long
+        if (retryAfter === null || retryAfter <= policy.maxDelay) {
+          await wait(
+            getRetryDelay(attempt, policy, retryAfter),
+            controller.signal
+          );
+          continue;
+        }
       }
 
-      // Create new abort controller for this request
-      this.abortController = new AbortController();
-      const timeoutId = setTimeout(() => {
-        this.abortController.abort();
-      }, API_TIMEOUT);
+      return handleResponse(response);
+    }
+  }
+
+  // Single fetch attempt bounded by the API timeout
+  async fetchWithTimeout(url, options, signal) {
+    // Each attempt gets its own controller so a timeout only ends this attempt
+    const attemptController = new AbortController();
+    const unlinkSignal = linkSignal(signal, attemptController);
+    let timedOut = false;
 
-      const url = `${this.baseUrl}${endpoint}`;
-      const response = await fetch(url, {
+    const timeoutId = setTimeout(() => {
+      timedOut = true;
+      attemptController.abort();
+    }, API_TIMEOUT);
+
+    try {
+      const transport = this.transport || fetch;
+      return await transport(url, {
         ...options,
-        signal: this.abortController.signal,
+        signal: attemptController.signal,
       });
-
-      clearTimeout(timeoutId);
-      return await handleResponse(response);
     } catch (error) {
-      if (error.name === 'AbortError') {
-        throw new Error('Request timed out. Please try again.');
+      if (timedOut) {
+        error.isTimeout = true;
       }
-      handleNetworkError(error);
+      throw error;
+    } finally {
+      clearTimeout(timeoutId);
+      unlinkSignal();
     }
   }
 
-  // Contact form submission with server-side validation
-  async submitContactForm(formData) {
-    // Client-side validation first
-    const validations = [
-      serverValidation.validateName(formData.name),
-      serverValidation.validateEmail(formData.email),
-      serverValidation.validateMessage(formData.message),
-      serverValidation.validateService(formData.service),
-      serverValidation.validateCompany(formData.company),
-    ];
-
-    const errors = {};
-    let hasErrors = false;
-
-    validations.forEach((validation, index) => {
-      const fieldNames = ['name', 'email', 'message', 'service', 'company'];
-      const fieldName = fieldNames[index];
-
-      if (!validation.isValid) {
-        errors[fieldName] = validation.error;
-        hasErrors = true;
+  // Register an in-flight controller; returns a function that forgets it
+  trackController(controller, group) {
+    this.activeControllers.add(controller);
+
+    if (group) {
+      if (!this.requestGroups.has(group)) {
+        this.requestGroups.set(group, new Set());
       }
-    });
+      this.requestGroups.get(group).add(controller);
+    }
+
+    return () => {
+      this.activeControllers.delete(controller);
 
-    if (hasErrors) {
-      return {
-        success: false,
-        message: 'Validation failed',
-        errors,
-      };
+      if (group && this.requestGroups.has(group)) {
+        const controllers = this.requestGroups.get(group);
+        controllers.delete(controller);
+        if (controllers.size === 0) {
+          this.requestGroups.delete(group);
+        }
+      }
+    };
+  }
+
+  // Cancel every in-flight request started with the given group name
+  cancelGroup(group) {
+    const controllers = this.requestGroups.get(group);
+    if (controllers) {
+      controllers.forEach(controller => controller.abort());
     }
+  }
 
-    const options = createRequestOptions('POST', formData);
+  // Contact form submission with server-side validation
+  // The idempotency key travels with retries and offline replays so the
+  // server never records the same lead twice
+  async submitContactForm(formData, requestOptions = {}) {
+    const { idempotencyKey = createIdempotencyKey(), ...requestControls } =
+      requestOptions;
+
+    // Client-side validation first, on the normalized values we send
+    // An optional `brief` (from the project wizard) is validated too
+    const payload = normalizeData(formData);
+    const { isValid, errors } = validateContactSubmission(payload);
+    if (!isValid) {
+      throw new ValidationError('Validation failed', errors);
+    }
+
+    const options = createRequestOptions('POST', payload);
 
     // Add CSRF token if available
     const csrfToken = sessionStorage.getItem('csrf_token');
@@ -278,78 +492,251 @@ class ApiService {
       options.headers['X-CSRF-Token'] = csrfToken;
     }
 
-    return this.request('/api/contact', options);
+    options.headers['Idempotency-Key'] = idempotencyKey;
+    // Solved before queueing, so offline replays carry a stamp too
+    await this.attachProofOfWork(
+      options.headers,
+      proofOfWorkResource('contact', idempotencyKey),
+      requestControls.signal
+    );
+
+    if (isOffline()) {
+      return this.queueOfflineRequest('/api/contact', options);
+    }
+
+    try {
+      return await this.request('/api/contact', {
+        ...options,
+        ...requestControls,
+      });
+    } catch (error) {
+      if (error instanceof NetworkError || isOffline()) {
+        return this.queueOfflineRequest('/api/contact', options, error);
+      }
+      throw error;
+    }
+  }
+
+  // Store a request in the offline outbox so it is sent once back online
+  async queueOfflineRequest(endpoint, options, originalError = null) {
+    let queueId = null;
+
+    try {
+      queueId = await queueRequest({
+        url: `${this.baseUrl}${endpoint}`,
+        method: options.method,
+        headers: options.headers,
+        body: options.body,
+      });
+    } catch (error) {
+      console.error('Failed to queue offline request:', error);
+    }
+
+    if (queueId === null) {
+      throw originalError || new NetworkError();
+    }
+
+    return {
+      success: true,
+      queued: true,
+      queueId,
+      message:
+        'You are offline. Your message will be sent when you are back online.',
+    };
   }
 
   // Get services list
-  async getServices() {
-    return this.request('/api/services');
+  async getServices(options = {}) {
+    return this.cachedRequest('/api/services', options);
   }
 
   // Get portfolio items
-  async getPortfolioItems(category = null) {
+  async getPortfolioItems(category = null, options = {}) {
     const endpoint = category
       ? `/api/portfolio?category=${category}`
       : '/api/portfolio';
-    return this.request(endpoint);
+    return this.cachedRequest(endpoint, options);
+  }
+
+  // Get blog posts, optionally only those in `category` or tagged `tag`
+  async getBlogPosts(page = 1, limit = 10, options = {}) {
+    const { category, tag, ...requestOptions } = options;
+    const params = new URLSearchParams({ page, limit });
+    if (category) params.set('category', category);
+    if (tag) params.set('tag', tag);
+
+    return this.cachedRequest(`/api/blog?${params}`, requestOptions);
   }
 
-  // Get blog posts
-  async getBlogPosts(page = 1, limit = 10) {
-    return this.request(`/api/blog?page=${page}&limit=${limit}`);
+  // Get a single blog post, including its Markdown `content`
+  async getBlogPost(slug, options = {}) {
+    return this.cachedRequest(`/api/blog/${encodeURIComponent(slug)}`, options);
   }
 
   // Get client testimonials
-  async getClientTestimonials() {
-    return this.request('/api/testimonials');
+  async getClientTestimonials(options = {}) {
+    return this.cachedRequest('/api/testimonials', options);
   }
 
   // Get company stats
-  async getCompanyStats() {
-    return this.request('/api/stats');
+  async getCompanyStats(options = {}) {
+    return this.cachedRequest('/api/stats', options);
   }
 
   // Newsletter subscription
-  async subscribeNewsletter(email) {
+  // `options.preferences` picks topics and frequency (see
+  // newsletterPreferences.js); the server applies defaults when omitted
+  async subscribeNewsletter(email, options = {}) {
+    const { preferences = {}, ...requestControls } = options;
+
     // Validate email before sending
     const emailValidation = serverValidation.validateEmail(email);
     if (!emailValidation.isValid) {
-      return {
-        success: false,
-        message: emailValidation.error,
-      };
+      throw new ValidationError(emailValidation.error, {
+        email: emailValidation.error,
+      });
     }
+    this.validatePreferences(preferences);
+
+    const headers = { 'Idempotency-Key': createIdempotencyKey() };
+    await this.attachProofOfWork(
+      headers,
+      proofOfWorkResource('newsletter', email.trim().toLowerCase()),
+      requestControls.signal
+    );
+    const requestOptions = createRequestOptions(
+      'POST',
+      { email, ...preferences },
+      headers
+    );
+    return this.request('/api/newsletter/subscribe', {
+      ...requestOptions,
+      ...requestControls,
+    });
+  }
+
+  // Reject unknown topics, frequencies or statuses before sending
+  validatePreferences(preferences) {
+    const errors = validateNewsletterPreferences(preferences);
+    if (Object.keys(errors).length > 0) {
+      throw new ValidationError('Validation failed', errors);
+    }
+  }
+
+  // Double opt-in: confirm a subscription with the token from the emailed
+  // /confirm link
+  async confirmSubscription(token, options = {}) {
+    const headers = { 'Idempotency-Key': createIdempotencyKey() };
+    const requestOptions = createRequestOptions('POST', { token }, headers);
+    return this.request('/api/newsletter/confirm', {
+      ...requestOptions,
+      ...options,
+    });
+  }
+
+  // Settings for the subscription behind an emailed /preferences link:
+  // { email, status, topics, frequency }
+  async getSubscription(token, options = {}) {
+    return this.request(
+      `/api/newsletter/subscription?token=${encodeURIComponent(token)}`,
+      options
+    );
+  }
 
-    const options = createRequestOptions('POST', { email });
-    return this.request('/api/newsletter/subscribe', options);
+  // Change topics, frequency or status ('confirmed' or 'paused' to pause
+  // delivery) with the token from a /preferences link; only the fields
+  // given change
+  async updateSubscription(token, changes, options = {}) {
+    this.validatePreferences(changes);
+
+    const requestOptions = createRequestOptions('PUT', { token, ...changes });
+    return this.request('/api/newsletter/subscription', {
+      ...requestOptions,
+      ...options,
+    });
+  }
+
+  // Unsubscribe with the token from an emailed /unsubscribe or /preferences
+  // link
+  async unsubscribe(token, options = {}) {
+    const headers = { 'Idempotency-Key': createIdempotencyKey() };
+    const requestOptions = createRequestOptions('POST', { token }, headers);
+    return this.request('/api/newsletter/unsubscribe', {
+      ...requestOptions,
+      ...options,
+    });
   }
 
-  // File upload (for portfolio images)
-  async uploadFile(file, type = 'image') {
-    // Validate file type and size
+  // Reject files the upload endpoints won't accept before sending anything
+  validateUpload(file, type = 'image') {
     const maxSize = 5 * 1024 * 1024; // 5MB
     if (file.size > maxSize) {
-      throw new Error('File size must be less than 5MB');
+      const message = 'File size must be less than 5MB';
+      throw new ValidationError(message, { file: message });
     }
 
-    const allowedTypes = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
-    if (!allowedTypes.includes(file.type)) {
-      throw new Error('Only JPEG, PNG, WebP, and GIF files are allowed');
+    this.validateUploadType(file, type);
+  }
+
+  // Reject formats the upload endpoints won't accept, whatever the file size
+  validateUploadType(file, type = 'image') {
+    const { mimeTypes, description } = UPLOAD_TYPES[type] || UPLOAD_TYPES.image;
+    if (!mimeTypes.includes(file.type)) {
+      const message = `Only ${description} files are allowed`;
+      throw new ValidationError(message, { file: message });
     }
+  }
 
-    const formData = new FormData();
-    formData.append('file', file);
-    formData.append('type', type);
+  // Check a file's contents before it is uploaded and return the file to
+  // send: the declared type must match the file's signature, and photos are
+  // sent without their GPS location. The size limit is left to createUpload
+  // so large photos can be downscaled in between.
+  async prepareUpload(file, type = 'image') {
+    this.validateUploadType(file, type);
+
+    const detectedType = await sniffFileType(file);
+    if (detectedType !== file.type) {
+      const declared = FILE_TYPE_LABELS[file.type];
+      const message = detectedType
+        ? `This file is actually a ${FILE_TYPE_LABELS[detectedType]}, not a ${declared}`
+        : `This file doesn't look like a valid ${declared} file`;
+      throw new ValidationError(message, { file: message });
+    }
 
-    const options = {
-      method: 'POST',
-      body: formData,
-      headers: {
-        // Don't set Content-Type for FormData
-      },
-    };
+    return stripGpsMetadata(file, detectedType);
+  }
 
-    return this.request('/api/upload', options);
+  // Chunked upload with pause/resume (see chunkedUpload.js)
+  // Options: chunkSize, maxChunkAttempts and onProgress
+  createUpload(file, type = 'image', options = {}) {
+    this.validateUpload(file, type);
+
+    return createChunkedUpload(file, {
+      ...options,
+      type,
+      request: (endpoint, requestOptions) =>
+        this.request(endpoint, requestOptions),
+    });
+  }
+
+  // File upload (portfolio images and contact form attachments)
+  // `type` picks the accepted formats (see UPLOAD_TYPES); `signal` cancels
+  // the upload and `onProgress` receives { loaded, total } in bytes
+  async uploadFile(file, type = 'image', requestOptions = {}) {
+    const { signal, ...uploadOptions } = requestOptions;
+    const prepared = await this.prepareUpload(file, type);
+    const upload = this.createUpload(prepared, type, uploadOptions);
+
+    if (!signal) return upload.start();
+    if (signal.aborted) throw new CancelledError();
+
+    const onAbort = () => upload.cancel();
+    signal.addEventListener('abort', onAbort, { once: true });
+    try {
+      return await upload.start();
+    } finally {
+      signal.removeEventListener('abort', onAbort);
+    }
   }
 
   // Rate limiting check
@@ -358,6 +745,8 @@ class ApiService {
   }
 
   // Spam detection
+  // Include the form's `interaction` signals (useInteractionSignals) in
+  // `data` so the humanness check can run on them
   async detectSpam(data) {
     const options = createRequestOptions('POST', data);
     return this.request('/api/spam/detect', options);
@@ -377,11 +766,9 @@ class ApiService {
     return this.request('/api/analytics/track', options);
   }
 
-  // Abort current request
+  // Abort all in-flight requests
   abortRequest() {
-    if (this.abortController) {
-      this.abortController.abort();
-    }
+    this.activeControllers.forEach(controller => controller.abort());
   }
 
   // Cleanup method
@@ -390,26 +777,57 @@ class ApiService {
   }
 }
 
+export {
+  ApiError,
+  AuthError,
+  CancelledError,
+  NetworkError,
+  RateLimitError,
+  ServerError,
+  TimeoutError,
+  ValidationError,
+  getErrorMessage,
+  isCancelledError,
+} from './apiErrors';
+
 // Create and export singleton instance
 const apiService = new ApiService();
 
 // Export individual methods for backward compatibility
-export const submitContactForm = formData =>
-  apiService.submitContactForm(formData);
-export const getServices = () => apiService.getServices();
-export const getPortfolioItems = category =>
-  apiService.getPortfolioItems(category);
-export const getBlogPosts = (page, limit) =>
-  apiService.getBlogPosts(page, limit);
-export const getClientTestimonials = () => apiService.getClientTestimonials();
-export const getCompanyStats = () => apiService.getCompanyStats();
-export const subscribeNewsletter = email =>
-  apiService.subscribeNewsletter(email);
-export const uploadFile = (file, type) => apiService.uploadFile(file, type);
+export const submitContactForm = (formData, requestOptions) =>
+  apiService.submitContactForm(formData, requestOptions);
+export const getServices = options => apiService.getServices(options);
+export const getPortfolioItems = (category, options) =>
+  apiService.getPortfolioItems(category, options);
+export const getBlogPosts = (page, limit, options) =>
+  apiService.getBlogPosts(page, limit, options);
+export const getBlogPost = (slug, options) =>
+  apiService.getBlogPost(slug, options);
+export const getClientTestimonials = options =>
+  apiService.getClientTestimonials(options);
+export const getCompanyStats = options => apiService.getCompanyStats(options);
+export const subscribeNewsletter = (email, options) =>
+  apiService.subscribeNewsletter(email, options);
+export const confirmSubscription = (token, options) =>
+  apiService.confirmSubscription(token, options);
+export const getSubscription = (token, options) =>
+  apiService.getSubscription(token, options);
+export const updateSubscription = (token, changes, options) =>
+  apiService.updateSubscription(token, changes, options);
+export const unsubscribe = (token, options) =>
+  apiService.unsubscribe(token, options);
+export const uploadFile = (file, type, requestOptions) =>
+  apiService.uploadFile(file, type, requestOptions);
+export const prepareUpload = (file, type) =>
+  apiService.prepareUpload(file, type);
+export const createUpload = (file, type, options) =>
+  apiService.createUpload(file, type, options);
 export const checkRateLimit = action => apiService.checkRateLimit(action);
 export const detectSpam = data => apiService.detectSpam(data);
 export const trackEvent = (eventName, eventData) =>
   apiService.trackEvent(eventName, eventData);
+export const cancelRequestGroup = group => apiService.cancelGroup(group);
+export const invalidateCache = pattern => apiService.invalidate(pattern);
 
 // Export the service instance
 export default apiService;
@@ -0,0 +1,217 @@
+// Stale-while-revalidate response cache for ApiService GET endpoints
+// Entries live in memory and are mirrored to sessionStorage so they
+// survive reloads within the same tab
+import { CancelledError, NetworkError } from './apiErrors';
+
+const STORAGE_PREFIX = 'api_cache:';
+
+// Build a stable cache key from an endpoint, ignoring query param order
+export const createCacheKey = endpoint => {
+  const [path, query = ''] = endpoint.split('?');
+  if (!query) return path;
+
+  const params = new URLSearchParams(query);
+  params.sort();
+  return `${path}?${params.toString()}`;
+};
+
+const getSessionStorage = () => {
+  try {
+    return typeof sessionStorage !== 'undefined' ? sessionStorage : null;
+  } catch (error) {
+    // Access can throw when storage is disabled
+    return null;
+  }
+};
+
+export class ResponseCache {
+  // ttls maps an endpoint path to { maxAge, staleWhileRevalidate } in ms
+  constructor({ ttls = {}, defaultTtl, storage = getSessionStorage() } = {}) {
+    this.ttls = ttls;
+    this.defaultTtl = defaultTtl || { maxAge: 0, staleWhileRevalidate: 0 };
+    this.storage = storage;
+    this.memory = new Map();
+    this.inFlight = new Map();
+  }
+
+  // Find the TTL for a key using the longest matching endpoint prefix
+  getTtl(key) {
+    const path = key.split('?')[0];
+    const match = Object.keys(this.ttls)
+      .filter(prefix => path === prefix || path.startsWith(`${prefix}/`))
+      .sort((a, b) => b.length - a.length)[0];
+
+    return match ? this.ttls[match] : this.defaultTtl;
+  }
+
+  // Classify an entry as fresh, stale (servable while revalidating) or expired
+  getState(key, entry, now = Date.now()) {
+    const { maxAge, staleWhileRevalidate } = this.getTtl(key);
+    const age = now - entry.storedAt;
+
+    if (age < maxAge) return 'fresh';
+    if (age < maxAge + staleWhileRevalidate) return 'stale';
+    return 'expired';
+  }
+
+  get(key) {
+    if (this.memory.has(key)) {
+      return this.memory.get(key);
+    }
+
+    if (!this.storage) return null;
+
+    try {
+      const stored = this.storage.getItem(`${STORAGE_PREFIX}${key}`);
+      if (!stored) return null;
+
+      const entry = JSON.parse(stored);
+      this.memory.set(key, entry);
+      return entry;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  set(key, data) {
+    const entry = { data, storedAt: Date.now() };
+    this.memory.set(key, entry);
+
+    if (this.storage) {
+      try {
+        this.storage.setItem(`${STORAGE_PREFIX}${key}`, JSON.stringify(entry));
+      } catch (error) {
+        // Quota exceeded - the in-memory copy is still usable
+      }
+    }
+
+    return entry;
+  }
+
+  // Remove entries whose key matches a string prefix or RegExp
+  // Called without a pattern it clears the whole cache
+  invalidate(pattern) {
+    const matches = key => {
+      if (!pattern) return true;
+      if (pattern instanceof RegExp) return pattern.test(key);
+      return key.startsWith(pattern);
+    };
+
+    Array.from(this.memory.keys())
+      .filter(matches)
+      .forEach(key => this.memory.delete(key));
+
+    if (!this.storage) return;
+
+    const storedKeys = [];
+    for (let i = 0; i < this.storage.length; i++) {
+      const storageKey = this.storage.key(i);
+      if (storageKey && storageKey.startsWith(STORAGE_PREFIX)) {
+        storedKeys.push(storageKey);
+      }
+    }
+
+    storedKeys
+      .filter(storageKey => matches(storageKey.slice(STORAGE_PREFIX.length)))
+      .forEach(storageKey => this.storage.removeItem(storageKey));
+  }
+
+  // Run `fetcher` once per key no matter how many callers ask concurrently
+  // The shared request is only aborted once every caller has aborted
+  load(key, fetcher, signal) {
+    if (signal && signal.aborted) {
+      return Promise.reject(new CancelledError());
+    }
+
+    let request = this.inFlight.get(key);
+
+    // Never join a request that is already being torn down
+    if (!request || request.controller.signal.aborted) {
+      const controller = new AbortController();
+      request = { controller, subscribers: 0 };
+      request.promise = fetcher(controller.signal)
+        .then(data => {
+          this.set(key, data);
+          return data;
+        })
+        .finally(() => {
+          if (this.inFlight.get(key) === request) {
+            this.inFlight.delete(key);
+          }
+        });
+      this.inFlight.set(key, request);
+    }
+
+    request.subscribers += 1;
+
+    if (!signal) {
+      return request.promise;
+    }
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        request.subscribers -= 1;
+        if (request.subscribers === 0) {
+          request.controller.abort();
+          // Let a caller in the same tick (e.g. a StrictMode remount) start
+          // a fresh request instead of joining this one
+          if (this.inFlight.get(key) === request) {
+            this.inFlight.delete(key);
+          }
+        }
+        reject(new CancelledError());
+      };
+      signal.addEventListener('abort', onAbort, { once: true });
+
+      request.promise.then(
+        data => {
+          signal.removeEventListener('abort', onAbort);
+          resolve(data);
+        },
+        error => {
+          signal.removeEventListener('abort', onAbort);
+          reject(error);
+        }
+      );
+    });
+  }
+
+  // Serve from cache when possible, revalidating stale entries in the background
+  // onRevalidate receives fresh data when a background refresh changed it
+  async resolve(key, fetcher, { signal, onRevalidate, revalidate } = {}) {
+    const entry = this.get(key);
+    const state = entry ? this.getState(key, entry) : 'missing';
+
+    if (!revalidate && state === 'fresh') {
+      return entry.data;
+    }
+
+    if (!revalidate && state === 'stale') {
+      this.load(key, fetcher)
+        .then(data => {
+          if (
+            onRevalidate &&
+            JSON.stringify(data) !== JSON.stringify(entry.data)
+          ) {
+            onRevalidate(data);
+          }
+        })
+        .catch(() => {
+          // Keep serving the stale copy; the next call will try again
+        });
+      return entry.data;
+    }
+
+    try {
+      return await this.load(key, fetcher, signal);
+    } catch (error) {
+      // Better an old answer than none when the network is down
+      if (error instanceof NetworkError && entry) {
+        return entry.data;
+      }
+      throw error;
+    }
+  }
+}
+
+export default ResponseCache;
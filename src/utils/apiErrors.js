@@ -0,0 +1,116 @@
+// Typed errors thrown by ApiService
+// Components branch on these with `instanceof` instead of parsing messages
+
+// Base class for every error raised by the API layer
+export class ApiError extends Error {
+  constructor(
+    message,
+    { status = null, code = 'API_ERROR', data = null } = {}
+  ) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.data = data;
+  }
+}
+
+// 400/422 - carries a field -> message map for form fields
+export class ValidationError extends ApiError {
+  constructor(message, fieldErrors = {}, options = {}) {
+    super(message, { status: 400, ...options, code: 'VALIDATION_ERROR' });
+    this.name = 'ValidationError';
+    this.fieldErrors = fieldErrors;
+  }
+}
+
+// 429 - `retryAfter` is in seconds, or null when the server didn't say
+export class RateLimitError extends ApiError {
+  constructor(message, retryAfter = null, options = {}) {
+    super(message, { status: 429, ...options, code: 'RATE_LIMITED' });
+    this.name = 'RateLimitError';
+    this.retryAfter = retryAfter;
+  }
+}
+
+// 401/403
+export class AuthError extends ApiError {
+  constructor(message, options = {}) {
+    super(message, { status: 401, ...options, code: 'AUTH_ERROR' });
+    this.name = 'AuthError';
+  }
+}
+
+// The request never reached the server
+export class NetworkError extends ApiError {
+  constructor(
+    message = 'Network error. Please check your connection and try again.',
+    options = {}
+  ) {
+    super(message, { ...options, code: 'NETWORK_ERROR' });
+    this.name = 'NetworkError';
+  }
+}
+
+// The server didn't answer within the API timeout
+export class TimeoutError extends ApiError {
+  constructor(message = 'Request timed out. Please try again.', options = {}) {
+    super(message, { ...options, code: 'TIMEOUT' });
+    this.name = 'TimeoutError';
+  }
+}
+
+// 5xx
+export class ServerError extends ApiError {
+  constructor(message = 'Server error - please try again later', options = {}) {
+    super(message, { status: 500, ...options, code: 'SERVER_ERROR' });
+    this.name = 'ServerError';
+  }
+}
+
+// The caller cancelled the request (signal, group or abortRequest)
+// Keeps the DOM `AbortError` name so generic cancellation checks still work
+export class CancelledError extends ApiError {
+  constructor(message = 'Request was cancelled.', options = {}) {
+    super(message, { ...options, code: 'CANCELLED' });
+    this.name = 'AbortError';
+  }
+}
+
+// Check whether an error comes from a cancelled request
+export const isCancelledError = error => error instanceof CancelledError;
+
+// Banner text for an error, suitable for showing to visitors
+export const getErrorMessage = error => {
+  if (error instanceof ValidationError) {
+    return Object.keys(error.fieldErrors).length > 0
+      ? 'Please correct the highlighted fields and try again.'
+      : error.message;
+  }
+
+  if (error instanceof RateLimitError) {
+    return error.retryAfter
+      ? `Too many requests. Please try again in ${error.retryAfter} seconds.`
+      : 'Too many requests. Please try again later.';
+  }
+
+  if (error instanceof AuthError) {
+    return 'Your session has expired. Please refresh the page and try again.';
+  }
+
+  if (error instanceof NetworkError) {
+    return 'Network error. Please check your connection and try again.';
+  }
+
+  if (error instanceof TimeoutError) {
+    return 'The request took too long. Please try again.';
+  }
+
+  if (error instanceof ServerError) {
+    return 'Our server ran into a problem. Please try again later.';
+  }
+
+  return (
+    (error && error.message) || 'Something went wrong. Please try again later.'
+  );
+};
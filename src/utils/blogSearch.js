@@ -0,0 +1,52 @@
+// Blog filters and search
+// filterBlogPosts and blogFacets are shared with the mock backend so offline
+// fallbacks match what the API returns. Search runs in the browser.
+
+const normalize = text =>
+  String(text || '')
+    .normalize('NFD')
+    // Combining diacritics, so "cafe" finds "café"
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+
+// Posts in `category` and tagged `tag`; either may be omitted
+export const filterBlogPosts = (posts, { category, tag } = {}) =>
+  posts.filter(
+    post =>
+      (!category || normalize(post.category) === normalize(category)) &&
+      (!tag ||
+        (post.tags || []).some(
+          postTag => normalize(postTag) === normalize(tag)
+        ))
+  );
+
+// Every category and tag in use, for the filter chips
+export const blogFacets = posts => {
+  const sorted = values =>
+    [...new Set(values.filter(Boolean))].sort((a, b) => a.localeCompare(b));
+
+  return {
+    categories: sorted(posts.map(post => post.category)),
+    tags: sorted(posts.flatMap(post => post.tags || [])),
+  };
+};
+
+// Posts whose title or excerpt contains every word of the query, ignoring
+// case and accents. Title matches come first, otherwise the order is kept.
+export const searchBlogPosts = (posts, query) => {
+  const terms = normalize(query).split(/\s+/).filter(Boolean);
+  if (terms.length === 0) return posts;
+
+  return posts
+    .map((post, index) => {
+      const title = normalize(post.title);
+      const text = `${title} ${normalize(post.excerpt)}`;
+      if (!terms.every(term => text.includes(term))) return null;
+
+      const score = terms.filter(term => title.includes(term)).length;
+      return { post, score, index };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .map(result => result.post);
+};
@@ -0,0 +1,252 @@
+// Steps and payload shaping for the project brief wizard in Contact.js
+// Each step lists the schema fields it collects; validation itself comes from
+// validationSchema.js so the wizard, ApiService and the backend agree.
+import {
+  briefSchema,
+  contactSchema,
+  getServiceDetailSchema,
+  normalizeValue,
+  serviceDetailSchemas,
+  validateField,
+} from './validationSchema';
+
+export const BRIEF_STEPS = [
+  {
+    id: 'service',
+    title: 'Service',
+    description: 'What can we help you with?',
+    fields: ['service'],
+    // Followed by the selected service's extra fields (see stepFields)
+    includesServiceDetails: true,
+  },
+  {
+    id: 'event',
+    title: 'Event details',
+    description: 'Tell us where, when and for how many people.',
+    fields: ['eventDate', 'eventCity', 'audienceSize', 'message'],
+    // Server errors shown on this step that the wizard doesn't validate
+    errorFields: ['attachments'],
+  },
+  {
+    id: 'budget',
+    title: 'Budget & timeline',
+    description: 'A rough idea is fine - we will refine it together.',
+    fields: ['budget', 'timeline'],
+  },
+  {
+    id: 'contact',
+    title: 'Your details',
+    description: 'How should we get back to you?',
+    fields: ['name', 'email', 'company'],
+  },
+  {
+    id: 'review',
+    title: 'Review',
+    description: 'Check your brief before sending it.',
+    fields: [],
+  },
+];
+
+export const SERVICE_OPTIONS = [
+  { value: 'event-planning', label: 'Event Planning' },
+  { value: 'roadshow', label: 'Roadshow & Tours' },
+  { value: 'brand-activation', label: 'Brand Activation' },
+  { value: 'promotional', label: 'Promotional Campaigns' },
+  { value: 'other', label: 'Other' },
+];
+
+export const BUDGET_OPTIONS = [
+  { value: 'under-5k', label: 'Under $5,000' },
+  { value: '5k-15k', label: '$5,000 - $15,000' },
+  { value: '15k-50k', label: '$15,000 - $50,000' },
+  { value: '50k-plus', label: '$50,000+' },
+  { value: 'undecided', label: 'Not sure yet' },
+];
+
+export const TIMELINE_OPTIONS = [
+  { value: 'asap', label: 'As soon as possible' },
+  { value: '1-3-months', label: 'In 1-3 months' },
+  { value: '3-6-months', label: 'In 3-6 months' },
+  { value: '6-plus-months', label: 'In 6+ months' },
+  { value: 'flexible', label: 'Flexible' },
+];
+
+// How each service-specific field is presented; which fields a service asks
+// for, and their rules, live in serviceDetailSchemas
+export const SERVICE_DETAIL_FIELDS = {
+  eventType: {
+    label: 'Type of event',
+    control: 'select',
+    placeholder: 'Select an event type',
+    options: [
+      { value: 'conference', label: 'Conference' },
+      { value: 'product-launch', label: 'Product launch' },
+      { value: 'gala', label: 'Gala or award night' },
+      { value: 'festival', label: 'Festival or concert' },
+      { value: 'corporate', label: 'Corporate event' },
+      { value: 'other', label: 'Something else' },
+    ],
+  },
+  cityCount: {
+    label: 'Number of cities',
+    control: 'number',
+    placeholder: 'e.g. 5',
+  },
+  route: {
+    label: 'Planned route',
+    control: 'textarea',
+    placeholder: 'e.g. Addis Ababa, Adama, Hawassa',
+    hint: 'List the cities in order, if you know them',
+  },
+  venueType: {
+    label: 'Venue type',
+    control: 'select',
+    placeholder: 'Select a venue type',
+    options: [
+      { value: 'mall', label: 'Shopping mall' },
+      { value: 'retail-store', label: 'Retail store' },
+      { value: 'campus', label: 'University campus' },
+      { value: 'outdoor', label: 'Outdoor / street' },
+      { value: 'event-venue', label: 'Event venue' },
+      { value: 'other', label: 'Other' },
+    ],
+  },
+  footfall: {
+    label: 'Expected daily footfall',
+    control: 'number',
+    placeholder: 'e.g. 2000',
+  },
+  staffHeadcount: {
+    label: 'Promotional staff needed',
+    control: 'number',
+    placeholder: 'e.g. 12',
+  },
+};
+
+// Names of the extra fields the given service asks for
+export const serviceDetailFields = service =>
+  Object.keys(getServiceDetailSchema(service));
+
+// Every service-specific field, for clearing and restoring form state
+const ALL_SERVICE_DETAIL_FIELDS = Object.keys(serviceDetailSchemas).reduce(
+  (fields, service) => [...fields, ...serviceDetailFields(service)],
+  []
+);
+
+// Empty values for every field the wizard collects, plus the honeypot
+export const INITIAL_BRIEF = {
+  service: '',
+  ...ALL_SERVICE_DETAIL_FIELDS.reduce(
+    (fields, name) => ({ ...fields, [name]: '' }),
+    {}
+  ),
+  eventDate: '',
+  eventCity: '',
+  audienceSize: '',
+  message: '',
+  budget: '',
+  timeline: '',
+  name: '',
+  email: '',
+  company: '',
+  website: '', // Honeypot field
+};
+
+const schemaFor = (fieldName, service) => {
+  if (briefSchema[fieldName]) return briefSchema;
+  if (contactSchema[fieldName]) return contactSchema;
+  return getServiceDetailSchema(service);
+};
+
+// Validate a single wizard field against whichever schema defines it
+export const validateBriefField = (fieldName, value, service) =>
+  validateField(fieldName, value, { schema: schemaFor(fieldName, service) });
+
+// Fields a step collects for the selected service
+export const stepFields = (step, service) =>
+  step.includesServiceDetails
+    ? [...step.fields, ...serviceDetailFields(service)]
+    : step.fields;
+
+// Validate the fields of one step; returns { isValid, errors }
+export const validateStep = (stepId, formData) => {
+  const step = BRIEF_STEPS.find(({ id }) => id === stepId);
+  const errors = {};
+
+  (step ? stepFields(step, formData.service) : []).forEach(fieldName => {
+    const error = validateBriefField(
+      fieldName,
+      formData[fieldName],
+      formData.service
+    );
+    if (error) {
+      errors[fieldName] = error;
+    }
+  });
+
+  return { isValid: Object.keys(errors).length === 0, errors };
+};
+
+// Index of the first step with an error, e.g. after the server rejects a field
+export const findStepWithErrors = errors => {
+  const index = BRIEF_STEPS.findIndex(step =>
+    [
+      ...step.fields,
+      ...(step.errorFields || []),
+      ...(step.includesServiceDetails ? ALL_SERVICE_DETAIL_FIELDS : []),
+    ].some(fieldName => errors[fieldName])
+  );
+  return index === -1 ? null : index;
+};
+
+// Label for an option value, falling back to the raw value
+export const optionLabel = (options, value) => {
+  const option = options.find(item => item.value === value);
+  return option ? option.label : value;
+};
+
+// Copy the filled-in fields of `schema` into `payload` at each field's
+// `path`, with numbers sent as numbers
+const assignByPath = (payload, schema, formData) => {
+  Object.keys(schema).forEach(fieldName => {
+    const field = schema[fieldName];
+    const value = normalizeValue(fieldName, formData[fieldName], { schema });
+    if (!value) return;
+
+    const keys = field.path.split('.');
+    const last = keys.pop();
+    const target = keys.reduce((node, key) => {
+      node[key] = node[key] || {};
+      return node[key];
+    }, payload);
+
+    target[last] = field.type === 'number' ? Number(value) : value;
+  });
+};
+
+// Shape the flat wizard state into the payload ApiService sends:
+// contact fields at the top level (as before), the brief nested under
+// `brief`, and the selected service's fields under a `serviceDetails` object
+// tagged with the service as its `type`. Fields left over from a previously
+// selected service are dropped.
+export const buildBriefPayload = formData => {
+  const payload = {
+    name: formData.name,
+    email: formData.email,
+    company: formData.company,
+    service: formData.service,
+    message: formData.message,
+  };
+
+  assignByPath(payload, briefSchema, formData);
+
+  const detailSchema = getServiceDetailSchema(formData.service);
+  if (Object.keys(detailSchema).length > 0) {
+    payload.serviceDetails = { type: formData.service };
+    assignByPath(payload, detailSchema, formData);
+  }
+
+  return payload;
+};
+
+export default BRIEF_STEPS;
@@ -0,0 +1,34 @@
+// Reading file contents and hashing them for upload integrity checks
+
+// Read a Blob (or File) into an ArrayBuffer
+// Uses FileReader where Blob#arrayBuffer isn't available (older Safari)
+export const readBlob = blob => {
+  if (typeof blob.arrayBuffer === 'function') {
+    return blob.arrayBuffer();
+  }
+
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsArrayBuffer(blob);
+  });
+};
+
+// SubtleCrypto is only available in secure contexts (HTTPS or localhost)
+export const isChecksumSupported = () =>
+  typeof crypto !== 'undefined' &&
+  !!crypto.subtle &&
+  typeof crypto.subtle.digest === 'function';
+
+// Hex-encoded SHA-256 of a Blob or ArrayBuffer
+export const sha256Hex = async data => {
+  const buffer = data instanceof ArrayBuffer ? data : await readBlob(data);
+  const digest = await crypto.subtle.digest('SHA-256', buffer);
+
+  return Array.from(new Uint8Array(digest))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+};
+
+export default sha256Hex;
@@ -0,0 +1,234 @@
+// Chunked, resumable file uploads
+// Protocol (served by the real API and by mockBackend.js):
+//   POST /api/uploads                     { name, size, type, category,
+//                                           chunkSize, totalChunks }
+//                                         -> { data: { uploadId } }
+//   PUT  /api/uploads/:id/chunks/:index   raw bytes, X-Chunk-SHA256 header
+//                                         -> { data: { index } }
+//   GET  /api/uploads/:id                 -> { data: { receivedChunks } }
+//   POST /api/uploads/:id/complete        -> { data: <stored upload> }
+// Each chunk carries the SHA-256 of its bytes so the server can reject
+// corrupted chunks; failed chunks are retried on their own instead of
+// restarting the whole file, and a paused upload resumes from the chunks
+// the server already has.
+import {
+  CancelledError,
+  NetworkError,
+  RateLimitError,
+  ServerError,
+  TimeoutError,
+  ValidationError,
+  isCancelledError,
+} from './apiErrors';
+import { isChecksumSupported, sha256Hex } from './checksum';
+
+export const DEFAULT_CHUNK_SIZE = 512 * 1024; // 512KB
+export const DEFAULT_CHUNK_ATTEMPTS = 3;
+const DEFAULT_CHUNK_RETRY_DELAY = 500;
+
+export const CHUNK_CHECKSUM_HEADER = 'X-Chunk-SHA256';
+
+// Wait before retrying a chunk, bailing out early if the upload is paused
+// The listener is removed again so it doesn't pile up on the upload's
+// signal across chunks and retries
+const wait = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    if (signal.aborted) {
+      reject(new CancelledError());
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timeoutId);
+      reject(new CancelledError());
+    };
+    const timeoutId = setTimeout(() => {
+      signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+
+// Transient failures, and chunks the server received corrupted
+const isRetryableChunkError = error =>
+  error instanceof NetworkError ||
+  error instanceof TimeoutError ||
+  error instanceof ServerError ||
+  error instanceof RateLimitError ||
+  (error instanceof ValidationError && !!error.fieldErrors.chunk);
+
+const jsonRequest = (method, data, signal) => ({
+  method,
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify(data),
+  signal,
+});
+
+// Create an upload for `file`; nothing is sent until start()
+// Options:
+//   request          - ApiService-style request(endpoint, options) function
+//   type             - upload category sent to the server
+//   chunkSize        - bytes per chunk
+//   maxChunkAttempts - tries per chunk before the upload fails
+//   onProgress       - called with { loaded, total } as chunks complete
+// start() and resume() resolve with the completed upload response. Pausing
+// rejects the running call with CancelledError and leaves status 'paused';
+// resume() also retries an upload that failed ('error').
+export const createChunkedUpload = (file, options) => {
+  const {
+    request,
+    type = 'image',
+    chunkSize = DEFAULT_CHUNK_SIZE,
+    maxChunkAttempts = DEFAULT_CHUNK_ATTEMPTS,
+    retryDelay = DEFAULT_CHUNK_RETRY_DELAY,
+    onProgress,
+  } = options;
+
+  const totalChunks = Math.max(1, Math.ceil(file.size / chunkSize));
+  const completed = new Set();
+  let uploadId = null;
+  let status = 'idle';
+  let controller = null;
+
+  const chunkBounds = index => {
+    const start = index * chunkSize;
+    return [start, Math.min(file.size, start + chunkSize)];
+  };
+
+  const reportProgress = () => {
+    if (!onProgress) return;
+    const loaded = Array.from(completed).reduce((bytes, index) => {
+      const [start, end] = chunkBounds(index);
+      return bytes + (end - start);
+    }, 0);
+    onProgress({ loaded, total: file.size });
+  };
+
+  const sendChunk = async (index, signal) => {
+    const [start, end] = chunkBounds(index);
+    const chunk = file.slice(start, end);
+    const headers = { 'Content-Type': 'application/octet-stream' };
+
+    // Browsers only offer SubtleCrypto on HTTPS (and localhost)
+    if (isChecksumSupported()) {
+      headers[CHUNK_CHECKSUM_HEADER] = await sha256Hex(chunk);
+    }
+
+    for (let attempt = 1; ; attempt += 1) {
+      try {
+        return await request(`/api/uploads/${uploadId}/chunks/${index}`, {
+          method: 'PUT',
+          headers,
+          body: chunk,
+          signal,
+          retry: false,
+        });
+      } catch (error) {
+        if (
+          isCancelledError(error) ||
+          attempt >= maxChunkAttempts ||
+          !isRetryableChunkError(error)
+        ) {
+          throw error;
+        }
+        await wait(retryDelay * Math.pow(2, attempt - 1), signal);
+      }
+    }
+  };
+
+  const run = async () => {
+    controller = new AbortController();
+    const { signal } = controller;
+    status = 'uploading';
+
+    try {
+      if (uploadId) {
+        // An interrupted chunk may or may not have arrived; ask the server
+        const state = await request(`/api/uploads/${uploadId}`, { signal });
+        state.data.receivedChunks.forEach(index => completed.add(index));
+      } else {
+        const session = await request(
+          '/api/uploads',
+          jsonRequest(
+            'POST',
+            {
+              name: file.name,
+              size: file.size,
+              type: file.type,
+              category: type,
+              chunkSize,
+              totalChunks,
+            },
+            signal
+          )
+        );
+        uploadId = session.data.uploadId;
+      }
+      reportProgress();
+
+      for (let index = 0; index < totalChunks; index += 1) {
+        if (completed.has(index)) continue;
+        await sendChunk(index, signal);
+        completed.add(index);
+        reportProgress();
+      }
+
+      const result = await request(
+        `/api/uploads/${uploadId}/complete`,
+        jsonRequest('POST', { totalChunks }, signal)
+      );
+      status = 'done';
+      return result;
+    } catch (error) {
+      if (status !== 'paused' && status !== 'cancelled') {
+        status = isCancelledError(error) ? 'cancelled' : 'error';
+      }
+      throw error;
+    } finally {
+      controller = null;
+    }
+  };
+
+  return {
+    file,
+    totalChunks,
+
+    get status() {
+      return status;
+    },
+
+    get uploadId() {
+      return uploadId;
+    },
+
+    start() {
+      if (status !== 'idle') {
+        return Promise.reject(new Error(`Upload already ${status}`));
+      }
+      return run();
+    },
+
+    // Stop after aborting the chunk in flight
+    pause() {
+      if (status !== 'uploading') return;
+      status = 'paused';
+      if (controller) controller.abort();
+    },
+
+    resume() {
+      if (status !== 'paused' && status !== 'error') {
+        return Promise.reject(new Error(`Cannot resume a ${status} upload`));
+      }
+      return run();
+    },
+
+    cancel() {
+      if (status === 'done') return;
+      status = 'cancelled';
+      if (controller) controller.abort();
+    },
+  };
+};
+
+export default createChunkedUpload;
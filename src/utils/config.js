@@ -6,6 +6,16 @@ const config = {
   api: {
     baseUrl: process.env.REACT_APP_API_URL || 'https://api.inadpromotion.com',
     timeout: parseInt(process.env.REACT_APP_API_TIMEOUT) || 30000,
+    retry: {
+      maxAttempts: parseInt(process.env.REACT_APP_API_RETRY_ATTEMPTS) || 3,
+      baseDelay: parseInt(process.env.REACT_APP_API_RETRY_BASE_DELAY) || 500,
+      maxDelay: parseInt(process.env.REACT_APP_API_RETRY_MAX_DELAY) || 10000,
+    },
+    // Simulated round trip for the mock backend (REACT_APP_ENABLE_MOCK_API)
+    mockLatency: parseInt(process.env.REACT_APP_MOCK_API_LATENCY) || 300,
+    // Named fault profile and seed for the mock API (see faultProfiles.js)
+    mockFaultProfile: process.env.REACT_APP_MOCK_API_FAULT_PROFILE || 'none',
+    mockFaultSeed: parseInt(process.env.REACT_APP_MOCK_API_FAULT_SEED) || 1,
   },
 
   // Analytics and Tracking
@@ -88,7 +98,30 @@ const config = {
   security: {
     csrfProtection: process.env.REACT_APP_ENABLE_CSRF_PROTECTION === 'true',
     rateLimiting: process.env.REACT_APP_ENABLE_RATE_LIMITING === 'true',
+    // Sliding windows per action (see rateLimiter.js); every window must
+    // have room for an attempt to be allowed
+    rateLimits: {
+      contact_form: [
+        { limit: 1, windowMs: 30 * 1000 },
+        { limit: 5, windowMs: 60 * 60 * 1000 },
+      ],
+      newsletter: [{ limit: 5, windowMs: 60 * 60 * 1000 }],
+      upload: [{ limit: 30, windowMs: 10 * 60 * 1000 }],
+    },
     spamDetection: process.env.REACT_APP_ENABLE_SPAM_DETECTION === 'true',
+    // Spam scores (0-1) at which submissions are blocked or flagged for
+    // review (see spamScoring.js)
+    spamThresholds: {
+      block: parseFloat(process.env.REACT_APP_SPAM_BLOCK_THRESHOLD) || 0.8,
+      review: parseFloat(process.env.REACT_APP_SPAM_REVIEW_THRESHOLD) || 0.4,
+    },
+    // Hashcash-style challenge for contact and newsletter requests (see
+    // proofOfWork.js); each extra bit of difficulty doubles the work
+    proofOfWork: {
+      enabled: process.env.REACT_APP_ENABLE_PROOF_OF_WORK === 'true',
+      difficulty:
+        parseInt(process.env.REACT_APP_PROOF_OF_WORK_DIFFICULTY, 10) || 16,
+    },
   },
 
   // Performance
@@ -100,6 +133,13 @@ const config = {
       process.env.REACT_APP_ENABLE_VIDEO_OPTIMIZATION === 'true',
   },
 
+  // Forms
+  forms: {
+    // How long an unsent form draft can be restored
+    draftTtlMinutes:
+      parseInt(process.env.REACT_APP_FORM_DRAFT_TTL_MINUTES) || 60,
+  },
+
   // Environment
   env: {
     isDevelopment: process.env.NODE_ENV === 'development',
@@ -0,0 +1,119 @@
+// Named, seedable fault profiles for the mock API
+// Pick one with REACT_APP_MOCK_API_FAULT_PROFILE, or in development with
+// ?mockFault=<name>&mockSeed=<n> in the URL, to reproduce error paths on
+// demand. The same seed always yields the same sequence of faults.
+import config from './config';
+
+export const FAULT_PROFILES = {
+  // No injected faults, default latency
+  none: {},
+
+  // High, slightly variable latency
+  'slow-3g': {
+    latency: 2000,
+    latencyJitter: 1000,
+  },
+
+  // Every request is rate limited
+  'always-429': {
+    failureRate: 1,
+    failure: {
+      status: 429,
+      headers: { 'Retry-After': '30' },
+      body: { message: 'Too many requests' },
+    },
+  },
+
+  // Roughly a third of requests fail with a server error
+  'intermittent-500': {
+    failureRate: 0.3,
+    failure: {
+      status: 500,
+      body: { message: 'Simulated server error' },
+    },
+  },
+
+  // Requests never reach the server
+  offline: {
+    failureRate: 1,
+    failure: { error: 'network' },
+  },
+};
+
+export const DEFAULT_FAULT_SEED = 1;
+
+// Small seeded PRNG (mulberry32) returning floats in [0, 1)
+export const createRandom = (seed = DEFAULT_FAULT_SEED) => {
+  let state = seed >>> 0;
+
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Decide the latency and failure for each request under a profile
+// next(baseLatency) returns { latency, failure } where failure is null,
+// { status, body, headers } or { error: 'network' }
+export const createFaultInjector = ({
+  profile = 'none',
+  seed = DEFAULT_FAULT_SEED,
+} = {}) => {
+  const settings = FAULT_PROFILES[profile];
+  if (!settings) {
+    throw new Error(`Unknown mock API fault profile: ${profile}`);
+  }
+
+  const random = createRandom(seed);
+
+  return {
+    profile,
+    seed,
+
+    next(baseLatency = 0) {
+      const jitter = settings.latencyJitter
+        ? Math.round(random() * settings.latencyJitter)
+        : 0;
+      const fails = settings.failureRate
+        ? random() < settings.failureRate
+        : false;
+
+      return {
+        latency: (settings.latency ?? baseLatency) + jitter,
+        failure: fails ? settings.failure : null,
+      };
+    },
+  };
+};
+
+// Profile and seed from the URL (development only) or config
+export const resolveFaultSettings = () => {
+  let profile = config.api.mockFaultProfile;
+  let seed = config.api.mockFaultSeed;
+
+  if (config.env.isDevelopment && typeof window !== 'undefined') {
+    const params = new URLSearchParams(window.location.search);
+    const queryProfile = params.get('mockFault');
+    const querySeed = parseInt(params.get('mockSeed'), 10);
+
+    if (queryProfile && FAULT_PROFILES[queryProfile]) {
+      profile = queryProfile;
+    } else if (queryProfile) {
+      console.warn(`Ignoring unknown mock API fault profile: ${queryProfile}`);
+    }
+
+    if (!Number.isNaN(querySeed)) {
+      seed = querySeed;
+    }
+  }
+
+  return {
+    profile: FAULT_PROFILES[profile] ? profile : 'none',
+    seed,
+  };
+};
+
+export default FAULT_PROFILES;
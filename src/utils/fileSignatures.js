@@ -0,0 +1,61 @@
+// File type detection from content ("magic bytes")
+// `File#type` comes from the file name, so a renamed file claims whatever
+// type its extension suggests. Uploads are checked against the signature at
+// the start of the file instead.
+import { readBlob } from './checksum';
+
+// Bytes needed to recognise every signature below
+const SIGNATURE_LENGTH = 12;
+
+const matchesAt = (bytes, offset, signature) =>
+  signature.every((byte, index) => bytes[offset + index] === byte);
+
+const ascii = text => Array.from(text, char => char.charCodeAt(0));
+
+const FILE_SIGNATURES = [
+  {
+    type: 'image/jpeg',
+    test: bytes => matchesAt(bytes, 0, [0xff, 0xd8, 0xff]),
+  },
+  {
+    type: 'image/png',
+    test: bytes =>
+      matchesAt(bytes, 0, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+  },
+  {
+    type: 'image/gif',
+    test: bytes =>
+      matchesAt(bytes, 0, ascii('GIF87a')) ||
+      matchesAt(bytes, 0, ascii('GIF89a')),
+  },
+  {
+    type: 'image/webp',
+    test: bytes =>
+      matchesAt(bytes, 0, ascii('RIFF')) && matchesAt(bytes, 8, ascii('WEBP')),
+  },
+  {
+    type: 'application/pdf',
+    test: bytes => matchesAt(bytes, 0, ascii('%PDF-')),
+  },
+];
+
+// Short names for error messages
+export const FILE_TYPE_LABELS = {
+  'image/jpeg': 'JPEG',
+  'image/png': 'PNG',
+  'image/gif': 'GIF',
+  'image/webp': 'WebP',
+  'application/pdf': 'PDF',
+};
+
+// Resolve to the MIME type the file's contents match, or null if unknown
+export const sniffFileType = async file => {
+  const header = new Uint8Array(
+    await readBlob(file.slice(0, SIGNATURE_LENGTH))
+  );
+  const match = FILE_SIGNATURES.find(signature => signature.test(header));
+
+  return match ? match.type : null;
+};
+
+export default sniffFileType;
@@ -0,0 +1,61 @@
+// Form drafts kept in sessionStorage so a reload doesn't lose typed input
+// Drafts never leave the browser tab, expire after
+// REACT_APP_FORM_DRAFT_TTL_MINUTES and are removed after a submission.
+import config from './config';
+
+const DRAFT_PREFIX = 'form_draft:';
+
+export const DEFAULT_DRAFT_TTL = config.forms.draftTtlMinutes * 60 * 1000;
+
+const storageKey = formId => `${DRAFT_PREFIX}${formId}`;
+
+// Save a draft, leaving out excluded fields such as honeypots
+export const saveDraft = (formId, values, { exclude = [] } = {}) => {
+  const data = Object.keys(values).reduce((result, key) => {
+    if (!exclude.includes(key)) {
+      result[key] = values[key];
+    }
+    return result;
+  }, {});
+
+  try {
+    sessionStorage.setItem(
+      storageKey(formId),
+      JSON.stringify({ data, savedAt: Date.now() })
+    );
+  } catch (error) {
+    // Storage full or unavailable (e.g. private mode); drafts are best effort
+  }
+};
+
+export const clearDraft = formId => {
+  try {
+    sessionStorage.removeItem(storageKey(formId));
+  } catch (error) {
+    // Nothing to clear
+  }
+};
+
+// The stored draft as { data, savedAt }, or null when there is none
+// Drafts older than `maxAge` (ms) are removed instead of returned
+export const loadDraft = (formId, { maxAge = DEFAULT_DRAFT_TTL } = {}) => {
+  let stored;
+  try {
+    stored = JSON.parse(sessionStorage.getItem(storageKey(formId)));
+  } catch (error) {
+    stored = null;
+  }
+
+  if (!stored || !stored.data || typeof stored.savedAt !== 'number') {
+    return null;
+  }
+
+  if (Date.now() - stored.savedAt > maxAge) {
+    clearDraft(formId);
+    return null;
+  }
+
+  return stored;
+};
+
+export default { saveDraft, loadDraft, clearDraft };
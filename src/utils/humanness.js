@@ -0,0 +1,39 @@
+// Invisible bot check based on how a form was filled in
+// useInteractionSignals counts focus changes, keystrokes, pastes and pointer
+// activity while a form is open. Only counts and the time spent are kept -
+// never which keys were pressed or where the pointer went - and they travel
+// with the submission as `interaction` so the server can score them too.
+
+// Keeps a runaway counter (e.g. pointer moves) from bloating payloads
+export const MAX_INTERACTION_COUNT = 1000;
+
+// Signals arrive from the client, so treat them as untrusted numbers
+const toCount = value => Math.max(0, Number(value) || 0);
+
+// Fraction of `full` reached, capped at 1
+const progress = (value, full) => Math.min(toCount(value) / full, 1);
+
+// 0 (no sign of a person) to 1 (clearly interactive)
+// Time on the form and typing carry most weight; focus changes and pointer
+// activity add to it. Keyboard-only and screen reader users still score
+// well without a pointer, and a paste counts as typing a field's worth.
+export const computeHumanness = (signals = {}) => {
+  const typed = toCount(signals.keyCount) + toCount(signals.pasteCount) * 10;
+  const score =
+    progress(signals.elapsedMs, 10000) * 0.3 +
+    progress(typed, 20) * 0.3 +
+    progress(signals.focusCount, 3) * 0.2 +
+    progress(signals.pointerCount, 10) * 0.2;
+
+  return Math.round(score * 100) / 100;
+};
+
+// Spam scoring context for a submission's interaction signals
+export const interactionContext = (signals, now = Date.now()) =>
+  signals
+    ? {
+        startedAt: now - toCount(signals.elapsedMs),
+        submittedAt: now,
+        interaction: signals,
+      }
+    : {};
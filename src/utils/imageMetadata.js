@@ -0,0 +1,182 @@
+// Removing location data from photos before upload
+// Phones record where a photo was taken in its EXIF GPS block. The block is
+// emptied in place - its values zeroed and its entry count set to 0 - so the
+// rest of the EXIF data (orientation in particular) and every offset in the
+// file stay valid. JPEG APP1, PNG eXIf and WebP EXIF chunks are handled.
+import { readBlob } from './checksum';
+
+const GPS_IFD_TAG = 0x8825;
+const EXIF_HEADER = [0x45, 0x78, 0x69, 0x66, 0x00, 0x00]; // "Exif\0\0"
+
+// Bytes per value for each TIFF field type
+const TIFF_TYPE_SIZES = {
+  1: 1,
+  2: 1,
+  3: 2,
+  4: 4,
+  5: 8,
+  6: 1,
+  7: 1,
+  8: 2,
+  9: 4,
+  10: 8,
+  11: 4,
+  12: 8,
+};
+
+const hasExifHeader = (bytes, offset) =>
+  EXIF_HEADER.every((byte, index) => bytes[offset + index] === byte);
+
+const readAscii = (bytes, offset, length) =>
+  String.fromCharCode(...bytes.subarray(offset, offset + length));
+
+// Empty the GPS IFD of the TIFF structure at bytes[start, start + length)
+// Returns true if there was location data to remove
+const scrubTiffGps = (bytes, start, length) => {
+  if (length < 8 || start + length > bytes.length) return false;
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset + start, length);
+  const byteOrder = view.getUint16(0);
+  if (byteOrder !== 0x4949 && byteOrder !== 0x4d4d) return false;
+
+  const little = byteOrder === 0x4949;
+  const inBounds = (offset, size) => offset >= 0 && offset + size <= length;
+  const u16 = offset => view.getUint16(offset, little);
+  const u32 = offset => view.getUint32(offset, little);
+  const zero = (offset, size) =>
+    bytes.fill(0, start + offset, start + offset + size);
+
+  if (u16(2) !== 42) return false;
+
+  const ifd0 = u32(4);
+  if (!inBounds(ifd0, 2)) return false;
+
+  for (let index = 0; index < u16(ifd0); index += 1) {
+    const entry = ifd0 + 2 + index * 12;
+    if (!inBounds(entry, 12)) return false;
+    if (u16(entry) !== GPS_IFD_TAG) continue;
+
+    const gpsIfd = u32(entry + 8);
+    if (!inBounds(gpsIfd, 2)) return false;
+
+    const count = u16(gpsIfd);
+    for (let field = 0; field < count; field += 1) {
+      const gpsEntry = gpsIfd + 2 + field * 12;
+      if (!inBounds(gpsEntry, 12)) break;
+
+      // Values over 4 bytes live elsewhere, at the offset in the entry
+      const size =
+        (TIFF_TYPE_SIZES[u16(gpsEntry + 2)] || 1) * u32(gpsEntry + 4);
+      const valueOffset = u32(gpsEntry + 8);
+      if (size > 4 && inBounds(valueOffset, size)) zero(valueOffset, size);
+      zero(gpsEntry, 12);
+    }
+    view.setUint16(gpsIfd, 0, little);
+
+    return count > 0;
+  }
+
+  return false;
+};
+
+const scrubJpeg = bytes => {
+  let changed = false;
+  let offset = 2;
+
+  while (offset + 4 <= bytes.length && bytes[offset] === 0xff) {
+    const marker = bytes[offset + 1];
+    // Metadata segments all come before the image data
+    if (marker === 0xda || marker === 0xd9) break;
+
+    const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+    if (marker === 0xe1 && hasExifHeader(bytes, offset + 4)) {
+      changed = scrubTiffGps(bytes, offset + 10, length - 8) || changed;
+    }
+    offset += 2 + length;
+  }
+
+  return changed;
+};
+
+let crcTable;
+
+const crc32 = bytes => {
+  if (!crcTable) {
+    crcTable = Array.from({ length: 256 }, (_, n) => {
+      let c = n;
+      for (let k = 0; k < 8; k += 1) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      return c >>> 0;
+    });
+  }
+
+  let crc = 0xffffffff;
+  for (let index = 0; index < bytes.length; index += 1) {
+    crc = crcTable[(crc ^ bytes[index]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+const scrubPng = bytes => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+  let offset = 8;
+
+  while (offset + 12 <= bytes.length) {
+    const length = view.getUint32(offset);
+    const type = readAscii(bytes, offset + 4, 4);
+
+    if (type === 'eXIf' && scrubTiffGps(bytes, offset + 8, length)) {
+      // Chunks are checksummed, so the edited chunk needs a new CRC
+      const crc = crc32(bytes.subarray(offset + 4, offset + 8 + length));
+      view.setUint32(offset + 8 + length, crc);
+      return true;
+    }
+    if (type === 'IEND') break;
+    offset += 12 + length;
+  }
+
+  return false;
+};
+
+const scrubWebp = bytes => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+  let offset = 12;
+
+  while (offset + 8 <= bytes.length) {
+    const length = view.getUint32(offset + 4, true);
+
+    if (readAscii(bytes, offset, 4) === 'EXIF') {
+      // Some encoders keep the JPEG-style "Exif\0\0" prefix
+      const skip = hasExifHeader(bytes, offset + 8) ? 6 : 0;
+      return scrubTiffGps(bytes, offset + 8 + skip, length - skip);
+    }
+    // Chunks are padded to an even length
+    offset += 8 + length + (length % 2);
+  }
+
+  return false;
+};
+
+const SCRUBBERS = {
+  'image/jpeg': scrubJpeg,
+  'image/png': scrubPng,
+  'image/webp': scrubWebp,
+};
+
+// Resolve to a copy of `file` without GPS metadata, or the file itself if
+// it had none. `type` is the file's real (sniffed) type.
+export const stripGpsMetadata = async (file, type = file.type) => {
+  const scrub = SCRUBBERS[type];
+  if (!scrub) return file;
+
+  const bytes = new Uint8Array(await readBlob(file));
+  if (!scrub(bytes)) return file;
+
+  return new File([bytes], file.name, {
+    type: file.type,
+    lastModified: file.lastModified,
+  });
+};
+
+export default stripGpsMetadata;
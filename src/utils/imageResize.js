@@ -0,0 +1,84 @@
+// Client-side image downscaling before upload
+// Large photos are resized so their longest side fits `maxDimension`, which
+// keeps mood boards well under the upload size limit. GIFs (which may be
+// animated), PDFs and images that already fit are returned unchanged.
+
+export const DEFAULT_MAX_DIMENSION = 2048;
+export const DEFAULT_QUALITY = 0.85;
+
+const RESIZABLE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+// Check whether this browser can decode and re-encode images
+export const isImageResizeSupported = () =>
+  typeof createImageBitmap === 'function' &&
+  typeof document !== 'undefined' &&
+  typeof HTMLCanvasElement !== 'undefined' &&
+  typeof HTMLCanvasElement.prototype.toBlob === 'function';
+
+// Width and height that fit within maxDimension, keeping the aspect ratio
+export const fitDimensions = (width, height, maxDimension) => {
+  const scale = Math.min(1, maxDimension / Math.max(width, height));
+  return {
+    width: Math.round(width * scale),
+    height: Math.round(height * scale),
+  };
+};
+
+const canvasToBlob = (canvas, type, quality) =>
+  new Promise((resolve, reject) => {
+    canvas.toBlob(
+      blob => (blob ? resolve(blob) : reject(new Error('Encoding failed'))),
+      type,
+      quality
+    );
+  });
+
+// Resolve to a File no larger than maxDimension on either side
+export const downscaleImage = async (file, options = {}) => {
+  const { maxDimension = DEFAULT_MAX_DIMENSION, quality = DEFAULT_QUALITY } =
+    options;
+
+  if (!RESIZABLE_TYPES.includes(file.type) || !isImageResizeSupported()) {
+    return file;
+  }
+
+  let bitmap;
+  try {
+    bitmap = await createImageBitmap(file);
+  } catch (error) {
+    // Not decodable here; let the server decide
+    return file;
+  }
+
+  const { width, height } = fitDimensions(
+    bitmap.width,
+    bitmap.height,
+    maxDimension
+  );
+
+  if (width === bitmap.width && height === bitmap.height) {
+    bitmap.close();
+    return file;
+  }
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  canvas.getContext('2d').drawImage(bitmap, 0, 0, width, height);
+  bitmap.close();
+
+  try {
+    const blob = await canvasToBlob(canvas, file.type, quality);
+    // Keep the original if re-encoding didn't actually save anything, or if
+    // the browser can't encode this type and fell back to PNG
+    if (blob.type !== file.type || blob.size >= file.size) return file;
+    return new File([blob], file.name, {
+      type: file.type,
+      lastModified: file.lastModified,
+    });
+  } catch (error) {
+    return file;
+  }
+};
+
+export default downscaleImage;
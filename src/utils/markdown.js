@@ -0,0 +1,454 @@
+// Small Markdown parser for blog posts
+// Produces a plain tree of block and inline nodes that components/Markdown.js
+// turns into React elements. No HTML strings are built or injected, so any
+// markup in a post shows up as text, and link/image URLs are checked against
+// an allow-list before they reach the page.
+//
+// Supported: ATX headings, paragraphs, emphasis, inline code, links, images,
+// fenced code, block quotes, ordered/unordered lists (nested by indentation),
+// horizontal rules and video embeds - a YouTube/Vimeo/.mp4 URL on its own
+// line, or written as an image: ![Caption](https://youtu.be/...). A video
+// file takes its captions from a .vtt link right after it:
+// ![Reel](/reel.mp4) [English](/reel.en.vtt)
+
+const WORDS_PER_MINUTE = 200;
+
+const SAFE_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+const ESCAPABLE = '\\`*_{}[]()#+-.!>';
+
+const FENCE = /^\s*(```|~~~)\s*([\w+-]*)\s*$/;
+const HEADING = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const RULE = /^\s*([-*_])(\s*\1){2,}\s*$/;
+const QUOTE = /^\s*>/;
+const LIST_ITEM = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+
+const VIDEO_PROVIDERS = [
+  {
+    provider: 'youtube',
+    pattern:
+      /^https:\/\/(?:www\.|m\.)?(?:youtube\.com\/(?:watch\?(?:.*&)?v=|embed\/)|youtu\.be\/)([\w-]{11})/,
+    embed: id => `https://www.youtube-nocookie.com/embed/${id}`,
+  },
+  {
+    provider: 'vimeo',
+    pattern: /^https:\/\/(?:www\.|player\.)?vimeo\.com\/(?:video\/)?(\d+)/,
+    embed: id => `https://player.vimeo.com/video/${id}`,
+  },
+];
+const VIDEO_FILE = /\.(mp4|webm)(?:[?#].*)?$/i;
+const CAPTIONS_FILE = /\.vtt(?:[?#].*)?$/i;
+
+// Lowercase, hyphen-separated id for a heading, in any script
+export const slugify = text =>
+  text
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}\s-]/gu, '')
+    .trim()
+    .replace(/[\s-]+/g, '-');
+
+// Returns the URL if it's safe to link to, otherwise null
+// Site-relative paths and in-page anchors are allowed; other URLs must be
+// absolute with an allowed protocol (no javascript:, data: and so on)
+export const sanitizeUrl = url => {
+  const trimmed = (url || '').trim();
+  if (!trimmed) return null;
+  if (/^(\/(?![/\\])|#)/.test(trimmed)) return trimmed;
+
+  try {
+    const parsed = new URL(trimmed);
+    return SAFE_PROTOCOLS.includes(parsed.protocol) ? parsed.href : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// { kind: 'embed' | 'file', src } for URLs we know how to play, else null
+export const videoSource = url => {
+  const safeUrl = sanitizeUrl(url);
+  if (!safeUrl) return null;
+
+  for (const { provider, pattern, embed } of VIDEO_PROVIDERS) {
+    const match = safeUrl.match(pattern);
+    if (match) return { kind: 'embed', provider, src: embed(match[1]) };
+  }
+
+  return VIDEO_FILE.test(safeUrl) ? { kind: 'file', src: safeUrl } : null;
+};
+
+// Estimated minutes to read, at least 1
+export const readingTime = source => {
+  const words = String(source || '')
+    .replace(/[#>*_`[\]()!-]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean).length;
+  return Math.max(1, Math.round(words / WORDS_PER_MINUTE));
+};
+
+// Text content of inline nodes, for heading ids and the table of contents
+export const plainText = nodes =>
+  nodes
+    .map(node =>
+      node.type === 'text' || node.type === 'code'
+        ? node.value
+        : node.type === 'image'
+        ? node.alt
+        : plainText(node.children || [])
+    )
+    .join('');
+
+// [label](url "title") starting at text[start] === '['
+const matchLink = (text, start) => {
+  let depth = 0;
+  let close = -1;
+  for (let i = start; i < text.length; i += 1) {
+    if (text[i] === '\\') {
+      i += 1;
+    } else if (text[i] === '[') {
+      depth += 1;
+    } else if (text[i] === ']') {
+      depth -= 1;
+      if (depth === 0) {
+        close = i;
+        break;
+      }
+    }
+  }
+  if (close === -1) return null;
+
+  const target = text
+    .slice(close + 1)
+    .match(/^\(\s*<?([^\s<>()]*)>?(?:\s+"([^"]*)")?\s*\)/);
+  if (!target) return null;
+
+  return {
+    label: text.slice(start + 1, close),
+    url: target[1],
+    title: target[2] || null,
+    end: close + 1 + target[0].length,
+  };
+};
+
+// Closing marker for emphasis opened at `from`, skipping nested strong runs
+const findClosing = (text, marker, from) => {
+  const char = marker[0];
+  for (let i = from; i < text.length; i += 1) {
+    if (text[i] === '\\') {
+      i += 1;
+    } else if (text[i] === '`') {
+      const end = text.indexOf('`', i + 1);
+      if (end !== -1) i = end;
+    } else if (text.startsWith(marker, i) && i > from) {
+      const isStrongRun = marker.length === 1 && text[i + 1] === char;
+      if (!isStrongRun && !/\s/.test(text[i - 1])) return i;
+      if (isStrongRun) {
+        const strongEnd = text.indexOf(char + char, i + 2);
+        if (strongEnd === -1) return -1;
+        i = strongEnd + 1;
+      }
+    }
+  }
+  return -1;
+};
+
+export const parseInline = text => {
+  const nodes = [];
+  let buffer = '';
+  let i = 0;
+
+  const flush = () => {
+    if (buffer) nodes.push({ type: 'text', value: buffer });
+    buffer = '';
+  };
+
+  while (i < text.length) {
+    const char = text[i];
+
+    if (char === '\\' && ESCAPABLE.includes(text[i + 1])) {
+      buffer += text[i + 1];
+      i += 2;
+      continue;
+    }
+
+    if (char === '`') {
+      const end = text.indexOf('`', i + 1);
+      if (end > i + 1) {
+        flush();
+        nodes.push({ type: 'code', value: text.slice(i + 1, end) });
+        i = end + 1;
+        continue;
+      }
+    }
+
+    if (char === '!' && text[i + 1] === '[') {
+      const link = matchLink(text, i + 1);
+      if (link) {
+        flush();
+        const src = sanitizeUrl(link.url);
+        nodes.push(
+          src
+            ? { type: 'image', src, alt: link.label, title: link.title }
+            : { type: 'text', value: link.label }
+        );
+        i = link.end;
+        continue;
+      }
+    }
+
+    if (char === '[') {
+      const link = matchLink(text, i);
+      if (link) {
+        flush();
+        const href = sanitizeUrl(link.url);
+        const children = parseInline(link.label);
+        // Unsafe targets keep their text but lose the link
+        if (href) {
+          nodes.push({ type: 'link', href, title: link.title, children });
+        } else {
+          nodes.push(...children);
+        }
+        i = link.end;
+        continue;
+      }
+    }
+
+    if (char === '<') {
+      const autolink = text.slice(i).match(/^<(https?:\/\/[^\s<>]+)>/);
+      const href = autolink && sanitizeUrl(autolink[1]);
+      if (href) {
+        flush();
+        nodes.push({
+          type: 'link',
+          href,
+          title: null,
+          children: [{ type: 'text', value: autolink[1] }],
+        });
+        i += autolink[0].length;
+        continue;
+      }
+    }
+
+    if (char === '*' || char === '_') {
+      const marker = text[i + 1] === char ? char + char : char;
+      const opensWord = !/\s/.test(text[i + marker.length] || ' ');
+      // Underscores inside words (snake_case) aren't emphasis
+      const intraword = char === '_' && /\w/.test(text[i - 1] || '');
+      const end =
+        opensWord && !intraword
+          ? findClosing(text, marker, i + marker.length)
+          : -1;
+
+      if (end !== -1) {
+        flush();
+        nodes.push({
+          type: marker.length === 2 ? 'strong' : 'em',
+          children: parseInline(text.slice(i + marker.length, end)),
+        });
+        i = end + marker.length;
+        continue;
+      }
+    }
+
+    buffer += char;
+    i += 1;
+  }
+
+  flush();
+  return nodes;
+};
+
+const startsBlock = line =>
+  FENCE.test(line) ||
+  HEADING.test(line) ||
+  RULE.test(line) ||
+  QUOTE.test(line) ||
+  LIST_ITEM.test(line);
+
+const indentOf = line => line.match(/^\s*/)[0].length;
+const isOrdered = marker => /\d/.test(marker);
+
+// Embeds bring their own captions; video files need a captions track
+const videoBlock = (video, title, captions = null) =>
+  video.kind === 'file'
+    ? { type: 'video', ...video, title, captions }
+    : { type: 'video', ...video, title };
+
+// A paragraph holding only an image or a bare URL may really be a figure or
+// a video
+const paragraphBlock = text => {
+  const bareVideo = /^\S+$/.test(text) && videoSource(text);
+  if (bareVideo) return videoBlock(bareVideo, null);
+
+  const children = parseInline(text);
+  if (children.length === 1 && children[0].type === 'image') {
+    const { src, alt, title } = children[0];
+    const video = videoSource(src);
+    return video
+      ? videoBlock(video, alt || title)
+      : { type: 'image', src, alt, title };
+  }
+
+  // A video file followed by its captions file
+  const [media, captions, ...rest] = children.filter(
+    node => node.type !== 'text' || node.value.trim()
+  );
+  const video = media && media.type === 'image' && videoSource(media.src);
+  const hasCaptions =
+    captions &&
+    captions.type === 'link' &&
+    CAPTIONS_FILE.test(captions.href) &&
+    !rest.length;
+  if (video && video.kind === 'file' && hasCaptions) {
+    return videoBlock(video, media.alt || media.title, {
+      src: captions.href,
+      label: plainText(captions.children) || 'Captions',
+    });
+  }
+
+  return { type: 'paragraph', children };
+};
+
+const parseList = (lines, start, context) => {
+  const first = lines[start].match(LIST_ITEM);
+  const baseIndent = first[1].length;
+  const ordered = isOrdered(first[2]);
+  const items = [];
+  let i = start;
+
+  const sameList = line => {
+    const match = line.match(LIST_ITEM);
+    return (
+      match &&
+      match[1].length <= baseIndent + 1 &&
+      isOrdered(match[2]) === ordered
+    );
+  };
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (sameList(line)) {
+      items.push([line.match(LIST_ITEM)[3]]);
+    } else if (!line.trim()) {
+      // A blank line only continues the list if another item follows
+      let next = i + 1;
+      while (next < lines.length && !lines[next].trim()) next += 1;
+      const continues =
+        next < lines.length &&
+        (sameList(lines[next]) || indentOf(lines[next]) > baseIndent + 1);
+      if (!continues) break;
+      items[items.length - 1].push('');
+    } else if (indentOf(line) > baseIndent + 1) {
+      // Nested content, re-indented relative to the item
+      items[items.length - 1].push(line.slice(baseIndent + 2));
+    } else if (!startsBlock(line)) {
+      // Lazy continuation of the item's text
+      items[items.length - 1].push(line.trim());
+    } else {
+      break;
+    }
+    i += 1;
+  }
+
+  return {
+    block: {
+      type: 'list',
+      ordered,
+      start: ordered ? parseInt(first[2], 10) : null,
+      items: items.map(itemLines => parseBlocks(itemLines, context)),
+    },
+    next: i,
+  };
+};
+
+const headingBlock = (level, text, context) => {
+  const children = parseInline(text);
+  const base = slugify(plainText(children)) || 'section';
+  const count = context.ids.get(base) || 0;
+  context.ids.set(base, count + 1);
+  const id = count ? `${base}-${count + 1}` : base;
+
+  if (level === 2 || level === 3) {
+    context.headings.push({ level, id, text: plainText(children) });
+  }
+  return { type: 'heading', level, id, children };
+};
+
+const parseBlocks = (lines, context) => {
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      i += 1;
+      continue;
+    }
+
+    const fence = line.match(FENCE);
+    if (fence) {
+      const body = [];
+      i += 1;
+      while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+        body.push(lines[i]);
+        i += 1;
+      }
+      blocks.push({
+        type: 'code',
+        lang: fence[2] || null,
+        value: body.join('\n'),
+      });
+      i += 1;
+      continue;
+    }
+
+    const heading = line.match(HEADING);
+    if (heading) {
+      blocks.push(headingBlock(heading[1].length, heading[2], context));
+      i += 1;
+      continue;
+    }
+
+    if (RULE.test(line)) {
+      blocks.push({ type: 'rule' });
+      i += 1;
+      continue;
+    }
+
+    if (QUOTE.test(line)) {
+      const quoted = [];
+      while (i < lines.length && QUOTE.test(lines[i])) {
+        quoted.push(lines[i].replace(/^\s*>\s?/, ''));
+        i += 1;
+      }
+      blocks.push({ type: 'quote', children: parseBlocks(quoted, context) });
+      continue;
+    }
+
+    if (LIST_ITEM.test(line)) {
+      const { block, next } = parseList(lines, i, context);
+      blocks.push(block);
+      i = next;
+      continue;
+    }
+
+    const text = [];
+    while (i < lines.length && lines[i].trim() && !startsBlock(lines[i])) {
+      text.push(lines[i].trim());
+      i += 1;
+    }
+    blocks.push(paragraphBlock(text.join(' ')));
+  }
+
+  return blocks;
+};
+
+// { blocks, headings } - headings lists the h2/h3s for a table of contents
+export const parseMarkdown = source => {
+  const context = { ids: new Map(), headings: [] };
+  const lines = String(source || '')
+    .replace(/\r\n?/g, '\n')
+    .split('\n');
+
+  return { blocks: parseBlocks(lines, context), headings: context.headings };
+};
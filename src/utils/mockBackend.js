@@ -0,0 +1,924 @@
+// In-process mock backend implementing every ApiService endpoint
+// Enabled with REACT_APP_ENABLE_MOCK_API=true: ApiService then sends its
+// requests to `mockBackend.fetch` instead of the network.
+// Fixtures are seeded from the section seed content and reset on demand, and
+// failures are injected deterministically through rules rather than at random.
+import {
+  blogPosts,
+  companyStats,
+  portfolioItems,
+  services,
+  testimonials,
+} from '../data/seedContent';
+
+import { blogFacets, filterBlogPosts } from './blogSearch';
+import { sha256Hex } from './checksum';
+import { CHUNK_CHECKSUM_HEADER } from './chunkedUpload';
+import config from './config';
+import {
+  DEFAULT_FAULT_SEED,
+  createFaultInjector,
+  resolveFaultSettings,
+} from './faultProfiles';
+import { interactionContext } from './humanness';
+import {
+  DEFAULT_NEWSLETTER_PREFERENCES,
+  SUBSCRIPTION_STATUSES,
+  validateNewsletterPreferences,
+} from './newsletterPreferences';
+import {
+  POW_HEADER,
+  proofOfWorkResource,
+  verifyProofOfWork,
+} from './proofOfWork';
+import { generateRandomToken } from './security';
+import { evaluateSpam } from './spamScoring';
+import { validateContactSubmission, validateField } from './validationSchema';
+
+const clone = value => JSON.parse(JSON.stringify(value));
+
+// Minimal fetch Response double - only what ApiService reads
+export const createMockResponse = (status, body = null, headers = {}) => {
+  const normalizedHeaders = Object.keys(headers).reduce((result, name) => {
+    result[name.toLowerCase()] = String(headers[name]);
+    return result;
+  }, {});
+
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    headers: {
+      get: name => normalizedHeaders[name.toLowerCase()] || null,
+    },
+    json: () => Promise.resolve(body === null ? {} : clone(body)),
+  };
+};
+
+const createAbortError = () => {
+  const error = new Error('The operation was aborted.');
+  error.name = 'AbortError';
+  return error;
+};
+
+// Resolve after `ms`, rejecting early if the request is aborted
+const delay = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(createAbortError());
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timeoutId);
+      reject(createAbortError());
+    };
+    const timeoutId = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+
+// Never resolve; reject once the request is aborted
+const waitForAbort = signal =>
+  new Promise((resolve, reject) => {
+    if (!signal) return;
+    if (signal.aborted) {
+      reject(createAbortError());
+      return;
+    }
+    signal.addEventListener('abort', () => reject(createAbortError()), {
+      once: true,
+    });
+  });
+
+// Turn '/api/blog/:slug' into a matcher that returns the params or null
+const compilePath = pattern => {
+  const keys = [];
+  const source = pattern
+    .split('/')
+    .map(segment => {
+      if (segment.startsWith(':')) {
+        keys.push(segment.slice(1));
+        return '([^/]+)';
+      }
+      return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('/');
+  const regex = new RegExp(`^${source}/?$`);
+
+  return path => {
+    const match = regex.exec(path);
+    if (!match) return null;
+
+    return keys.reduce((params, key, index) => {
+      params[key] = decodeURIComponent(match[index + 1]);
+      return params;
+    }, {});
+  };
+};
+
+// Strip the API base URL so routes only deal with '/api/...' paths
+const parseUrl = url => {
+  const parsed = new URL(url, 'http://localhost');
+  const apiIndex = parsed.pathname.indexOf('/api/');
+  const path =
+    apiIndex === -1 ? parsed.pathname : parsed.pathname.slice(apiIndex);
+
+  return {
+    path,
+    query: Object.fromEntries(parsed.searchParams.entries()),
+  };
+};
+
+const parseBody = body => {
+  if (!body) return null;
+  if (typeof body !== 'string') return body;
+
+  try {
+    return JSON.parse(body);
+  } catch (error) {
+    return body;
+  }
+};
+
+const getHeader = (headers = {}, name) => {
+  const key = Object.keys(headers).find(
+    header => header.toLowerCase() === name.toLowerCase()
+  );
+  return key ? headers[key] : null;
+};
+
+const toPositiveInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return parsed > 0 ? parsed : fallback;
+};
+
+const json = (status, body, headers) => ({ status, body, headers });
+
+const seedFixtures = () => ({
+  services: clone(services),
+  portfolioItems: clone(portfolioItems),
+  blogPosts: clone(blogPosts),
+  testimonials: clone(testimonials),
+  companyStats: clone(companyStats),
+  contacts: [],
+  // Newsletter subscribers: pending until the emailed link is followed
+  subscribers: [],
+  // Emails the backend would have sent, e.g. confirmation links
+  emails: [],
+  uploads: [],
+  // Chunked uploads that haven't been completed yet, by upload id
+  uploadSessions: {},
+  events: [],
+  // Proof-of-work stamps already accepted, so none is used twice
+  spentStamps: [],
+});
+
+// Response for /api/spam/detect: the pipeline result, plus the older
+// isSpam/reason/confidence fields
+const spamResult = ({ score, verdict, reasons }) => ({
+  isSpam: verdict === 'block',
+  verdict,
+  score,
+  reasons,
+  ...(reasons.length > 0 ? { reason: reasons[0].reason } : {}),
+  confidence: score,
+});
+
+// Record a finished upload so contacts can reference it
+const storeUpload = (db, backend, { name, size, type, category }) => {
+  const upload = {
+    id: backend.nextId('upload'),
+    name,
+    size,
+    type,
+    category: category || 'image',
+  };
+  upload.url = `/uploads/${upload.id}/${encodeURIComponent(upload.name)}`;
+  db.uploads.push(upload);
+
+  return upload;
+};
+
+// Check a request's proof-of-work stamp when the backend requires one
+// Resolves to an error response, or null once the stamp has been accepted
+const rejectProofOfWork = async (db, backend, headers, resource) => {
+  if (!backend.proofOfWork) return null;
+
+  const stamp = getHeader(headers, POW_HEADER);
+  let reason = 'Proof of work is missing';
+  if (stamp) {
+    const result = await verifyProofOfWork(stamp, {
+      resource,
+      difficulty: backend.proofOfWork.difficulty,
+    });
+    reason = result.reason;
+    if (result.valid && db.spentStamps.includes(stamp)) {
+      reason = 'Proof of work has already been used';
+    }
+  }
+
+  if (stamp && !reason) {
+    db.spentStamps.push(stamp);
+    return null;
+  }
+
+  // Not a field problem, so forms show the message rather than a field error
+  return json(400, {
+    message: 'Security check failed. Please try again.',
+    reason,
+  });
+};
+
+// Newsletter confirmation links expire after two days
+const CONFIRMATION_TTL = 48 * 60 * 60 * 1000;
+
+// "Send" an email; in development the link is logged so it can be followed
+const sendEmail = (db, email) => {
+  db.emails.push({ ...email, sentAt: new Date().toISOString() });
+  if (config.env.isDevelopment) {
+    console.log(`[mock api] email to ${email.to}: ${email.link}`);
+  }
+};
+
+// Topics and frequency from a request body, leaving out absent fields
+const pickPreferences = (body = {}) =>
+  ['topics', 'frequency'].reduce(
+    (result, key) =>
+      body && body[key] !== undefined
+        ? { ...result, [key]: body[key] }
+        : result,
+    {}
+  );
+
+// What a subscriber sees on the preferences page
+const subscriptionView = ({ email, status, topics, frequency }) => ({
+  email,
+  status,
+  topics,
+  frequency,
+});
+
+// Preferences and unsubscribe links carry the subscriber's manage token
+const findByManageToken = (db, token) =>
+  token
+    ? db.subscribers.find(subscriber => subscriber.manageToken === token)
+    : null;
+
+const unknownSubscription = () =>
+  json(404, { message: 'This preferences link is invalid' });
+
+// Listings leave out the body; /api/blog/:slug returns it
+const summarizePost = post => {
+  const summary = { ...post };
+  delete summary.content;
+  return summary;
+};
+
+const unknownUpload = () =>
+  json(404, {
+    message: 'Upload not found',
+    errors: { file: 'Upload expired' },
+  });
+
+// Route table: handlers receive the parsed request and the backend state
+// Handlers may return a promise (the chunk route hashes the chunk it receives)
+const routes = [
+  {
+    method: 'GET',
+    path: '/api/services',
+    handler: (req, db) => json(200, { data: db.services }),
+  },
+  {
+    method: 'GET',
+    path: '/api/portfolio',
+    handler: ({ query }, db) => {
+      const category = query.category && query.category.toLowerCase();
+      const items =
+        category && category !== 'all'
+          ? db.portfolioItems.filter(
+              item => item.category.toLowerCase() === category
+            )
+          : db.portfolioItems;
+
+      return json(200, { data: items });
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/blog',
+    handler: ({ query }, db) => {
+      const page = toPositiveInt(query.page, 1);
+      const limit = toPositiveInt(query.limit, 10);
+      const posts = filterBlogPosts(db.blogPosts, {
+        category: query.category,
+        tag: query.tag,
+      });
+      const total = posts.length;
+      const start = (page - 1) * limit;
+
+      return json(200, {
+        data: posts.slice(start, start + limit).map(summarizePost),
+        meta: {
+          page,
+          limit,
+          total,
+          totalPages: Math.max(1, Math.ceil(total / limit)),
+        },
+        // Filter options across all posts, not just the matching ones
+        facets: blogFacets(db.blogPosts),
+      });
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/blog/:slug',
+    handler: ({ params }, db) => {
+      const post = db.blogPosts.find(
+        candidate => candidate.slug === params.slug
+      );
+      return post
+        ? json(200, { data: post })
+        : json(404, { message: 'Post not found' });
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/testimonials',
+    handler: (req, db) => json(200, { data: db.testimonials }),
+  },
+  {
+    method: 'GET',
+    path: '/api/stats',
+    handler: (req, db) => json(200, { data: db.companyStats }),
+  },
+  {
+    method: 'POST',
+    path: '/api/contact',
+    handler: async ({ body, headers }, db, backend) => {
+      const rejected = await rejectProofOfWork(
+        db,
+        backend,
+        headers,
+        proofOfWorkResource('contact', getHeader(headers, 'Idempotency-Key'))
+      );
+      if (rejected) return rejected;
+
+      const data = body || {};
+      // Same rules the site enforces, as the real backend would via exportSchema
+      const { isValid, errors } = validateContactSubmission(data);
+
+      // Attachments must have been uploaded first
+      const attachments = Array.isArray(data.attachments)
+        ? data.attachments
+        : [];
+      const missing = attachments.filter(
+        id => !db.uploads.some(upload => upload.id === id)
+      );
+      if (missing.length > 0) {
+        errors.attachments = 'Some attachments could not be found';
+      }
+
+      if (!isValid || missing.length > 0) {
+        return json(422, { message: 'Validation failed', errors });
+      }
+
+      // Blocked messages are refused; borderline ones are kept for review
+      const spam = evaluateSpam(data, interactionContext(data.interaction));
+      if (spam.verdict === 'block') {
+        return json(422, {
+          message: 'Message rejected',
+          errors: {
+            message: 'This message looks like spam. Please rephrase it.',
+          },
+        });
+      }
+
+      const submission = {
+        id: backend.nextId('contact'),
+        ...data,
+        submittedAt: new Date().toISOString(),
+        status: spam.verdict === 'review' ? 'review' : 'new',
+        spam: { score: spam.score, reasons: spam.reasons },
+      };
+      db.contacts.push(submission);
+
+      return json(201, {
+        success: true,
+        message: 'Message sent successfully',
+        data: { id: submission.id, submittedAt: submission.submittedAt },
+      });
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/newsletter/subscribe',
+    handler: async ({ body, headers }, db, backend) => {
+      const email = body && body.email ? body.email.trim().toLowerCase() : '';
+      const rejected = await rejectProofOfWork(
+        db,
+        backend,
+        headers,
+        proofOfWorkResource('newsletter', email)
+      );
+      if (rejected) return rejected;
+
+      const error = validateField('email', email);
+      const preferences = pickPreferences(body);
+      const errors = {
+        ...validateNewsletterPreferences(preferences),
+        ...(error ? { email: error } : {}),
+      };
+
+      if (Object.keys(errors).length > 0) {
+        return json(422, { message: error || 'Validation failed', errors });
+      }
+
+      // Knowing an address isn't enough to change its settings; that takes
+      // the emailed preferences link
+      const existing = db.subscribers.find(
+        subscriber => subscriber.email === email
+      );
+      if (existing && SUBSCRIPTION_STATUSES.includes(existing.status)) {
+        return json(200, {
+          success: true,
+          message: 'You are already subscribed',
+          data: { id: existing.id, status: existing.status },
+        });
+      }
+
+      // New, still pending or previously unsubscribed: (re)send the link
+      const subscriber = existing || {
+        id: backend.nextId('subscriber'),
+        email,
+        manageToken: generateRandomToken(),
+      };
+      if (!existing) db.subscribers.push(subscriber);
+      Object.assign(subscriber, {
+        ...DEFAULT_NEWSLETTER_PREFERENCES,
+        ...preferences,
+        status: 'pending',
+        subscribedAt: new Date().toISOString(),
+        confirmToken: generateRandomToken(),
+        confirmExpiresAt: Date.now() + CONFIRMATION_TTL,
+      });
+      sendEmail(db, {
+        to: email,
+        subject: 'Confirm your subscription',
+        link: `/confirm?token=${subscriber.confirmToken}`,
+      });
+
+      return json(202, {
+        success: true,
+        message: 'Check your email to confirm your subscription',
+        data: { id: subscriber.id, status: subscriber.status },
+      });
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/newsletter/confirm',
+    handler: ({ body }, db) => {
+      const token = body && body.token;
+      const subscriber =
+        token &&
+        db.subscribers.find(candidate => candidate.confirmToken === token);
+
+      // Confirmed links keep working, so a second click isn't an error
+      if (
+        !subscriber ||
+        subscriber.status === 'unsubscribed' ||
+        (subscriber.status === 'pending' &&
+          subscriber.confirmExpiresAt < Date.now())
+      ) {
+        return json(404, {
+          message: 'This confirmation link is invalid or has expired',
+        });
+      }
+
+      if (subscriber.status === 'pending') {
+        subscriber.status = 'confirmed';
+        subscriber.confirmedAt = new Date().toISOString();
+        sendEmail(db, {
+          to: subscriber.email,
+          subject: 'Welcome to the INAD PROMOTION newsletter',
+          link: `/preferences?token=${subscriber.manageToken}`,
+          unsubscribeLink: `/unsubscribe?token=${subscriber.manageToken}`,
+        });
+      }
+
+      return json(200, {
+        success: true,
+        message: 'Subscription confirmed',
+        data: subscriptionView(subscriber),
+      });
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/newsletter/subscription',
+    handler: ({ query }, db) => {
+      const subscriber = findByManageToken(db, query.token);
+      return subscriber
+        ? json(200, { data: subscriptionView(subscriber) })
+        : unknownSubscription();
+    },
+  },
+  {
+    method: 'PUT',
+    path: '/api/newsletter/subscription',
+    handler: ({ body }, db) => {
+      const subscriber = findByManageToken(db, body && body.token);
+      if (!subscriber) return unknownSubscription();
+
+      const changes = pickPreferences(body);
+      if (body.status !== undefined) changes.status = body.status;
+      const errors = validateNewsletterPreferences(changes);
+      if (Object.keys(errors).length > 0) {
+        return json(422, { message: 'Validation failed', errors });
+      }
+
+      if (changes.status && changes.status !== subscriber.status) {
+        // Choosing 'confirmed' after unsubscribing signs up again
+        subscriber[`${changes.status}At`] = new Date().toISOString();
+      }
+      Object.assign(subscriber, changes);
+
+      return json(200, {
+        success: true,
+        message: 'Preferences saved',
+        data: subscriptionView(subscriber),
+      });
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/newsletter/unsubscribe',
+    handler: ({ body }, db) => {
+      const subscriber = findByManageToken(db, body && body.token);
+      if (!subscriber) {
+        return json(404, { message: 'This unsubscribe link is invalid' });
+      }
+
+      if (subscriber.status !== 'unsubscribed') {
+        subscriber.status = 'unsubscribed';
+        subscriber.unsubscribedAt = new Date().toISOString();
+      }
+
+      return json(200, {
+        success: true,
+        message: 'You have been unsubscribed',
+        data: subscriptionView(subscriber),
+      });
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/upload',
+    handler: ({ body }, db, backend) => {
+      const file =
+        body && typeof body.get === 'function' ? body.get('file') : null;
+
+      if (!file) {
+        return json(400, {
+          message: 'No file provided',
+          errors: { file: 'No file provided' },
+        });
+      }
+
+      const upload = storeUpload(db, backend, {
+        name: file.name,
+        size: file.size,
+        type: file.type,
+        category: body.get('type'),
+      });
+
+      return json(201, { success: true, data: upload });
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/uploads',
+    handler: ({ body }, db, backend) => {
+      const { name, size, type, category, chunkSize, totalChunks } = body || {};
+
+      if (
+        !name ||
+        !(size > 0) ||
+        !(chunkSize > 0) ||
+        totalChunks !== Math.ceil(size / chunkSize)
+      ) {
+        return json(400, {
+          message: 'Invalid upload',
+          errors: { file: 'Invalid upload' },
+        });
+      }
+
+      const uploadId = backend.nextId('upload-session');
+      db.uploadSessions[uploadId] = {
+        name,
+        size,
+        type,
+        category,
+        chunkSize,
+        totalChunks,
+        chunks: {},
+      };
+
+      return json(201, { success: true, data: { uploadId } });
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/uploads/:id',
+    handler: ({ params }, db) => {
+      const session = db.uploadSessions[params.id];
+      if (!session) return unknownUpload();
+
+      return json(200, {
+        data: {
+          uploadId: params.id,
+          receivedChunks: Object.keys(session.chunks)
+            .map(Number)
+            .sort((a, b) => a - b),
+        },
+      });
+    },
+  },
+  {
+    method: 'PUT',
+    path: '/api/uploads/:id/chunks/:index',
+    handler: async ({ body, headers, params }, db) => {
+      const session = db.uploadSessions[params.id];
+      if (!session) return unknownUpload();
+
+      const index = Number(params.index);
+      if (
+        !Number.isInteger(index) ||
+        index < 0 ||
+        index >= session.totalChunks ||
+        !body ||
+        typeof body.size !== 'number'
+      ) {
+        return json(400, {
+          message: 'Invalid chunk',
+          errors: { chunk: 'Invalid chunk' },
+        });
+      }
+
+      const checksum = getHeader(headers, CHUNK_CHECKSUM_HEADER);
+      if (checksum && checksum !== (await sha256Hex(body))) {
+        return json(422, {
+          message: 'Chunk checksum mismatch',
+          errors: { chunk: 'Checksum mismatch' },
+        });
+      }
+
+      session.chunks[index] = body.size;
+      return json(200, { success: true, data: { index, received: body.size } });
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/uploads/:id/complete',
+    handler: ({ params }, db, backend) => {
+      const session = db.uploadSessions[params.id];
+      if (!session) return unknownUpload();
+
+      const sizes = Object.values(session.chunks);
+      const received = sizes.reduce((total, size) => total + size, 0);
+      if (sizes.length !== session.totalChunks || received !== session.size) {
+        return json(422, {
+          message: 'Upload is incomplete',
+          errors: { file: 'Upload is incomplete' },
+        });
+      }
+
+      delete db.uploadSessions[params.id];
+      const upload = storeUpload(db, backend, session);
+
+      return json(201, { success: true, data: upload });
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/rate-limit/check',
+    handler: () => json(200, { allowed: true }),
+  },
+  {
+    method: 'POST',
+    path: '/api/spam/detect',
+    handler: ({ body }) => {
+      const data = body || {};
+      return json(
+        200,
+        spamResult(evaluateSpam(data, interactionContext(data.interaction)))
+      );
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/analytics/:action',
+    handler: ({ body, params }, db) => {
+      db.events.push({ action: params.action, ...(body || {}) });
+      return json(202, { success: true });
+    },
+  },
+].map(route => ({ ...route, match: compilePath(route.path) }));
+
+// Check whether a failure rule applies to a request
+const ruleMatches = (rule, method, path) => {
+  if (rule.method && rule.method.toUpperCase() !== method) return false;
+  if (!rule.path) return true;
+  if (rule.path instanceof RegExp) return rule.path.test(path);
+  return path === rule.path || path.startsWith(`${rule.path}/`);
+};
+
+// Answer a request with an injected failure
+const respondWithFailure = async (failure, signal) => {
+  if (failure.error === 'network') {
+    throw new TypeError('Failed to fetch');
+  }
+  if (failure.error === 'timeout') {
+    await waitForAbort(signal);
+  }
+
+  return createMockResponse(
+    failure.status || 500,
+    failure.body || { message: 'Simulated server error' },
+    failure.headers
+  );
+};
+
+// Create an isolated backend - tests get their own, the app uses `mockBackend`
+// Options:
+//   latency      - simulated round trip in ms
+//   failures     - failure rules applied before routing (see injectFailure)
+//   faultProfile - named profile from faultProfiles.js, with its `seed`
+//   proofOfWork  - { difficulty } to require proof-of-work stamps on contact
+//                  and newsletter requests
+export const createMockBackend = ({
+  latency = 0,
+  proofOfWork = null,
+  failures = [],
+  faultProfile = 'none',
+  seed = DEFAULT_FAULT_SEED,
+} = {}) => {
+  let db = seedFixtures();
+  let counters = {};
+  let rules = [];
+  let faults = createFaultInjector({ profile: faultProfile, seed });
+  // Responses already sent for an Idempotency-Key, so replays don't duplicate
+  let idempotentResponses = new Map();
+
+  const backend = {
+    latency,
+    proofOfWork,
+
+    get db() {
+      return db;
+    },
+
+    // Deterministic ids: contact-1, contact-2, ...
+    nextId(prefix) {
+      counters[prefix] = (counters[prefix] || 0) + 1;
+      return `${prefix}-${counters[prefix]}`;
+    },
+
+    // Force matching requests to fail
+    // rule: { method, path (prefix or RegExp), times, status, body, headers }
+    // or { ..., error: 'network' } to reject like fetch does when offline
+    // or { ..., error: 'timeout' } to hang until the request is aborted
+    // Returns a function that removes the rule
+    injectFailure(rule) {
+      const entry = { times: Infinity, ...rule };
+      rules.push(entry);
+      return () => {
+        rules = rules.filter(candidate => candidate !== entry);
+      };
+    },
+
+    clearFailures() {
+      rules = [];
+    },
+
+    get faultProfile() {
+      return faults.profile;
+    },
+
+    // Switch fault profile; the seed restarts the fault sequence
+    setFaultProfile(profile, profileSeed = DEFAULT_FAULT_SEED) {
+      faults = createFaultInjector({ profile, seed: profileSeed });
+    },
+
+    // Restore the seeded fixtures, forget injected failures and replay the
+    // fault profile from the start of its sequence
+    reset() {
+      db = seedFixtures();
+      counters = {};
+      rules = [];
+      idempotentResponses = new Map();
+      faults = createFaultInjector({
+        profile: faults.profile,
+        seed: faults.seed,
+      });
+    },
+
+    // Route a parsed request and return { status, body, headers }, or a
+    // promise of it for asynchronous handlers
+    handle({ method = 'GET', path, query = {}, headers = {}, body = null }) {
+      const upperMethod = method.toUpperCase();
+      let pathMatched = false;
+
+      for (const route of routes) {
+        const params = route.match(path);
+        if (!params) continue;
+        pathMatched = true;
+        if (route.method !== upperMethod) continue;
+
+        return route.handler(
+          { method: upperMethod, path, query, headers, body, params },
+          db,
+          backend
+        );
+      }
+
+      return pathMatched
+        ? json(405, { message: 'Method not allowed' })
+        : json(404, { message: 'Resource not found' });
+    },
+
+    // fetch-compatible entry point used by ApiService
+    async fetch(url, options = {}) {
+      const method = (options.method || 'GET').toUpperCase();
+      const { path, query } = parseUrl(url);
+      const { signal } = options;
+
+      const fault = faults.next(backend.latency);
+      await delay(fault.latency, signal);
+
+      // Explicit rules win over the profile so tests stay in control
+      const rule = rules.find(candidate =>
+        ruleMatches(candidate, method, path)
+      );
+      if (rule) {
+        rule.times -= 1;
+        if (rule.times <= 0) {
+          rules = rules.filter(candidate => candidate !== rule);
+        }
+        return respondWithFailure(rule, signal);
+      }
+
+      if (fault.failure) {
+        return respondWithFailure(fault.failure, signal);
+      }
+
+      const idempotencyKey = getHeader(options.headers, 'Idempotency-Key');
+      const replayKey = idempotencyKey && `${method} ${path} ${idempotencyKey}`;
+      if (replayKey && idempotentResponses.has(replayKey)) {
+        const { status, body, headers } = idempotentResponses.get(replayKey);
+        return createMockResponse(status, body, headers);
+      }
+
+      const result = await backend.handle({
+        method,
+        path,
+        query,
+        headers: options.headers,
+        body: parseBody(options.body),
+      });
+
+      // Only successes are replayed; after a rejection (a failed security
+      // check, invalid fields, a rate limit) the retry must be heard again
+      if (replayKey && result.status >= 200 && result.status < 300) {
+        idempotentResponses.set(replayKey, result);
+      }
+
+      if (config.env.isDevelopment) {
+        console.log(`[mock api] ${method} ${path} -> ${result.status}`);
+      }
+
+      return createMockResponse(result.status, result.body, result.headers);
+    },
+  };
+
+  failures.forEach(rule => backend.injectFailure(rule));
+
+  return backend;
+};
+
+// Shared instance used by ApiService when the mock API is enabled
+const { profile, seed } = resolveFaultSettings();
+
+export const mockBackend = createMockBackend({
+  latency: config.api.mockLatency,
+  faultProfile: profile,
+  seed,
+  proofOfWork: config.security.proofOfWork.enabled
+    ? config.security.proofOfWork
+    : null,
+});
+
+export default mockBackend;
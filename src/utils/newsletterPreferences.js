@@ -0,0 +1,50 @@
+// Newsletter topics and frequency
+// Shared by the sign-up form, the preferences page, ApiService and the mock
+// backend so they all accept the same values.
+
+export const NEWSLETTER_TOPICS = [
+  { value: 'event_trends', label: 'Event trends' },
+  { value: 'case_studies', label: 'Case studies' },
+  { value: 'agency_news', label: 'Agency news' },
+];
+
+export const NEWSLETTER_FREQUENCIES = [
+  { value: 'weekly', label: 'Weekly' },
+  { value: 'monthly', label: 'Monthly digest' },
+];
+
+// Statuses a subscriber can choose on the preferences page
+export const SUBSCRIPTION_STATUSES = ['confirmed', 'paused'];
+
+export const DEFAULT_NEWSLETTER_PREFERENCES = {
+  topics: NEWSLETTER_TOPICS.map(topic => topic.value),
+  frequency: 'monthly',
+};
+
+const isOption = (options, value) =>
+  options.some(option => option.value === value);
+
+// Field -> message map, empty when valid
+// Only the fields present are checked, so partial updates validate too
+export const validateNewsletterPreferences = (preferences = {}) => {
+  const errors = {};
+  const { topics, frequency, status } = preferences;
+
+  if (topics !== undefined) {
+    if (!Array.isArray(topics) || topics.length === 0) {
+      errors.topics = 'Please choose at least one topic';
+    } else if (!topics.every(topic => isOption(NEWSLETTER_TOPICS, topic))) {
+      errors.topics = 'Please choose from the listed topics';
+    }
+  }
+
+  if (frequency !== undefined && !isOption(NEWSLETTER_FREQUENCIES, frequency)) {
+    errors.frequency = 'Please choose how often to hear from us';
+  }
+
+  if (status !== undefined && !SUBSCRIPTION_STATUSES.includes(status)) {
+    errors.status = 'Unknown subscription status';
+  }
+
+  return errors;
+};
@@ -0,0 +1,256 @@
+// Offline outbox for form submissions
+// Requests that fail while offline are stored in IndexedDB and replayed
+// by the service worker on `sync` (see public/sw.js), or by the page
+// itself when Background Sync is not supported.
+
+// These values must match the ones used in public/sw.js
+export const OUTBOX_DB_NAME = 'inad-outbox';
+export const OUTBOX_DB_VERSION = 1;
+export const OUTBOX_STORE = 'pending-requests';
+export const OUTBOX_SYNC_TAG = 'background-sync';
+
+// How long to wait for an active service worker before giving up on
+// Background Sync
+const SERVICE_WORKER_READY_TIMEOUT = 3000;
+
+const listeners = new Set();
+
+// The server rejected the request itself (e.g. a validation error), so
+// replaying it can never succeed. Timeouts and rate limits are worth retrying.
+// Keep in sync with public/sw.js
+const isPermanentFailure = status =>
+  status >= 400 && status < 500 && status !== 408 && status !== 429;
+
+// Check if IndexedDB is available in this environment
+export const isOutboxSupported = () => {
+  return typeof indexedDB !== 'undefined';
+};
+
+// Check if the browser supports Background Sync
+export const isBackgroundSyncSupported = () => {
+  return (
+    typeof navigator !== 'undefined' &&
+    'serviceWorker' in navigator &&
+    typeof window !== 'undefined' &&
+    'SyncManager' in window
+  );
+};
+
+// Check if the browser reports being offline
+export const isOffline = () => {
+  return typeof navigator !== 'undefined' && navigator.onLine === false;
+};
+
+// Open (and create if needed) the outbox database
+const openOutboxDb = () => {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(OUTBOX_DB_NAME, OUTBOX_DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(OUTBOX_STORE)) {
+        db.createObjectStore(OUTBOX_STORE, {
+          keyPath: 'id',
+          autoIncrement: true,
+        });
+      }
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+// Run a single operation against the outbox store
+const withStore = async (mode, operation) => {
+  const db = await openOutboxDb();
+
+  try {
+    return await new Promise((resolve, reject) => {
+      const transaction = db.transaction(OUTBOX_STORE, mode);
+      const request = operation(transaction.objectStore(OUTBOX_STORE));
+
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  } finally {
+    db.close();
+  }
+};
+
+// Ask the service worker to replay the outbox once connectivity returns
+export const requestBackgroundSync = async () => {
+  if (!isBackgroundSyncSupported()) {
+    return false;
+  }
+
+  try {
+    // `ready` never settles when registration failed or is disabled
+    if (!(await navigator.serviceWorker.getRegistration())) {
+      return false;
+    }
+
+    let timer;
+    const registration = await Promise.race([
+      navigator.serviceWorker.ready,
+      new Promise(resolve => {
+        timer = setTimeout(resolve, SERVICE_WORKER_READY_TIMEOUT, null);
+      }),
+    ]);
+    clearTimeout(timer);
+    if (!registration) {
+      return false;
+    }
+
+    await registration.sync.register(OUTBOX_SYNC_TAG);
+    return true;
+  } catch (error) {
+    console.error('Background sync registration failed:', error);
+    return false;
+  }
+};
+
+// Store a request in the outbox and schedule it for replay
+export const queueRequest = async ({ url, method, headers = {}, body }) => {
+  if (!isOutboxSupported()) {
+    return null;
+  }
+
+  const id = await withStore('readwrite', store =>
+    store.add({
+      url,
+      method,
+      headers,
+      body,
+      createdAt: new Date().toISOString(),
+    })
+  );
+
+  await requestBackgroundSync();
+
+  return id;
+};
+
+// Get all queued requests, oldest first
+export const getPendingRequests = async () => {
+  if (!isOutboxSupported()) {
+    return [];
+  }
+
+  return withStore('readonly', store => store.getAll());
+};
+
+// Remove a request from the outbox once it has been delivered
+export const removePendingRequest = async id => {
+  if (!isOutboxSupported()) {
+    return;
+  }
+
+  await withStore('readwrite', store => store.delete(id));
+};
+
+// Replay queued requests from the page (fallback when Background Sync is unavailable)
+export const flushOutbox = async () => {
+  if (isOffline()) {
+    return 0;
+  }
+
+  const pendingRequests = await getPendingRequests();
+  let sent = 0;
+  let failed = 0;
+
+  for (const request of pendingRequests) {
+    try {
+      const response = await fetch(request.url, {
+        method: request.method,
+        headers: request.headers,
+        body: request.body,
+      });
+
+      if (response.ok) {
+        await removePendingRequest(request.id);
+        sent += 1;
+      } else if (isPermanentFailure(response.status)) {
+        // Drop it so it doesn't block the queue on every sync
+        await removePendingRequest(request.id);
+        failed += 1;
+      }
+    } catch (error) {
+      // Still offline or server unreachable - keep it for the next attempt
+      break;
+    }
+  }
+
+  if (sent > 0 || failed > 0) {
+    notifyListeners({ sent, failed });
+  }
+
+  return sent;
+};
+
+// Notify subscribers that queued requests were delivered
+const notifyListeners = detail => {
+  listeners.forEach(listener => listener(detail));
+};
+
+// Subscribe to outbox delivery notifications
+// Listeners receive { sent, failed }; failed requests were rejected by the
+// server and have been removed from the outbox
+export const onOutboxFlushed = listener => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// Wire up outbox replay for the current page
+export const initOfflineOutbox = () => {
+  if (!isOutboxSupported()) {
+    return () => {};
+  }
+
+  // The service worker reports deliveries it made during background sync
+  const handleWorkerMessage = event => {
+    if (event.data && event.data.type === 'OUTBOX_FLUSHED') {
+      notifyListeners({
+        sent: event.data.sent,
+        failed: event.data.failed || 0,
+      });
+    }
+  };
+
+  // Without Background Sync the page has to replay the outbox itself
+  const handleOnline = () => {
+    flushOutbox().catch(error => {
+      console.error('Outbox flush failed:', error);
+    });
+  };
+
+  if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.addEventListener('message', handleWorkerMessage);
+  }
+
+  if (!isBackgroundSyncSupported()) {
+    window.addEventListener('online', handleOnline);
+    handleOnline();
+  }
+
+  return () => {
+    if ('serviceWorker' in navigator) {
+      navigator.serviceWorker.removeEventListener(
+        'message',
+        handleWorkerMessage
+      );
+    }
+    window.removeEventListener('online', handleOnline);
+  };
+};
+
+export default {
+  queueRequest,
+  getPendingRequests,
+  removePendingRequest,
+  flushOutbox,
+  requestBackgroundSync,
+  onOutboxFlushed,
+  initOfflineOutbox,
+};
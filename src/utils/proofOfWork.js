@@ -0,0 +1,139 @@
+// Hashcash-style proof of work, used instead of a third-party CAPTCHA
+// Before a protected request the browser searches for a counter that makes
+// the SHA-256 of its stamp start with `difficulty` zero bits: a moment's work
+// for one visitor, but expensive for anyone sending spam in bulk.
+//
+// Stamp: <version>:<difficulty>:<issuedAt ms>:<resource>:<random>:<counter>
+// The resource (URI-encoded) ties a stamp to one request. The search runs in
+// public/proof-of-work-worker.js where Web Workers are available.
+import { CancelledError } from './apiErrors';
+import { isChecksumSupported } from './checksum';
+import { generateRandomToken } from './security';
+
+export const POW_VERSION = 1;
+export const POW_HEADER = 'X-Proof-Of-Work';
+
+// Stamps stay valid long enough for the offline outbox to send them later
+export const MAX_STAMP_AGE = 24 * 60 * 60 * 1000;
+// Tolerated clock difference between visitor and server
+const CLOCK_SKEW = 5 * 60 * 1000;
+
+const WORKER_URL = `${process.env.PUBLIC_URL || ''}/proof-of-work-worker.js`;
+
+// What a stamp is bound to, e.g. ('contact', idempotencyKey)
+export const proofOfWorkResource = (action, subject) => `${action}:${subject}`;
+
+// Stamps are ASCII, so each character is one byte
+const toBytes = text => Uint8Array.from(text, char => char.charCodeAt(0));
+
+export const leadingZeroBits = bytes => {
+  let bits = 0;
+  for (const byte of bytes) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    return bits + Math.clz32(byte) - 24;
+  }
+  return bits;
+};
+
+const stampBits = async stamp =>
+  leadingZeroBits(
+    new Uint8Array(await crypto.subtle.digest('SHA-256', toBytes(stamp)))
+  );
+
+// Everything in a stamp except the counter
+export const createStampPrefix = (resource, difficulty, options = {}) => {
+  const { issuedAt = Date.now(), random = generateRandomToken() } = options;
+  return [
+    POW_VERSION,
+    difficulty,
+    issuedAt,
+    encodeURIComponent(resource),
+    random,
+    '',
+  ].join(':');
+};
+
+const solveOnMainThread = async (prefix, difficulty, signal) => {
+  for (let counter = 0; ; counter += 1) {
+    if (signal && signal.aborted) throw new CancelledError();
+    if ((await stampBits(`${prefix}${counter}`)) >= difficulty) {
+      return counter;
+    }
+  }
+};
+
+const solveInWorker = (prefix, difficulty, signal) =>
+  new Promise((resolve, reject) => {
+    const worker = new Worker(WORKER_URL);
+    const finish = () => {
+      worker.terminate();
+      if (signal) signal.removeEventListener('abort', onAbort);
+    };
+    const onAbort = () => {
+      finish();
+      reject(new CancelledError());
+    };
+
+    worker.onmessage = event => {
+      finish();
+      resolve(event.data.counter);
+    };
+    worker.onerror = () => {
+      // e.g. the worker script failed to load; do the work here instead
+      finish();
+      resolve(solveOnMainThread(prefix, difficulty, signal));
+    };
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    worker.postMessage({ prefix, difficulty });
+  });
+
+// SubtleCrypto is needed to hash stamps (HTTPS or localhost only)
+export const isProofOfWorkSupported = isChecksumSupported;
+
+// Resolve to a stamp for `resource` with at least `difficulty` zero bits
+// Each extra bit doubles the expected work
+export const solveProofOfWork = async (resource, options = {}) => {
+  const { difficulty, signal } = options;
+  const prefix = createStampPrefix(resource, difficulty);
+  const counter =
+    typeof Worker === 'undefined'
+      ? await solveOnMainThread(prefix, difficulty, signal)
+      : await solveInWorker(prefix, difficulty, signal);
+
+  return `${prefix}${counter}`;
+};
+
+// Check a stamp for `resource`; resolves to { valid, reason }
+// Callers keep track of spent stamps to stop them being replayed.
+export const verifyProofOfWork = async (stamp, options) => {
+  const {
+    resource,
+    difficulty,
+    maxAge = MAX_STAMP_AGE,
+    now = Date.now(),
+  } = options;
+  const invalid = reason => ({ valid: false, reason });
+
+  const parts = typeof stamp === 'string' ? stamp.split(':') : [];
+  if (parts.length !== 6) return invalid('Malformed proof of work');
+
+  const [version, bits, issuedAt, stampResource] = parts.map((part, index) =>
+    index === 3 ? part : Number(part)
+  );
+  if (version !== POW_VERSION) return invalid('Unsupported proof of work');
+  if (stampResource !== encodeURIComponent(resource)) {
+    return invalid('Proof of work is for a different request');
+  }
+  if (!(bits >= difficulty)) return invalid('Proof of work is too easy');
+  if (!(issuedAt <= now + CLOCK_SKEW && now - issuedAt <= maxAge)) {
+    return invalid('Proof of work has expired');
+  }
+  if ((await stampBits(stamp)) < bits) {
+    return invalid('Proof of work is incorrect');
+  }
+
+  return { valid: true, reason: '' };
+};
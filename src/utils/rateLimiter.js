@@ -0,0 +1,162 @@
+// Client-side sliding-window rate limiting for protected actions
+// Each action (contact_form, newsletter, upload) has one or more windows of
+// { limit, windowMs }; an attempt is allowed when every window has room.
+// Attempt times live in a storage backend - localStorage by default, so the
+// limits survive reloads - and are shared with other tabs over a
+// BroadcastChannel. This only slows down casual abuse; the server still has
+// to enforce its own limits.
+import config from './config';
+
+export const DEFAULT_RATE_LIMITS = config.security.rateLimits;
+
+const STORAGE_PREFIX = 'rate_limit:';
+const CHANNEL_NAME = 'inad-rate-limits';
+
+// Storage for a Web Storage object (localStorage or sessionStorage)
+// A storage backend only needs get(action) -> timestamps and
+// set(action, timestamps), so another store can be swapped in.
+export const createWebStorage = (storage, prefix = STORAGE_PREFIX) => ({
+  get(action) {
+    try {
+      const timestamps = JSON.parse(storage.getItem(`${prefix}${action}`));
+      return Array.isArray(timestamps) ? timestamps : [];
+    } catch (error) {
+      return [];
+    }
+  },
+
+  set(action, timestamps) {
+    try {
+      storage.setItem(`${prefix}${action}`, JSON.stringify(timestamps));
+    } catch (error) {
+      // Storage full or unavailable; the limit is best effort
+    }
+  },
+});
+
+// Storage that lasts as long as the page, e.g. when localStorage is blocked
+export const createMemoryStorage = () => {
+  const entries = new Map();
+
+  return {
+    get: action => entries.get(action) || [],
+    set: (action, timestamps) => entries.set(action, timestamps),
+  };
+};
+
+const defaultStorage = () => {
+  try {
+    // Accessing localStorage throws when it is blocked
+    if (typeof window !== 'undefined' && window.localStorage) {
+      return createWebStorage(window.localStorage);
+    }
+  } catch (error) {
+    // Fall back to memory below
+  }
+  return createMemoryStorage();
+};
+
+const defaultChannel = () =>
+  typeof BroadcastChannel === 'undefined'
+    ? null
+    : new BroadcastChannel(CHANNEL_NAME);
+
+// "30 seconds", "1 minute", "12 minutes"
+export const formatRetryAfter = seconds => {
+  if (seconds < 60) return seconds === 1 ? '1 second' : `${seconds} seconds`;
+  const minutes = Math.ceil(seconds / 60);
+  return minutes === 1 ? '1 minute' : `${minutes} minutes`;
+};
+
+// Create a rate limiter
+// check(action) and consume(action) return { allowed, remaining, retryAfter }
+// with retryAfter in whole seconds (0 when allowed); consume also records
+// the attempt when it is allowed. Actions without limits are never limited.
+// Options:
+//   limits  - { [action]: [{ limit, windowMs }, ...] }
+//   storage - where attempt times are kept (see createWebStorage)
+//   channel - BroadcastChannel-like object for syncing tabs, or null
+//   now     - clock, for tests
+export const createRateLimiter = ({
+  limits = DEFAULT_RATE_LIMITS,
+  storage = defaultStorage(),
+  channel = defaultChannel(),
+  now = () => Date.now(),
+} = {}) => {
+  const windowsFor = action => limits[action] || [];
+
+  // Attempts still inside the action's longest window, oldest first
+  const recentAttempts = (action, at) => {
+    const longest = Math.max(0, ...windowsFor(action).map(w => w.windowMs));
+    return storage
+      .get(action)
+      .filter(time => at - time < longest)
+      .sort((a, b) => a - b);
+  };
+
+  const evaluate = (action, attempts, at) => {
+    let remaining = Infinity;
+    let waitMs = 0;
+
+    windowsFor(action).forEach(({ limit, windowMs }) => {
+      const inWindow = attempts.filter(time => at - time < windowMs);
+      remaining = Math.min(remaining, limit - inWindow.length);
+
+      if (inWindow.length >= limit) {
+        // Allowed again once enough attempts have slid out of the window
+        const freedAt = inWindow[inWindow.length - limit] + windowMs;
+        waitMs = Math.max(waitMs, freedAt - at);
+      }
+    });
+
+    return {
+      allowed: waitMs === 0,
+      remaining: Math.max(remaining, 0),
+      retryAfter: Math.ceil(waitMs / 1000),
+    };
+  };
+
+  // Attempts made in other tabs; with localStorage these are already stored,
+  // so merging keeps memory storage in step without double counting
+  if (channel) {
+    channel.addEventListener('message', ({ data }) => {
+      if (!data || !Array.isArray(data.timestamps)) return;
+      const merged = new Set([...storage.get(data.action), ...data.timestamps]);
+      storage.set(data.action, Array.from(merged));
+    });
+  }
+
+  return {
+    check(action) {
+      const at = now();
+      return evaluate(action, recentAttempts(action, at), at);
+    },
+
+    consume(action) {
+      const at = now();
+      const attempts = recentAttempts(action, at);
+      const result = evaluate(action, attempts, at);
+      if (!result.allowed) return result;
+
+      const timestamps = [...attempts, at];
+      storage.set(action, timestamps);
+      if (channel) channel.postMessage({ action, timestamps });
+
+      return { ...result, remaining: Math.max(result.remaining - 1, 0) };
+    },
+
+    // Forget this tab's record of an action's attempts
+    reset(action) {
+      storage.set(action, []);
+    },
+
+    close() {
+      if (channel) channel.close();
+    },
+  };
+};
+
+// Shared limiter used by the forms
+export const rateLimiter = createRateLimiter();
+
+export default rateLimiter;
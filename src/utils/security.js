@@ -1,7 +1,14 @@
 // Security utility functions for the contact form
-
-// Generate CSRF token (in production, this should come from your backend)
-export const generateCsrfToken = () => {
+import { rateLimiter } from './rateLimiter';
+import { evaluateSpam } from './spamScoring';
+import {
+  contactSchema,
+  normalizeValue,
+  validateField,
+} from './validationSchema';
+
+// Generate a cryptographically random token
+export const generateRandomToken = () => {
   // Use crypto.randomUUID() for cryptographically secure tokens
   if (typeof crypto !== 'undefined' && crypto.randomUUID) {
     return crypto.randomUUID();
@@ -21,6 +28,9 @@ export const generateCsrfToken = () => {
   return Array.from(array, byte => byte.toString(16).padStart(2, '0')).join('');
 };
 
+// Generate CSRF token (in production, this should come from your backend)
+export const generateCsrfToken = () => generateRandomToken();
+
 // Get stored CSRF token - only from sessionStorage
 export const getCsrfToken = () => {
   return sessionStorage.getItem('csrf_token');
@@ -31,41 +41,6 @@ export const storeCsrfToken = token => {
   sessionStorage.setItem('csrf_token', token);
 };
 
-// Rate limiting check (client-side only - should be supplemented with server-side validation)
-export const checkRateLimit = () => {
-  const now = Date.now();
-  const lastSubmission = localStorage.getItem('last_form_submission');
-  const minInterval = 30000; // 30 seconds between submissions
-
-  // Check if user has submitted recently
-  if (lastSubmission && now - parseInt(lastSubmission) < minInterval) {
-    return false;
-  }
-
-  // Store submission time
-  localStorage.setItem('last_form_submission', now.toString());
-
-  // Additional client-side checks
-  const submissions = JSON.parse(
-    localStorage.getItem('form_submissions') || '[]'
-  );
-  const oneHour = 60 * 60 * 1000;
-
-  // Remove submissions older than 1 hour
-  const recentSubmissions = submissions.filter(time => now - time < oneHour);
-
-  // Allow max 5 submissions per hour
-  if (recentSubmissions.length >= 5) {
-    return false;
-  }
-
-  // Add current submission
-  recentSubmissions.push(now);
-  localStorage.setItem('form_submissions', JSON.stringify(recentSubmissions));
-
-  return true;
-};
-
 // Validate honeypot field
 export const validateHoneypot = honeypotValue => {
   // Honeypot should be empty (hidden field that bots might fill)
@@ -74,9 +49,7 @@ export const validateHoneypot = honeypotValue => {
 
 // Sanitize and validate input
 export const sanitizeAndValidate = (input, type = 'text') => {
-  if (!input) return { isValid: false, value: '', error: 'Field is required' };
-
-  let sanitized = input.trim();
+  let sanitized = (input || '').trim();
 
   // Remove potentially dangerous content with more comprehensive patterns
   sanitized = sanitized
@@ -104,131 +77,31 @@ export const sanitizeAndValidate = (input, type = 'text') => {
     .replace(/confirm\s*\(/gi, '') // Remove confirm calls
     .replace(/prompt\s*\(/gi, ''); // Remove prompt calls
 
-  // Type-specific validation
-  switch (type) {
-    case 'email': {
-      const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-      if (!emailRegex.test(sanitized)) {
-        return { isValid: false, value: '', error: 'Invalid email format' };
-      }
-      break;
-    }
-
-    case 'name': {
-      const nameRegex = /^[a-zA-Z\s'-]+$/;
-      if (!nameRegex.test(sanitized)) {
-        return {
-          isValid: false,
-          value: '',
-          error: 'Name contains invalid characters',
-        };
-      }
-      if (sanitized.length < 2) {
-        return {
-          isValid: false,
-          value: '',
-          error: 'Name must be at least 2 characters',
-        };
-      }
-      if (sanitized.length > 50) {
-        return {
-          isValid: false,
-          value: '',
-          error: 'Name must be less than 50 characters',
-        };
-      }
-      break;
-    }
-
-    case 'company': {
-      if (sanitized.length > 100) {
-        return {
-          isValid: false,
-          value: '',
-          error: 'Company name must be less than 50 characters',
-        };
-      }
-      const companyRegex = /^[a-zA-Z0-9\s&.,'-]+$/;
-      if (!companyRegex.test(sanitized)) {
-        return {
-          isValid: false,
-          value: '',
-          error: 'Company name contains invalid characters',
-        };
-      }
-      break;
-    }
-
-    case 'message': {
-      if (sanitized.length < 10) {
-        return {
-          isValid: false,
-          value: '',
-          error: 'Message must be at least 10 characters',
-        };
-      }
-      if (sanitized.length > 1000) {
-        return {
-          isValid: false,
-          value: '',
-          error: 'Message must be less than 1000 characters',
-        };
-      }
-      break;
+  // Field types share their rules with the contact form schema
+  if (contactSchema[type]) {
+    const error = validateField(type, sanitized);
+    if (error) {
+      return { isValid: false, value: '', error };
     }
+    sanitized = normalizeValue(type, sanitized);
+  } else if (!sanitized) {
+    return { isValid: false, value: '', error: 'Field is required' };
   }
 
   return { isValid: true, value: sanitized, error: '' };
 };
 
-// Check for suspicious patterns
-export const detectSuspiciousPatterns = data => {
-  const suspiciousPatterns = [
-    /spam/i,
-    /viagra/i,
-    /casino/i,
-    /loan/i,
-    /free.*money/i,
-    /click.*here/i,
-    /buy.*now/i,
-    /urgent/i,
-    /limited.*time/i,
-    /act.*now/i,
-  ];
-
-  const textToCheck = Object.values(data).join(' ').toLowerCase();
-
-  for (const pattern of suspiciousPatterns) {
-    if (pattern.test(textToCheck)) {
-      return true;
-    }
-  }
+// Check whether a submission scores high enough to be blocked as spam
+// Scoring lives in spamScoring.js; `context` is passed through to it
+export const detectSuspiciousPatterns = (data, context) =>
+  evaluateSpam(data, context).verdict === 'block';
 
-  return false;
-};
-
-// Validate submission frequency
-export const validateSubmissionFrequency = () => {
-  const submissions = JSON.parse(
-    localStorage.getItem('form_submissions') || '[]'
-  );
-  const now = Date.now();
-  const oneHour = 60 * 60 * 1000;
+// Deprecated: use rateLimiter.consume('contact_form'), which also says how
+// long to wait. Both record an allowed attempt, as they always have.
+export const checkRateLimit = () => rateLimiter.consume('contact_form').allowed;
 
-  // Remove submissions older than 1 hour
-  const recentSubmissions = submissions.filter(time => now - time < oneHour);
-
-  // Allow max 5 submissions per hour
-  if (recentSubmissions.length >= 5) {
-    return false;
-  }
-
-  // Add current submission
-  recentSubmissions.push(now);
-  localStorage.setItem('form_submissions', JSON.stringify(recentSubmissions));
-
-  return true;
-};
+// Deprecated: same check as checkRateLimit
+export const validateSubmissionFrequency = () => checkRateLimit();
 
 // Get client fingerprint for additional security
 export const getClientFingerprint = () => {
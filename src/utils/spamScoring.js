@@ -0,0 +1,234 @@
+// Spam scoring for form submissions
+// Each detector looks at one signal and returns { score, reason } (or null);
+// the scores add up to a total between 0 and 1 that is compared against the
+// thresholds to decide whether a submission is blocked, flagged for review
+// or allowed. No single keyword is enough to block on its own, so genuine
+// enquiries that happen to mention an "urgent" event or a "loan" of kit get
+// through.
+import config from './config';
+import { computeHumanness } from './humanness';
+import { contactSchema } from './validationSchema';
+
+// Weights are the score each match adds; `label` names regex patterns in
+// the reasons
+export const SPAM_KEYWORDS = [
+  { pattern: 'viagra', weight: 0.5 },
+  { pattern: 'casino', weight: 0.4 },
+  { pattern: 'free.*money', label: 'free money', weight: 0.4 },
+  {
+    pattern: 'crypto(currency)? invest',
+    label: 'crypto investment',
+    weight: 0.4,
+  },
+  { pattern: 'click.*here', label: 'click here', weight: 0.3 },
+  { pattern: 'buy.*now', label: 'buy now', weight: 0.3 },
+  { pattern: 'seo services', weight: 0.3 },
+  { pattern: '\\bspam\\b', label: 'spam', weight: 0.2 },
+  { pattern: 'limited.*time', label: 'limited time', weight: 0.2 },
+  { pattern: 'act now', weight: 0.2 },
+  { pattern: 'urgent', weight: 0.1 },
+  { pattern: 'loan', weight: 0.1 },
+];
+
+// Reuse the contact form's list of disposable email providers
+const DISPOSABLE_DOMAINS = contactSchema.email.rules.find(
+  rule => rule.name === 'blockedDomains'
+).domains;
+
+// Scores at or above `block` are rejected, at or above `review` are flagged
+export const SPAM_THRESHOLDS = config.security.spamThresholds;
+
+const LINK_PATTERN = /(https?:\/\/|www\.)\S+/gi;
+
+// All text a submission contains, except the honeypot
+const submissionText = (submission, honeypotField = 'website') =>
+  Object.keys(submission)
+    .filter(key => key !== honeypotField)
+    .map(key => submission[key])
+    .filter(value => typeof value === 'string')
+    .join(' ');
+
+// Weighted keyword matches; the total is capped so keywords alone never
+// reach the default block threshold
+export const keywordDetector = ({
+  keywords = SPAM_KEYWORDS,
+  maxScore = 0.7,
+} = {}) => {
+  const compiled = keywords.map(keyword => ({
+    ...keyword,
+    regex: new RegExp(keyword.pattern, 'i'),
+  }));
+
+  return {
+    name: 'keywords',
+    detect: submission => {
+      const text = submissionText(submission);
+      const matches = compiled.filter(keyword => keyword.regex.test(text));
+      if (matches.length === 0) return null;
+
+      return {
+        score: Math.min(
+          maxScore,
+          matches.reduce((total, keyword) => total + keyword.weight, 0)
+        ),
+        reason: `Suspicious wording: ${matches
+          .map(keyword => keyword.label || keyword.pattern)
+          .join(', ')}`,
+      };
+    },
+  };
+};
+
+// Messages that are mostly links; one link (a venue or mood board) is fine
+export const linkDensityDetector = ({ freeLinks = 1, perLink = 0.2 } = {}) => ({
+  name: 'links',
+  detect: submission => {
+    const links = submissionText(submission).match(LINK_PATTERN) || [];
+    if (links.length <= freeLinks) return null;
+
+    return {
+      score: Math.min(0.6, (links.length - freeLinks) * perLink),
+      reason: `Contains ${links.length} links`,
+    };
+  },
+});
+
+// Long runs of the same character ("!!!!!!!", "aaaaaaa")
+export const repeatedCharactersDetector = ({
+  minRun = 6,
+  score = 0.2,
+} = {}) => {
+  const pattern = new RegExp(`(\\S)\\1{${minRun - 1},}`);
+
+  return {
+    name: 'repeatedCharacters',
+    detect: submission =>
+      pattern.test(submissionText(submission))
+        ? { score, reason: 'Repeated characters' }
+        : null,
+  };
+};
+
+// Hidden field that only bots fill in
+export const honeypotDetector = ({ field = 'website' } = {}) => ({
+  name: 'honeypot',
+  detect: submission => {
+    const value = submission[field];
+    return typeof value === 'string' && value.trim() !== ''
+      ? { score: 1, reason: 'Hidden field was filled in' }
+      : null;
+  },
+});
+
+// Forms completed faster than a person could type them; needs the time the
+// form was opened as `context.startedAt`
+export const timeToFillDetector = ({ minSeconds = 3, score = 0.5 } = {}) => ({
+  name: 'timeToFill',
+  detect: (submission, { startedAt, submittedAt = Date.now() } = {}) => {
+    if (!startedAt) return null;
+    const seconds = (submittedAt - startedAt) / 1000;
+
+    return seconds < minSeconds
+      ? { score, reason: `Completed in under ${minSeconds} seconds` }
+      : null;
+  },
+});
+
+// Little sign of a person filling in the form (see humanness.js); needs the
+// interaction signals as `context.interaction`
+export const humannessDetector = ({
+  threshold = 0.4,
+  maxScore = 0.5,
+} = {}) => ({
+  name: 'humanness',
+  detect: (submission, { interaction } = {}) => {
+    if (!interaction) return null;
+    const humanness = computeHumanness(interaction);
+    if (humanness >= threshold) return null;
+
+    // Full score at half the threshold or below, easing off above that
+    const shortfall = Math.min(1, (threshold - humanness) / (threshold / 2));
+    return {
+      score: Math.round(maxScore * shortfall * 100) / 100,
+      reason: `Little interaction with the form (humanness ${humanness})`,
+    };
+  },
+});
+
+export const disposableDomainDetector = ({
+  domains = DISPOSABLE_DOMAINS,
+  field = 'email',
+  score = 0.4,
+} = {}) => ({
+  name: 'disposableDomain',
+  detect: submission => {
+    const email = submission[field];
+    const domain =
+      typeof email === 'string' && email.split('@')[1]
+        ? email.split('@')[1].trim().toLowerCase()
+        : null;
+
+    return domain && domains.includes(domain)
+      ? { score, reason: 'Disposable email address' }
+      : null;
+  },
+});
+
+export const DEFAULT_SPAM_DETECTORS = [
+  keywordDetector(),
+  linkDensityDetector(),
+  repeatedCharactersDetector(),
+  honeypotDetector(),
+  timeToFillDetector(),
+  humannessDetector(),
+  disposableDomainDetector(),
+];
+
+// 'block', 'review' or 'allow' for a score
+export const classifySpamScore = (score, thresholds = SPAM_THRESHOLDS) => {
+  if (score >= thresholds.block) return 'block';
+  if (score >= thresholds.review) return 'review';
+  return 'allow';
+};
+
+// Build a scorer from a list of detectors
+// evaluate(submission, context) returns { score, verdict, reasons }, where
+// reasons lists { detector, score, reason } for every detector that fired.
+// `context` carries anything that isn't part of the submission itself, such
+// as `startedAt` for the time-to-fill check and `interaction` for the
+// humanness check (interactionContext() builds both).
+export const createSpamScorer = ({
+  detectors = DEFAULT_SPAM_DETECTORS,
+  thresholds = SPAM_THRESHOLDS,
+} = {}) => ({
+  detectors,
+  thresholds,
+
+  evaluate(submission = {}, context = {}) {
+    const reasons = detectors
+      .map(detector => {
+        const signal = detector.detect(submission, context);
+        return signal && signal.score > 0
+          ? { detector: detector.name, ...signal }
+          : null;
+      })
+      .filter(Boolean);
+
+    const total = reasons.reduce((sum, signal) => sum + signal.score, 0);
+    const score = Math.min(1, Math.round(total * 100) / 100);
+
+    return {
+      score,
+      verdict: classifySpamScore(score, thresholds),
+      reasons,
+    };
+  },
+});
+
+const defaultScorer = createSpamScorer();
+
+// Score a submission with the default detectors and thresholds
+export const evaluateSpam = (submission, context) =>
+  defaultScorer.evaluate(submission, context);
+
+export default evaluateSpam;
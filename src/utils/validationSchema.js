@@ -0,0 +1,477 @@
+// Declarative validation rules for the contact form
+// The single source of truth for Contact.js, ApiService and security.js.
+// Everything in the schema is plain data (patterns are stored as strings) so
+// exportSchema() can hand the backend the exact same rules as JSON.
+
+export const SCHEMA_VERSION = 1;
+
+// Field types: string, email, enum, number (min/max), date (YYYY-MM-DD)
+// `path` locates a field inside a nested payload (e.g. 'brief.event.city');
+// without it the field is read from the top level under its own name.
+// Values are first run through the field's `normalize` steps (and trimmed),
+// then rules are applied in order: required, type, minLength, maxLength,
+// pattern, oneOf, then any named custom `rules`. Patterns use the `u` flag so
+// \p{...} Unicode property escapes work. `messages` maps a failure to a
+// message key in MESSAGES when the generic text doesn't fit.
+export const contactSchema = {
+  name: {
+    type: 'string',
+    required: true,
+    minLength: 2,
+    maxLength: 50,
+    normalize: ['nfc', 'collapseWhitespace'],
+    // Letters and combining marks in any script, plus spaces, apostrophes,
+    // hyphens and periods; at least one letter
+    pattern: "^(?=.*\\p{L})[\\p{L}\\p{M}\\s'’.-]+$",
+  },
+  email: {
+    type: 'email',
+    required: true,
+    maxLength: 100,
+    normalize: ['nfc'],
+    rules: [
+      {
+        name: 'blockedDomains',
+        domains: [
+          'tempmail.com',
+          'throwaway.com',
+          '10minutemail.com',
+          'guerrillamail.com',
+          'mailinator.com',
+          'yopmail.com',
+          'sharklasers.com',
+          'grr.la',
+        ],
+        message: 'disposableEmail',
+      },
+    ],
+  },
+  company: {
+    type: 'string',
+    required: false,
+    maxLength: 100,
+    normalize: ['nfc', 'collapseWhitespace'],
+    pattern: "^[\\p{L}\\p{M}\\p{N}\\s&.,'’-]+$",
+  },
+  service: {
+    type: 'enum',
+    required: true,
+    oneOf: [
+      'event-planning',
+      'roadshow',
+      'brand-activation',
+      'promotional',
+      'other',
+    ],
+    messages: { required: 'serviceRequired', oneOf: 'serviceInvalid' },
+  },
+  message: {
+    type: 'string',
+    required: true,
+    minLength: 10,
+    maxLength: 1000,
+    normalize: ['nfc'],
+    rules: [{ name: 'noControlCharacters', message: 'controlCharacters' }],
+  },
+};
+
+// Project brief collected by the contact wizard, sent nested under `brief`
+export const briefSchema = {
+  eventDate: {
+    type: 'date',
+    path: 'brief.event.date',
+    required: false,
+    rules: [{ name: 'notInPast', message: 'pastDate' }],
+  },
+  eventCity: {
+    type: 'string',
+    path: 'brief.event.city',
+    required: true,
+    maxLength: 100,
+    normalize: ['nfc', 'collapseWhitespace'],
+    pattern: "^[\\p{L}\\p{M}\\p{N}\\s.,'’()-]+$",
+  },
+  audienceSize: {
+    type: 'number',
+    path: 'brief.event.audienceSize',
+    required: true,
+    min: 1,
+    max: 1000000,
+  },
+  budget: {
+    type: 'enum',
+    path: 'brief.budget',
+    required: true,
+    oneOf: ['under-5k', '5k-15k', '15k-50k', '50k-plus', 'undecided'],
+    messages: { required: 'budgetRequired', oneOf: 'budgetRequired' },
+  },
+  timeline: {
+    type: 'enum',
+    path: 'brief.timeline',
+    required: true,
+    oneOf: ['asap', '1-3-months', '3-6-months', '6-plus-months', 'flexible'],
+    messages: { required: 'timelineRequired', oneOf: 'timelineRequired' },
+  },
+};
+
+// Extra fields asked for by each service, sent as a typed sub-object:
+// { serviceDetails: { type: '<service>', ...fields } }
+// Services without an entry (e.g. 'other') have no extra fields.
+export const serviceDetailSchemas = {
+  'event-planning': {
+    eventType: {
+      type: 'enum',
+      path: 'serviceDetails.eventType',
+      required: true,
+      oneOf: [
+        'conference',
+        'product-launch',
+        'gala',
+        'festival',
+        'corporate',
+        'other',
+      ],
+      messages: { required: 'eventTypeRequired', oneOf: 'eventTypeRequired' },
+    },
+  },
+  roadshow: {
+    cityCount: {
+      type: 'number',
+      path: 'serviceDetails.cityCount',
+      required: true,
+      min: 1,
+      max: 50,
+    },
+    route: {
+      type: 'string',
+      path: 'serviceDetails.route',
+      required: true,
+      maxLength: 300,
+      normalize: ['nfc', 'collapseWhitespace'],
+      rules: [{ name: 'noControlCharacters', message: 'controlCharacters' }],
+    },
+  },
+  'brand-activation': {
+    venueType: {
+      type: 'enum',
+      path: 'serviceDetails.venueType',
+      required: true,
+      oneOf: [
+        'mall',
+        'retail-store',
+        'campus',
+        'outdoor',
+        'event-venue',
+        'other',
+      ],
+      messages: { required: 'venueTypeRequired', oneOf: 'venueTypeRequired' },
+    },
+    footfall: {
+      type: 'number',
+      path: 'serviceDetails.footfall',
+      required: true,
+      min: 1,
+      max: 1000000,
+    },
+  },
+  promotional: {
+    staffHeadcount: {
+      type: 'number',
+      path: 'serviceDetails.staffHeadcount',
+      required: true,
+      min: 1,
+      max: 500,
+    },
+  },
+};
+
+// Message catalogs per locale; `{label}` and rule values are interpolated
+export const MESSAGES = {
+  en: {
+    labels: {
+      name: 'Name',
+      email: 'Email',
+      company: 'Company name',
+      service: 'Service',
+      message: 'Message',
+      eventDate: 'Event date',
+      eventCity: 'City',
+      audienceSize: 'Audience size',
+      budget: 'Budget',
+      timeline: 'Timeline',
+      eventType: 'Event type',
+      cityCount: 'Number of cities',
+      route: 'Route',
+      venueType: 'Venue type',
+      footfall: 'Expected footfall',
+      staffHeadcount: 'Staff headcount',
+    },
+    messages: {
+      required: '{label} is required',
+      email: 'Please enter a valid email address',
+      minLength: '{label} must be at least {minLength} characters',
+      maxLength: '{label} must be less than {maxLength} characters',
+      pattern: '{label} contains invalid characters',
+      oneOf: '{label} is not a valid option',
+      disposableEmail: 'Disposable email addresses are not allowed',
+      suspiciousContent: '{label} contains suspicious content',
+      controlCharacters: '{label} contains invalid characters',
+      serviceRequired: 'Please select a service',
+      serviceInvalid: 'Please select a valid service',
+      number: '{label} must be a whole number',
+      min: '{label} must be at least {min}',
+      max: '{label} must be at most {max}',
+      date: 'Please enter a valid date',
+      pastDate: '{label} cannot be in the past',
+      budgetRequired: 'Please select a budget range',
+      timelineRequired: 'Please select a timeline',
+      eventTypeRequired: 'Please select an event type',
+      venueTypeRequired: 'Please select a venue type',
+      serviceDetailsMismatch:
+        'Service details do not match the selected service',
+    },
+  },
+};
+
+export const DEFAULT_LOCALE = 'en';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Today as YYYY-MM-DD in the visitor's timezone
+const today = () => {
+  const now = new Date();
+  const pad = value => String(value).padStart(2, '0');
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(
+    now.getDate()
+  )}`;
+};
+
+const isValidDate = value => {
+  if (!DATE_PATTERN.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+};
+
+// Read a dotted path such as 'brief.event.city' from a nested object
+export const getValueAtPath = (data, path) =>
+  path
+    .split('.')
+    .reduce(
+      (value, key) =>
+        value === undefined || value === null ? undefined : value[key],
+      data
+    );
+
+// Control and bidi-override characters; tabs and newlines are allowed
+const CONTROL_CHARACTERS = /(?![\t\n\r])\p{Cc}|[\u202A-\u202E\u2066-\u2069]/u;
+
+// Named normalization steps referenced from a field's `normalize` list
+const normalizers = {
+  nfc: value => value.normalize('NFC'),
+  collapseWhitespace: value => value.replace(/\s+/g, ' '),
+};
+
+// Named custom rules referenced from a field's `rules` list
+// Each returns true when the value passes
+const customRules = {
+  blockedDomains: (value, { domains = [] }) => {
+    const domain = value.split('@')[1];
+    return !domain || !domains.includes(domain.toLowerCase());
+  },
+  blockedPatterns: (value, { patterns = [], flags = '' }) =>
+    !patterns.some(pattern => new RegExp(pattern, flags).test(value)),
+  noControlCharacters: value => !CONTROL_CHARACTERS.test(value),
+  notInPast: value => value >= today(),
+};
+
+// Add a custom rule implementation usable from any schema
+export const registerRule = (name, validator) => {
+  customRules[name] = validator;
+};
+
+// Add or extend the message catalog for a locale
+export const registerMessages = (locale, catalog) => {
+  const existing = MESSAGES[locale] || { labels: {}, messages: {} };
+  MESSAGES[locale] = {
+    labels: { ...existing.labels, ...catalog.labels },
+    messages: { ...existing.messages, ...catalog.messages },
+  };
+};
+
+const formatMessage = (key, fieldName, field, locale) => {
+  const catalog = MESSAGES[locale] || MESSAGES[DEFAULT_LOCALE];
+  const fallback = MESSAGES[DEFAULT_LOCALE];
+  const messageKey = (field.messages && field.messages[key]) || key;
+  const template =
+    catalog.messages[messageKey] || fallback.messages[messageKey] || messageKey;
+  const label =
+    catalog.labels[fieldName] || fallback.labels[fieldName] || fieldName;
+
+  return template.replace(/\{(\w+)\}/g, (match, name) =>
+    name === 'label' ? label : field[name] !== undefined ? field[name] : match
+  );
+};
+
+const applyNormalizers = (field, rawValue) => {
+  const value =
+    rawValue === undefined || rawValue === null ? '' : String(rawValue);
+
+  return (field.normalize || [])
+    .reduce((result, step) => normalizers[step](result), value)
+    .trim();
+};
+
+// Normalize one field's value the way validation sees it
+export const normalizeValue = (
+  fieldName,
+  value,
+  { schema = contactSchema } = {}
+) => {
+  const field = schema[fieldName];
+  return field ? applyNormalizers(field, value) : value;
+};
+
+// Normalize every schema field in `data`, leaving other keys untouched
+export const normalizeData = (data = {}, options = {}) => {
+  const { schema = contactSchema } = options;
+
+  return Object.keys(data).reduce((result, key) => {
+    result[key] = schema[key]
+      ? normalizeValue(key, data[key], options)
+      : data[key];
+    return result;
+  }, {});
+};
+
+// Find the first failing rule for a value, or null when it is valid
+const findFailure = (field, rawValue) => {
+  const value = applyNormalizers(field, rawValue);
+
+  if (!value) {
+    return field.required ? 'required' : null;
+  }
+
+  if (field.type === 'email' && !EMAIL_PATTERN.test(value)) return 'email';
+  if (field.type === 'date' && !isValidDate(value)) return 'date';
+  if (field.type === 'number') {
+    const number = Number(value);
+    if (!Number.isInteger(number)) return 'number';
+    if (field.min !== undefined && number < field.min) return 'min';
+    if (field.max !== undefined && number > field.max) return 'max';
+  }
+  if (field.minLength && value.length < field.minLength) return 'minLength';
+  if (field.maxLength && value.length > field.maxLength) return 'maxLength';
+  if (field.pattern && !new RegExp(field.pattern, 'u').test(value)) {
+    return 'pattern';
+  }
+  if (field.oneOf && !field.oneOf.includes(value)) return 'oneOf';
+
+  const failedRule = (field.rules || []).find(rule => {
+    const validator = customRules[rule.name];
+    if (!validator) {
+      throw new Error(`Unknown validation rule: ${rule.name}`);
+    }
+    return !validator(value, rule);
+  });
+
+  return failedRule ? failedRule.message || failedRule.name : null;
+};
+
+// Validate one field; returns the error message or '' when valid
+export const validateField = (
+  fieldName,
+  value,
+  { schema = contactSchema, locale = DEFAULT_LOCALE } = {}
+) => {
+  const field = schema[fieldName];
+  if (!field) return '';
+
+  const failure = findFailure(field, value);
+  return failure ? formatMessage(failure, fieldName, field, locale) : '';
+};
+
+// Validate every field in the schema; returns { isValid, errors }
+export const validateData = (data = {}, options = {}) => {
+  const { schema = contactSchema } = options;
+  const errors = {};
+
+  Object.keys(schema).forEach(fieldName => {
+    const { path } = schema[fieldName];
+    const value = path ? getValueAtPath(data, path) : data[fieldName];
+    const error = validateField(fieldName, value, options);
+    if (error) {
+      errors[fieldName] = error;
+    }
+  });
+
+  return { isValid: Object.keys(errors).length === 0, errors };
+};
+
+// The extra-field schema for a service, or an empty one
+export const getServiceDetailSchema = service =>
+  serviceDetailSchemas[service] || {};
+
+// Validate `serviceDetails` against the schema for the selected service
+// The sub-object's `type` must name that service so details for one service
+// can't be submitted under another
+export const validateServiceDetails = (payload = {}, options = {}) => {
+  const schema = getServiceDetailSchema(payload.service);
+  const { serviceDetails } = payload;
+
+  if (serviceDetails && serviceDetails.type !== payload.service) {
+    return {
+      isValid: false,
+      errors: {
+        service: formatMessage(
+          'serviceDetailsMismatch',
+          'service',
+          contactSchema.service,
+          options.locale || DEFAULT_LOCALE
+        ),
+      },
+    };
+  }
+
+  return validateData(payload, { ...options, schema });
+};
+
+// Validate a contact submission, including its project brief and service
+// details when present. Errors are keyed by field name so forms can show
+// them next to the inputs.
+export const validateContactSubmission = (payload = {}, options = {}) => {
+  const results = [
+    validateData(payload, { ...options, schema: contactSchema }),
+  ];
+
+  if (payload.brief) {
+    results.push(validateData(payload, { ...options, schema: briefSchema }));
+  }
+
+  if (payload.brief || payload.serviceDetails) {
+    results.push(validateServiceDetails(payload, options));
+  }
+
+  return {
+    isValid: results.every(result => result.isValid),
+    errors: results.reduce(
+      (errors, result) => ({ ...errors, ...result.errors }),
+      {}
+    ),
+  };
+};
+
+// The schema and messages as plain JSON for the backend team
+export const exportSchema = (schema = { ...contactSchema, ...briefSchema }) =>
+  JSON.stringify(
+    {
+      version: SCHEMA_VERSION,
+      fields: schema,
+      serviceDetails: serviceDetailSchemas,
+      messages: MESSAGES,
+    },
+    null,
+    2
+  );
+
+export default contactSchema;